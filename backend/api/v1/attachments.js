@@ -0,0 +1,177 @@
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { loadTaskAccess, requireWriteRole } = require('../../middleware/boardAccess');
+const { getStorage } = require('../../lib/storage');
+
+// Maximum size of a single upload, in bytes (default 10 MB)
+const MAX_FILE_SIZE = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// Content types that may be uploaded; entries ending in /* match a whole family
+const ALLOWED_TYPES = [
+  'image/*',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/pdf',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const isAllowedType = (contentType) => ALLOWED_TYPES.some(type => (
+  type.endsWith('/*') ? contentType.startsWith(type.slice(0, -1)) : contentType === type
+));
+
+// Files are buffered in memory (bounded by MAX_FILE_SIZE) and handed to the storage driver
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  defParamCharset: 'utf8', // Keep non-ASCII filenames intact
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedType(file.mimetype)) {
+      return cb(new AppError(`File type ${file.mimetype} is not allowed`, 415, errorTypes.UNSUPPORTED_MEDIA_TYPE));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single "file" field, turning multer errors into AppErrors
+const uploadSingleFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(new AppError(`File must be at most ${Math.floor(MAX_FILE_SIZE / (1024 * 1024))} MB`, 413, errorTypes.PAYLOAD_TOO_LARGE));
+    }
+    if (err instanceof multer.MulterError) {
+      return next(new AppError(err.message, 400, errorTypes.VALIDATION_ERROR));
+    }
+    next(err);
+  });
+};
+
+// Attachment fields that are safe to send to the client
+const ATTACHMENT_COLUMNS = 'id, task_id, filename, content_type, size_bytes, created_at';
+
+// Create a router with database pool, mounted under /tasks/:taskId/attachments
+const createAttachmentsRouter = (pool) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Attachments are only reachable through a task on one of the current user's boards;
+  // any member can read them, changes need editor access
+  router.use(loadTaskAccess(pool, req => req.params.taskId), requireWriteRole('editor'));
+
+  // List the files attached to the task
+  const getAttachments = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      `SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE task_id = $1 ORDER BY created_at ASC`,
+      [req.params.taskId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  });
+
+  // Upload a file (multipart field "file")
+  const createAttachment = catchAsync(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('A file is required', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    const storage = getStorage();
+    const storageKey = `${req.params.taskId}/${crypto.randomUUID()}`;
+    await storage.save(storageKey, req.file.buffer);
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO attachments (task_id, user_id, filename, content_type, size_bytes, storage_key)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${ATTACHMENT_COLUMNS}`,
+        [
+          req.params.taskId,
+          req.user.id,
+          req.file.originalname.slice(0, 255),
+          req.file.mimetype,
+          req.file.size,
+          storageKey
+        ]
+      );
+
+      res.status(201).json({
+        success: true,
+        data: result.rows[0]
+      });
+    } catch (error) {
+      // Don't leave an orphaned file behind if the row could not be written
+      await storage.remove(storageKey);
+      throw error;
+    }
+  });
+
+  // Stream a file back to the client
+  const downloadAttachment = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      'SELECT filename, content_type, size_bytes, storage_key FROM attachments WHERE id = $1 AND task_id = $2',
+      [req.params.attachmentId, req.params.taskId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Attachment not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    const attachment = result.rows[0];
+    let stream;
+    try {
+      stream = await getStorage().createReadStream(attachment.storage_key);
+    } catch (error) {
+      throw new AppError('Attachment file is missing', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.set({
+      'Content-Type': attachment.content_type,
+      'Content-Length': attachment.size_bytes,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    stream.on('error', (error) => res.destroy(error));
+    stream.pipe(res);
+  });
+
+  // Delete an attachment and its file
+  const deleteAttachment = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      `DELETE FROM attachments
+       WHERE id = $1 AND task_id = $2
+       RETURNING storage_key`,
+      [req.params.attachmentId, req.params.taskId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Attachment not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    await getStorage().remove(result.rows[0].storage_key);
+
+    res.status(204).send();
+  });
+
+  // Define routes
+  router.route('/')
+    .get(getAttachments)
+    .post(uploadSingleFile, createAttachment);
+
+  router.get('/:attachmentId/download', downloadAttachment);
+  router.delete('/:attachmentId', deleteAttachment);
+
+  return router;
+};
+
+module.exports = createAttachmentsRouter;
@@ -0,0 +1,191 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { createBoard } = require('../../lib/boards');
+const { listActivity } = require('../../lib/activity');
+const { parseBeforeCursor } = require('../../lib/pagination');
+const { loadBoardAccess, requireRole } = require('../../middleware/boardAccess');
+const createColumnsRouter = require('./columns');
+const createLabelsRouter = require('./labels');
+const createMembersRouter = require('./members');
+
+const MAX_NAME_LENGTH = 100;
+
+// Largest value of the INTEGER position column
+const MAX_POSITION = 2147483647;
+
+// Validate and trim a board name from the request body
+const validateName = (name) => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new AppError('Board name is required', 400, errorTypes.VALIDATION_ERROR);
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new AppError(`Board name must be at most ${MAX_NAME_LENGTH} characters`, 400, errorTypes.VALIDATION_ERROR);
+  }
+  return name.trim();
+};
+
+// Create a router with database pool
+const createBoardsRouter = (pool) => {
+  const router = express.Router();
+
+  // Boards are only stored for signed-in users
+  router.use((req, res, next) => {
+    if (!req.user || req.user.isGuest) {
+      return next(new AppError('Authentication required', 401, errorTypes.UNAUTHORIZED));
+    }
+    next();
+  });
+
+  // Get all boards the current user is a member of with their role on each,
+  // their own boards first
+  const getBoards = catchAsync(async (req, res) => {
+    const { id: userId } = req.user;
+
+    const result = await pool.query(
+      `SELECT b.*, m.role, COUNT(t.id)::int AS task_count
+       FROM boards b
+       JOIN board_members m ON m.board_id = b.id AND m.user_id = $1
+       LEFT JOIN tasks t ON t.board_id = b.id AND t.deleted_at IS NULL
+       GROUP BY b.id, m.role
+       ORDER BY m.role = 'owner' DESC, b.position ASC, b.created_at ASC`,
+      [userId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  });
+
+  // Get a single board by ID
+  const getBoard = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      'SELECT * FROM boards WHERE id = $1',
+      [req.boardId]
+    );
+
+    res.json({
+      success: true,
+      data: { ...result.rows[0], role: req.boardRole }
+    });
+  });
+
+  // Create a new board
+  const createBoardHandler = catchAsync(async (req, res) => {
+    const { id: userId } = req.user;
+    const { name, description } = req.body;
+
+    const board = await createBoard(pool, userId, {
+      name: validateName(name),
+      description
+    });
+
+    res.status(201).json({
+      success: true,
+      data: board
+    });
+  });
+
+  // Update a board
+  const updateBoard = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const updates = { ...req.body };
+
+    if (updates.name !== undefined) {
+      updates.name = validateName(updates.name);
+    }
+    if (updates.position !== undefined
+      && !(Number.isInteger(updates.position) && updates.position >= 0 && updates.position <= MAX_POSITION)) {
+      throw new AppError('Board position must be a non-negative integer', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    // Build dynamic update query
+    const setClause = [];
+    const values = [];
+    let paramCount = 1;
+
+    const allowedFields = ['name', 'description', 'position'];
+    Object.entries(updates).forEach(([key, value]) => {
+      if (allowedFields.includes(key)) {
+        setClause.push(`${key} = $${paramCount++}`);
+        values.push(value);
+      }
+    });
+
+    if (setClause.length === 0) {
+      throw new AppError('No valid fields to update', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    values.push(id);
+    const result = await pool.query(
+      `UPDATE boards
+       SET ${setClause.join(', ')}
+       WHERE id = $${paramCount}
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Board not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.json({
+      success: true,
+      data: { ...result.rows[0], role: req.boardRole }
+    });
+  });
+
+  // Delete a board along with its tasks
+  const deleteBoard = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `DELETE FROM boards
+       WHERE id = $1
+       RETURNING id`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Board not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.status(204).send();
+  });
+
+  // Get the activity feed of every task on a board, newest first (?limit=&before= to page back)
+  const getBoardActivity = catchAsync(async (req, res) => {
+    const before = parseBeforeCursor(req.query.before);
+    const activity = await listActivity(pool, { boardId: req.boardId }, { limit: req.query.limit, before });
+
+    res.json({
+      success: true,
+      data: activity
+    });
+  });
+
+  // Routes on a single board check the current user's role on it first;
+  // only owners can rename, reorder or delete a board
+  const boardAccess = loadBoardAccess(pool, req => req.params.id);
+  const isOwner = requireRole('owner');
+
+  // Define routes
+  router.use('/:boardId/columns', createColumnsRouter(pool));
+  router.use('/:boardId/labels', createLabelsRouter(pool));
+  router.use('/:boardId/members', createMembersRouter(pool));
+
+  router.route('/')
+    .get(getBoards)
+    .post(createBoardHandler);
+
+  router.route('/:id')
+    .get(boardAccess, getBoard)
+    .patch(boardAccess, isOwner, updateBoard)
+    .delete(boardAccess, isOwner, deleteBoard);
+
+  router.get('/:id/activity', boardAccess, getBoardActivity);
+
+  return router;
+};
+
+module.exports = createBoardsRouter;
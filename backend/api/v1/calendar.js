@@ -0,0 +1,84 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { TASK_DETAILS_COLUMNS, TASK_DETAILS_JOINS } = require('../../lib/tasks');
+const { calendarStart, calendarEnd, taskComponent } = require('../../lib/ical');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const ICS_COMPONENTS = { event: 'VEVENT', todo: 'VTODO' };
+
+// Calendar apps are asked to reload the feed this often
+const REFRESH_INTERVAL = 'PT1H';
+
+const isTrue = (value) => value === 'true' || value === '1';
+
+// Create a router with database pool, mounted under /api/v1/calendar.
+// Calendar apps can't sign in, so this router is mounted without Firebase
+// auth: the secret token in the URL identifies the user instead
+const createCalendarRouter = (pool) => {
+  const router = express.Router();
+
+  // The due dates of every live task on the token owner's boards as an
+  // iCalendar feed. Tasks in done columns are left out unless
+  // ?include_done=true; ?priority=high (or a comma-separated list) keeps
+  // only those priorities. Tasks are VEVENTs, or VTODOs with ?component=todo
+  const getFeed = catchAsync(async (req, res) => {
+    const priorities = req.query.priority ? String(req.query.priority).split(',') : [];
+    if (priorities.some(priority => !PRIORITIES.includes(priority))) {
+      throw new AppError(`Priority must be one of ${PRIORITIES.join(', ')}`, 400, errorTypes.VALIDATION_ERROR);
+    }
+    const component = ICS_COMPONENTS[req.query.component || 'event'];
+    if (!component) {
+      throw new AppError(`Component must be one of ${Object.keys(ICS_COMPONENTS).join(', ')}`, 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    const feedResult = await pool.query(
+      'SELECT user_id FROM calendar_feeds WHERE token = $1',
+      [req.params.token]
+    );
+    if (feedResult.rows.length === 0) {
+      throw new AppError('Calendar feed not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    const values = [feedResult.rows[0].user_id];
+    const conditions = ['t.deleted_at IS NULL', 't.due_date IS NOT NULL'];
+    if (!isTrue(req.query.include_done)) {
+      conditions.push('NOT col.is_done');
+    }
+    if (priorities.length > 0) {
+      values.push(priorities);
+      conditions.push(`t.priority = ANY($${values.length}::text[])`);
+    }
+
+    const result = await pool.query(
+      `SELECT t.*, ${TASK_DETAILS_COLUMNS},
+              b.name AS board_name,
+              col.is_done AS column_is_done
+       FROM board_members m
+       JOIN boards b ON b.id = m.board_id
+       JOIN tasks t ON t.board_id = b.id
+       JOIN board_columns col ON col.id = t.column_id
+       ${TASK_DETAILS_JOINS}
+       WHERE m.user_id = $1 AND ${conditions.join(' AND ')}
+       ORDER BY t.due_date ASC, t.id ASC`,
+      values
+    );
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="yourskanban.ics"',
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(
+      calendarStart({ name: 'YoursKanban due dates', refresh: REFRESH_INTERVAL }) +
+      result.rows.map(task => taskComponent(task, { component })).join('') +
+      calendarEnd()
+    );
+  });
+
+  // Define routes
+  router.get('/:token.ics', getFeed);
+
+  return router;
+};
+
+module.exports = createCalendarRouter;
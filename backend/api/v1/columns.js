@@ -0,0 +1,283 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { loadBoardAccess, requireWriteRole } = require('../../middleware/boardAccess');
+const { assertWipLimit } = require('../../lib/boards');
+const { rankBetween } = require('../../lib/ranking');
+const { recordTaskUpdate } = require('../../lib/activity');
+const { spawnIfCompleted } = require('../../lib/recurrence');
+const { publishTaskEvent, eventOrigin } = require('../../lib/events');
+
+const MAX_NAME_LENGTH = 50;
+const COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+const ICON_PATTERN = /^fa-[a-z0-9-]+$/;
+
+// Validate column fields from the request body, returning only the ones present
+const validateColumn = (body, { requireName }) => {
+  const fields = {};
+
+  if (body.name !== undefined || requireName) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+      throw new AppError('Column name is required', 400, errorTypes.VALIDATION_ERROR);
+    }
+    if (body.name.trim().length > MAX_NAME_LENGTH) {
+      throw new AppError(`Column name must be at most ${MAX_NAME_LENGTH} characters`, 400, errorTypes.VALIDATION_ERROR);
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.color !== undefined) {
+    if (body.color !== null && !COLOR_PATTERN.test(body.color)) {
+      throw new AppError('Column color must be a hex color', 400, errorTypes.VALIDATION_ERROR);
+    }
+    fields.color = body.color;
+  }
+
+  if (body.icon !== undefined) {
+    if (body.icon !== null && !ICON_PATTERN.test(body.icon)) {
+      throw new AppError('Column icon must be a Font Awesome icon name', 400, errorTypes.VALIDATION_ERROR);
+    }
+    fields.icon = body.icon;
+  }
+
+  if (body.is_done !== undefined) {
+    fields.is_done = Boolean(body.is_done);
+  }
+
+  if (body.wip_limit !== undefined) {
+    if (body.wip_limit !== null && !(Number.isInteger(body.wip_limit) && body.wip_limit > 0)) {
+      throw new AppError('WIP limit must be a positive integer or null', 400, errorTypes.VALIDATION_ERROR);
+    }
+    fields.wip_limit = body.wip_limit;
+  }
+
+  return fields;
+};
+
+// Create a router with database pool, mounted under /boards/:boardId/columns
+const createColumnsRouter = (pool) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Any member can see the board's columns; changing them needs editor access
+  router.use(loadBoardAccess(pool, req => req.params.boardId), requireWriteRole('editor'));
+
+  // Get all columns on the board
+  const getColumns = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      `SELECT c.*, COUNT(t.id)::int AS task_count
+       FROM board_columns c
+       LEFT JOIN tasks t ON t.column_id = c.id AND t.deleted_at IS NULL
+       WHERE c.board_id = $1
+       GROUP BY c.id
+       ORDER BY c.position ASC`,
+      [req.boardId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  });
+
+  // Add a column at the end of the board
+  const createColumn = catchAsync(async (req, res) => {
+    const column = validateColumn(req.body, { requireName: true });
+
+    const result = await pool.query(
+      `INSERT INTO board_columns (board_id, name, color, icon, is_done, wip_limit, position)
+       VALUES ($1, $2, $3, $4, $5, $6,
+         (SELECT COALESCE(MAX(position), -1) + 1 FROM board_columns WHERE board_id = $1))
+       RETURNING *`,
+      [req.boardId, column.name, column.color || null, column.icon || null, column.is_done || false, column.wip_limit || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { ...result.rows[0], task_count: 0 }
+    });
+  });
+
+  // Rename or restyle a column
+  const updateColumn = catchAsync(async (req, res) => {
+    const updates = validateColumn(req.body, { requireName: false });
+
+    // Build dynamic update query
+    const setClause = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      setClause.push(`${key} = $${paramCount++}`);
+      values.push(value);
+    });
+
+    if (setClause.length === 0) {
+      throw new AppError('No valid fields to update', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    values.push(req.params.columnId, req.boardId);
+    const result = await pool.query(
+      `UPDATE board_columns
+       SET ${setClause.join(', ')}
+       WHERE id = $${paramCount++} AND board_id = $${paramCount}
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Column not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Reorder columns; expects every column ID of the board in the new order
+  const reorderColumns = catchAsync(async (req, res) => {
+    const { columnIds } = req.body;
+
+    if (!Array.isArray(columnIds) || columnIds.length === 0) {
+      throw new AppError('columnIds must be a non-empty array', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    const existing = await pool.query(
+      'SELECT id FROM board_columns WHERE board_id = $1',
+      [req.boardId]
+    );
+    const existingIds = new Set(existing.rows.map(row => row.id));
+    if (columnIds.length !== existingIds.size ||
+        new Set(columnIds).size !== columnIds.length ||
+        !columnIds.every(id => existingIds.has(id))) {
+      throw new AppError('columnIds must list every column on the board exactly once', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    const result = await pool.query(
+      `UPDATE board_columns c
+       SET position = o.position - 1
+       FROM unnest($1::uuid[]) WITH ORDINALITY AS o(id, position)
+       WHERE c.id = o.id AND c.board_id = $2
+       RETURNING c.*`,
+      [columnIds, req.boardId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.sort((a, b) => a.position - b.position)
+    });
+  });
+
+  // Delete a column; its tasks must be moved elsewhere with ?move_to=<columnId>,
+  // past that column's WIP limit only with ?override_wip_limit=true
+  const deleteColumn = catchAsync(async (req, res) => {
+    const { id: userId } = req.user;
+    const { columnId } = req.params;
+    const moveTo = req.query.move_to;
+    const overrideWipLimit = req.query.override_wip_limit === 'true';
+
+    const client = await pool.connect();
+    const movedIds = [];
+    const spawnedIds = [];
+    try {
+      await client.query('BEGIN');
+
+      const columns = await client.query(
+        'SELECT id FROM board_columns WHERE board_id = $1 ORDER BY position ASC FOR UPDATE',
+        [req.boardId]
+      );
+      const columnIds = columns.rows.map(row => row.id);
+
+      if (!columnIds.includes(columnId)) {
+        throw new AppError('Column not found', 404, errorTypes.NOT_FOUND);
+      }
+      if (columnIds.length === 1) {
+        throw new AppError('A board needs at least one column', 409, errorTypes.CONFLICT);
+      }
+
+      const taskCount = await client.query(
+        'SELECT COUNT(*)::int AS count FROM tasks WHERE column_id = $1 AND deleted_at IS NULL',
+        [columnId]
+      );
+
+      if (taskCount.rows[0].count > 0 && !moveTo) {
+        throw new AppError('Column still has tasks; pass move_to to move them first', 409, errorTypes.CONFLICT);
+      }
+      if (moveTo && (moveTo === columnId || !columnIds.includes(moveTo))) {
+        throw new AppError('move_to must be another column on this board', 400, errorTypes.VALIDATION_ERROR);
+      }
+
+      // Live tasks move one at a time, in order, to the bottom of the target
+      // column, the same way reorderTask moves a single task
+      const tasks = await client.query(
+        'SELECT * FROM tasks WHERE column_id = $1 AND deleted_at IS NULL ORDER BY position ASC FOR UPDATE',
+        [columnId]
+      );
+      if (tasks.rows.length > 0) {
+        const lastResult = await client.query(
+          'SELECT MAX(position) AS last_position FROM tasks WHERE column_id = $1 AND deleted_at IS NULL',
+          [moveTo]
+        );
+        let lastPosition = lastResult.rows[0].last_position;
+
+        for (const task of tasks.rows) {
+          if (!overrideWipLimit) {
+            await assertWipLimit(client, moveTo);
+          }
+          lastPosition = rankBetween(lastPosition, null);
+          const result = await client.query(
+            `UPDATE tasks
+             SET column_id = $1, position = $2, updated_at = NOW(), version = version + 1
+             WHERE id = $3
+             RETURNING *`,
+            [moveTo, lastPosition, task.id]
+          );
+          await recordTaskUpdate(client, userId, task, result.rows[0]);
+          const spawned = await spawnIfCompleted(client, task, result.rows[0], userId);
+          movedIds.push(task.id);
+          if (spawned) {
+            spawnedIds.push(spawned.id);
+          }
+        }
+      }
+
+      // Tasks in the trash follow the live ones, or go to the first remaining
+      // column, so they can still be restored once the column is gone
+      await client.query(
+        'UPDATE tasks SET column_id = $1 WHERE column_id = $2',
+        [moveTo || columnIds.find(id => id !== columnId), columnId]
+      );
+
+      await client.query('DELETE FROM board_columns WHERE id = $1', [columnId]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const taskId of movedIds) {
+      await publishTaskEvent(pool, 'task.moved', taskId, eventOrigin(req));
+    }
+    for (const taskId of spawnedIds) {
+      await publishTaskEvent(pool, 'task.created', taskId);
+    }
+
+    res.status(204).send();
+  });
+
+  // Define routes
+  router.route('/')
+    .get(getColumns)
+    .post(createColumn);
+
+  router.post('/reorder', reorderColumns);
+
+  router.route('/:columnId')
+    .patch(updateColumn)
+    .delete(deleteColumn);
+
+  return router;
+};
+
+module.exports = createColumnsRouter;
@@ -0,0 +1,122 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { loadTaskAccess, requireWriteRole } = require('../../middleware/boardAccess');
+
+const MAX_BODY_LENGTH = 5000;
+
+// Validate and trim a comment body from the request body
+const validateBody = (body) => {
+  if (typeof body !== 'string' || body.trim().length === 0) {
+    throw new AppError('Comment body is required', 400, errorTypes.VALIDATION_ERROR);
+  }
+  if (body.trim().length > MAX_BODY_LENGTH) {
+    throw new AppError(`Comment must be at most ${MAX_BODY_LENGTH} characters`, 400, errorTypes.VALIDATION_ERROR);
+  }
+  return body.trim();
+};
+
+// Comment fields plus the author's display details; $1 is the current user's ID
+const COMMENT_SELECT = `
+  SELECT c.id, c.task_id, c.user_id, c.body, c.created_at, c.edited_at,
+         u.name AS author_name, u.email AS author_email,
+         c.user_id = $1 AS is_author
+  FROM comments c
+  JOIN users u ON u.id = c.user_id`;
+
+// Create a router with database pool, mounted under /tasks/:taskId/comments
+const createCommentsRouter = (pool) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Comments are only reachable through a task on one of the current user's boards;
+  // any member can read them, posting and changes need commenter access
+  router.use(loadTaskAccess(pool, req => req.params.taskId), requireWriteRole('commenter'));
+
+  // Find a live comment on the task, making sure the current user wrote it
+  const findOwnComment = async (req) => {
+    const result = await pool.query(
+      'SELECT user_id FROM comments WHERE id = $1 AND task_id = $2 AND deleted_at IS NULL',
+      [req.params.commentId, req.params.taskId]
+    );
+    if (result.rows.length === 0) {
+      throw new AppError('Comment not found', 404, errorTypes.NOT_FOUND);
+    }
+    if (result.rows[0].user_id !== req.user.id) {
+      throw new AppError('You can only change your own comments', 403, errorTypes.FORBIDDEN);
+    }
+  };
+
+  // Get the task's comments, oldest first
+  const getComments = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      `${COMMENT_SELECT}
+       WHERE c.task_id = $2 AND c.deleted_at IS NULL
+       ORDER BY c.created_at ASC`,
+      [req.user.id, req.params.taskId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  });
+
+  // Add a comment
+  const createComment = catchAsync(async (req, res) => {
+    const body = validateBody(req.body.body);
+
+    const inserted = await pool.query(
+      `INSERT INTO comments (task_id, user_id, body)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [req.params.taskId, req.user.id, body]
+    );
+    const result = await pool.query(`${COMMENT_SELECT} WHERE c.id = $2`, [req.user.id, inserted.rows[0].id]);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Edit a comment
+  const updateComment = catchAsync(async (req, res) => {
+    const body = validateBody(req.body.body);
+    await findOwnComment(req);
+
+    await pool.query(
+      'UPDATE comments SET body = $1, edited_at = NOW() WHERE id = $2',
+      [body, req.params.commentId]
+    );
+    const result = await pool.query(`${COMMENT_SELECT} WHERE c.id = $2`, [req.user.id, req.params.commentId]);
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Soft delete a comment
+  const deleteComment = catchAsync(async (req, res) => {
+    await findOwnComment(req);
+
+    await pool.query(
+      'UPDATE comments SET deleted_at = NOW() WHERE id = $1',
+      [req.params.commentId]
+    );
+
+    res.status(204).send();
+  });
+
+  // Define routes
+  router.route('/')
+    .get(getComments)
+    .post(createComment);
+
+  router.route('/:commentId')
+    .patch(updateComment)
+    .delete(deleteComment);
+
+  return router;
+};
+
+module.exports = createCommentsRouter;
@@ -0,0 +1,52 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { resolveBoardId } = require('../../lib/boards');
+const { subscribeToBoard } = require('../../lib/events');
+
+// How long clients wait before reconnecting, and how often an idle stream is
+// written to so proxies don't close it
+const RETRY_MS = 3000;
+const HEARTBEAT_MS = 25000;
+
+// Create a router with database pool, mounted under /api/v1/events
+const createEventsRouter = (pool) => {
+  const router = express.Router();
+
+  // Stream the changes made to one of the current user's boards as
+  // Server-Sent Events (task.created, task.updated, task.moved, task.deleted)
+  const streamEvents = catchAsync(async (req, res) => {
+    if (!req.user || req.user.isGuest) {
+      throw new AppError('Authentication required', 401, errorTypes.UNAUTHORIZED);
+    }
+    const boardId = await resolveBoardId(pool, req.user.id, req.query.board_id);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    res.write(`retry: ${RETRY_MS}\n`);
+    res.write(`event: ready\ndata: ${JSON.stringify({ board_id: boardId })}\n\n`);
+
+    const unsubscribe = subscribeToBoard(boardId, send);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  router.get('/', streamEvents);
+
+  return router;
+};
+
+module.exports = createEventsRouter;
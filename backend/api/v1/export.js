@@ -0,0 +1,128 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { resolveBoardId } = require('../../lib/boards');
+const { TASK_DETAILS_COLUMNS, TASK_DETAILS_JOINS } = require('../../lib/tasks');
+const { EXPORT_FORMATS, createExporter } = require('../../lib/exporters');
+
+// Tasks read from the database per round trip while streaming
+const BATCH_SIZE = 200;
+
+const ICS_COMPONENTS = { todo: 'VTODO', event: 'VEVENT' };
+
+// File name for the download, e.g. website-redesign-2026-10-18.csv
+const exportFileName = (board, extension) => {
+  const slug = board.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'board';
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
+
+// Create a router with database pool, mounted under /export
+const createExportRouter = (pool) => {
+  const router = express.Router();
+
+  // Exports read boards from the server, so they need an account
+  router.use((req, res, next) => {
+    if (!req.user || req.user.isGuest) {
+      return next(new AppError('Authentication required', 401, errorTypes.UNAUTHORIZED));
+    }
+    next();
+  });
+
+  // Resolve once the response can take more data, or stop if the client went away
+  const writeChunk = (res, chunk) => new Promise((resolve, reject) => {
+    if (!chunk || res.write(chunk)) {
+      return resolve();
+    }
+    const onDrain = () => { res.off('close', onClose); resolve(); };
+    const onClose = () => { res.off('drain', onDrain); reject(new Error('Client closed the export')); };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+
+  // Stream a board's live tasks with their subtasks, labels and assignees
+  // as json (re-importable), csv, md or ics. The ics export only has dated
+  // tasks, as VTODOs or, with ?component=event, as VEVENTs
+  const exportBoard = catchAsync(async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`Format must be one of ${EXPORT_FORMATS.join(', ')}`, 400, errorTypes.VALIDATION_ERROR);
+    }
+    const component = ICS_COMPONENTS[req.query.component || 'todo'];
+    if (!component) {
+      throw new AppError(`Component must be one of ${Object.keys(ICS_COMPONENTS).join(', ')}`, 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    const boardId = await resolveBoardId(pool, req.user.id, req.query.board_id);
+    const [boardResult, columnsResult, labelsResult] = await Promise.all([
+      pool.query('SELECT id, name, description FROM boards WHERE id = $1', [boardId]),
+      pool.query(
+        'SELECT id, name, color, icon, position, is_done, wip_limit FROM board_columns WHERE board_id = $1 ORDER BY position ASC',
+        [boardId]
+      ),
+      pool.query('SELECT id, name, color FROM labels WHERE board_id = $1 ORDER BY LOWER(name) ASC', [boardId])
+    ]);
+    const board = boardResult.rows[0];
+    const exporter = createExporter(format, {
+      board,
+      columns: columnsResult.rows,
+      labels: labelsResult.rows,
+      component
+    });
+
+    res.set({
+      'Content-Type': exporter.contentType,
+      'Content-Disposition': `attachment; filename="${exportFileName(board, exporter.extension)}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    // Headers are out from here on, so failures can only cut the download short
+    try {
+      await writeChunk(res, exporter.start());
+
+      // Page through the tasks in board order so only one batch is in memory
+      let last = null;
+      for (;;) {
+        const values = [boardId];
+        let after = '';
+        if (last) {
+          values.push(last.column_position, last.position, last.id);
+          after = 'AND (col.position, t.position, t.id) > ($2, $3, $4::uuid)';
+        }
+
+        const result = await pool.query(
+          `SELECT t.*, ${TASK_DETAILS_COLUMNS},
+                  col.name AS column_name,
+                  col.is_done AS column_is_done,
+                  col.position AS column_position
+           FROM tasks t
+           JOIN board_columns col ON col.id = t.column_id
+           ${TASK_DETAILS_JOINS}
+           WHERE t.board_id = $1 AND t.deleted_at IS NULL ${after}
+           ORDER BY col.position ASC, t.position ASC, t.id ASC
+           LIMIT ${BATCH_SIZE}`,
+          values
+        );
+
+        for (const task of result.rows) {
+          await writeChunk(res, exporter.task(task));
+        }
+        if (result.rows.length < BATCH_SIZE) break;
+        last = result.rows[result.rows.length - 1];
+      }
+
+      await writeChunk(res, exporter.end());
+      res.end();
+    } catch (error) {
+      if (!res.destroyed) {
+        console.error(`Failed to export board ${boardId}:`, error);
+        res.destroy(error);
+      }
+    }
+  });
+
+  // Define routes
+  router.get('/', exportBoard);
+
+  return router;
+};
+
+module.exports = createExportRouter;
@@ -0,0 +1,270 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { createBoard, resolveBoardId } = require('../../lib/boards');
+const { parseImport } = require('../../lib/importers');
+const { rankBetween } = require('../../lib/ranking');
+const { recordActivity } = require('../../lib/activity');
+const { eventOrigin, publishTaskEvent } = require('../../lib/events');
+
+// Maximum size of an uploaded file, in bytes (default 5 MB)
+const MAX_FILE_SIZE = parseInt(process.env.IMPORT_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+// Most tasks a single import may create
+const MAX_IMPORT_TASKS = 2000;
+
+// Tasks shown in a dry run's preview
+const PREVIEW_SIZE = 20;
+
+const DEFAULT_IMPORT_BOARD_NAME = 'Imported board';
+
+// The file is only parsed, never stored, so any content type is accepted
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  defParamCharset: 'utf8'
+});
+
+// Accept a single "file" field, turning multer errors into AppErrors
+const uploadSingleFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(new AppError(`File must be at most ${Math.floor(MAX_FILE_SIZE / (1024 * 1024))} MB`, 413, errorTypes.PAYLOAD_TOO_LARGE));
+    }
+    if (err instanceof multer.MulterError) {
+      return next(new AppError(err.message, 400, errorTypes.VALIDATION_ERROR));
+    }
+    next(err);
+  });
+};
+
+// The CSV column mapping arrives as a JSON-encoded form field
+const parseMapping = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  try {
+    const mapping = JSON.parse(value);
+    if (mapping && typeof mapping === 'object' && !Array.isArray(mapping)) {
+      return mapping;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new AppError('mapping must be a JSON object of task fields to CSV headers', 400, errorTypes.VALIDATION_ERROR);
+};
+
+// The existing board an import goes into ({ id, name }), once the user is known to be an editor of it
+const loadTargetBoard = async (db, userId, boardId) => {
+  const id = await resolveBoardId(db, userId, boardId, 'editor');
+  const result = await db.query('SELECT id, name FROM boards WHERE id = $1', [id]);
+  return result.rows[0];
+};
+
+/**
+ * Write an import plan to a board. Columns and labels are matched to the
+ * board's existing ones by name and created when missing; tasks go to the
+ * bottom of their column (or the board's first column). WIP limits are not
+ * enforced, as with any bulk change the user asked for explicitly.
+ * @returns {Promise<Array<string>>} - IDs of the created tasks
+ */
+const applyPlan = async (client, userId, boardId, plan) => {
+  const columnsResult = await client.query(
+    'SELECT id, name, position FROM board_columns WHERE board_id = $1 ORDER BY position ASC',
+    [boardId]
+  );
+  const columnIds = new Map(columnsResult.rows.map(column => [column.name.toLowerCase(), column.id]));
+  let columnPosition = columnsResult.rows.reduce((max, column) => Math.max(max, column.position), -1) + 1;
+
+  for (const column of plan.columns) {
+    if (columnIds.has(column.name.toLowerCase())) continue;
+    const result = await client.query(
+      `INSERT INTO board_columns (board_id, name, color, position, is_done)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [boardId, column.name, column.color, columnPosition++, column.is_done]
+    );
+    columnIds.set(column.name.toLowerCase(), result.rows[0].id);
+  }
+
+  const firstColumnId = columnsResult.rows.length > 0
+    ? columnsResult.rows[0].id
+    : columnIds.get(plan.columns[0] && plan.columns[0].name.toLowerCase());
+  if (!firstColumnId) {
+    throw new AppError('Board has no columns', 409, errorTypes.CONFLICT);
+  }
+
+  const labelIds = new Map();
+  for (const label of plan.labels) {
+    // Existing labels keep their color
+    const result = await client.query(
+      `INSERT INTO labels (board_id, name, color)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (board_id, LOWER(name)) DO UPDATE SET name = labels.name
+       RETURNING id`,
+      [boardId, label.name, label.color]
+    );
+    labelIds.set(label.name.toLowerCase(), result.rows[0].id);
+  }
+
+  const positionsResult = await client.query(
+    `SELECT column_id, MAX(position) AS last_position
+     FROM tasks WHERE board_id = $1
+     GROUP BY column_id`,
+    [boardId]
+  );
+  const lastPositions = new Map(positionsResult.rows.map(row => [row.column_id, row.last_position]));
+
+  const taskIds = [];
+  for (const task of plan.tasks) {
+    const columnId = (task.column && columnIds.get(task.column.toLowerCase())) || firstColumnId;
+    const position = rankBetween(lastPositions.get(columnId) ?? null, null);
+    lastPositions.set(columnId, position);
+
+    const result = await client.query(
+      `INSERT INTO tasks (user_id, board_id, column_id, title, description, priority, due_date, position, pinned)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [userId, boardId, columnId, task.title, task.description, task.priority, task.due_date, position, task.pinned]
+    );
+    const createdTask = result.rows[0];
+
+    if (task.labels.length > 0) {
+      await client.query(
+        `INSERT INTO task_labels (task_id, label_id)
+         SELECT $1, unnest($2::uuid[])
+         ON CONFLICT DO NOTHING`,
+        [createdTask.id, task.labels.map(name => labelIds.get(name.toLowerCase()))]
+      );
+    }
+    if (task.subtasks.length > 0) {
+      await client.query(
+        `INSERT INTO subtasks (task_id, title, is_completed, position)
+         SELECT $1, s.title, s.is_completed, s.position - 1
+         FROM unnest($2::text[], $3::boolean[]) WITH ORDINALITY AS s(title, is_completed, position)`,
+        [createdTask.id, task.subtasks.map(s => s.title), task.subtasks.map(s => s.is_completed)]
+      );
+    }
+
+    await recordActivity(client, { task: createdTask, userId, action: 'created' });
+    taskIds.push(createdTask.id);
+  }
+
+  return taskIds;
+};
+
+// Create a router with database pool, mounted under /import
+const createImportRouter = (pool) => {
+  const router = express.Router();
+
+  // Imports create boards and tasks, so they need an account
+  router.use((req, res, next) => {
+    if (!req.user || req.user.isGuest) {
+      return next(new AppError('Authentication required', 401, errorTypes.UNAUTHORIZED));
+    }
+    next();
+  });
+
+  // Import a board export (multipart field "file") from YoursKanban, Trello
+  // or CSV. Goes into board_id when given, otherwise into a new board.
+  // With dry_run=true nothing is written and the response previews the
+  // import. Invalid rows are skipped and listed in errors; everything else
+  // is written in one transaction
+  const importBoard = catchAsync(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('A file is required', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    const { format, board_id: boardId, board_name: boardName } = req.body;
+    const dryRun = req.body.dry_run === 'true';
+    const plan = parseImport(req.file.buffer.toString('utf8'), {
+      format: format || undefined,
+      mapping: parseMapping(req.body.mapping)
+    });
+
+    if (plan.tasks.length > MAX_IMPORT_TASKS) {
+      throw new AppError(`An import can create at most ${MAX_IMPORT_TASKS} tasks`, 413, errorTypes.PAYLOAD_TOO_LARGE);
+    }
+
+    // Check access before previewing so the dialog can say so straight away
+    const targetBoard = boardId ? await loadTargetBoard(pool, req.user.id, boardId) : null;
+    const newBoardName = (typeof boardName === 'string' && boardName.trim().slice(0, 100))
+      || plan.name
+      || path.parse(req.file.originalname).name.slice(0, 100)
+      || DEFAULT_IMPORT_BOARD_NAME;
+
+    const summary = {
+      format: plan.format,
+      ...(plan.headers && { headers: plan.headers, mapping: plan.mapping }),
+      columns: plan.columns.map(column => column.name),
+      labels: plan.labels.map(label => label.name),
+      task_count: plan.tasks.length,
+      errors: plan.errors
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        data: {
+          ...summary,
+          board: targetBoard || { id: null, name: newBoardName },
+          preview: plan.tasks.slice(0, PREVIEW_SIZE)
+        }
+      });
+    }
+
+    if (plan.tasks.length === 0) {
+      throw new AppError('The file has no tasks that can be imported', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    const client = await pool.connect();
+    let board;
+    let taskIds;
+    try {
+      await client.query('BEGIN');
+
+      if (boardId) {
+        board = await loadTargetBoard(client, req.user.id, boardId);
+      } else {
+        board = await createBoard(client, req.user.id, { name: newBoardName });
+        // An import that brings its own columns replaces the default ones
+        if (plan.columns.length > 0) {
+          await client.query('DELETE FROM board_columns WHERE board_id = $1', [board.id]);
+        }
+      }
+
+      taskIds = await applyPlan(client, req.user.id, board.id, plan);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Only an existing board can have other tabs open on it
+    if (boardId) {
+      for (const taskId of taskIds) {
+        await publishTaskEvent(pool, 'task.created', taskId, eventOrigin(req));
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...summary,
+        board: { id: board.id, name: board.name },
+        imported: taskIds.length
+      }
+    });
+  });
+
+  // Define routes
+  router.post('/', uploadSingleFile, importBoard);
+
+  return router;
+};
+
+module.exports = createImportRouter;
@@ -1,5 +1,11 @@
 const express = require('express');
 const tasksRouter = require('./tasks');
+const boardsRouter = require('./boards');
+const viewsRouter = require('./views');
+const meRouter = require('./me');
+const importRouter = require('./import');
+const exportRouter = require('./export');
+const notificationsRouter = require('./notifications');
 
 const createV1Router = (pool) => {
   const router = express.Router();
@@ -7,6 +13,24 @@ const createV1Router = (pool) => {
   // Mount task routes
   router.use('/tasks', tasksRouter(pool));
 
+  // Mount board routes
+  router.use('/boards', boardsRouter(pool));
+
+  // Mount saved view routes
+  router.use('/views', viewsRouter(pool));
+
+  // Mount routes about the current user
+  router.use('/me', meRouter(pool));
+
+  // Mount board import routes
+  router.use('/import', importRouter(pool));
+
+  // Mount board export routes
+  router.use('/export', exportRouter(pool));
+
+  // Mount notification routes
+  router.use('/notifications', notificationsRouter(pool));
+
   // Health check endpoint
   router.get('/health', (req, res) => {
     res.json({ status: 'ok', version: 'v1' });
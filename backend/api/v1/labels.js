@@ -0,0 +1,148 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { loadBoardAccess, requireWriteRole } = require('../../middleware/boardAccess');
+
+const MAX_NAME_LENGTH = 50;
+const COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+
+// Validate label fields from the request body, returning only the ones present
+const validateLabel = (body, { requireName }) => {
+  const fields = {};
+
+  if (body.name !== undefined || requireName) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+      throw new AppError('Label name is required', 400, errorTypes.VALIDATION_ERROR);
+    }
+    if (body.name.trim().length > MAX_NAME_LENGTH) {
+      throw new AppError(`Label name must be at most ${MAX_NAME_LENGTH} characters`, 400, errorTypes.VALIDATION_ERROR);
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.color !== undefined) {
+    if (!COLOR_PATTERN.test(body.color)) {
+      throw new AppError('Label color must be a hex color', 400, errorTypes.VALIDATION_ERROR);
+    }
+    fields.color = body.color;
+  }
+
+  return fields;
+};
+
+// Turn a unique violation on the board/name index into a readable conflict
+const rethrowDuplicateName = (error) => {
+  if (error.code === '23505') {
+    throw new AppError('A label with this name already exists on the board', 409, errorTypes.CONFLICT);
+  }
+  throw error;
+};
+
+// Create a router with database pool, mounted under /boards/:boardId/labels
+const createLabelsRouter = (pool) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Any member can see the board's labels; changing them needs editor access
+  router.use(loadBoardAccess(pool, req => req.params.boardId), requireWriteRole('editor'));
+
+  // Get all labels on the board with how many live tasks use them
+  const getLabels = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      `SELECT l.*, COUNT(t.id)::int AS task_count
+       FROM labels l
+       LEFT JOIN task_labels tl ON tl.label_id = l.id
+       LEFT JOIN tasks t ON t.id = tl.task_id AND t.deleted_at IS NULL
+       WHERE l.board_id = $1
+       GROUP BY l.id
+       ORDER BY LOWER(l.name) ASC`,
+      [req.boardId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  });
+
+  // Add a label to the board
+  const createLabel = catchAsync(async (req, res) => {
+    const label = validateLabel(req.body, { requireName: true });
+
+    const result = await pool.query(
+      `INSERT INTO labels (board_id, name, color)
+       VALUES ($1, $2, COALESCE($3, '#64748b'))
+       RETURNING *`,
+      [req.boardId, label.name, label.color || null]
+    ).catch(rethrowDuplicateName);
+
+    res.status(201).json({
+      success: true,
+      data: { ...result.rows[0], task_count: 0 }
+    });
+  });
+
+  // Rename or recolor a label
+  const updateLabel = catchAsync(async (req, res) => {
+    const updates = validateLabel(req.body, { requireName: false });
+
+    // Build dynamic update query
+    const setClause = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      setClause.push(`${key} = $${paramCount++}`);
+      values.push(value);
+    });
+
+    if (setClause.length === 0) {
+      throw new AppError('No valid fields to update', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    values.push(req.params.labelId, req.boardId);
+    const result = await pool.query(
+      `UPDATE labels
+       SET ${setClause.join(', ')}
+       WHERE id = $${paramCount++} AND board_id = $${paramCount}
+       RETURNING *`,
+      values
+    ).catch(rethrowDuplicateName);
+
+    if (result.rows.length === 0) {
+      throw new AppError('Label not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Delete a label; it is removed from every task that had it
+  const deleteLabel = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      `DELETE FROM labels
+       WHERE id = $1 AND board_id = $2
+       RETURNING id`,
+      [req.params.labelId, req.boardId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Label not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.status(204).send();
+  });
+
+  // Define routes
+  router.route('/')
+    .get(getLabels)
+    .post(createLabel);
+
+  router.route('/:labelId')
+    .patch(updateLabel)
+    .delete(deleteLabel);
+
+  return router;
+};
+
+module.exports = createLabelsRouter;
@@ -0,0 +1,173 @@
+const express = require('express');
+const crypto = require('crypto');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { buildTaskQuery, paginate } = require('../../lib/taskQuery');
+const { TASK_DETAILS_COLUMNS, TASK_DETAILS_JOINS } = require('../../lib/tasks');
+const {
+  getDigestPreferences,
+  normalizeDigestPreferences,
+  lastScheduledAt,
+  buildDigest
+} = require('../../lib/digest');
+const { renderDigestText, renderDigestHtml } = require('../../lib/digestTemplates');
+
+// Create a router with database pool, mounted under /me
+const createMeRouter = (pool) => {
+  const router = express.Router();
+
+  // Only signed-in users have assigned tasks, calendar feeds and email digests
+  router.use((req, res, next) => {
+    if (!req.user || req.user.isGuest) {
+      return next(new AppError('Authentication required', 401, errorTypes.UNAUTHORIZED));
+    }
+    next();
+  });
+
+  // Get the tasks assigned to the current user on every board they are a
+  // member of, with the board and column names. Takes the same filters as
+  // GET /tasks and is sorted by due date unless ?sort= says otherwise
+  const getMyTasks = catchAsync(async (req, res) => {
+    const values = [req.user.id];
+    const taskQuery = buildTaskQuery({ sort: 'due_date', ...req.query }, values);
+
+    const result = await pool.query(
+      `SELECT t.*, ${TASK_DETAILS_COLUMNS},
+              b.name AS board_name,
+              col.name AS column_name,
+              ${taskQuery.sortKey} AS sort_key
+       FROM tasks t
+       JOIN task_assignees me ON me.task_id = t.id AND me.user_id = $1
+       JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $1
+       JOIN boards b ON b.id = t.board_id
+       LEFT JOIN board_columns col ON col.id = t.column_id
+       ${TASK_DETAILS_JOINS}
+       WHERE ${['t.deleted_at IS NULL', ...taskQuery.conditions].join('\n         AND ')}
+       ORDER BY ${taskQuery.orderBy}
+       ${taskQuery.limit !== null ? `LIMIT ${taskQuery.limit + 1}` : ''}`,
+      values
+    );
+
+    const { tasks, nextCursor } = paginate(result.rows, taskQuery);
+
+    res.json({
+      success: true,
+      data: tasks,
+      nextCursor
+    });
+  });
+
+  // Get the secret token of the current user's calendar feed (null when
+  // the feed is turned off)
+  const getCalendarFeed = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      'SELECT token, created_at FROM calendar_feeds WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows[0] || { token: null, created_at: null }
+    });
+  });
+
+  // Turn the calendar feed on, or give it a new token so the old URL stops working
+  const rotateCalendarFeed = catchAsync(async (req, res) => {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const result = await pool.query(
+      `INSERT INTO calendar_feeds (user_id, token)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET token = EXCLUDED.token, created_at = NOW()
+       RETURNING token, created_at`,
+      [req.user.id, token]
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Turn the calendar feed off
+  const deleteCalendarFeed = catchAsync(async (req, res) => {
+    await pool.query('DELETE FROM calendar_feeds WHERE user_id = $1', [req.user.id]);
+    res.status(204).send();
+  });
+
+  // Get the current user's email digest preferences
+  const getDigest = catchAsync(async (req, res) => {
+    const preferences = await getDigestPreferences(pool, req.user.id);
+
+    res.json({
+      success: true,
+      data: preferences
+    });
+  });
+
+  // Save the current user's email digest preferences. The schedule starts
+  // over from the change, so the next digest goes out at the next
+  // scheduled time rather than right away
+  const updateDigest = catchAsync(async (req, res) => {
+    const current = await getDigestPreferences(pool, req.user.id);
+    const preferences = normalizeDigestPreferences(req.body || {}, current);
+    const lastSentAt = preferences.frequency === 'off' ? current.last_sent_at : lastScheduledAt(preferences);
+
+    const result = await pool.query(
+      `INSERT INTO digest_preferences (user_id, frequency, send_hour, weekday, timezone, last_sent_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (user_id) DO UPDATE SET
+         frequency = EXCLUDED.frequency,
+         send_hour = EXCLUDED.send_hour,
+         weekday = EXCLUDED.weekday,
+         timezone = EXCLUDED.timezone,
+         last_sent_at = EXCLUDED.last_sent_at
+       RETURNING frequency, send_hour, weekday, timezone, last_sent_at`,
+      [req.user.id, preferences.frequency, preferences.send_hour, preferences.weekday, preferences.timezone, lastSentAt]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Render the digest the current user would get now, as the email's HTML
+  // (?format=html, the default) or plain text (?format=text). Frequency and
+  // time zone can be overridden to preview unsaved preferences
+  const previewDigest = catchAsync(async (req, res) => {
+    const format = req.query.format || 'html';
+    if (!['html', 'text'].includes(format)) {
+      throw new AppError('format must be html or text', 400, errorTypes.VALIDATION_ERROR);
+    }
+    const current = await getDigestPreferences(pool, req.user.id);
+    const preferences = normalizeDigestPreferences({
+      frequency: req.query.frequency,
+      timezone: req.query.timezone
+    }, current);
+
+    const userResult = await pool.query('SELECT id, name, email FROM users WHERE id = $1', [req.user.id]);
+    const digest = await buildDigest(pool, userResult.rows[0], preferences);
+
+    if (format === 'text') {
+      res.type('text/plain; charset=utf-8').send(renderDigestText(digest));
+    } else {
+      res.type('text/html; charset=utf-8').send(renderDigestHtml(digest));
+    }
+  });
+
+  // Define routes
+  router.get('/tasks', getMyTasks);
+
+  router.route('/calendar')
+    .get(getCalendarFeed)
+    .post(rotateCalendarFeed)
+    .delete(deleteCalendarFeed);
+
+  router.route('/digest')
+    .get(getDigest)
+    .put(updateDigest);
+  router.get('/digest/preview', previewDigest);
+
+  return router;
+};
+
+module.exports = createMeRouter;
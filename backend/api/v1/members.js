@@ -0,0 +1,190 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { BOARD_ROLES } = require('../../lib/boards');
+const { loadBoardAccess, requireRole } = require('../../middleware/boardAccess');
+
+const MAX_EMAIL_LENGTH = 255;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Members with the account they belong to; pending invites have no user yet
+const MEMBER_SELECT = `
+  SELECT m.id, m.board_id, m.user_id, m.role, m.invited_by, m.created_at,
+         COALESCE(u.email, m.invited_email) AS email,
+         u.name,
+         m.user_id IS NULL AS pending
+  FROM board_members m
+  LEFT JOIN users u ON u.id = m.user_id`;
+
+const validateRole = (role) => {
+  if (!BOARD_ROLES.includes(role)) {
+    throw new AppError(`Role must be one of ${BOARD_ROLES.join(', ')}`, 400, errorTypes.VALIDATION_ERROR);
+  }
+  return role;
+};
+
+const validateEmail = (email) => {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()) || email.trim().length > MAX_EMAIL_LENGTH) {
+    throw new AppError('A valid email address is required', 400, errorTypes.VALIDATION_ERROR);
+  }
+  return email.trim().toLowerCase();
+};
+
+// Turn a unique violation on the member indexes into a readable conflict
+const rethrowDuplicateMember = (error) => {
+  if (error.code === '23505') {
+    throw new AppError('This person is already a member of the board or has been invited', 409, errorTypes.CONFLICT);
+  }
+  throw error;
+};
+
+// Create a router with database pool, mounted under /boards/:boardId/members
+const createMembersRouter = (pool) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Any member can see who else is on the board
+  router.use(loadBoardAccess(pool, req => req.params.boardId));
+
+  const findMember = async (db, req, { lock = false } = {}) => {
+    const result = await db.query(
+      `SELECT * FROM board_members WHERE id = $1 AND board_id = $2${lock ? ' FOR UPDATE' : ''}`,
+      [req.params.memberId, req.boardId]
+    );
+    if (result.rows.length === 0) {
+      throw new AppError('Member not found', 404, errorTypes.NOT_FOUND);
+    }
+    return result.rows[0];
+  };
+
+  // A board always keeps at least one owner. Locks the board's owner rows so
+  // two owners can't demote or remove each other at the same time
+  const assertOtherOwner = async (client, member) => {
+    if (member.role !== 'owner') return;
+
+    const result = await client.query(
+      `SELECT id FROM board_members
+       WHERE board_id = $1 AND role = 'owner' AND user_id IS NOT NULL
+       FOR UPDATE`,
+      [member.board_id]
+    );
+    if (!result.rows.some(row => row.id !== member.id)) {
+      throw new AppError('A board needs at least one owner', 409, errorTypes.CONFLICT);
+    }
+  };
+
+  // Run fn inside a transaction
+  const inTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Get the board's members and pending invites, owners first
+  const getMembers = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      `${MEMBER_SELECT}
+       WHERE m.board_id = $1
+       ORDER BY array_position($2::text[], m.role) DESC, pending ASC, LOWER(COALESCE(u.email, m.invited_email)) ASC`,
+      [req.boardId, BOARD_ROLES]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  });
+
+  // Invite someone by email. People who already have an account join right
+  // away; everyone else gets a pending invite that is accepted when they
+  // first sign in with that address
+  const inviteMember = catchAsync(async (req, res) => {
+    const email = validateEmail(req.body.email);
+    const role = validateRole(req.body.role || 'viewer');
+
+    const userResult = await pool.query(
+      'SELECT id FROM users WHERE LOWER(email) = $1 LIMIT 1',
+      [email]
+    );
+    const invitee = userResult.rows[0];
+
+    const inserted = await pool.query(
+      `INSERT INTO board_members (board_id, user_id, invited_email, role, invited_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [req.boardId, invitee ? invitee.id : null, email, role, req.user.id]
+    ).catch(rethrowDuplicateMember);
+
+    const result = await pool.query(`${MEMBER_SELECT} WHERE m.id = $1`, [inserted.rows[0].id]);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Change a member's role
+  const updateMember = catchAsync(async (req, res) => {
+    const role = validateRole(req.body.role);
+
+    await inTransaction(async (client) => {
+      const member = await findMember(client, req, { lock: true });
+      if (role !== 'owner') {
+        await assertOtherOwner(client, member);
+      }
+      await client.query('UPDATE board_members SET role = $1 WHERE id = $2', [role, member.id]);
+    });
+
+    const result = await pool.query(`${MEMBER_SELECT} WHERE m.id = $1`, [req.params.memberId]);
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Remove a member or withdraw an invite. Owners can remove anyone and
+  // members can always leave a board themselves
+  const removeMember = catchAsync(async (req, res) => {
+    await inTransaction(async (client) => {
+      const member = await findMember(client, req, { lock: true });
+      if (req.boardRole !== 'owner' && member.user_id !== req.user.id) {
+        throw new AppError('Only owners can remove other members', 403, errorTypes.FORBIDDEN);
+      }
+      await assertOtherOwner(client, member);
+      await client.query('DELETE FROM board_members WHERE id = $1', [member.id]);
+
+      // People who leave a board are no longer responsible for its tasks
+      if (member.user_id) {
+        await client.query(
+          `DELETE FROM task_assignees ta
+           USING tasks t
+           WHERE ta.task_id = t.id AND t.board_id = $1 AND ta.user_id = $2`,
+          [member.board_id, member.user_id]
+        );
+      }
+    });
+
+    res.status(204).send();
+  });
+
+  // Define routes
+  router.route('/')
+    .get(getMembers)
+    .post(requireRole('owner'), inviteMember);
+
+  router.route('/:memberId')
+    .patch(requireRole('owner'), updateMember)
+    .delete(removeMember);
+
+  return router;
+};
+
+module.exports = createMembersRouter;
@@ -0,0 +1,114 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { createdAtKey, encodeCreatedAtCursor, parseCreatedAtCursor } = require('../../lib/pagination');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Only notifications about live tasks on boards the user is still a member of are shown
+const VISIBLE_JOINS = `
+  JOIN tasks t ON t.id = n.task_id AND t.deleted_at IS NULL
+  JOIN board_members m ON m.board_id = n.board_id AND m.user_id = n.user_id`;
+
+// Create a router with database pool, mounted under /notifications
+const createNotificationsRouter = (pool) => {
+  const router = express.Router();
+
+  // Notifications belong to an account
+  router.use((req, res, next) => {
+    if (!req.user || req.user.isGuest) {
+      return next(new AppError('Authentication required', 401, errorTypes.UNAUTHORIZED));
+    }
+    next();
+  });
+
+  // Get the current user's notifications, newest first, with the number of
+  // unread ones (?unread=true for unread only, ?limit= and ?cursor= from
+  // nextCursor to page back). Reminders from one run share a created_at,
+  // so the cursor carries the ID too.
+  const getNotifications = catchAsync(async (req, res) => {
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const unreadOnly = req.query.unread === 'true';
+    const cursor = parseCreatedAtCursor(req.query.cursor);
+
+    const [result, countResult] = await Promise.all([
+      pool.query(
+        `SELECT n.id, n.type, n.task_id, n.board_id, n.due_date, n.read_at, n.created_at,
+                t.title AS task_title, b.name AS board_name,
+                u.name AS actor_name, u.email AS actor_email,
+                ${createdAtKey('n.created_at')} AS sort_key
+         FROM notifications n
+         ${VISIBLE_JOINS}
+         JOIN boards b ON b.id = n.board_id
+         LEFT JOIN users u ON u.id = n.actor_id
+         WHERE n.user_id = $1
+           ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+           AND ($2::timestamptz IS NULL OR (n.created_at, n.id) < ($2::timestamptz, $3::uuid))
+         ORDER BY n.created_at DESC, n.id DESC
+         LIMIT $4`,
+        [req.user.id, cursor && cursor.createdAt, cursor && cursor.id, pageSize + 1]
+      ),
+      pool.query(
+        `SELECT COUNT(*)::int AS unread_count
+         FROM notifications n
+         ${VISIBLE_JOINS}
+         WHERE n.user_id = $1 AND n.read_at IS NULL`,
+        [req.user.id]
+      )
+    ]);
+
+    const hasMore = result.rows.length > pageSize;
+    const page = result.rows.slice(0, pageSize);
+    const last = page[page.length - 1];
+
+    res.json({
+      success: true,
+      data: {
+        notifications: page.map(({ sort_key: sortKey, ...notification }) => notification),
+        unread_count: countResult.rows[0].unread_count
+      },
+      nextCursor: hasMore ? encodeCreatedAtCursor(last.sort_key, last.id) : null
+    });
+  });
+
+  // Mark one notification as read
+  const markRead = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      `UPDATE notifications
+       SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, read_at`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      throw new AppError('Notification not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Mark all of the current user's notifications as read
+  const markAllRead = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: { updated: result.rowCount }
+    });
+  });
+
+  // Define routes
+  router.get('/', getNotifications);
+  router.post('/read-all', markAllRead);
+  router.post('/:id/read', markRead);
+
+  return router;
+};
+
+module.exports = createNotificationsRouter;
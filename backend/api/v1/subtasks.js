@@ -0,0 +1,172 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { loadTaskAccess, requireWriteRole } = require('../../middleware/boardAccess');
+
+const MAX_TITLE_LENGTH = 255;
+
+// Validate subtask fields from the request body, returning only the ones present
+const validateSubtask = (body, { requireTitle }) => {
+  const fields = {};
+
+  if (body.title !== undefined || requireTitle) {
+    if (typeof body.title !== 'string' || body.title.trim().length === 0) {
+      throw new AppError('Subtask title is required', 400, errorTypes.VALIDATION_ERROR);
+    }
+    if (body.title.trim().length > MAX_TITLE_LENGTH) {
+      throw new AppError(`Subtask title must be at most ${MAX_TITLE_LENGTH} characters`, 400, errorTypes.VALIDATION_ERROR);
+    }
+    fields.title = body.title.trim();
+  }
+
+  if (body.description !== undefined) {
+    fields.description = body.description || null;
+  }
+
+  if (body.is_completed !== undefined) {
+    fields.is_completed = Boolean(body.is_completed);
+  }
+
+  return fields;
+};
+
+// Create a router with database pool, mounted under /tasks/:taskId/subtasks
+const createSubtasksRouter = (pool) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Subtasks are only reachable through a task on one of the current user's boards;
+  // any member can read them, changes need editor access
+  router.use(loadTaskAccess(pool, req => req.params.taskId), requireWriteRole('editor'));
+
+  // Get all subtasks of the task
+  const getSubtasks = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      'SELECT * FROM subtasks WHERE task_id = $1 ORDER BY position ASC, created_at ASC',
+      [req.params.taskId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  });
+
+  // Add a subtask at the end of the checklist
+  const createSubtask = catchAsync(async (req, res) => {
+    const subtask = validateSubtask(req.body, { requireTitle: true });
+
+    const result = await pool.query(
+      `INSERT INTO subtasks (task_id, title, description, is_completed, position)
+       VALUES ($1, $2, $3, $4,
+         (SELECT COALESCE(MAX(position), -1) + 1 FROM subtasks WHERE task_id = $1))
+       RETURNING *`,
+      [req.params.taskId, subtask.title, subtask.description || null, subtask.is_completed || false]
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Rename or check off a subtask
+  const updateSubtask = catchAsync(async (req, res) => {
+    const updates = validateSubtask(req.body, { requireTitle: false });
+
+    // Build dynamic update query
+    const setClause = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      setClause.push(`${key} = $${paramCount++}`);
+      values.push(value);
+    });
+
+    if (setClause.length === 0) {
+      throw new AppError('No valid fields to update', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    values.push(req.params.subtaskId, req.params.taskId);
+    const result = await pool.query(
+      `UPDATE subtasks
+       SET ${setClause.join(', ')}
+       WHERE id = $${paramCount++} AND task_id = $${paramCount}
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Subtask not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Reorder subtasks; expects every subtask ID of the task in the new order
+  const reorderSubtasks = catchAsync(async (req, res) => {
+    const { subtaskIds } = req.body;
+
+    if (!Array.isArray(subtaskIds) || subtaskIds.length === 0) {
+      throw new AppError('subtaskIds must be a non-empty array', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    const existing = await pool.query(
+      'SELECT id FROM subtasks WHERE task_id = $1',
+      [req.params.taskId]
+    );
+    const existingIds = new Set(existing.rows.map(row => row.id));
+    if (subtaskIds.length !== existingIds.size ||
+        new Set(subtaskIds).size !== subtaskIds.length ||
+        !subtaskIds.every(id => existingIds.has(id))) {
+      throw new AppError('subtaskIds must list every subtask of the task exactly once', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    const result = await pool.query(
+      `UPDATE subtasks s
+       SET position = o.position - 1
+       FROM unnest($1::uuid[]) WITH ORDINALITY AS o(id, position)
+       WHERE s.id = o.id AND s.task_id = $2
+       RETURNING s.*`,
+      [subtaskIds, req.params.taskId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.sort((a, b) => a.position - b.position)
+    });
+  });
+
+  // Delete a subtask
+  const deleteSubtask = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      `DELETE FROM subtasks
+       WHERE id = $1 AND task_id = $2
+       RETURNING id`,
+      [req.params.subtaskId, req.params.taskId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Subtask not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.status(204).send();
+  });
+
+  // Define routes
+  router.route('/')
+    .get(getSubtasks)
+    .post(createSubtask);
+
+  router.post('/reorder', reorderSubtasks);
+
+  router.route('/:subtaskId')
+    .patch(updateSubtask)
+    .delete(deleteSubtask);
+
+  return router;
+};
+
+module.exports = createSubtasksRouter;
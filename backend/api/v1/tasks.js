@@ -1,83 +1,115 @@
 const express = require('express');
 const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { resolveBoardId, resolveColumnId, assertWipLimit } = require('../../lib/boards');
+const { rankBetween, rebalanceColumn } = require('../../lib/ranking');
+const { recordActivity, recordTaskUpdate, listActivity } = require('../../lib/activity');
+const { parseBeforeCursor } = require('../../lib/pagination');
+const { validateLabelIds, getTaskLabels, setTaskLabels } = require('../../lib/labels');
+const { validateAssigneeIds, getTaskAssignees, setTaskAssignees } = require('../../lib/assignees');
+const { buildTaskQuery, paginate } = require('../../lib/taskQuery');
+const {
+  TASK_DETAILS_COLUMNS,
+  TASK_DETAILS_JOINS,
+  getTaskDetails,
+  taskETag,
+  expectedVersion,
+  versionConflict
+} = require('../../lib/tasks');
+const { publishTaskEvent, publishBoardEvent, eventOrigin } = require('../../lib/events');
+const { normalizeRule, spawnIfCompleted } = require('../../lib/recurrence');
+const { normalizeTimeZone } = require('../../lib/zonedTime');
+const { notifyAssigned } = require('../../lib/notifications');
+const createSubtasksRouter = require('./subtasks');
+const createAttachmentsRouter = require('./attachments');
+const createCommentsRouter = require('./comments');
+const { loadTaskAccess, requireRole } = require('../../middleware/boardAccess');
+const { TRASH_RETENTION_DAYS } = require('../../jobs/purgeTrash');
+
+// Due dates arrive as timestamps in milliseconds or seconds, or as date
+// strings such as the task form's YYYY-MM-DD. Anything unreadable is null
+const parseDueDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const timestamp = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : NaN;
+  let date;
+  if (timestamp > 1e12) {
+    date = new Date(timestamp);
+  } else if (timestamp > 1e9) {
+    date = new Date(timestamp * 1000);
+  } else {
+    date = new Date(Number.isNaN(timestamp) ? value : timestamp);
+  }
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
 
 // Create a router with database pool
 const createTasksRouter = (pool) => {
   const router = express.Router();
 
-  // Get all tasks for the current user
+  // Get the tasks on one of the current user's boards. Supports filtering,
+  // text search, sorting and cursor pagination; see lib/taskQuery.js
   const getTasks = catchAsync(async (req, res) => {
     const { id: userId, isGuest } = req.user;
-    
-    const query = isGuest 
-      ? 'SELECT * FROM tasks WHERE user_id = $1 ORDER BY created_at DESC'
-      : `SELECT t.*, COALESCE(subs.subtasks, '[]'::json) AS subtasks
-         FROM tasks t
-         LEFT JOIN LATERAL (
-           SELECT json_agg(
-             json_build_object(
-               'id', st.id,
-               'title', st.title,
-               'description', st.description,
-               'is_completed', st.is_completed,
-               'position', st.position,
-               'created_at', st.created_at,
-               'updated_at', st.updated_at
-             ) ORDER BY st.position ASC
-           ) AS subtasks
-           FROM subtasks st
-           WHERE st.task_id = t.id
-         ) subs ON true
-         WHERE t.user_id = $1
-         ORDER BY t.created_at DESC`;
-
-    const result = await pool.query(query, [userId]);
-    
-    // If guest user, format the response to match the authenticated response
-    const tasks = isGuest 
-      ? result.rows.map(task => ({
+
+    if (isGuest) {
+      const result = await pool.query(
+        'SELECT * FROM tasks WHERE user_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC',
+        [userId]
+      );
+
+      // Format the response to match the authenticated response
+      return res.json({
+        success: true,
+        data: result.rows.map(task => ({
           ...task,
           subtasks: []
-        }))
-      : result.rows;
+        })),
+        nextCursor: null
+      });
+    }
+
+    const boardId = await resolveBoardId(pool, userId, req.query.board_id);
+    const values = [boardId];
+    const taskQuery = buildTaskQuery(req.query, values);
+
+    const result = await pool.query(
+      `SELECT t.*, ${TASK_DETAILS_COLUMNS},
+              ${taskQuery.sortKey} AS sort_key
+       FROM tasks t
+       ${TASK_DETAILS_JOINS}
+       WHERE ${['t.board_id = $1', 't.deleted_at IS NULL', ...taskQuery.conditions].join('\n         AND ')}
+       ORDER BY ${taskQuery.orderBy}
+       ${taskQuery.limit !== null ? `LIMIT ${taskQuery.limit + 1}` : ''}`,
+      values
+    );
+
+    const { tasks, nextCursor } = paginate(result.rows, taskQuery);
 
     res.json({
       success: true,
-      data: tasks
+      data: tasks,
+      nextCursor
     });
   });
 
   // Get a single task by ID
   const getTask = catchAsync(async (req, res) => {
-    const { id: userId } = req.user;
     const { id } = req.params;
 
     const result = await pool.query(
-      `SELECT t.*, COALESCE(subs.subtasks, '[]'::json) AS subtasks
+      `SELECT t.*, ${TASK_DETAILS_COLUMNS}
        FROM tasks t
-       LEFT JOIN LATERAL (
-         SELECT json_agg(
-           json_build_object(
-             'id', st.id,
-             'title', st.title,
-             'description', st.description,
-             'is_completed', st.is_completed,
-             'position', st.position,
-             'created_at', st.created_at,
-             'updated_at', st.updated_at
-           ) ORDER BY st.position ASC
-         ) AS subtasks
-         FROM subtasks st
-         WHERE st.task_id = t.id
-       ) subs ON true
-       WHERE t.id = $1 AND t.user_id = $2`,
-      [id, userId]
+       ${TASK_DETAILS_JOINS}
+       WHERE t.id = $1 AND t.deleted_at IS NULL`,
+      [id]
     );
 
     if (result.rows.length === 0) {
       throw new AppError('Task not found', 404, errorTypes.NOT_FOUND);
     }
 
+    res.set('ETag', taskETag(result.rows[0]));
     res.json({
       success: true,
       data: result.rows[0]
@@ -93,56 +125,58 @@ const createTasksRouter = (pool) => {
       throw new Error("User ID missing in createTask");
     }
     
-    const { title, description, status, priority, dueDate, position, subtasks, pinned } = req.body;
-
-    // Handle dueDate conversion
-    let formattedDueDate = null;
-    if (dueDate) {
-      try {
-        // Convert the timestamp to a PostgreSQL TIMESTAMP if it exists
-        const timestamp = typeof dueDate === 'string' ? parseInt(dueDate, 10) : dueDate;
-        
-        // If the timestamp is in milliseconds (likely from JavaScript's Date.getTime())
-        if (timestamp > 1e12) {
-          formattedDueDate = new Date(timestamp).toISOString();
-        } else if (timestamp > 1e9) {
-          formattedDueDate = new Date(timestamp * 1000).toISOString();
-        } else {
-          formattedDueDate = new Date(timestamp).toISOString();
-        }
-      } catch (error) {
-
-        // If there's an error parsing the date, just set it to null
-        formattedDueDate = null;
-      }
+    const { title, description, priority, dueDate, position, subtasks, pinned, boardId, columnId } = req.body;
+    const taskBoardId = await resolveBoardId(pool, userId, boardId || req.body.board_id, 'editor');
+    const taskColumnId = await resolveColumnId(pool, taskBoardId, columnId || req.body.column_id);
+    const labelIds = req.body.label_ids !== undefined
+      ? await validateLabelIds(pool, taskBoardId, req.body.label_ids)
+      : [];
+    const assigneeIds = req.body.assignee_ids !== undefined
+      ? await validateAssigneeIds(pool, taskBoardId, req.body.assignee_ids)
+      : [];
+    const recurrenceRule = normalizeRule(req.body.recurrence_rule ?? null);
+    const recurrenceTimeZone = recurrenceRule ? normalizeTimeZone(req.body.recurrence_timezone) : null;
+
+    if (!req.body.override_wip_limit) {
+      await assertWipLimit(pool, taskColumnId);
     }
 
-    // Get the next position for the task if not provided
+    const formattedDueDate = parseDueDate(dueDate);
+
+    // Put the task at the bottom of its column if no position is provided
     let taskPosition = position;
     if (taskPosition === undefined) {
       const positionResult = await pool.query(
-        'SELECT COALESCE(MAX(position), 0) + 1 as next_position FROM tasks WHERE user_id = $1',
-        [userId]
+        'SELECT MAX(position) AS last_position FROM tasks WHERE column_id = $1',
+        [taskColumnId]
       );
-      taskPosition = positionResult.rows[0].next_position;
+      taskPosition = rankBetween(positionResult.rows[0].last_position, null);
     }
 
     const result = await pool.query(
-      `INSERT INTO tasks (user_id, title, description, status, priority, due_date, position)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO tasks (user_id, board_id, column_id, title, description, priority, due_date, position,
+                          recurrence_rule, recurrence_timezone)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING *`,
       [
         userId, 
+        taskBoardId,
+        taskColumnId,
         title, 
         description || null, 
-        status || 'todo', 
         priority || 'medium', 
         formattedDueDate,
-        taskPosition
+        taskPosition,
+        recurrenceRule,
+        recurrenceTimeZone
       ]
     );
 
     const createdTask = result.rows[0];
+    createdTask.labels = labelIds.length > 0 ? await setTaskLabels(pool, createdTask, labelIds) : [];
+    createdTask.assignees = assigneeIds.length > 0 ? await setTaskAssignees(pool, createdTask, assigneeIds) : [];
+    await notifyAssigned(pool, createdTask, assigneeIds, userId);
+    await recordActivity(pool, { task: createdTask, userId, action: 'created' });
 
     // Create subtasks if provided
     if (subtasks && Array.isArray(subtasks) && subtasks.length > 0) {
@@ -161,68 +195,239 @@ const createTasksRouter = (pool) => {
       }
     }
 
+    await publishTaskEvent(pool, 'task.created', createdTask.id, eventOrigin(req));
+
     res.status(201).json({
       success: true,
       data: createdTask
     });
   });
 
-  // Update a task
+  // Update a task. With If-Match (or a version in the body) the update is
+  // rejected with 409 and the current task if someone else changed it first
   const updateTask = catchAsync(async (req, res) => {
     const { id: userId } = req.user;
     const { id } = req.params;
-    const updates = req.body;
-
-    // Build dynamic update query
-    const setClause = [];
-    const values = [];
-    let paramCount = 1;
-
-    // Add updatable fields
-    const allowedFields = ['title', 'description', 'status', 'priority', 'due_date', 'position', 'pinned'];
-    Object.entries(updates).forEach(([key, value]) => {
-      if (allowedFields.includes(key)) {
-        // Handle due_date conversion for updates
-        if (key === 'due_date' && value) {
-          try {
-            const timestamp = typeof value === 'string' ? parseInt(value, 10) : value;
-            
-            if (timestamp > 1e12) {
-              value = new Date(timestamp).toISOString();
-            } else if (timestamp > 1e9) {
-              value = new Date(timestamp * 1000).toISOString();
-            } else {
-              value = new Date(timestamp).toISOString();
-            }
-          } catch (error) {
-    
-            value = null;
+    const {
+      override_wip_limit: overrideWipLimit,
+      label_ids: labelIds,
+      assignee_ids: assigneeIds,
+      version,
+      ...updates
+    } = req.body;
+    const expected = expectedVersion(req);
+
+    const client = await pool.connect();
+    let result;
+    let moved;
+    let spawned;
+    try {
+      await client.query('BEGIN');
+
+      // Lock the current version of the task so the activity log sees what changed
+      const taskResult = await client.query(
+        'SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [id]
+      );
+      if (taskResult.rows.length === 0) {
+        throw new AppError('Task not found', 404, errorTypes.NOT_FOUND);
+      }
+      const task = taskResult.rows[0];
+
+      if (expected !== null && task.version !== expected) {
+        throw versionConflict(await getTaskDetails(client, id));
+      }
+
+      // A task can only move to a column on its own board, and only while
+      // that column is below its WIP limit (unless explicitly overridden)
+      if (updates.column_id !== undefined) {
+        updates.column_id = await resolveColumnId(client, task.board_id, updates.column_id);
+
+        if (updates.column_id !== task.column_id && !overrideWipLimit) {
+          await assertWipLimit(client, updates.column_id);
+        }
+      }
+
+      // Build dynamic update query
+      const setClause = [];
+      const values = [];
+      let paramCount = 1;
+
+      // The task form sends the due date as dueDate, as it does when creating
+      if (updates.due_date === undefined && updates.dueDate !== undefined) {
+        updates.due_date = updates.dueDate;
+      }
+
+      // Recurrence rules are stored in canonical form
+      if (updates.recurrence_rule !== undefined) {
+        updates.recurrence_rule = normalizeRule(updates.recurrence_rule);
+      }
+      if (updates.recurrence_timezone !== undefined) {
+        updates.recurrence_timezone = normalizeTimeZone(updates.recurrence_timezone);
+      }
+
+      // Add updatable fields
+      const allowedFields = [
+        'title', 'description', 'column_id', 'priority', 'due_date', 'position', 'pinned',
+        'recurrence_rule', 'recurrence_timezone'
+      ];
+      Object.entries(updates).forEach(([key, value]) => {
+        if (allowedFields.includes(key)) {
+          // Handle due_date conversion for updates
+          if (key === 'due_date') {
+            value = parseDueDate(value);
           }
+          
+          setClause.push(`${key} = $${paramCount++}`);
+          values.push(value);
         }
-        
-        setClause.push(`${key} = $${paramCount++}`);
-        values.push(value);
+      });
+
+      if (setClause.length === 0 && labelIds === undefined && assigneeIds === undefined) {
+        throw new AppError('No valid fields to update', 400, errorTypes.VALIDATION_ERROR);
       }
-    });
 
-    if (setClause.length === 0) {
-      throw new AppError('No valid fields to update', 400, errorTypes.VALIDATION_ERROR);
+      // Add updated_at timestamp and the next version
+      setClause.push(`updated_at = NOW()`);
+      setClause.push('version = version + 1');
+
+      values.push(id);
+      result = await client.query(
+        `UPDATE tasks 
+         SET ${setClause.join(', ')}
+         WHERE id = $${paramCount}
+         RETURNING *`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('Task not found', 404, errorTypes.NOT_FOUND);
+      }
+
+      // Labels live in task_labels; compare them before and after for the activity log
+      if (labelIds !== undefined) {
+        task.labels = await getTaskLabels(client, id);
+        result.rows[0].labels = await setTaskLabels(client, result.rows[0], labelIds);
+      }
+      if (assigneeIds !== undefined) {
+        task.assignees = await getTaskAssignees(client, id);
+        result.rows[0].assignees = await setTaskAssignees(client, result.rows[0], assigneeIds);
+        const previousIds = task.assignees.map(person => person.id);
+        await notifyAssigned(
+          client,
+          result.rows[0],
+          result.rows[0].assignees.map(person => person.id).filter(assigneeId => !previousIds.includes(assigneeId)),
+          userId
+        );
+      }
+
+      await recordTaskUpdate(client, userId, task, result.rows[0]);
+      moved = result.rows[0].column_id !== task.column_id || result.rows[0].position !== task.position;
+      // Finishing a recurring task creates its next instance
+      spawned = await spawnIfCompleted(client, task, result.rows[0], userId);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
-    // Add updated_at timestamp
-    setClause.push(`updated_at = NOW()`);
+    await publishTaskEvent(pool, moved ? 'task.moved' : 'task.updated', id, eventOrigin(req));
+    // Without an origin, so the tab that finished the task shows the new one too
+    if (spawned) {
+      await publishTaskEvent(pool, 'task.created', spawned.id);
+    }
 
-    values.push(id, userId);
-    const result = await pool.query(
-      `UPDATE tasks 
-       SET ${setClause.join(', ')}
-       WHERE id = $${paramCount++} AND user_id = $${paramCount}
-       RETURNING *`,
-      values
-    );
+    res.set('ETag', taskETag(result.rows[0]));
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
 
-    if (result.rows.length === 0) {
-      throw new AppError('Task not found', 404, errorTypes.NOT_FOUND);
+  // Move a task within or between columns, placing it between two neighbours
+  const reorderTask = catchAsync(async (req, res) => {
+    const { id: userId } = req.user;
+    const { taskId, columnId, previousTaskId, nextTaskId, override_wip_limit: overrideWipLimit } = req.body;
+
+    const client = await pool.connect();
+    let result;
+    let spawned;
+    try {
+      await client.query('BEGIN');
+
+      const taskResult = await client.query(
+        'SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [taskId]
+      );
+      if (taskResult.rows.length === 0) {
+        throw new AppError('Task not found', 404, errorTypes.NOT_FOUND);
+      }
+
+      const task = taskResult.rows[0];
+      const targetColumnId = columnId
+        ? await resolveColumnId(client, task.board_id, columnId)
+        : task.column_id;
+
+      if (targetColumnId !== task.column_id && !overrideWipLimit) {
+        await assertWipLimit(client, targetColumnId);
+      }
+
+      // Neighbours must already sit in the target column
+      const neighbourIds = [previousTaskId, nextTaskId].filter(Boolean);
+      const positions = new Map();
+      if (neighbourIds.length > 0) {
+        if (neighbourIds.includes(taskId)) {
+          throw new AppError('A task cannot be its own neighbour', 400, errorTypes.VALIDATION_ERROR);
+        }
+        const neighbours = await client.query(
+          'SELECT id, position FROM tasks WHERE id = ANY($1::uuid[]) AND column_id = $2 AND deleted_at IS NULL',
+          [neighbourIds, targetColumnId]
+        );
+        if (neighbours.rows.length !== neighbourIds.length) {
+          throw new AppError('Neighbouring tasks must be in the target column', 400, errorTypes.VALIDATION_ERROR);
+        }
+        neighbours.rows.forEach(row => positions.set(row.id, row.position));
+      }
+
+      const rank = (positionMap) => rankBetween(
+        previousTaskId ? positionMap.get(previousTaskId) : null,
+        nextTaskId ? positionMap.get(nextTaskId) : null
+      );
+
+      let newPosition = rank(positions);
+      if (newPosition === null) {
+        // No room left between the neighbours; spread the column out and try again
+        newPosition = rank(await rebalanceColumn(client, targetColumnId));
+      }
+      if (newPosition === null) {
+        throw new AppError('previousTaskId must come before nextTaskId', 400, errorTypes.VALIDATION_ERROR);
+      }
+
+      result = await client.query(
+        `UPDATE tasks
+         SET column_id = $1, position = $2, updated_at = NOW(), version = version + 1
+         WHERE id = $3
+         RETURNING *`,
+        [targetColumnId, newPosition, taskId]
+      );
+
+      await recordTaskUpdate(client, userId, task, result.rows[0]);
+      spawned = await spawnIfCompleted(client, task, result.rows[0], userId);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await publishTaskEvent(pool, 'task.moved', taskId, eventOrigin(req));
+    if (spawned) {
+      await publishTaskEvent(pool, 'task.created', spawned.id);
     }
 
     res.json({
@@ -231,34 +436,145 @@ const createTasksRouter = (pool) => {
     });
   });
 
-  // Delete a task
+  // Move a task to the trash; it is purged for good after the retention period
   const deleteTask = catchAsync(async (req, res) => {
     const { id: userId } = req.user;
     const { id } = req.params;
 
     const result = await pool.query(
-      `DELETE FROM tasks 
-       WHERE id = $1 AND user_id = $2
-       RETURNING id`,
-      [id, userId]
+      `UPDATE tasks
+       SET deleted_at = NOW()
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING *`,
+      [id]
     );
 
     if (result.rows.length === 0) {
       throw new AppError('Task not found', 404, errorTypes.NOT_FOUND);
     }
 
+    await recordActivity(pool, { task: result.rows[0], userId, action: 'deleted' });
+    publishBoardEvent(result.rows[0].board_id, 'task.deleted', { task: { id, board_id: result.rows[0].board_id } }, eventOrigin(req));
+
     res.status(204).send();
   });
 
+  // Get the tasks in the trash of one of the current user's boards, most recently deleted first
+  const getTrash = catchAsync(async (req, res) => {
+    const { id: userId } = req.user;
+    const boardId = await resolveBoardId(pool, userId, req.query.board_id);
+
+    const result = await pool.query(
+      `SELECT *, deleted_at + make_interval(days => $2) AS purge_at
+       FROM tasks
+       WHERE board_id = $1 AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC`,
+      [boardId, TRASH_RETENTION_DAYS]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  });
+
+  // Bring a task back from the trash with its original ID, subtasks, comments and files
+  const restoreTask = catchAsync(async (req, res) => {
+    const { id: userId } = req.user;
+    const { id } = req.params;
+
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+
+      const taskResult = await client.query(
+        'SELECT column_id FROM tasks WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE',
+        [id]
+      );
+      if (taskResult.rows.length === 0) {
+        throw new AppError('Task not found in trash', 404, errorTypes.NOT_FOUND);
+      }
+
+      if (!req.body.override_wip_limit) {
+        await assertWipLimit(client, taskResult.rows[0].column_id);
+      }
+
+      result = await client.query(
+        `UPDATE tasks
+         SET deleted_at = NULL
+         WHERE id = $1
+         RETURNING *`,
+        [id]
+      );
+
+      await recordActivity(client, { task: result.rows[0], userId, action: 'restored' });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // A restored task reappears on other clients just like a new one
+    await publishTaskEvent(pool, 'task.created', id, eventOrigin(req));
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Get the history of a task, newest first (?limit=&before= to page back)
+  const getTaskActivity = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const before = parseBeforeCursor(req.query.before);
+
+    const activity = await listActivity(pool, { taskId: id }, { limit: req.query.limit, before });
+
+    res.json({
+      success: true,
+      data: activity
+    });
+  });
+
+  // Changes to a task's checklist, files or comments are sent out as task updates
+  const publishTaskChange = (req, res, next) => {
+    if (req.method !== 'GET') {
+      res.on('finish', () => {
+        if (res.statusCode < 400) {
+          publishTaskEvent(pool, 'task.updated', req.params.taskId, eventOrigin(req));
+        }
+      });
+    }
+    next();
+  };
+
+  // Routes on a single task check the current user's role on its board first
+  const taskAccess = loadTaskAccess(pool, req => req.params.id);
+  const canEdit = requireRole('editor');
+
   // Define routes
+  router.use('/:taskId/subtasks', publishTaskChange, createSubtasksRouter(pool));
+  router.use('/:taskId/attachments', publishTaskChange, createAttachmentsRouter(pool));
+  router.use('/:taskId/comments', publishTaskChange, createCommentsRouter(pool));
+
   router.route('/')
     .get(getTasks)
     .post(createTask);
 
+  router.post('/reorder', loadTaskAccess(pool, req => req.body.taskId), canEdit, reorderTask);
+  router.get('/trash', getTrash);
+
   router.route('/:id')
-    .get(getTask)
-    .patch(updateTask)
-    .delete(deleteTask);
+    .get(taskAccess, getTask)
+    .patch(taskAccess, canEdit, updateTask)
+    .delete(taskAccess, canEdit, deleteTask);
+
+  router.get('/:id/activity', loadTaskAccess(pool, req => req.params.id, { state: 'any' }), getTaskActivity);
+  router.post('/:id/restore', loadTaskAccess(pool, req => req.params.id, { state: 'trashed' }), canEdit, restoreTask);
 
   return router;
 };
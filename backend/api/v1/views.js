@@ -0,0 +1,203 @@
+const express = require('express');
+const { AppError, errorTypes, catchAsync } = require('../../utils/errorHandler');
+const { resolveBoardId } = require('../../lib/boards');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 500;
+const PRIORITY_FILTERS = ['all', 'low', 'medium', 'high'];
+const SORT_ORDERS = ['none', 'asc', 'desc'];
+
+// Validate the filter state stored in a view, filling in defaults for missing fields
+const validateFilters = (filters) => {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new AppError('View filters must be an object', 400, errorTypes.VALIDATION_ERROR);
+  }
+
+  const { query = '', priority = 'all', label = 'all', assignee = 'all', sort = 'none' } = filters;
+  if (typeof query !== 'string' || query.length > MAX_QUERY_LENGTH) {
+    throw new AppError(`Search query must be a string of at most ${MAX_QUERY_LENGTH} characters`, 400, errorTypes.VALIDATION_ERROR);
+  }
+  if (!PRIORITY_FILTERS.includes(priority)) {
+    throw new AppError(`Priority filter must be one of ${PRIORITY_FILTERS.join(', ')}`, 400, errorTypes.VALIDATION_ERROR);
+  }
+  if (typeof label !== 'string' || label.length === 0) {
+    throw new AppError('Label filter must be "all" or a label ID', 400, errorTypes.VALIDATION_ERROR);
+  }
+  if (typeof assignee !== 'string' || assignee.length === 0) {
+    throw new AppError('Assignee filter must be "all", "me", "none" or a user ID', 400, errorTypes.VALIDATION_ERROR);
+  }
+  if (!SORT_ORDERS.includes(sort)) {
+    throw new AppError(`Sort order must be one of ${SORT_ORDERS.join(', ')}`, 400, errorTypes.VALIDATION_ERROR);
+  }
+
+  return { query: query.trim(), priority, label, assignee, sort };
+};
+
+// Validate view fields from the request body, returning only the ones present
+const validateView = (body, { requireName }) => {
+  const fields = {};
+
+  if (body.name !== undefined || requireName) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+      throw new AppError('View name is required', 400, errorTypes.VALIDATION_ERROR);
+    }
+    if (body.name.trim().length > MAX_NAME_LENGTH) {
+      throw new AppError(`View name must be at most ${MAX_NAME_LENGTH} characters`, 400, errorTypes.VALIDATION_ERROR);
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.filters !== undefined || requireName) {
+    fields.filters = JSON.stringify(validateFilters(body.filters === undefined ? {} : body.filters));
+  }
+
+  if (body.board_id !== undefined) {
+    fields.board_id = body.board_id || null;
+  }
+
+  return fields;
+};
+
+// Turn a unique violation on the user/name index into a readable conflict
+const rethrowDuplicateName = (error) => {
+  if (error.code === '23505') {
+    throw new AppError('You already have a view with this name', 409, errorTypes.CONFLICT);
+  }
+  throw error;
+};
+
+// Create a router with database pool, mounted under /views
+const createViewsRouter = (pool) => {
+  const router = express.Router();
+
+  // Views are only stored for signed-in users
+  router.use((req, res, next) => {
+    if (!req.user || req.user.isGuest) {
+      return next(new AppError('Authentication required', 401, errorTypes.UNAUTHORIZED));
+    }
+    next();
+  });
+
+  // A view can only be tied to one of the current user's boards
+  const checkBoard = async (req, fields) => {
+    if (fields.board_id) {
+      await resolveBoardId(pool, req.user.id, fields.board_id);
+    }
+  };
+
+  // Get the current user's views, ordered by name
+  const getViews = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      'SELECT * FROM saved_views WHERE user_id = $1 ORDER BY LOWER(name) ASC',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  });
+
+  // Get a single view
+  const getView = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      'SELECT * FROM saved_views WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('View not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Save the given filters as a new view
+  const createView = catchAsync(async (req, res) => {
+    const view = validateView(req.body, { requireName: true });
+    await checkBoard(req, view);
+
+    const result = await pool.query(
+      `INSERT INTO saved_views (user_id, board_id, name, filters)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [req.user.id, view.board_id || null, view.name, view.filters]
+    ).catch(rethrowDuplicateName);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Rename a view or replace its filters or board
+  const updateView = catchAsync(async (req, res) => {
+    const updates = validateView(req.body, { requireName: false });
+    await checkBoard(req, updates);
+
+    // Build dynamic update query
+    const setClause = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      setClause.push(`${key} = $${paramCount++}`);
+      values.push(value);
+    });
+
+    if (setClause.length === 0) {
+      throw new AppError('No valid fields to update', 400, errorTypes.VALIDATION_ERROR);
+    }
+
+    values.push(req.params.id, req.user.id);
+    const result = await pool.query(
+      `UPDATE saved_views
+       SET ${setClause.join(', ')}
+       WHERE id = $${paramCount++} AND user_id = $${paramCount}
+       RETURNING *`,
+      values
+    ).catch(rethrowDuplicateName);
+
+    if (result.rows.length === 0) {
+      throw new AppError('View not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  });
+
+  // Delete a view
+  const deleteView = catchAsync(async (req, res) => {
+    const result = await pool.query(
+      `DELETE FROM saved_views
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('View not found', 404, errorTypes.NOT_FOUND);
+    }
+
+    res.status(204).send();
+  });
+
+  // Define routes
+  router.route('/')
+    .get(getViews)
+    .post(createView);
+
+  router.route('/:id')
+    .get(getView)
+    .patch(updateView)
+    .delete(deleteView);
+
+  return router;
+};
+
+module.exports = createViewsRouter;
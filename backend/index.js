@@ -15,6 +15,12 @@ const { Pool } = require('pg');
 const firebaseAuth = require('./middleware/firebaseAuth');
 const { globalErrorHandler, notFoundHandler } = require('./utils/errorHandler');
 const createV1Router = require('./api/v1');
+const createEventsRouter = require('./api/v1/events');
+const createCalendarRouter = require('./api/v1/calendar');
+const { scheduleTrashPurge } = require('./jobs/purgeTrash');
+const { scheduleRecurringTasks } = require('./jobs/spawnRecurringTasks');
+const { scheduleReminders } = require('./jobs/sendReminders');
+const { scheduleDigests } = require('./jobs/sendDigests');
 
 // Initialize express app
 const app = express();
@@ -49,7 +55,8 @@ const corsOptions = {
     callback(new Error('Not allowed by CORS'));
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Id', 'If-Match'],
+  exposedHeaders: ['ETag'],
   credentials: true,
   optionsSuccessStatus: 200
 };
@@ -109,6 +116,15 @@ async function startServer() {
       
       // Set up error handlers after server starts successfully
       setupErrorHandlers(server);
+
+      // Permanently remove tasks that have outlived the trash retention period
+      scheduleTrashPurge(pool);
+      // Create the next instance of recurring tasks that are past their due date
+      scheduleRecurringTasks(pool);
+      // Remind people of tasks that are due soon or overdue
+      scheduleReminders(pool);
+      // Email digests to the users who asked for them
+      scheduleDigests(pool);
     });
     
     // Handle server errors
@@ -209,6 +225,12 @@ app.get('/api/health', async (req, res) => {
 
 // API Routes
 
+// Real-time board changes (Server-Sent Events)
+app.use('/api/v1/events', firebaseAuth, createEventsRouter(pool));
+
+// Calendar feeds, authenticated by the secret token in their URL
+app.use('/api/v1/calendar', createCalendarRouter(pool));
+
 // Mount versioned API routes
 app.use('/api/v1', firebaseAuth, createV1Router(pool));
 
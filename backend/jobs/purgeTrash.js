@@ -0,0 +1,64 @@
+const { getStorage } = require('../lib/storage');
+
+// How long deleted tasks stay restorable (default 30 days)
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// How often the purge runs (every 6 hours)
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Permanently delete tasks that have been in the trash longer than the
+ * retention period, along with their subtasks, comments and attachment files
+ * @param {Object} pool - pg Pool
+ * @param {Object} options - { retentionDays }
+ * @returns {Promise<number>} - Number of tasks purged
+ */
+const purgeTrash = async (pool, { retentionDays = TRASH_RETENTION_DAYS } = {}) => {
+  // The SELECT still sees attachment rows that the cascade removes
+  const result = await pool.query(
+    `WITH purged AS (
+       DELETE FROM tasks
+       WHERE deleted_at < NOW() - make_interval(days => $1)
+       RETURNING id
+     )
+     SELECT p.id, a.storage_key
+     FROM purged p
+     LEFT JOIN attachments a ON a.task_id = p.id`,
+    [retentionDays]
+  );
+
+  const storage = getStorage();
+  const storageKeys = result.rows.map(row => row.storage_key).filter(Boolean);
+  await Promise.all(storageKeys.map(key => storage.remove(key)));
+
+  return new Set(result.rows.map(row => row.id)).size;
+};
+
+/**
+ * Run the purge now and then periodically for the lifetime of the process
+ * @param {Object} pool - pg Pool
+ * @returns {Object} - Interval handle
+ */
+const scheduleTrashPurge = (pool) => {
+  const run = async () => {
+    try {
+      const count = await purgeTrash(pool);
+      if (count > 0) {
+        console.log(`🗑️  Purged ${count} task(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('❌ Trash purge failed:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the purge
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeTrash,
+  scheduleTrashPurge
+};
@@ -0,0 +1,76 @@
+const { isDigestDue, lastScheduledAt, buildDigest, isDigestEmpty } = require('../lib/digest');
+const { digestSubject, renderDigestText, renderDigestHtml } = require('../lib/digestTemplates');
+const { getMailer } = require('../lib/mailer');
+
+// How often due digests are looked for (every 15 minutes)
+const DIGEST_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Email every user whose digest is due. Digests with nothing in them are
+ * skipped, but still count as sent so they aren't retried until the next
+ * scheduled time. A failed delivery is retried on the next run.
+ * @param {Object} pool - pg Pool
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Number of digests sent
+ */
+const sendDigests = async (pool, now = new Date()) => {
+  const result = await pool.query(
+    `SELECT p.user_id, p.frequency, p.send_hour, p.weekday, p.timezone, p.last_sent_at,
+            u.name, u.email
+     FROM digest_preferences p
+     JOIN users u ON u.id = p.user_id
+     WHERE p.frequency <> 'off'`
+  );
+
+  let sent = 0;
+  for (const row of result.rows.filter(preferences => isDigestDue(preferences, now))) {
+    try {
+      const user = { id: row.user_id, name: row.name, email: row.email };
+      const digest = await buildDigest(pool, user, row, now);
+      if (!isDigestEmpty(digest)) {
+        await getMailer().send({
+          to: { name: user.name, address: user.email },
+          subject: digestSubject(digest),
+          text: renderDigestText(digest),
+          html: renderDigestHtml(digest)
+        });
+        sent++;
+      }
+      await pool.query(
+        'UPDATE digest_preferences SET last_sent_at = $2 WHERE user_id = $1',
+        [row.user_id, lastScheduledAt(row, now)]
+      );
+    } catch (error) {
+      console.error(`❌ Email digest for user ${row.user_id} failed:`, error.message);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Send due digests now and then periodically for the lifetime of the process
+ * @param {Object} pool - pg Pool
+ * @returns {Object} - Interval handle
+ */
+const scheduleDigests = (pool) => {
+  const run = async () => {
+    try {
+      const count = await sendDigests(pool);
+      if (count > 0) {
+        console.log(`📧 Sent ${count} email digest(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Email digests failed:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, DIGEST_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the digests
+  return timer;
+};
+
+module.exports = {
+  sendDigests,
+  scheduleDigests
+};
@@ -0,0 +1,49 @@
+const { createDueReminders } = require('../lib/notifications');
+
+// How often reminders are created (every 15 minutes)
+const REMINDER_INTERVAL_MS = 15 * 60 * 1000;
+
+// Read notifications are deleted after this many days
+const READ_NOTIFICATION_RETENTION_DAYS = 30;
+
+/**
+ * Create due date reminders and clear out old read notifications
+ * @param {Object} pool - pg Pool
+ * @returns {Promise<number>} - Number of reminders created
+ */
+const sendReminders = async (pool) => {
+  const count = await createDueReminders(pool);
+  await pool.query(
+    'DELETE FROM notifications WHERE read_at < NOW() - make_interval(days => $1)',
+    [READ_NOTIFICATION_RETENTION_DAYS]
+  );
+  return count;
+};
+
+/**
+ * Run the reminders now and then periodically for the lifetime of the process
+ * @param {Object} pool - pg Pool
+ * @returns {Object} - Interval handle
+ */
+const scheduleReminders = (pool) => {
+  const run = async () => {
+    try {
+      const count = await sendReminders(pool);
+      if (count > 0) {
+        console.log(`🔔 Created ${count} due date reminder(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Due date reminders failed:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, REMINDER_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the reminders
+  return timer;
+};
+
+module.exports = {
+  sendReminders,
+  scheduleReminders
+};
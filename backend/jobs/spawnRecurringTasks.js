@@ -0,0 +1,82 @@
+const { spawnNextInstance } = require('../lib/recurrence');
+const { publishTaskEvent } = require('../lib/events');
+
+// How often overdue recurring tasks are looked for (every 15 minutes)
+const RECURRENCE_INTERVAL_MS = 15 * 60 * 1000;
+
+// Tasks handled per run; the rest wait for the next run
+const BATCH_SIZE = 500;
+
+/**
+ * Create the next instance of every recurring task whose due date has
+ * passed and that hasn't recurred yet. Each task gets its own transaction
+ * so one bad task can't hold up the others.
+ * @param {Object} pool - pg Pool
+ * @returns {Promise<number>} - Number of tasks created
+ */
+const spawnRecurringTasks = async (pool) => {
+  const dueResult = await pool.query(
+    `SELECT id FROM tasks
+     WHERE recurrence_rule IS NOT NULL AND recurred_at IS NULL AND deleted_at IS NULL
+       AND due_date < NOW()
+     ORDER BY due_date ASC
+     LIMIT ${BATCH_SIZE}`
+  );
+
+  let count = 0;
+  for (const { id } of dueResult.rows) {
+    const client = await pool.connect();
+    let spawned = null;
+    try {
+      await client.query('BEGIN');
+      // Someone may have finished the task since it was selected
+      const taskResult = await client.query(
+        'SELECT * FROM tasks WHERE id = $1 AND recurred_at IS NULL FOR UPDATE',
+        [id]
+      );
+      if (taskResult.rows.length > 0) {
+        spawned = await spawnNextInstance(client, taskResult.rows[0], null);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`❌ Failed to create the next instance of task ${id}:`, error);
+    } finally {
+      client.release();
+    }
+
+    if (spawned) {
+      await publishTaskEvent(pool, 'task.created', spawned.id);
+      count++;
+    }
+  }
+  return count;
+};
+
+/**
+ * Run the job now and then periodically for the lifetime of the process
+ * @param {Object} pool - pg Pool
+ * @returns {Object} - Interval handle
+ */
+const scheduleRecurringTasks = (pool) => {
+  const run = async () => {
+    try {
+      const count = await spawnRecurringTasks(pool);
+      if (count > 0) {
+        console.log(`🔁 Created ${count} recurring task(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Recurring tasks job failed:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, RECURRENCE_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the job
+  return timer;
+};
+
+module.exports = {
+  spawnRecurringTasks,
+  scheduleRecurringTasks
+};
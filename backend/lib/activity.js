@@ -0,0 +1,111 @@
+/**
+ * Task activity (audit log).
+ * Every change made through the tasks router is written to task_activity
+ * together with the changed fields' values before and after.
+ */
+
+// Task fields whose changes are recorded
+const TRACKED_FIELDS = ['title', 'description', 'priority', 'due_date', 'column_id', 'position', 'pinned', 'labels', 'assignees', 'recurrence_rule'];
+
+// Fields that make an update a move rather than an edit
+const MOVE_FIELDS = ['column_id', 'position'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Dates are compared and stored as ISO strings
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+/**
+ * Compare two versions of a task row
+ * @param {Object} before - Row before the change
+ * @param {Object} after - Row after the change
+ * @returns {Object} - { field: { from, to } } for every tracked field that changed
+ */
+const diffTask = (before, after) => {
+  const changes = {};
+  TRACKED_FIELDS.forEach(field => {
+    const from = normalize(before[field]);
+    const to = normalize(after[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Write one activity entry
+ * @param {Object} db - pg Pool or client
+ * @param {Object} entry - { task, userId, action, changes }
+ */
+const recordActivity = async (db, { task, userId, action, changes = {} }) => {
+  // clock_timestamp() rather than NOW() keeps entries written in one transaction in order
+  await db.query(
+    `INSERT INTO task_activity (task_id, board_id, user_id, action, task_title, changes, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, clock_timestamp())`,
+    [task.id, task.board_id, userId, action, task.title, JSON.stringify(changes)]
+  );
+};
+
+/**
+ * Record an update, split into a move, a pin change and an edit entry
+ * as applicable. Nothing is written if no tracked field changed.
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User who made the change
+ * @param {Object} before - Task row before the update
+ * @param {Object} after - Task row after the update
+ */
+const recordTaskUpdate = async (db, userId, before, after) => {
+  const changes = diffTask(before, after);
+  const moved = {};
+  const edited = {};
+
+  Object.entries(changes).forEach(([field, change]) => {
+    if (MOVE_FIELDS.includes(field)) {
+      moved[field] = change;
+    } else if (field !== 'pinned') {
+      edited[field] = change;
+    }
+  });
+
+  if (Object.keys(moved).length > 0) {
+    await recordActivity(db, { task: after, userId, action: 'moved', changes: moved });
+  }
+  if (changes.pinned) {
+    await recordActivity(db, { task: after, userId, action: after.pinned ? 'pinned' : 'unpinned' });
+  }
+  if (Object.keys(edited).length > 0) {
+    await recordActivity(db, { task: after, userId, action: 'updated', changes: edited });
+  }
+};
+
+/**
+ * List activity entries, newest first, with the acting user's name
+ * @param {Object} db - pg Pool or client
+ * @param {Object} filter - { taskId } or { boardId }
+ * @param {Object} page - { limit, before } where before is an ISO timestamp cursor
+ * @returns {Promise<Array>} - Activity entries
+ */
+const listActivity = async (db, { taskId, boardId }, { limit, before } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const result = await db.query(
+    `SELECT a.id, a.task_id, a.board_id, a.user_id, a.action, a.task_title, a.changes, a.created_at,
+            u.name AS user_name, u.email AS user_email
+     FROM task_activity a
+     LEFT JOIN users u ON u.id = a.user_id
+     WHERE ${taskId ? 'a.task_id' : 'a.board_id'} = $1
+       AND ($2::timestamptz IS NULL OR a.created_at < $2)
+     ORDER BY a.created_at DESC
+     LIMIT $3`,
+    [taskId || boardId, before || null, pageSize]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  diffTask,
+  recordActivity,
+  recordTaskUpdate,
+  listActivity
+};
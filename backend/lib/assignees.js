@@ -0,0 +1,77 @@
+const { AppError, errorTypes } = require('../utils/errorHandler');
+
+/**
+ * Make sure every assignee is a member of the given board
+ * @param {Object} db - pg Pool or client
+ * @param {string} boardId - Board the assignees must be members of
+ * @param {Array<string>} userIds - User IDs from the request body
+ * @returns {Promise<Array<string>>} - The user IDs without duplicates
+ * @throws {AppError} - VALIDATION_ERROR for a malformed list or a non-member
+ */
+const validateAssigneeIds = async (db, boardId, userIds) => {
+  if (!Array.isArray(userIds)) {
+    throw new AppError('assignee_ids must be an array', 400, errorTypes.VALIDATION_ERROR);
+  }
+
+  const uniqueIds = [...new Set(userIds)];
+  if (uniqueIds.length === 0) {
+    return uniqueIds;
+  }
+
+  const result = await db.query(
+    'SELECT user_id FROM board_members WHERE user_id = ANY($1::uuid[]) AND board_id = $2',
+    [uniqueIds, boardId]
+  );
+  if (result.rows.length !== uniqueIds.length) {
+    throw new AppError('Assignees must be members of the task\'s board', 400, errorTypes.VALIDATION_ERROR);
+  }
+  return uniqueIds;
+};
+
+/**
+ * Get the people assigned to a task, ordered by name
+ * @param {Object} db - pg Pool or client
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Array>} - Assignees ({ id, name, email })
+ */
+const getTaskAssignees = async (db, taskId) => {
+  const result = await db.query(
+    `SELECT u.id, u.name, u.email
+     FROM task_assignees ta
+     JOIN users u ON u.id = ta.user_id
+     WHERE ta.task_id = $1
+     ORDER BY LOWER(COALESCE(u.name, u.email)) ASC`,
+    [taskId]
+  );
+  return result.rows;
+};
+
+/**
+ * Replace the assignees of a task
+ * @param {Object} db - pg Pool or client
+ * @param {Object} task - Task row ({ id, board_id })
+ * @param {Array<string>} userIds - Users the task should end up assigned to
+ * @returns {Promise<Array>} - The task's assignees after the change
+ */
+const setTaskAssignees = async (db, task, userIds) => {
+  const ids = await validateAssigneeIds(db, task.board_id, userIds);
+
+  await db.query(
+    'DELETE FROM task_assignees WHERE task_id = $1 AND NOT (user_id = ANY($2::uuid[]))',
+    [task.id, ids]
+  );
+  await db.query(
+    `INSERT INTO task_assignees (task_id, user_id)
+     SELECT $1, unnest($2::uuid[])
+     ON CONFLICT DO NOTHING`,
+    [task.id, ids]
+  );
+
+  return getTaskAssignees(db, task.id);
+};
+
+module.exports = {
+  validateAssigneeIds,
+  getTaskAssignees,
+  setTaskAssignees
+};
@@ -0,0 +1,256 @@
+const { AppError, errorTypes } = require('../utils/errorHandler');
+
+const DEFAULT_BOARD_NAME = 'My Board';
+
+// Member roles from least to most access; each role can do everything the ones before it can
+const BOARD_ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+// Columns every new board starts with
+const DEFAULT_COLUMNS = [
+  { name: 'To Do', color: '#64748b', icon: 'fa-list', isDone: false },
+  { name: 'In Progress', color: '#3b82f6', icon: 'fa-spinner', isDone: false },
+  { name: 'Done', color: '#10b981', icon: 'fa-check', isDone: true }
+];
+
+/**
+ * Check whether a member role grants at least the access of another
+ * @param {string} role - Member's role
+ * @param {string} minRole - Least role required
+ * @returns {boolean}
+ */
+const hasRole = (role, minRole) => BOARD_ROLES.indexOf(role) >= BOARD_ROLES.indexOf(minRole);
+
+/**
+ * Create a board for a user at the end of their board list,
+ * together with the default set of columns and the user as its owner
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - Owner's user ID
+ * @param {Object} board - Board fields ({ name, description })
+ * @returns {Promise<Object>} - Created board row
+ */
+const createBoard = async (db, userId, { name, description }) => {
+  const result = await db.query(
+    `WITH board AS (
+       INSERT INTO boards (user_id, name, description, position)
+       VALUES ($1, $2, $3, (SELECT COALESCE(MAX(position), -1) + 1 FROM boards WHERE user_id = $1))
+       RETURNING *
+     ), columns AS (
+       INSERT INTO board_columns (board_id, name, color, icon, position, is_done)
+       SELECT board.id, d.name, d.color, d.icon, d.position - 1, d.is_done
+       FROM board,
+            unnest($4::text[], $5::text[], $6::text[], $7::boolean[])
+              WITH ORDINALITY AS d(name, color, icon, is_done, position)
+     ), owner AS (
+       INSERT INTO board_members (board_id, user_id, role)
+       SELECT board.id, $1, 'owner' FROM board
+     )
+     SELECT board.*, 'owner' AS role FROM board`,
+    [
+      userId,
+      name,
+      description || null,
+      DEFAULT_COLUMNS.map(c => c.name),
+      DEFAULT_COLUMNS.map(c => c.color),
+      DEFAULT_COLUMNS.map(c => c.icon),
+      DEFAULT_COLUMNS.map(c => c.isDone)
+    ]
+  );
+  return result.rows[0];
+};
+
+// The user's first own board, or undefined when they have none
+const findOwnBoard = async (db, userId) => {
+  const result = await db.query(
+    `SELECT b.id, m.role
+     FROM boards b
+     JOIN board_members m ON m.board_id = b.id
+     WHERE m.user_id = $1 AND m.role = 'owner'
+     ORDER BY b.position ASC, b.created_at ASC
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Create a user's default board unless they already have one. The check
+ * and the insert run under a per-user advisory lock, so two first requests
+ * arriving together create a single board.
+ * @param {Object} db - pg Pool, or a client inside a transaction
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<Object>} - { id, role }
+ */
+const createDefaultBoard = async (db, userId) => {
+  // A pool runs every query on its own, which would let the lock go right away
+  const client = typeof db.release === 'function' ? db : await db.connect();
+  const ownTransaction = client !== db;
+  try {
+    if (ownTransaction) {
+      await client.query('BEGIN');
+    }
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('default-board:' || $1))", [userId]);
+    const board = await findOwnBoard(client, userId) || await createBoard(client, userId, { name: DEFAULT_BOARD_NAME });
+    if (ownTransaction) {
+      await client.query('COMMIT');
+    }
+    return board;
+  } catch (error) {
+    if (ownTransaction) {
+      await client.query('ROLLBACK');
+    }
+    throw error;
+  } finally {
+    if (ownTransaction) {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Resolve the board a request operates on and the current user's role on it.
+ * When a board ID is given the user must be a member of it, otherwise the
+ * user's first own board is used (and created if they have none yet).
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - Current user's ID
+ * @param {string} [boardId] - Requested board ID
+ * @param {string} [minRole] - Least role the request needs
+ * @returns {Promise<Object>} - { id, role }
+ * @throws {AppError} - NOT_FOUND for boards the user isn't a member of,
+ *   FORBIDDEN when their role is below minRole
+ */
+const resolveBoardAccess = async (db, userId, boardId, minRole = 'viewer') => {
+  let access;
+  if (boardId) {
+    const result = await db.query(
+      'SELECT board_id AS id, role FROM board_members WHERE board_id = $1 AND user_id = $2',
+      [boardId, userId]
+    );
+    access = result.rows[0];
+    if (!access) {
+      throw new AppError('Board not found', 404, errorTypes.NOT_FOUND);
+    }
+  } else {
+    access = await findOwnBoard(db, userId) || await createDefaultBoard(db, userId);
+  }
+
+  if (!hasRole(access.role, minRole)) {
+    throw new AppError(`This needs ${minRole} access to the board`, 403, errorTypes.FORBIDDEN);
+  }
+  return { id: access.id, role: access.role };
+};
+
+/**
+ * Resolve the board a request operates on; see resolveBoardAccess
+ * @returns {Promise<string>} - Board ID
+ */
+const resolveBoardId = async (db, userId, boardId, minRole) => {
+  const access = await resolveBoardAccess(db, userId, boardId, minRole);
+  return access.id;
+};
+
+/**
+ * Turn the pending invites for an email address into memberships of the
+ * given user. Called when a user signs in for the first time.
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - New user's ID
+ * @param {string} email - Email address the user signed in with
+ * @returns {Promise<number>} - Number of boards joined
+ */
+const acceptPendingInvites = async (db, userId, email) => {
+  if (!email) {
+    return 0;
+  }
+
+  const result = await db.query(
+    `UPDATE board_members m
+     SET user_id = $1
+     WHERE m.user_id IS NULL
+       AND LOWER(m.invited_email) = LOWER($2)
+       AND NOT EXISTS (
+         SELECT 1 FROM board_members o WHERE o.board_id = m.board_id AND o.user_id = $1
+       )`,
+    [userId, email]
+  );
+
+  // Invites to boards the user had already joined are no longer needed
+  await db.query(
+    'DELETE FROM board_members WHERE user_id IS NULL AND LOWER(invited_email) = LOWER($1)',
+    [email]
+  );
+  return result.rowCount;
+};
+
+/**
+ * Resolve the column a task is placed in.
+ * A given column ID must belong to the board, otherwise the board's
+ * first column is used.
+ * @param {Object} db - pg Pool or client
+ * @param {string} boardId - Board the task lives on
+ * @param {string} [columnId] - Requested column ID
+ * @returns {Promise<string>} - Column ID
+ */
+const resolveColumnId = async (db, boardId, columnId) => {
+  if (columnId) {
+    const result = await db.query(
+      'SELECT id FROM board_columns WHERE id = $1 AND board_id = $2',
+      [columnId, boardId]
+    );
+    if (result.rows.length === 0) {
+      throw new AppError('Column not found on this board', 400, errorTypes.VALIDATION_ERROR);
+    }
+    return result.rows[0].id;
+  }
+
+  const result = await db.query(
+    'SELECT id FROM board_columns WHERE board_id = $1 ORDER BY position ASC LIMIT 1',
+    [boardId]
+  );
+  if (result.rows.length === 0) {
+    throw new AppError('Board has no columns', 409, errorTypes.CONFLICT);
+  }
+  return result.rows[0].id;
+};
+
+/**
+ * Make sure a column has room for one more task.
+ * Locks the column row so concurrent moves inside a transaction
+ * can't both squeeze past the limit.
+ * @param {Object} db - pg Pool or client
+ * @param {string} columnId - Column the task is moving into
+ * @throws {AppError} - CONFLICT when the column is at its WIP limit
+ */
+const assertWipLimit = async (db, columnId) => {
+  const result = await db.query(
+    'SELECT name, wip_limit FROM board_columns WHERE id = $1 FOR UPDATE',
+    [columnId]
+  );
+  const column = result.rows[0];
+  if (!column || column.wip_limit === null) {
+    return;
+  }
+
+  const countResult = await db.query(
+    'SELECT COUNT(*)::int AS count FROM tasks WHERE column_id = $1 AND deleted_at IS NULL',
+    [columnId]
+  );
+  if (countResult.rows[0].count >= column.wip_limit) {
+    throw new AppError(
+      `Column "${column.name}" is at its WIP limit of ${column.wip_limit}`,
+      409,
+      errorTypes.CONFLICT
+    );
+  }
+};
+
+module.exports = {
+  DEFAULT_BOARD_NAME,
+  DEFAULT_COLUMNS,
+  BOARD_ROLES,
+  hasRole,
+  createBoard,
+  resolveBoardAccess,
+  resolveBoardId,
+  acceptPendingInvites,
+  resolveColumnId,
+  assertWipLimit
+};
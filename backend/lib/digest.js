@@ -0,0 +1,196 @@
+/**
+ * Email digests.
+ * A digest summarizes the tasks on every board a user is a member of:
+ * what is overdue, what is due today and what was completed in the last
+ * day or week. Days are the user's own, in the time zone saved with their
+ * digest preferences.
+ */
+const { AppError, errorTypes } = require('../utils/errorHandler');
+const { normalizeTimeZone, toZoned, fromZoned, wallTime } = require('./zonedTime');
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+const DEFAULT_DIGEST_PREFERENCES = {
+  frequency: 'off',
+  send_hour: 8,
+  weekday: 1,
+  timezone: 'UTC',
+  last_sent_at: null
+};
+
+// Each section lists at most this many tasks; the rest are only counted
+const DIGEST_SECTION_LIMIT = 50;
+
+// How far back "recently completed" reaches for each frequency
+const DIGEST_PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const invalid = (message) => new AppError(message, 400, errorTypes.VALIDATION_ERROR);
+
+const integerInRange = (value, min, max, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw invalid(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Get a user's digest preferences, or the defaults if they never saved any
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { frequency, send_hour, weekday, timezone, last_sent_at }
+ */
+const getDigestPreferences = async (db, userId) => {
+  const result = await db.query(
+    'SELECT frequency, send_hour, weekday, timezone, last_sent_at FROM digest_preferences WHERE user_id = $1',
+    [userId]
+  );
+  return result.rows[0] || { ...DEFAULT_DIGEST_PREFERENCES };
+};
+
+/**
+ * Check digest preferences from a request, filling in anything left out
+ * from the current preferences
+ * @param {Object} input - Any of { frequency, send_hour, weekday, timezone }
+ * @param {Object} current - Current preferences
+ * @returns {Object} - { frequency, send_hour, weekday, timezone }
+ * @throws {AppError} - 400 for invalid values
+ */
+const normalizeDigestPreferences = (input, current) => {
+  const preferences = {
+    frequency: input.frequency !== undefined ? input.frequency : current.frequency,
+    send_hour: input.send_hour !== undefined ? integerInRange(input.send_hour, 0, 23, 'send_hour') : current.send_hour,
+    weekday: input.weekday !== undefined ? integerInRange(input.weekday, 0, 6, 'weekday') : current.weekday,
+    timezone: input.timezone !== undefined ? normalizeTimeZone(input.timezone) || 'UTC' : current.timezone
+  };
+  if (!DIGEST_FREQUENCIES.includes(preferences.frequency)) {
+    throw invalid(`frequency must be one of ${DIGEST_FREQUENCIES.join(', ')}`);
+  }
+  return preferences;
+};
+
+/**
+ * The most recent time a digest was scheduled for, at or before now
+ * @param {Object} preferences - { frequency, send_hour, weekday, timezone }
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+const lastScheduledAt = (preferences, now = new Date()) => {
+  const local = toZoned(now, preferences.timezone);
+  const scheduled = { ...local, hours: preferences.send_hour, minutes: 0, seconds: 0 };
+  if (preferences.frequency === 'weekly') {
+    const weekday = new Date(wallTime(scheduled)).getUTCDay();
+    scheduled.day -= (weekday - preferences.weekday + 7) % 7;
+  }
+  if (wallTime(scheduled) > wallTime(local)) {
+    scheduled.day -= preferences.frequency === 'weekly' ? 7 : 1;
+  }
+  return fromZoned(scheduled, preferences.timezone);
+};
+
+/**
+ * Whether a digest should be sent now: one was scheduled since the last
+ * digest that went out
+ * @param {Object} preferences - As returned by getDigestPreferences
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isDigestDue = (preferences, now = new Date()) => {
+  if (!DIGEST_PERIOD_DAYS[preferences.frequency]) {
+    return false;
+  }
+  return !preferences.last_sent_at || new Date(preferences.last_sent_at) < lastScheduledAt(preferences, now);
+};
+
+// Columns shared by the task sections, with the section's total count
+const SECTION_COLUMNS = `
+  t.id, t.title, t.priority, t.due_date, t.board_id,
+  b.name AS board_name, col.name AS column_name,
+  COUNT(*) OVER () AS total`;
+
+const section = (rows) => ({
+  tasks: rows.map(({ total, ...task }) => task),
+  total: rows.length > 0 ? Number(rows[0].total) : 0
+});
+
+/**
+ * Gather the tasks for a user's digest
+ * @param {Object} db - pg Pool or client
+ * @param {Object} user - { id, name, email }
+ * @param {Object} preferences - { frequency, timezone }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - { user, frequency, timezone, generatedAt, since,
+ *   overdue, dueToday, completed } where each section is { tasks, total }
+ */
+const buildDigest = async (db, user, preferences, now = new Date()) => {
+  const timezone = preferences.timezone || 'UTC';
+  const local = toZoned(now, timezone);
+  const startOfToday = fromZoned({ ...local, hours: 0, minutes: 0, seconds: 0 }, timezone);
+  const startOfTomorrow = fromZoned({ ...local, day: local.day + 1, hours: 0, minutes: 0, seconds: 0 }, timezone);
+  const since = new Date(now.getTime() - (DIGEST_PERIOD_DAYS[preferences.frequency] || 1) * DAY_MS);
+
+  // Open tasks on the user's boards with a due date in [$2, $3)
+  const openTasksDue = (from, to) => db.query(
+    `SELECT ${SECTION_COLUMNS}
+     FROM tasks t
+     JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $1
+     JOIN boards b ON b.id = t.board_id
+     JOIN board_columns col ON col.id = t.column_id
+     WHERE t.deleted_at IS NULL
+       AND NOT col.is_done
+       AND ($2::timestamptz IS NULL OR t.due_date >= $2)
+       AND t.due_date < $3
+     ORDER BY t.due_date, b.name, t.position
+     LIMIT $4`,
+    [user.id, from, to, DIGEST_SECTION_LIMIT]
+  );
+
+  const [overdue, dueToday, completed] = await Promise.all([
+    openTasksDue(null, startOfToday),
+    openTasksDue(startOfToday, startOfTomorrow),
+    // Tasks in a done column that got there (or were created there) within the period
+    db.query(
+      `SELECT ${SECTION_COLUMNS}, done.completed_at
+       FROM tasks t
+       JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $1
+       JOIN boards b ON b.id = t.board_id
+       JOIN board_columns col ON col.id = t.column_id AND col.is_done
+       JOIN LATERAL (
+         SELECT MAX(a.created_at) AS completed_at
+         FROM task_activity a
+         WHERE a.task_id = t.id
+           AND (a.action = 'created' OR (a.action = 'moved' AND a.changes->'column_id'->>'to' = t.column_id::text))
+       ) done ON done.completed_at >= $2
+       WHERE t.deleted_at IS NULL
+       ORDER BY done.completed_at DESC
+       LIMIT $3`,
+      [user.id, since, DIGEST_SECTION_LIMIT]
+    )
+  ]);
+
+  return {
+    user,
+    frequency: preferences.frequency,
+    timezone,
+    generatedAt: now,
+    since,
+    overdue: section(overdue.rows),
+    dueToday: section(dueToday.rows),
+    completed: section(completed.rows)
+  };
+};
+
+// Nothing overdue, due or done: no email is sent
+const isDigestEmpty = (digest) => digest.overdue.total + digest.dueToday.total + digest.completed.total === 0;
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  getDigestPreferences,
+  normalizeDigestPreferences,
+  lastScheduledAt,
+  isDigestDue,
+  buildDigest,
+  isDigestEmpty
+};
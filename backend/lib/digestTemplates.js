@@ -0,0 +1,165 @@
+/**
+ * Email digest templates: the subject line and the plain-text and HTML
+ * bodies of a digest built by lib/digest. Dates are shown in the user's
+ * time zone; links go to the app at FRONTEND_URL when it is set.
+ */
+
+const SECTIONS = [
+  { key: 'overdue', title: 'Overdue', color: '#dc2626', date: 'due_date', empty: 'Nothing overdue.' },
+  { key: 'dueToday', title: 'Due today', color: '#d97706', date: null, empty: 'Nothing due today.' },
+  { key: 'completed', title: 'Recently completed', color: '#16a34a', date: 'completed_at', empty: 'Nothing completed.' }
+];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const appUrl = () => (process.env.FRONTEND_URL || '').replace(/\/+$/, '');
+
+// Link that opens a board in the app (see applyLocationHash in the frontend)
+const boardUrl = (boardId) => (appUrl() ? `${appUrl()}/#board=${encodeURIComponent(boardId)}` : null);
+
+const formatDay = (value, timeZone) => new Date(value).toLocaleDateString('en-US', {
+  timeZone,
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+const formatLongDay = (value, timeZone) => new Date(value).toLocaleDateString('en-US', {
+  timeZone,
+  weekday: 'long',
+  month: 'long',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+const periodName = (digest) => (digest.frequency === 'weekly' ? 'this week' : 'today');
+
+// "due Mon, Oct 12" / "done Sun, Oct 18", or nothing for tasks due today
+const taskDate = (task, { date }, timeZone) => {
+  if (!date || !task[date]) {
+    return '';
+  }
+  return `${date === 'due_date' ? 'due' : 'done'} ${formatDay(task[date], timeZone)}`;
+};
+
+const moreCount = ({ tasks, total }) => total - tasks.length;
+
+/**
+ * Subject line of a digest email
+ * @param {Object} digest - From buildDigest
+ * @returns {string}
+ */
+const digestSubject = (digest) => {
+  const counts = [];
+  if (digest.overdue.total > 0) counts.push(`${digest.overdue.total} overdue`);
+  if (digest.dueToday.total > 0) counts.push(`${digest.dueToday.total} due today`);
+  if (digest.completed.total > 0) counts.push(`${digest.completed.total} completed`);
+  const title = digest.frequency === 'weekly' ? 'Your weekly YoursKanban digest' : 'Your YoursKanban digest';
+  return counts.length > 0 ? `${title}: ${counts.join(', ')}` : title;
+};
+
+/**
+ * Plain-text body of a digest email
+ * @param {Object} digest - From buildDigest
+ * @returns {string}
+ */
+const renderDigestText = (digest) => {
+  const lines = [
+    `Hi ${digest.user.name || digest.user.email},`,
+    '',
+    `Here is what's happening on your boards ${periodName(digest)}, ${formatLongDay(digest.generatedAt, digest.timezone)}.`
+  ];
+
+  SECTIONS.forEach(sectionInfo => {
+    const section = digest[sectionInfo.key];
+    lines.push('', `${sectionInfo.title} (${section.total})`, '-'.repeat(sectionInfo.title.length + String(section.total).length + 3));
+    if (section.total === 0) {
+      lines.push(sectionInfo.empty);
+      return;
+    }
+    section.tasks.forEach(task => {
+      const details = [task.board_name, task.column_name, taskDate(task, sectionInfo, digest.timezone)].filter(Boolean);
+      lines.push(`* ${task.title.replace(/\s*\n\s*/g, ' ')} (${details.join(' / ')})`);
+    });
+    if (moreCount(section) > 0) {
+      lines.push(`...and ${moreCount(section)} more`);
+    }
+  });
+
+  lines.push('', '--');
+  if (appUrl()) {
+    lines.push(`Open YoursKanban: ${appUrl()}/`);
+  }
+  lines.push('You get this email because you turned on the email digest. Change how often it comes, or turn it off, under Email Digest in the account menu.');
+  return `${lines.join('\n')}\n`;
+};
+
+const htmlTask = (task, sectionInfo, timeZone) => {
+  const url = boardUrl(task.board_id);
+  const board = url
+    ? `<a href="${escapeHtml(url)}" style="color:#4f46e5;text-decoration:none;">${escapeHtml(task.board_name)}</a>`
+    : escapeHtml(task.board_name);
+  const details = [board, escapeHtml(task.column_name), escapeHtml(taskDate(task, sectionInfo, timeZone))].filter(Boolean);
+  return `
+        <li style="margin:0 0 8px;">
+          <div style="font-weight:600;">${escapeHtml(task.title)}</div>
+          <div style="font-size:13px;color:#6b7280;">${details.join(' &middot; ')}</div>
+        </li>`;
+};
+
+const htmlSection = (digest, sectionInfo) => {
+  const section = digest[sectionInfo.key];
+  const items = section.total === 0
+    ? `<p style="margin:0;color:#6b7280;">${escapeHtml(sectionInfo.empty)}</p>`
+    : `<ul style="margin:0;padding:0 0 0 18px;">${section.tasks.map(task => htmlTask(task, sectionInfo, digest.timezone)).join('')}
+      </ul>${moreCount(section) > 0 ? `
+      <p style="margin:4px 0 0;color:#6b7280;">&hellip;and ${moreCount(section)} more</p>` : ''}`;
+  return `
+    <h2 style="margin:24px 0 8px;font-size:16px;color:${sectionInfo.color};">${escapeHtml(sectionInfo.title)} (${section.total})</h2>
+    ${items}`;
+};
+
+/**
+ * HTML body of a digest email, with inline styles since mail clients
+ * drop style sheets
+ * @param {Object} digest - From buildDigest
+ * @returns {string}
+ */
+const renderDigestHtml = (digest) => {
+  const subject = digestSubject(digest);
+  const footerLink = appUrl()
+    ? `<a href="${escapeHtml(`${appUrl()}/`)}" style="color:#4f46e5;">Open YoursKanban</a><br>`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#111827;">
+  <div style="max-width:600px;margin:0 auto;padding:24px;">
+    <div style="background:#ffffff;border-radius:8px;padding:24px;">
+      <h1 style="margin:0 0 8px;font-size:20px;">Hi ${escapeHtml(digest.user.name || digest.user.email)},</h1>
+      <p style="margin:0;color:#374151;">Here is what's happening on your boards ${periodName(digest)}, ${escapeHtml(formatLongDay(digest.generatedAt, digest.timezone))}.</p>
+      ${SECTIONS.map(sectionInfo => htmlSection(digest, sectionInfo)).join('')}
+    </div>
+    <p style="margin:16px 0 0;font-size:12px;color:#6b7280;text-align:center;">
+      ${footerLink}You get this email because you turned on the email digest. Change how often it comes, or turn it off, under Email Digest in the account menu.
+    </p>
+  </div>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  digestSubject,
+  renderDigestText,
+  renderDigestHtml
+};
@@ -0,0 +1,74 @@
+/**
+ * Board change notifications for the event stream (GET /api/v1/events).
+ * Routers publish task changes here and every open stream on the task's
+ * board forwards them to its client.
+ *
+ * Events only reach streams served by the same process. Clients reload the
+ * board whenever their stream reconnects, so nothing is lost for good if
+ * the server restarts.
+ */
+const { EventEmitter } = require('events');
+const { getTaskDetails } = require('./tasks');
+
+const emitter = new EventEmitter();
+// One listener per open stream, so there is no sensible upper bound
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+
+/**
+ * The client that made a change, from the X-Client-Id request header. Events
+ * carry it so that client can skip changes it has already applied.
+ * @param {Object} req - Express request
+ * @returns {string|null} - Client ID
+ */
+const eventOrigin = (req) => req.get('X-Client-Id') || null;
+
+/**
+ * Send an event to every stream open on a board
+ * @param {string} boardId - Board ID
+ * @param {string} type - Event type, e.g. 'task.updated'
+ * @param {Object} data - Event payload
+ * @param {string|null} [origin] - Client that caused the event
+ */
+const publishBoardEvent = (boardId, type, data, origin = null) => {
+  lastEventId += 1;
+  emitter.emit(boardId, { id: lastEventId, type, data: { ...data, origin } });
+};
+
+/**
+ * Publish a task change with the task's full details
+ * @param {Object} db - pg Pool or client (after the change was committed)
+ * @param {string} type - 'task.created', 'task.updated' or 'task.moved'
+ * @param {string} taskId - Task ID
+ * @param {string|null} [origin] - Client that caused the event
+ */
+const publishTaskEvent = async (db, type, taskId, origin = null) => {
+  // The change itself has been saved; a failed notification must not fail the request
+  try {
+    const task = await getTaskDetails(db, taskId);
+    if (task) {
+      publishBoardEvent(task.board_id, type, { task }, origin);
+    }
+  } catch (error) {
+    console.error(`Failed to publish ${type} for task ${taskId}:`, error);
+  }
+};
+
+/**
+ * Listen for a board's events
+ * @param {string} boardId - Board ID
+ * @param {Function} listener - Called with { id, type, data } for each event
+ * @returns {Function} - Stops listening
+ */
+const subscribeToBoard = (boardId, listener) => {
+  emitter.on(boardId, listener);
+  return () => emitter.off(boardId, listener);
+};
+
+module.exports = {
+  eventOrigin,
+  publishBoardEvent,
+  publishTaskEvent,
+  subscribeToBoard
+};
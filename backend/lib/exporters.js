@@ -0,0 +1,155 @@
+/**
+ * Board exporters.
+ *
+ * An exporter writes a board as text in chunks so large boards can be
+ * streamed: start() once, task() for every task in board order (by column,
+ * then position), end() once. Tasks carry their details plus the
+ * column_name and column_is_done of the column they are in.
+ */
+const { calendarStart, calendarEnd, taskComponent } = require('./ical');
+const { CSV_FORMULA_PATTERN } = require('./importers');
+
+const EXPORT_VERSION = '1.1';
+
+// Fields added to tasks for the exporters that are not part of a task
+const EXPORT_ONLY_FIELDS = ['column_name', 'column_is_done', 'column_position'];
+
+const CSV_HEADERS = ['Title', 'Description', 'Column', 'Priority', 'Due Date', 'Labels', 'Subtasks', 'Assignees', 'Pinned', 'Created'];
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheets from running cells as formulas; the importer takes the ' off again
+  if (CSV_FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// Keep Markdown text on one line and stop it from being read as markup
+const markdownInline = (value) => String(value).replace(/\s*\n\s*/g, ' ').replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+const json = ({ board, columns, labels }) => {
+  let count = 0;
+  return {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    // Same shape as the browser export so the file can be imported again
+    start: () => {
+      const header = JSON.stringify({
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        board: { name: board.name, description: board.description },
+        columns,
+        labels
+      });
+      return `${header.slice(0, -1)},"tasks":[`;
+    },
+    task: (task) => {
+      const fields = { ...task };
+      EXPORT_ONLY_FIELDS.forEach(field => delete fields[field]);
+      return `${count++ > 0 ? ',' : ''}\n${JSON.stringify(fields)}`;
+    },
+    end: () => '\n]}\n'
+  };
+};
+
+// The headers match the ones the CSV importer recognizes
+const csv = () => ({
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  start: () => csvRow(CSV_HEADERS),
+  task: (task) => csvRow([
+    task.title,
+    task.description,
+    task.column_name,
+    task.priority,
+    isoDate(task.due_date),
+    (task.labels || []).map(label => label.name).join(', '),
+    (task.subtasks || []).map(subtask => subtask.title).join('; '),
+    (task.assignees || []).map(person => person.email).join(', '),
+    task.pinned ? 'yes' : '',
+    isoDate(task.created_at)
+  ]),
+  end: () => ''
+});
+
+// One section per column, tasks as a checklist that is ticked in done columns
+const markdown = ({ board, columns }) => {
+  let current = -1;
+  let hasTasks = false;
+
+  // Open the sections of every column up to the given position, so empty
+  // columns still show up
+  const sectionsUntil = (position) => {
+    let text = '';
+    while (current + 1 < columns.length && columns[current + 1].position <= position) {
+      if (current >= 0 && !hasTasks) {
+        text += '_No tasks_\n';
+      }
+      current++;
+      hasTasks = false;
+      text += `\n## ${markdownInline(columns[current].name)}\n\n`;
+    }
+    return text;
+  };
+
+  return {
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    start: () => `# ${markdownInline(board.name)}\n${board.description ? `\n${board.description}\n` : ''}`,
+    task: (task) => {
+      const details = [
+        `${task.priority} priority`,
+        task.due_date && `due ${isoDate(task.due_date).slice(0, 10)}`,
+        ...(task.labels || []).map(label => `\`${label.name.replace(/`/g, '')}\``),
+        ...(task.assignees || []).map(person => `@${markdownInline(person.name || person.email)}`)
+      ].filter(Boolean);
+
+      const lines = [`- [${task.column_is_done ? 'x' : ' '}] **${markdownInline(task.title)}** (${details.join(', ')})`];
+      if (task.description) {
+        lines.push(...task.description.split(/\r?\n/).map(line => `  ${line}`.trimEnd()));
+      }
+      (task.subtasks || []).forEach(subtask => {
+        lines.push(`  - [${subtask.is_completed ? 'x' : ' '}] ${markdownInline(subtask.title)}`);
+      });
+
+      const sections = sectionsUntil(task.column_position);
+      hasTasks = true;
+      return `${sections}${lines.join('\n')}\n`;
+    },
+    end: () => `${sectionsUntil(Infinity)}${current >= 0 && !hasTasks ? '_No tasks_\n' : ''}`
+  };
+};
+
+const ics = ({ board, component }) => ({
+  contentType: 'text/calendar; charset=utf-8',
+  extension: 'ics',
+  start: () => calendarStart({ name: board.name }),
+  task: (task) => taskComponent(task, { component }),
+  end: () => calendarEnd()
+});
+
+const EXPORTERS = { json, csv, md: markdown, ics };
+
+const EXPORT_FORMATS = Object.keys(EXPORTERS);
+
+/**
+ * Create an exporter for one board
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} context
+ * @param {Object} context.board - Board row
+ * @param {Array} context.columns - The board's columns, by position
+ * @param {Array} context.labels - The board's labels
+ * @param {string} [context.component] - iCalendar component, 'VTODO' or 'VEVENT'
+ * @returns {Object} - { contentType, extension, start, task, end }
+ */
+const createExporter = (format, context) => EXPORTERS[format](context);
+
+module.exports = {
+  EXPORT_FORMATS,
+  createExporter
+};
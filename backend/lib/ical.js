@@ -0,0 +1,114 @@
+/**
+ * iCalendar (RFC 5545) output for tasks.
+ * Dated tasks become VTODO components, or VEVENTs for calendar apps that
+ * don't show to-dos, keyed by the task ID so re-imports update them.
+ */
+
+const PRODUCT_ID = '-//YoursKanban//Tasks//EN';
+
+// PRIORITY runs from 1 (highest) to 9 (lowest)
+const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 };
+
+// Escape a TEXT value
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line to at most 75 octets per line, continuing with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+// UTC date-time, e.g. 20261018T120000Z
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const contentLines = (lines) => lines
+  .filter(Boolean)
+  .map(line => `${foldLine(line)}\r\n`)
+  .join('');
+
+/**
+ * Start of a calendar
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {string} [options.refresh] - How often subscribers should reload
+ *   the calendar, as an iCalendar duration (e.g. PT1H)
+ * @returns {string} - Content lines up to the first component
+ */
+const calendarStart = ({ name, refresh }) => contentLines([
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  refresh && `REFRESH-INTERVAL;VALUE=DURATION:${refresh}`,
+  refresh && `X-PUBLISHED-TTL:${refresh}`
+]);
+
+const calendarEnd = () => contentLines(['END:VCALENDAR']);
+
+/**
+ * A task as a calendar component. Tasks without a due date have no place
+ * in a calendar and produce nothing.
+ * @param {Object} task - Task with its details, plus column_is_done and
+ *   optionally board_name
+ * @param {Object} [options]
+ * @param {string} [options.component] - 'VTODO' (default) or 'VEVENT'
+ * @returns {string} - Content lines, or '' for undated tasks
+ */
+const taskComponent = (task, { component = 'VTODO' } = {}) => {
+  if (!task.due_date) {
+    return '';
+  }
+
+  const description = [
+    task.board_name && `Board: ${task.board_name}`,
+    task.description,
+    ...(task.subtasks || []).map(subtask => `[${subtask.is_completed ? 'x' : ' '}] ${subtask.title}`)
+  ].filter(Boolean).join('\n');
+  const labels = (task.labels || []).map(label => escapeText(label.name));
+  const isTodo = component === 'VTODO';
+
+  return contentLines([
+    `BEGIN:${component}`,
+    `UID:${task.id}@yourskanban`,
+    `DTSTAMP:${formatDateTime(task.updated_at || task.created_at)}`,
+    task.created_at && `CREATED:${formatDateTime(task.created_at)}`,
+    task.updated_at && `LAST-MODIFIED:${formatDateTime(task.updated_at)}`,
+    `SEQUENCE:${Math.max((task.version || 1) - 1, 0)}`,
+    // Events have no completed status, so finished tasks are marked in the title
+    `SUMMARY:${escapeText(!isTodo && task.column_is_done ? `✓ ${task.title}` : task.title)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    isTodo ? `DUE:${formatDateTime(task.due_date)}` : `DTSTART:${formatDateTime(task.due_date)}`,
+    `PRIORITY:${PRIORITY_VALUES[task.priority] || 0}`,
+    isTodo && `STATUS:${task.column_is_done ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+    labels.length > 0 && `CATEGORIES:${labels.join(',')}`,
+    `END:${component}`
+  ]);
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  calendarStart,
+  calendarEnd,
+  taskComponent
+};
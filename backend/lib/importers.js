@@ -0,0 +1,503 @@
+/**
+ * Board importers.
+ *
+ * Each parser turns an uploaded file into the same import plan:
+ *   { name, columns: [{ name, color, is_done }], labels: [{ name, color }],
+ *     tasks: [{ row, title, description, column, priority, due_date, pinned,
+ *               labels, subtasks: [{ title, is_completed }] }],
+ *     errors: [{ row, message }] }
+ * Columns and labels are referenced by name so the plan can be applied to a
+ * new board or merged into an existing one. Rows that fail validation are
+ * left out of tasks and reported in errors instead, as are malformed column
+ * and label entries (with a null row); nothing here touches the database.
+ */
+const { AppError, errorTypes } = require('../utils/errorHandler');
+
+const IMPORT_FORMATS = ['yourskanban', 'trello', 'csv'];
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_NAME_LENGTH = 50;
+const MAX_BOARD_NAME_LENGTH = 100;
+const PRIORITIES = ['low', 'medium', 'high'];
+const COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+const DEFAULT_LABEL_COLOR = '#64748b';
+
+// Columns with these names are treated as done columns when they are created
+const DONE_COLUMN_PATTERN = /^(done|complete|completed|finished|closed)$/i;
+
+// Columns behind the task statuses used before boards had their own columns.
+// Those boards always showed these three, in this order; their tasks were
+// saved as 'progress', or 'in-progress' after a drag and drop.
+const LEGACY_STATUS_COLUMNS = {
+  todo: 'To Do',
+  progress: 'In Progress',
+  'in-progress': 'In Progress',
+  done: 'Done'
+};
+
+// Trello's named label colors and the hex values its boards show them in
+const TRELLO_COLORS = {
+  green: '#61bd4f',
+  yellow: '#f2d600',
+  orange: '#ff9f1a',
+  red: '#eb5a46',
+  purple: '#c377e0',
+  blue: '#0079bf',
+  sky: '#00c2e0',
+  lime: '#51e898',
+  pink: '#ff78cb',
+  black: '#344563'
+};
+
+// Task fields a CSV column can be mapped to, with the headers guessed for each
+const CSV_FIELDS = {
+  title: ['title', 'name', 'task', 'summary', 'card name'],
+  description: ['description', 'desc', 'details', 'notes'],
+  column: ['column', 'status', 'list', 'list name', 'stage'],
+  priority: ['priority'],
+  due_date: ['due date', 'due', 'due_date', 'deadline'],
+  labels: ['labels', 'label', 'tags'],
+  subtasks: ['subtasks', 'checklist', 'checklist items']
+};
+
+// Cells that spreadsheets would run as formulas, after any quotes already in
+// front of them. The CSV export puts a ' in front of these, and the import
+// takes it off again, so a leading "- item" is left alone.
+const CSV_FORMULA_PATTERN = /^'*(?:[=+@\t\r]|-[\d(])/;
+
+const rowError = (message) => Object.assign(new Error(message), { isRowError: true });
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// The objects in a list from an export, or nothing when it isn't a list
+const objectList = (value) => (Array.isArray(value) ? value.filter(isObject) : []);
+
+// A list field of a task; missing means empty
+const listField = (value, name) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw rowError(`${name} must be a list`);
+  }
+  return value;
+};
+
+const cleanName = (value, maxLength = MAX_NAME_LENGTH) => (
+  typeof value === 'string' ? value.trim().slice(0, maxLength) : ''
+);
+
+// Dates come as ISO strings, plain YYYY-MM-DD or millisecond timestamps
+const parseDueDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = typeof value === 'number' || /^\d{10,}$/.test(value)
+    ? new Date(Number(value))
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw rowError(`"${value}" is not a valid due date`);
+  }
+  return date.toISOString();
+};
+
+const parsePriority = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 'medium';
+  }
+  const priority = String(value).trim().toLowerCase();
+  if (!PRIORITIES.includes(priority)) {
+    throw rowError(`Priority must be one of ${PRIORITIES.join(', ')}`);
+  }
+  return priority;
+};
+
+/**
+ * Validate one task of an import plan
+ * @param {Object} raw - Task fields as read from the file
+ * @param {number} row - Row or card number shown in error messages
+ * @returns {Object} - Normalized task
+ * @throws {Error} - Row error describing the first invalid field
+ */
+const normalizeTask = (raw, row) => {
+  const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+  if (!title) {
+    throw rowError('Title is required');
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    throw rowError(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  return {
+    row,
+    title,
+    description: typeof raw.description === 'string' && raw.description.trim() ? raw.description : null,
+    column: cleanName(raw.column) || null,
+    priority: parsePriority(raw.priority),
+    due_date: parseDueDate(raw.due_date),
+    pinned: Boolean(raw.pinned),
+    labels: [...new Set(listField(raw.labels, 'Labels').map(name => cleanName(name)).filter(Boolean))],
+    subtasks: listField(raw.subtasks, 'Subtasks')
+      .map(subtask => {
+        if (!isObject(subtask)) {
+          throw rowError('Subtasks must be objects with a title');
+        }
+        return {
+          title: cleanName(subtask.title, MAX_TITLE_LENGTH),
+          is_completed: Boolean(subtask.is_completed)
+        };
+      })
+      .filter(subtask => subtask.title)
+  };
+};
+
+// Collect tasks into a plan, keeping failed rows as errors after the ones the parser found
+const buildPlan = ({ name, columns = [], labels = [], rows, errors = [] }) => {
+  const tasks = [];
+  rows.forEach(({ row, task }) => {
+    try {
+      if (!isObject(task)) {
+        throw rowError('The entry is not a task');
+      }
+      tasks.push(normalizeTask(task, row));
+    } catch (error) {
+      if (!error.isRowError) throw error;
+      errors.push({ row, message: error.message });
+    }
+  });
+
+  // Every column and label a task refers to ends up in the plan exactly once
+  const addUnique = (list, item) => {
+    if (item.name && !list.some(existing => existing.name.toLowerCase() === item.name.toLowerCase())) {
+      list.push(item);
+    }
+  };
+  const planColumns = [];
+  columns.forEach(column => addUnique(planColumns, column));
+  tasks.forEach(task => task.column && addUnique(planColumns, {
+    name: task.column,
+    color: null,
+    is_done: DONE_COLUMN_PATTERN.test(task.column)
+  }));
+
+  const planLabels = [];
+  labels.forEach(label => addUnique(planLabels, label));
+  tasks.forEach(task => task.labels.forEach(label => addUnique(planLabels, { name: label, color: DEFAULT_LABEL_COLOR })));
+
+  return {
+    name: cleanName(name, MAX_BOARD_NAME_LENGTH) || null,
+    columns: planColumns,
+    labels: planLabels,
+    tasks,
+    errors
+  };
+};
+
+const labelColor = (color) => (COLOR_PATTERN.test(color || '') ? color : DEFAULT_LABEL_COLOR);
+
+// The board of an export without columns (version 1.0), if its tasks use the old statuses
+const legacyColumns = (tasks) => {
+  if (!tasks.some(task => isObject(task) && LEGACY_STATUS_COLUMNS[task.status])) {
+    return [];
+  }
+  return [...new Set(Object.values(LEGACY_STATUS_COLUMNS))].map((name, position) => ({
+    name,
+    position,
+    is_done: DONE_COLUMN_PATTERN.test(name)
+  }));
+};
+
+/**
+ * Read a file made by the board's "Export" button
+ * @param {Object} data - Parsed JSON ({ version, board, columns, labels, tasks });
+ *   version 1.0 exports have only tasks, with a status instead of a column
+ * @returns {Object} - Import plan
+ */
+const parseYoursKanban = (data) => {
+  if (!Array.isArray(data.tasks)) {
+    throw new AppError('The export has no tasks list', 400, errorTypes.VALIDATION_ERROR);
+  }
+
+  // Column and label entries that are not objects are skipped and reported
+  const errors = [];
+  const objectEntries = (list, kind) => list.filter((entry, index) => {
+    if (!isObject(entry)) {
+      errors.push({ row: null, message: `${kind} ${index + 1} is not an object and was skipped` });
+    }
+    return isObject(entry);
+  });
+
+  const columns = Array.isArray(data.columns) ? objectEntries(data.columns, 'Column') : legacyColumns(data.tasks);
+  const columnNames = new Map(columns.filter(column => column.id).map(column => [column.id, cleanName(column.name)]));
+
+  return buildPlan({
+    errors,
+    name: isObject(data.board) ? data.board.name : null,
+    columns: columns
+      .slice()
+      .sort((a, b) => (a.position || 0) - (b.position || 0))
+      .map(column => ({
+        name: cleanName(column.name),
+        color: COLOR_PATTERN.test(column.color || '') ? column.color : null,
+        is_done: Boolean(column.is_done)
+      })),
+    labels: objectEntries(Array.isArray(data.labels) ? data.labels : [], 'Label').map(label => ({
+      name: cleanName(label.name),
+      color: labelColor(label.color)
+    })),
+    rows: data.tasks.map((task, index) => ({
+      row: index + 1,
+      task: isObject(task) ? {
+        title: task.title,
+        description: task.description,
+        column: columnNames.get(task.column_id) || LEGACY_STATUS_COLUMNS[task.column_id || task.status],
+        priority: task.priority,
+        due_date: task.due_date !== undefined ? task.due_date : task.dueDate,
+        pinned: task.pinned,
+        // Labels are names or { name, color }; normalizeTask rejects anything but a list
+        labels: Array.isArray(task.labels)
+          ? task.labels.map(label => (isObject(label) ? label.name : label))
+          : task.labels,
+        subtasks: Array.isArray(task.subtasks)
+          ? task.subtasks.map(subtask => (isObject(subtask)
+            ? { title: subtask.title || subtask.text, is_completed: subtask.is_completed || subtask.completed }
+            : subtask))
+          : task.subtasks
+      } : task
+    }))
+  });
+};
+
+/**
+ * Read a Trello board export (Menu > Print, export and share > Export as JSON).
+ * Archived lists and cards are left out.
+ * @param {Object} data - Parsed JSON ({ name, lists, cards, checklists, labels })
+ * @returns {Object} - Import plan
+ */
+const parseTrello = (data) => {
+  const byPosition = (a, b) => (a.pos || 0) - (b.pos || 0);
+  const lists = objectList(data.lists).filter(list => !list.closed).sort(byPosition);
+  const listNames = new Map(lists.map(list => [list.id, cleanName(list.name)]));
+  const listOrder = new Map(lists.map((list, index) => [list.id, index]));
+
+  // Unnamed Trello labels are just a color, so they are named after it
+  const trelloLabelName = (label) => cleanName(label.name) || cleanName(label.color).replace(/^./, first => first.toUpperCase());
+  const labels = objectList(data.labels).filter(label => trelloLabelName(label));
+  const labelNames = new Map(labels.map(label => [label.id, trelloLabelName(label)]));
+
+  const checklistsByCard = new Map();
+  objectList(data.checklists).forEach(checklist => {
+    const items = objectList(checklist.checkItems).sort(byPosition);
+    checklistsByCard.set(checklist.idCard, [...(checklistsByCard.get(checklist.idCard) || []), ...items]);
+  });
+
+  const cards = objectList(data.cards)
+    .filter(card => !card.closed && listNames.has(card.idList))
+    .sort((a, b) => listOrder.get(a.idList) - listOrder.get(b.idList) || byPosition(a, b));
+
+  return buildPlan({
+    name: data.name,
+    columns: lists.map(list => ({
+      name: listNames.get(list.id),
+      color: null,
+      is_done: DONE_COLUMN_PATTERN.test(listNames.get(list.id))
+    })),
+    labels: labels.map(label => ({
+      name: trelloLabelName(label),
+      color: TRELLO_COLORS[cleanName(label.color).replace(/_(dark|light)$/, '')] || DEFAULT_LABEL_COLOR
+    })),
+    rows: cards.map((card, index) => ({
+      row: index + 1,
+      task: {
+        title: card.name,
+        description: card.desc,
+        column: listNames.get(card.idList),
+        due_date: card.due,
+        labels: (Array.isArray(card.idLabels) ? card.idLabels : []).map(id => labelNames.get(id)).filter(Boolean),
+        subtasks: (checklistsByCard.get(card.id) || []).map(item => ({
+          title: item.name,
+          is_completed: item.state === 'complete'
+        }))
+      }
+    }))
+  });
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks)
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} - Rows, including the header row
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Guess which CSV header holds each task field
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} - { field: header } for every field a header was found for
+ */
+const guessCsvMapping = (headers) => {
+  const mapping = {};
+  Object.entries(CSV_FIELDS).forEach(([field, names]) => {
+    const header = headers.find(h => names.includes(h.trim().toLowerCase()));
+    if (header !== undefined) {
+      mapping[field] = header;
+    }
+  });
+  return mapping;
+};
+
+/**
+ * Read a CSV file with one task per row
+ * @param {string} text - CSV file contents
+ * @param {Object} [mapping] - { field: header } pairs; guessed from the headers when omitted
+ * @returns {Object} - Import plan, plus the file's headers and the mapping used
+ */
+const parseCsv = (text, mapping) => {
+  const [headers, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!headers || headers.every(header => !header.trim())) {
+    throw new AppError('The CSV file has no header row', 400, errorTypes.VALIDATION_ERROR);
+  }
+
+  const fieldMapping = mapping || guessCsvMapping(headers);
+  Object.entries(fieldMapping).forEach(([field, header]) => {
+    if (!CSV_FIELDS[field]) {
+      throw new AppError(`Unknown task field "${field}" in the column mapping`, 400, errorTypes.VALIDATION_ERROR);
+    }
+    if (header && !headers.includes(header)) {
+      throw new AppError(`The CSV file has no "${header}" column`, 400, errorTypes.VALIDATION_ERROR);
+    }
+  });
+  // Without titles there is nothing to import, but the headers are still
+  // returned so the user can pick the right column
+  if (!fieldMapping.title) {
+    return {
+      ...buildPlan({ rows: [] }),
+      errors: [{ row: 1, message: 'Choose the CSV column that holds the task titles' }],
+      headers,
+      mapping: fieldMapping
+    };
+  }
+
+  const cell = (values, field) => {
+    const index = fieldMapping[field] ? headers.indexOf(fieldMapping[field]) : -1;
+    const value = index >= 0 && values[index] !== undefined ? values[index].trim() : '';
+    return value.startsWith("'") && CSV_FORMULA_PATTERN.test(value) ? value.slice(1) : value;
+  };
+  const list = (value, separator) => value.split(separator).map(item => item.trim()).filter(Boolean);
+
+  const plan = buildPlan({
+    rows: rows
+      .map((values, index) => ({ values, row: index + 2 })) // Row 1 is the header
+      .filter(({ values }) => values.some(value => value.trim()))
+      .map(({ values, row }) => ({
+        row,
+        task: {
+          title: cell(values, 'title'),
+          description: cell(values, 'description'),
+          column: cell(values, 'column'),
+          priority: cell(values, 'priority'),
+          due_date: cell(values, 'due_date'),
+          labels: list(cell(values, 'labels'), /[,;]/),
+          subtasks: list(cell(values, 'subtasks'), /[;\n]/).map(title => ({ title, is_completed: false }))
+        }
+      }))
+  });
+
+  return { ...plan, headers, mapping: fieldMapping };
+};
+
+/**
+ * Work out what kind of file was uploaded
+ * @param {string} text - File contents
+ * @returns {string} - One of IMPORT_FORMATS
+ */
+const detectFormat = (text) => {
+  try {
+    const data = JSON.parse(text);
+    if (data && Array.isArray(data.lists) && Array.isArray(data.cards)) return 'trello';
+    if (data && Array.isArray(data.tasks)) return 'yourskanban';
+  } catch (error) {
+    // Not JSON, so it can only be CSV
+  }
+  return 'csv';
+};
+
+/**
+ * Parse an uploaded file into an import plan
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {string} [options.format] - One of IMPORT_FORMATS; detected when omitted
+ * @param {Object} [options.mapping] - CSV column mapping
+ * @returns {Object} - Import plan with the format that was used
+ * @throws {AppError} - VALIDATION_ERROR when the file can't be read as that format
+ */
+const parseImport = (text, { format, mapping } = {}) => {
+  const importFormat = format || detectFormat(text);
+  if (!IMPORT_FORMATS.includes(importFormat)) {
+    throw new AppError(`Format must be one of ${IMPORT_FORMATS.join(', ')}`, 400, errorTypes.VALIDATION_ERROR);
+  }
+
+  if (importFormat === 'csv') {
+    return { format: importFormat, ...parseCsv(text, mapping) };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new AppError('The file is not valid JSON', 400, errorTypes.VALIDATION_ERROR);
+  }
+  if (!data || typeof data !== 'object') {
+    throw new AppError('The file is not a board export', 400, errorTypes.VALIDATION_ERROR);
+  }
+
+  const plan = importFormat === 'trello' ? parseTrello(data) : parseYoursKanban(data);
+  return { format: importFormat, ...plan };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  CSV_FIELDS,
+  CSV_FORMULA_PATTERN,
+  parseCsvRows,
+  guessCsvMapping,
+  parseImport
+};
@@ -0,0 +1,77 @@
+const { AppError, errorTypes } = require('../utils/errorHandler');
+
+/**
+ * Make sure every label ID belongs to the given board
+ * @param {Object} db - pg Pool or client
+ * @param {string} boardId - Board the labels must belong to
+ * @param {Array<string>} labelIds - Label IDs from the request body
+ * @returns {Promise<Array<string>>} - The label IDs without duplicates
+ * @throws {AppError} - VALIDATION_ERROR for a malformed list or a foreign label
+ */
+const validateLabelIds = async (db, boardId, labelIds) => {
+  if (!Array.isArray(labelIds)) {
+    throw new AppError('label_ids must be an array', 400, errorTypes.VALIDATION_ERROR);
+  }
+
+  const uniqueIds = [...new Set(labelIds)];
+  if (uniqueIds.length === 0) {
+    return uniqueIds;
+  }
+
+  const result = await db.query(
+    'SELECT id FROM labels WHERE id = ANY($1::uuid[]) AND board_id = $2',
+    [uniqueIds, boardId]
+  );
+  if (result.rows.length !== uniqueIds.length) {
+    throw new AppError('Labels must belong to the task\'s board', 400, errorTypes.VALIDATION_ERROR);
+  }
+  return uniqueIds;
+};
+
+/**
+ * Get the labels on a task, ordered by name
+ * @param {Object} db - pg Pool or client
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Array>} - Labels ({ id, name, color })
+ */
+const getTaskLabels = async (db, taskId) => {
+  const result = await db.query(
+    `SELECT l.id, l.name, l.color
+     FROM task_labels tl
+     JOIN labels l ON l.id = tl.label_id
+     WHERE tl.task_id = $1
+     ORDER BY LOWER(l.name) ASC`,
+    [taskId]
+  );
+  return result.rows;
+};
+
+/**
+ * Replace the labels on a task
+ * @param {Object} db - pg Pool or client
+ * @param {Object} task - Task row ({ id, board_id })
+ * @param {Array<string>} labelIds - Labels the task should end up with
+ * @returns {Promise<Array>} - The task's labels after the change
+ */
+const setTaskLabels = async (db, task, labelIds) => {
+  const ids = await validateLabelIds(db, task.board_id, labelIds);
+
+  await db.query(
+    'DELETE FROM task_labels WHERE task_id = $1 AND NOT (label_id = ANY($2::uuid[]))',
+    [task.id, ids]
+  );
+  await db.query(
+    `INSERT INTO task_labels (task_id, label_id)
+     SELECT $1, unnest($2::uuid[])
+     ON CONFLICT DO NOTHING`,
+    [task.id, ids]
+  );
+
+  return getTaskLabels(db, task.id);
+};
+
+module.exports = {
+  validateLabelIds,
+  getTaskLabels,
+  setTaskLabels
+};
@@ -0,0 +1,18 @@
+const { buildMessage } = require('./message');
+
+/**
+ * Mail driver that prints the plain-text version of every message to the
+ * console instead of sending it. The default, so development setups never
+ * send real email.
+ * @returns {Object} - Mail driver
+ */
+const createConsoleMailer = () => ({
+  name: 'console',
+
+  async send(mail) {
+    const { envelope } = buildMessage(mail);
+    console.log(`📧 Mail to ${envelope.to.join(', ')}: ${mail.subject}\n${mail.text || ''}`);
+  }
+});
+
+module.exports = createConsoleMailer;
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { buildMessage } = require('./message');
+
+/**
+ * Mail driver that writes every message to a .eml file instead of sending
+ * it, for trying out emails locally. The files open in most mail clients.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory to write messages to
+ * @returns {Object} - Mail driver
+ */
+const createFileMailer = ({ dir } = {}) => {
+  const outDir = path.resolve(dir || process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail'));
+
+  return {
+    name: 'file',
+
+    async send(mail) {
+      const { raw } = buildMessage(mail);
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      await fs.promises.mkdir(outDir, { recursive: true });
+      await fs.promises.writeFile(path.join(outDir, fileName), raw);
+    }
+  };
+};
+
+module.exports = createFileMailer;
@@ -0,0 +1,50 @@
+/**
+ * Pluggable outgoing email.
+ *
+ * A driver is an object with:
+ *   send({ from, to, subject, text, html }) - deliver one message; from
+ *                                             defaults to MAIL_FROM
+ *
+ * The driver is picked with MAIL_DRIVER (default: console).
+ */
+const createConsoleMailer = require('./console');
+const createFileMailer = require('./file');
+const createSmtpMailer = require('./smtp');
+
+const drivers = {
+  console: createConsoleMailer,
+  file: createFileMailer,
+  smtp: createSmtpMailer
+};
+
+let mailer = null;
+
+/**
+ * Register an additional mail driver factory
+ * @param {string} name - Value of MAIL_DRIVER that selects the driver
+ * @param {Function} factory - Returns a driver object
+ */
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Get the configured mail driver, creating it on first use
+ * @returns {Object} - Mail driver
+ */
+const getMailer = () => {
+  if (!mailer) {
+    const name = process.env.MAIL_DRIVER || 'console';
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Unknown mail driver: ${name}`);
+    }
+    mailer = factory();
+  }
+  return mailer;
+};
+
+module.exports = {
+  getMailer,
+  registerDriver
+};
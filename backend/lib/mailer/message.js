@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+/**
+ * MIME (RFC 5322 / RFC 2045) messages for the mail drivers.
+ * Bodies are base64 so any UTF-8 text and line length goes through
+ * every server unchanged.
+ */
+
+const DEFAULT_FROM = 'YoursKanban <no-reply@localhost>';
+
+// Header values are single lines; CR and LF would start a new header
+const singleLine = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+
+// RFC 2047 encoded words for non-ASCII header text, each at most 75 characters
+const encodeHeader = (value) => {
+  const text = singleLine(value);
+  if (/^[\x20-\x7e]*$/.test(text)) {
+    return text;
+  }
+  const words = [];
+  let current = '';
+  for (const char of text) {
+    if (Buffer.byteLength(current + char) > 45) {
+      words.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  words.push(current);
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join(' ');
+};
+
+/**
+ * Split an address into its display name and email address
+ * @param {string|Object} value - "Name <a@example.com>", "a@example.com" or { name, address }
+ * @returns {Object} - { name, address }
+ */
+const parseAddress = (value) => {
+  if (value && typeof value === 'object') {
+    return { name: value.name ? singleLine(value.name) : '', address: singleLine(value.address) };
+  }
+  const text = singleLine(value || '');
+  const match = text.match(/^(.*)<([^<>]+)>$/);
+  if (match) {
+    return { name: match[1].trim().replace(/^"(.*)"$/, '$1'), address: match[2].trim() };
+  }
+  return { name: '', address: text };
+};
+
+const formatAddress = ({ name, address }) => {
+  if (!name) {
+    return `<${address}>`;
+  }
+  const encoded = encodeHeader(name);
+  const quoted = encoded === name && /[^\w !#$%&'*+\-/=?^`{|}~]/.test(name)
+    ? `"${name.replace(/(["\\])/g, '\\$1')}"`
+    : encoded;
+  return `${quoted} <${address}>`;
+};
+
+// Base64 wrapped at 76 characters per line
+const base64Body = (text) => Buffer.from(text, 'utf8').toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+
+const partHeaders = (type) => [
+  `Content-Type: ${type}; charset=utf-8`,
+  'Content-Transfer-Encoding: base64'
+];
+
+const textPart = (type, body) => [...partHeaders(type), '', base64Body(body)].join('\r\n');
+
+/**
+ * Build a message with a plain-text body and, when given, an HTML
+ * alternative
+ * @param {Object} mail - { from, to, subject, text, html }; to may be an array
+ * @returns {Object} - { raw, envelope: { from, to } } where raw uses CRLF line endings
+ */
+const buildMessage = ({ from, to, subject, text, html }) => {
+  const sender = parseAddress(from || process.env.MAIL_FROM || DEFAULT_FROM);
+  const recipients = (Array.isArray(to) ? to : [to]).map(parseAddress).filter(({ address }) => address);
+  if (!sender.address || recipients.length === 0) {
+    throw new Error('A message needs a sender and at least one recipient');
+  }
+
+  const domain = sender.address.split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${formatAddress(sender)}`,
+    `To: ${recipients.map(formatAddress).join(', ')}`,
+    `Subject: ${encodeHeader(subject || '')}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0'
+  ];
+
+  let body;
+  if (html) {
+    const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+    body = [
+      'This is a multi-part message in MIME format.',
+      `--${boundary}`,
+      textPart('text/plain', text || ''),
+      `--${boundary}`,
+      textPart('text/html', html),
+      `--${boundary}--`,
+      ''
+    ].join('\r\n');
+  } else {
+    headers.push(...partHeaders('text/plain'));
+    body = `${base64Body(text || '')}\r\n`;
+  }
+
+  return {
+    raw: `${headers.join('\r\n')}\r\n\r\n${body}`,
+    envelope: {
+      from: sender.address,
+      to: recipients.map(({ address }) => address)
+    }
+  };
+};
+
+module.exports = {
+  buildMessage,
+  parseAddress
+};
@@ -0,0 +1,50 @@
+const nodemailer = require('nodemailer');
+const { buildMessage } = require('./message');
+
+// Give up on a server that stops answering for this long
+const SOCKET_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Mail driver that delivers through an SMTP server with nodemailer. Uses
+ * STARTTLS when the server offers it, or TLS from the start with
+ * SMTP_SECURE=true, and only ever sends credentials over TLS.
+ * SMTP_TLS_REJECT_UNAUTHORIZED=false accepts self-signed certificates,
+ * for test servers.
+ * @param {Object} [options]
+ * @param {string} [options.host] - Server name (default: SMTP_HOST or localhost)
+ * @param {number} [options.port] - Port (default: SMTP_PORT, or 465 / 587)
+ * @param {boolean} [options.secure] - Connect with TLS (default: SMTP_SECURE)
+ * @param {string} [options.user] - User name (default: SMTP_USER)
+ * @param {string} [options.pass] - Password (default: SMTP_PASS)
+ * @returns {Object} - Mail driver
+ */
+const createSmtpMailer = ({ host, port, secure, user, pass } = {}) => {
+  const useTls = secure !== undefined ? secure : process.env.SMTP_SECURE === 'true';
+  const authUser = user !== undefined ? user : process.env.SMTP_USER;
+  const authPass = pass !== undefined ? pass : process.env.SMTP_PASS;
+
+  const transport = nodemailer.createTransport({
+    host: host || process.env.SMTP_HOST || 'localhost',
+    port: port || parseInt(process.env.SMTP_PORT, 10) || (useTls ? 465 : 587),
+    secure: useTls,
+    // Without TLS the credentials would go out in plain text
+    requireTLS: Boolean(authUser),
+    auth: authUser ? { user: authUser, pass: authPass || '' } : undefined,
+    tls: { rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false' },
+    connectionTimeout: SOCKET_TIMEOUT_MS,
+    greetingTimeout: SOCKET_TIMEOUT_MS,
+    socketTimeout: SOCKET_TIMEOUT_MS
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(mail) {
+      // The message is built the same way as for the file driver
+      const { raw, envelope } = buildMessage(mail);
+      await transport.sendMail({ envelope, raw });
+    }
+  };
+};
+
+module.exports = createSmtpMailer;
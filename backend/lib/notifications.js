@@ -0,0 +1,71 @@
+/**
+ * In-app notifications.
+ * Reminders about tasks that are due soon or overdue are created by the
+ * reminders job; assignments are notified as they happen. Notifications
+ * are only ever shown to the user they were created for.
+ */
+
+const NOTIFICATION_TYPES = ['due_soon', 'overdue', 'assigned'];
+
+// How far ahead a task counts as due soon (default 24 hours)
+const REMINDER_WINDOW_HOURS = parseInt(process.env.REMINDER_WINDOW_HOURS, 10) || 24;
+
+// Tasks that went overdue longer ago than this are not reminded about, so
+// old boards don't flood anyone with reminders
+const OVERDUE_LOOKBACK_DAYS = 7;
+
+/**
+ * Notify users that they were assigned to a task. Nobody is notified about
+ * assigning themselves.
+ * @param {Object} db - pg Pool or client
+ * @param {Object} task - Task row ({ id, board_id })
+ * @param {Array<string>} userIds - Newly assigned users
+ * @param {string} actorId - User who made the assignment
+ */
+const notifyAssigned = async (db, task, userIds, actorId) => {
+  const recipients = userIds.filter(userId => userId !== actorId);
+  if (recipients.length === 0) {
+    return;
+  }
+  await db.query(
+    `INSERT INTO notifications (user_id, task_id, board_id, type, actor_id, due_date)
+     SELECT unnest($1::uuid[]), $2, $3, 'assigned', $4, $5`,
+    [recipients, task.id, task.board_id, actorId, task.due_date || null]
+  );
+};
+
+/**
+ * Create reminders for open tasks that are due within the reminder window
+ * or have gone overdue. They go to the task's assignees, or to its creator
+ * when nobody is assigned, as long as they are still on the board. Each
+ * due date is reminded about once per kind.
+ * @param {Object} db - pg Pool or client
+ * @param {Object} [options] - { windowHours }
+ * @returns {Promise<number>} - Number of reminders created
+ */
+const createDueReminders = async (db, { windowHours = REMINDER_WINDOW_HOURS } = {}) => {
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, task_id, board_id, type, due_date)
+     SELECT m.user_id, t.id, t.board_id,
+            CASE WHEN t.due_date <= NOW() THEN 'overdue' ELSE 'due_soon' END,
+            t.due_date
+     FROM tasks t
+     JOIN board_columns col ON col.id = t.column_id
+     LEFT JOIN task_assignees a ON a.task_id = t.id
+     JOIN board_members m ON m.board_id = t.board_id AND m.user_id = COALESCE(a.user_id, t.user_id)
+     WHERE t.deleted_at IS NULL
+       AND NOT col.is_done
+       AND t.due_date > NOW() - make_interval(days => $2)
+       AND t.due_date <= NOW() + make_interval(hours => $1)
+     ON CONFLICT DO NOTHING`,
+    [windowHours, OVERDUE_LOOKBACK_DAYS]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  REMINDER_WINDOW_HOURS,
+  notifyAssigned,
+  createDueReminders
+};
@@ -0,0 +1,67 @@
+/**
+ * Paging for lists that go back in time: ?before=<timestamp> for activity
+ * feeds, and opaque (created_at, id) keyset cursors for notifications, whose
+ * entries can share a timestamp.
+ */
+const { AppError, errorTypes } = require('../utils/errorHandler');
+
+// created_at as SQL text at full (microsecond) precision, for keyset cursors
+const createdAtKey = (column) => `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')`;
+
+const CREATED_AT_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}Z$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check a ?before= cursor from a request
+ * @param {string} [value] - Timestamp of the oldest entry on the previous page
+ * @returns {string|null} - ISO timestamp, or null for the first page
+ * @throws {AppError} - 400 when the cursor is not a date
+ */
+const parseBeforeCursor = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const date = typeof value === 'string' ? new Date(value) : new Date(NaN);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError('before must be a date', 400, errorTypes.VALIDATION_ERROR);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Cursor for the page after a row, from its created_at key (see createdAtKey) and ID
+ * @param {string} createdAt - created_at key of the last row on the page
+ * @param {string} id - ID of the last row on the page
+ * @returns {string}
+ */
+const encodeCreatedAtCursor = (createdAt, id) => Buffer
+  .from(JSON.stringify([createdAt, id]))
+  .toString('base64url');
+
+/**
+ * Check a ?cursor= from a request
+ * @param {string} [value] - Cursor from the previous page
+ * @returns {Object|null} - { createdAt, id }, or null for the first page
+ * @throws {AppError} - 400 when the cursor was not made by encodeCreatedAtCursor
+ */
+const parseCreatedAtCursor = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (CREATED_AT_KEY_PATTERN.test(createdAt) && UUID_PATTERN.test(id) && !Number.isNaN(new Date(createdAt).getTime())) {
+      return { createdAt, id };
+    }
+  } catch (error) {
+    // Fall through to the validation error below
+  }
+  throw new AppError('cursor is invalid', 400, errorTypes.VALIDATION_ERROR);
+};
+
+module.exports = {
+  createdAtKey,
+  parseBeforeCursor,
+  encodeCreatedAtCursor,
+  parseCreatedAtCursor
+};
@@ -0,0 +1,62 @@
+/**
+ * Fractional ranking for ordered lists (tasks within a column).
+ * A moved item gets a position between its new neighbours, so a single
+ * move only writes one row. When repeated moves exhaust the precision
+ * between two neighbours, the list is spread out again with fresh gaps.
+ */
+
+// Distance between neighbours after a rebalance, and for items added at either end
+const POSITION_GAP = 1024;
+
+// Smallest gap we still split; below this the list needs a rebalance
+const MIN_GAP = 1e-6;
+
+/**
+ * Compute a position between two neighbours
+ * @param {number|null} previous - Position of the item above, if any
+ * @param {number|null} next - Position of the item below, if any
+ * @returns {number|null} - New position, or null when there is no room left
+ */
+const rankBetween = (previous, next) => {
+  if (previous === null && next === null) {
+    return 0;
+  }
+  if (previous === null) {
+    return next - POSITION_GAP;
+  }
+  if (next === null) {
+    return previous + POSITION_GAP;
+  }
+  if (next - previous < MIN_GAP) {
+    return null;
+  }
+  return previous + (next - previous) / 2;
+};
+
+/**
+ * Spread the live tasks of a column out to evenly spaced positions, keeping their order
+ * @param {Object} db - pg Pool or client
+ * @param {string} columnId - Column to rebalance
+ * @returns {Promise<Map<string, number>>} - New position per task ID
+ */
+const rebalanceColumn = async (db, columnId) => {
+  const result = await db.query(
+    `UPDATE tasks t
+     SET position = ranked.rank * $2
+     FROM (
+       SELECT id, ROW_NUMBER() OVER (ORDER BY position ASC, created_at ASC) AS rank
+       FROM tasks
+       WHERE column_id = $1 AND deleted_at IS NULL
+     ) ranked
+     WHERE t.id = ranked.id
+     RETURNING t.id, t.position`,
+    [columnId, POSITION_GAP]
+  );
+  return new Map(result.rows.map(row => [row.id, row.position]));
+};
+
+module.exports = {
+  POSITION_GAP,
+  rankBetween,
+  rebalanceColumn
+};
@@ -0,0 +1,362 @@
+/**
+ * Recurring tasks.
+ *
+ * A recurrence rule is a subset of an iCalendar RRULE (RFC 5545):
+ * FREQ=DAILY|WEEKLY|MONTHLY|YEARLY with optional INTERVAL, BYDAY (weekly
+ * only, e.g. MO,WE), BYMONTHDAY (monthly only, one day; -1 is the last day
+ * of the month), and COUNT or UNTIL. Occurrences keep the wall-clock time of
+ * the task's due date in the time zone the rule was set in.
+ *
+ * When a recurring task is done, or its due date has passed, its next
+ * instance is created as a copy with fresh subtasks (spawnNextInstance).
+ */
+const { AppError, errorTypes } = require('../utils/errorHandler');
+const { rankBetween } = require('./ranking');
+const { recordActivity } = require('./activity');
+const { toZoned, fromZoned, wallTime } = require('./zonedTime');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Indexed like Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const MAX_INTERVAL = 999;
+
+// Give up looking for the next occurrence after this many candidates
+const MAX_CANDIDATES = 5000;
+
+const invalidRule = (message) => new AppError(`Invalid recurrence rule: ${message}`, 400, errorTypes.VALIDATION_ERROR);
+
+const parsePositiveInteger = (value, name, max) => {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < 1 || (max && number > max)) {
+    throw invalidRule(`${name} must be a whole number from 1${max ? ` to ${max}` : ''}`);
+  }
+  return number;
+};
+
+// UNTIL as a date (20261231) or a UTC date-time (20261231T235959Z)
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) {
+    throw invalidRule('UNTIL must look like 20261231 or 20261231T235959Z');
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  const until = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (until.getUTCMonth() !== month - 1 || until.getUTCDate() !== Number(day)) {
+    throw invalidRule('UNTIL is not a valid date');
+  }
+  return until;
+};
+
+/**
+ * Parse a recurrence rule
+ * @param {string} text - e.g. "FREQ=WEEKLY;BYDAY=MO,TH" (an "RRULE:" prefix is allowed)
+ * @returns {Object} - { freq, interval, byDay, byMonthDay, count, until }
+ * @throws {AppError} - 400 for rules outside the supported subset
+ */
+const parseRule = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw invalidRule('it is empty');
+  }
+
+  const parts = {};
+  text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value, ...rest] = part.split('=');
+    const name = key.trim().toUpperCase();
+    if (!name || value === undefined || rest.length > 0 || !value.trim()) {
+      throw invalidRule(`"${part}" is not a NAME=VALUE pair`);
+    }
+    if (parts[name] !== undefined) {
+      throw invalidRule(`${name} is given twice`);
+    }
+    parts[name] = value.trim().toUpperCase();
+  });
+
+  const unsupported = Object.keys(parts).find(name => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'].includes(name));
+  if (unsupported) {
+    throw invalidRule(`${unsupported} is not supported`);
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parsePositiveInteger(parts.INTERVAL, 'INTERVAL', MAX_INTERVAL) : 1,
+    byDay: [],
+    byMonthDay: null,
+    count: parts.COUNT ? parsePositiveInteger(parts.COUNT, 'COUNT') : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null
+  };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw invalidRule(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (rule.count && rule.until) {
+    throw invalidRule('COUNT and UNTIL cannot be used together');
+  }
+
+  if (parts.BYDAY) {
+    if (rule.freq !== 'WEEKLY') {
+      throw invalidRule('BYDAY is only supported with FREQ=WEEKLY');
+    }
+    const days = parts.BYDAY.split(',').map(day => day.trim());
+    if (days.some(day => !WEEKDAYS.includes(day))) {
+      throw invalidRule(`BYDAY must be a list of ${WEEKDAYS.join(', ')}`);
+    }
+    // Keep them in week order (Monday first) without duplicates
+    rule.byDay = [...new Set(days)].sort((a, b) => (WEEKDAYS.indexOf(a) + 6) % 7 - (WEEKDAYS.indexOf(b) + 6) % 7);
+  }
+
+  if (parts.BYMONTHDAY) {
+    if (rule.freq !== 'MONTHLY') {
+      throw invalidRule('BYMONTHDAY is only supported with FREQ=MONTHLY');
+    }
+    const day = Number(parts.BYMONTHDAY);
+    if (!/^-?\d+$/.test(parts.BYMONTHDAY) || day === 0 || day < -31 || day > 31) {
+      throw invalidRule('BYMONTHDAY must be a single day from 1 to 31, or -1 to -31 from the end of the month');
+    }
+    rule.byMonthDay = day;
+  }
+
+  return rule;
+};
+
+/**
+ * Write a parsed rule back in its canonical form
+ * @param {Object} rule - As returned by parseRule
+ * @returns {string}
+ */
+const formatRule = (rule) => [
+  `FREQ=${rule.freq}`,
+  rule.interval > 1 && `INTERVAL=${rule.interval}`,
+  rule.byDay.length > 0 && `BYDAY=${rule.byDay.join(',')}`,
+  rule.byMonthDay !== null && `BYMONTHDAY=${rule.byMonthDay}`,
+  rule.count && `COUNT=${rule.count}`,
+  rule.until && `UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`
+].filter(Boolean).join(';');
+
+/**
+ * Validate a rule from a request and return it in canonical form
+ * @param {string|null} text - Rule, or null/'' to stop a task recurring
+ * @returns {string|null}
+ * @throws {AppError} - 400 for invalid rules
+ */
+const normalizeRule = (text) => (text === null || text === '' ? null : formatRule(parseRule(text)));
+
+// Calendar arithmetic on wall-clock dates. Months move to the given day of
+// the month, clamped to the length of the month
+const addDays = (wall, days) => {
+  const date = new Date(Date.UTC(wall.year, wall.month, wall.day + days));
+  return { ...wall, year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const monthDay = (year, month, day) => {
+  const length = daysInMonth(year, month);
+  return Math.min(day < 0 ? length + day + 1 : day, length);
+};
+
+const addMonths = (wall, months, day) => {
+  const date = new Date(Date.UTC(wall.year, wall.month + months, 1));
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  return { ...wall, year, month, day: Math.max(monthDay(year, month, day), 1) };
+};
+
+// Candidate wall-clock dates in order, from the start's own week or month on;
+// nextOccurrence skips the ones that aren't after the start
+function* candidates(rule, start) {
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    // Weeks start on Monday; every INTERVAL-th week counts from the start's week
+    const startWeekday = (new Date(wallTime(start)).getUTCDay() + 6) % 7;
+    for (let offset = 1; ; offset++) {
+      const week = Math.floor((startWeekday + offset) / 7);
+      if (week % rule.interval !== 0) continue;
+      const date = addDays(start, offset);
+      if (rule.byDay.includes(WEEKDAYS[new Date(wallTime(date)).getUTCDay()])) {
+        yield date;
+      }
+    }
+  }
+
+  // A monthly BYMONTHDAY can fall later in the start's own month
+  for (let step = rule.freq === 'MONTHLY' ? 0 : 1; ; step++) {
+    const amount = step * rule.interval;
+    switch (rule.freq) {
+      case 'DAILY':
+        yield addDays(start, amount);
+        break;
+      case 'WEEKLY':
+        yield addDays(start, amount * 7);
+        break;
+      case 'MONTHLY':
+        yield addMonths(start, amount, rule.byMonthDay ?? start.day);
+        break;
+      default:
+        yield addMonths(start, amount * 12, start.day);
+    }
+  }
+}
+
+/**
+ * The next occurrence of a rule
+ * @param {Object} rule - As returned by parseRule
+ * @param {Date} start - Occurrence to continue from, usually the due date
+ * @param {Object} [options]
+ * @param {Date} [options.after] - Skip occurrences up to this time (default: start)
+ * @param {string} [options.timeZone] - Time zone the rule is evaluated in (default UTC)
+ * @returns {Date|null} - null when the rule has ended (UNTIL passed or COUNT used up)
+ */
+const nextOccurrence = (rule, start, { after = start, timeZone = 'UTC' } = {}) => {
+  if (rule.count !== null && rule.count <= 1) {
+    return null;
+  }
+
+  const startWall = toZoned(start, timeZone);
+  let seen = 0;
+  for (const wall of candidates(rule, startWall)) {
+    const occurrence = fromZoned(wall, timeZone);
+    if (rule.until && occurrence > rule.until) {
+      return null;
+    }
+    if (occurrence > after && occurrence > start) {
+      return occurrence;
+    }
+    if (++seen >= MAX_CANDIDATES) {
+      return null;
+    }
+  }
+  return null;
+};
+
+/**
+ * Create the next instance of a recurring task: a copy with the next due
+ * date, its labels and assignees, and its subtasks unticked, at the bottom
+ * of the board's first column that isn't a done column. The WIP limit is
+ * not enforced since nobody chose to add the task. The task is marked as
+ * recurred so it never spawns twice. Call inside a transaction.
+ * @param {Object} db - pg client
+ * @param {Object} task - Task row, locked FOR UPDATE
+ * @param {string|null} userId - User whose change triggered it, null for the scheduler
+ * @returns {Promise<Object|null>} - The new task, or null if the task doesn't
+ *   recur (any more)
+ */
+const spawnNextInstance = async (db, task, userId) => {
+  if (!task.recurrence_rule || task.recurred_at || task.deleted_at) {
+    return null;
+  }
+
+  const now = new Date();
+  const timeZone = task.recurrence_timezone || 'UTC';
+  let rule;
+  let dueDate = null;
+  try {
+    rule = parseRule(task.recurrence_rule);
+    if (task.due_date) {
+      const due = new Date(task.due_date);
+      dueDate = nextOccurrence(rule, due, {
+        after: due > now ? due : now,
+        timeZone
+      });
+      // Pin a monthly rule to the day it started on: after a task due on the
+      // 31st comes back on February 28th, the one after it is due on the 31st again
+      if (rule.freq === 'MONTHLY' && rule.byMonthDay === null) {
+        rule = { ...rule, byMonthDay: toZoned(due, timeZone).day };
+      }
+    } else if ((rule.count === null || rule.count > 1) && !(rule.until && now > rule.until)) {
+      // Without a due date there is nothing to advance; just repeat the task
+      dueDate = undefined;
+    }
+  } catch (error) {
+    // Rules are validated on the way in, so this is an old or hand-edited one
+    console.error(`Ignoring the recurrence rule of task ${task.id}:`, error.message);
+  }
+
+  await db.query('UPDATE tasks SET recurred_at = NOW() WHERE id = $1', [task.id]);
+  if (dueDate === null) {
+    return null;
+  }
+
+  const columnResult = await db.query(
+    `SELECT id FROM board_columns
+     WHERE board_id = $1
+     ORDER BY is_done ASC, position ASC
+     LIMIT 1`,
+    [task.board_id]
+  );
+  const columnId = columnResult.rows[0].id;
+  const positionResult = await db.query(
+    'SELECT MAX(position) AS last_position FROM tasks WHERE column_id = $1',
+    [columnId]
+  );
+
+  const result = await db.query(
+    `INSERT INTO tasks (user_id, board_id, column_id, title, description, priority, due_date, position, pinned,
+                        recurrence_rule, recurrence_timezone)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      task.user_id,
+      task.board_id,
+      columnId,
+      task.title,
+      task.description,
+      task.priority,
+      dueDate || null,
+      rankBetween(positionResult.rows[0].last_position, null),
+      task.pinned,
+      formatRule({ ...rule, count: rule.count && rule.count - 1 }),
+      task.recurrence_timezone
+    ]
+  );
+  const createdTask = result.rows[0];
+
+  await db.query(
+    `INSERT INTO task_labels (task_id, label_id)
+     SELECT $1, label_id FROM task_labels WHERE task_id = $2`,
+    [createdTask.id, task.id]
+  );
+  await db.query(
+    `INSERT INTO task_assignees (task_id, user_id)
+     SELECT $1, user_id FROM task_assignees WHERE task_id = $2`,
+    [createdTask.id, task.id]
+  );
+  await db.query(
+    `INSERT INTO subtasks (task_id, title, description, is_completed, position)
+     SELECT $1, title, description, FALSE, position FROM subtasks WHERE task_id = $2`,
+    [createdTask.id, task.id]
+  );
+
+  await recordActivity(db, { task: createdTask, userId, action: 'created' });
+  return createdTask;
+};
+
+/**
+ * Spawn the next instance if an update moved a recurring task into a done
+ * column. Call inside the update's transaction.
+ * @param {Object} db - pg client
+ * @param {Object} before - Task row before the update
+ * @param {Object} after - Task row after the update
+ * @param {string} userId - User who made the update
+ * @returns {Promise<Object|null>} - The new task, if one was created
+ */
+const spawnIfCompleted = async (db, before, after, userId) => {
+  if (!after.recurrence_rule || after.recurred_at || after.column_id === before.column_id) {
+    return null;
+  }
+  const columnResult = await db.query('SELECT is_done FROM board_columns WHERE id = $1', [after.column_id]);
+  if (!columnResult.rows[0] || !columnResult.rows[0].is_done) {
+    return null;
+  }
+  return spawnNextInstance(db, after, userId);
+};
+
+module.exports = {
+  WEEKDAYS,
+  parseRule,
+  formatRule,
+  normalizeRule,
+  nextOccurrence,
+  spawnNextInstance,
+  spawnIfCompleted
+};
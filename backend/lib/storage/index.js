@@ -0,0 +1,47 @@
+/**
+ * Pluggable file storage.
+ *
+ * A driver is an object with:
+ *   save(key, buffer)       - store a file under the given key
+ *   createReadStream(key)   - resolve to a readable stream of the file
+ *   remove(key)             - delete the file (no error if it is missing)
+ *
+ * The driver is picked with STORAGE_DRIVER (default: local).
+ */
+const createLocalDiskStorage = require('./localDisk');
+
+const drivers = {
+  local: createLocalDiskStorage
+};
+
+let storage = null;
+
+/**
+ * Register an additional storage driver factory
+ * @param {string} name - Value of STORAGE_DRIVER that selects the driver
+ * @param {Function} factory - Returns a driver object
+ */
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Get the configured storage driver, creating it on first use
+ * @returns {Object} - Storage driver
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  registerDriver
+};
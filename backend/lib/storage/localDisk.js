@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage driver that keeps files in a directory on the local disk.
+ * Keys are relative paths inside that directory.
+ * @param {Object} [options]
+ * @param {string} [options.root] - Directory to store files in
+ * @returns {Object} - Storage driver
+ */
+const createLocalDiskStorage = ({ root } = {}) => {
+  const baseDir = path.resolve(root || process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+  // Keep keys from escaping the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async createReadStream(key) {
+      const filePath = resolveKey(key);
+      // Fail before any headers are sent if the file is gone
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalDiskStorage;
@@ -0,0 +1,281 @@
+/**
+ * Filtering, full-text search, sorting and keyset pagination for task lists.
+ * Query-string parameters are validated here and turned into SQL fragments
+ * for the tasks router; user input only ever reaches SQL as bind values.
+ */
+const { AppError, errorTypes } = require('../utils/errorHandler');
+const { normalizeTimeZone } = require('./zonedTime');
+// Shared with the search box so both sides understand the same query language
+const { parseSearchQuery, searchWords } = require('../../shared/search-query');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Page size when a cursor is given without a limit, and the largest page allowed
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Sortable fields: the SQL expression and the type its cursor value is cast back to
+const SORT_FIELDS = {
+  position: { expression: 't.position', type: 'double precision' },
+  created_at: { expression: 't.created_at', type: 'timestamptz' },
+  updated_at: { expression: 't.updated_at', type: 'timestamptz' },
+  due_date: { expression: "COALESCE(t.due_date, 'infinity'::timestamptz)", type: 'timestamptz' },
+  title: { expression: 'LOWER(t.title)', type: 'text' }
+};
+
+// Searched by ?q=; these must match the expression indexes in migration 0014
+const TASK_SEARCH_VECTOR = "to_tsvector('simple', t.title || ' ' || COALESCE(t.description, ''))";
+const SUBTASK_SEARCH_VECTOR = "to_tsvector('simple', s.title)";
+
+// tsquery for words that start with each word of value. Words only hold
+// letters and digits, so none of them can be tsquery syntax.
+const prefixTsQuery = (value) => searchWords(value).map(word => `${word}:*`).join(' & ');
+
+// ILIKE pattern matching value anywhere, with its own wildcards taken literally
+const containsPattern = (value) => `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+
+const invalid = (message) => new AppError(message, 400, errorTypes.VALIDATION_ERROR);
+
+// Tasks in one of the given columns or carrying one of the given labels;
+// param is a bound text[] of lowercased IDs or names
+const statusCondition = (param) => `t.column_id IN (
+  SELECT c.id FROM board_columns c
+  WHERE c.board_id = t.board_id
+    AND (c.id::text = ANY(${param}::text[]) OR LOWER(c.name) = ANY(${param}::text[]))
+)`;
+
+const labelCondition = (param) => `EXISTS (
+  SELECT 1
+  FROM task_labels tl
+  JOIN labels l ON l.id = tl.label_id
+  WHERE tl.task_id = t.id
+    AND (l.id::text = ANY(${param}::text[]) OR LOWER(l.name) = ANY(${param}::text[]))
+)`;
+
+// Tasks assigned to one of the given users; param is a bound text[] of user IDs or lowercased emails
+const assigneeCondition = (param) => `EXISTS (
+  SELECT 1
+  FROM task_assignees ta
+  JOIN users u ON u.id = ta.user_id
+  WHERE ta.task_id = t.id
+    AND (u.id::text = ANY(${param}::text[]) OR LOWER(u.email) = ANY(${param}::text[]))
+)`;
+
+const IN_DONE_COLUMN = 'EXISTS (SELECT 1 FROM board_columns c WHERE c.id = t.column_id AND c.is_done)';
+
+const HAS_CONDITIONS = {
+  subtasks: 'EXISTS (SELECT 1 FROM subtasks s WHERE s.task_id = t.id)',
+  labels: 'EXISTS (SELECT 1 FROM task_labels tl WHERE tl.task_id = t.id)',
+  attachments: 'EXISTS (SELECT 1 FROM attachments a WHERE a.task_id = t.id)',
+  comments: 'EXISTS (SELECT 1 FROM comments c WHERE c.task_id = t.id AND c.deleted_at IS NULL)',
+  due: 't.due_date IS NOT NULL',
+  description: "COALESCE(TRIM(t.description), '') <> ''"
+};
+
+// SQL for one clause of a parsed search query (see shared/search-query.js)
+const searchClauseCondition = (clause, bind) => {
+  switch (clause.field) {
+    case 'text': {
+      // The full-text indexes find the tasks with words starting with the
+      // search words; the text itself (a phrase keeps its word order and
+      // punctuation) must then be in one field, as in the browser
+      const tsQuery = `to_tsquery('simple', ${bind(prefixTsQuery(clause.value))})`;
+      const pattern = bind(containsPattern(clause.value));
+      return `(
+        (${TASK_SEARCH_VECTOR} @@ ${tsQuery} AND (t.title ILIKE ${pattern} OR t.description ILIKE ${pattern}))
+        OR EXISTS (
+          SELECT 1 FROM subtasks s
+          WHERE s.task_id = t.id AND ${SUBTASK_SEARCH_VECTOR} @@ ${tsQuery} AND s.title ILIKE ${pattern}
+        )
+      )`;
+    }
+    case 'priority':
+      return `t.priority = ANY(${bind(clause.values)}::text[])`;
+    case 'status':
+      return statusCondition(bind(clause.values));
+    case 'label':
+      return labelCondition(bind(clause.values));
+    case 'due': {
+      const bounds = [];
+      if (clause.range.from) bounds.push(`t.due_date >= ${bind(clause.range.from)}`);
+      if (clause.range.to) bounds.push(`t.due_date < ${bind(clause.range.to)}`);
+      return `(${bounds.join(' AND ')})`;
+    }
+    case 'is':
+      if (clause.value === 'pinned') return 't.pinned = TRUE';
+      if (clause.value === 'done') return IN_DONE_COLUMN;
+      return `(t.due_date < ${bind(clause.range.to)} AND NOT ${IN_DONE_COLUMN})`;
+    case 'has':
+      return HAS_CONDITIONS[clause.value];
+    default:
+      throw invalid(`Unsupported search filter ${clause.field}`);
+  }
+};
+
+// Split a comma separated parameter into trimmed, non-empty values
+const parseList = (value) => String(value)
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalid(`${name} must be a date`);
+  }
+  return date.toISOString();
+};
+
+const encodeCursor = (sort, sortKey, id) => Buffer
+  .from(JSON.stringify([sort, sortKey, id]))
+  .toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const [cursorSort, sortKey, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (cursorSort === sort && typeof sortKey === 'string' && typeof id === 'string') {
+      return { sortKey, id };
+    }
+  } catch (error) {
+    // Fall through to the validation error below
+  }
+  throw invalid('cursor is invalid or belongs to a different sort order');
+};
+
+/**
+ * Turn GET /tasks query parameters into SQL.
+ *
+ * Supported parameters: q (in the search box query language), tz (IANA time zone
+ * that q's days such as due:today are in; defaults to UTC), status (column IDs or names), priority, label
+ * (label IDs or names), assignee (user IDs or emails), due_before, due_after, pinned, sort (field name,
+ * prefixed with "-" for descending), limit and cursor. List parameters are
+ * comma separated and match any of their values.
+ *
+ * @param {Object} query - Parsed query string (req.query)
+ * @param {Array} values - Bind values already used by the caller; new ones are appended
+ * @returns {Object} - { conditions, sortKey, orderBy, limit, sort } where conditions
+ *   are SQL fragments to AND together, sortKey is the expression to select as
+ *   sort_key and limit is null when everything should be returned
+ * @throws {AppError} - VALIDATION_ERROR for malformed parameters
+ */
+const buildTaskQuery = (query, values) => {
+  const conditions = [];
+  const bind = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (query.q !== undefined) {
+    const timeZone = normalizeTimeZone(query.tz) || 'UTC';
+    const search = parseSearchQuery(String(query.q), { timeZone });
+    if (search.errors.length > 0) {
+      throw invalid(`Invalid search: ${search.errors.map(error => error.message).join('; ')}`);
+    }
+    search.clauses.forEach(clause => {
+      const condition = searchClauseCondition(clause, bind);
+      // IS NOT TRUE so excluded filters keep tasks where the condition is NULL (no due date)
+      conditions.push(clause.negated ? `(${condition}) IS NOT TRUE` : condition);
+    });
+  }
+
+  if (query.status !== undefined) {
+    const statuses = parseList(query.status).map(status => status.toLowerCase());
+    if (statuses.length > 0) {
+      conditions.push(statusCondition(bind(statuses)));
+    }
+  }
+
+  if (query.priority !== undefined) {
+    const priorities = parseList(query.priority).map(priority => priority.toLowerCase());
+    if (!priorities.every(priority => PRIORITIES.includes(priority))) {
+      throw invalid(`priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (priorities.length > 0) {
+      conditions.push(`t.priority = ANY(${bind(priorities)}::text[])`);
+    }
+  }
+
+  if (query.label !== undefined) {
+    const labels = parseList(query.label).map(label => label.toLowerCase());
+    if (labels.length > 0) {
+      conditions.push(labelCondition(bind(labels)));
+    }
+  }
+
+  if (query.assignee !== undefined) {
+    const assignees = parseList(query.assignee).map(assignee => assignee.toLowerCase());
+    if (assignees.length > 0) {
+      conditions.push(assigneeCondition(bind(assignees)));
+    }
+  }
+
+  if (query.due_before !== undefined) {
+    conditions.push(`t.due_date < ${bind(parseDate(query.due_before, 'due_before'))}`);
+  }
+
+  if (query.due_after !== undefined) {
+    conditions.push(`t.due_date > ${bind(parseDate(query.due_after, 'due_after'))}`);
+  }
+
+  if (query.pinned !== undefined) {
+    if (!['true', 'false'].includes(String(query.pinned))) {
+      throw invalid('pinned must be true or false');
+    }
+    conditions.push(String(query.pinned) === 'true' ? 't.pinned = TRUE' : 't.pinned IS NOT TRUE');
+  }
+
+  // Sorting always ends with the task ID so the cursor identifies a single row
+  const sort = query.sort ? String(query.sort) : 'position';
+  const descending = sort.startsWith('-');
+  const field = SORT_FIELDS[descending ? sort.slice(1) : sort];
+  if (!field) {
+    throw invalid(`sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}, optionally prefixed with -`);
+  }
+  const direction = descending ? 'DESC' : 'ASC';
+
+  let limit = null;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw invalid(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    const { sortKey, id } = decodeCursor(query.cursor, sort);
+    conditions.push(
+      `(${field.expression}, t.id) ${descending ? '<' : '>'} (${bind(sortKey)}::${field.type}, ${bind(id)}::uuid)`
+    );
+    limit = limit || DEFAULT_PAGE_SIZE;
+  }
+
+  return {
+    conditions,
+    sortKey: `(${field.expression})::text`,
+    orderBy: `${field.expression} ${direction}, t.id ${direction}`,
+    limit,
+    sort
+  };
+};
+
+/**
+ * Trim the extra row fetched to detect another page and build its cursor
+ * @param {Array} rows - Rows selected with a sort_key column and LIMIT limit + 1
+ * @param {Object} taskQuery - Result of buildTaskQuery
+ * @returns {Object} - { tasks, nextCursor } with nextCursor null on the last page
+ */
+const paginate = (rows, { limit, sort }) => {
+  const hasMore = limit !== null && rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    tasks: page.map(({ sort_key: sortKey, ...task }) => task),
+    nextCursor: hasMore ? encodeCursor(sort, last.sort_key, last.id) : null
+  };
+};
+
+module.exports = {
+  buildTaskQuery,
+  paginate
+};
@@ -0,0 +1,133 @@
+/**
+ * The full task payload sent to clients: the task row plus its checklist,
+ * attachments, labels, assignees and comment count, and the version checks that guard
+ * task updates against overwriting someone else's changes.
+ */
+const { AppError, errorTypes } = require('../utils/errorHandler');
+
+// Select list added to t.* and the lateral joins it reads from
+const TASK_DETAILS_COLUMNS = `COALESCE(subs.subtasks, '[]'::json) AS subtasks,
+       COALESCE(files.attachments, '[]'::json) AS attachments,
+       COALESCE(tags.labels, '[]'::json) AS labels,
+       COALESCE(people.assignees, '[]'::json) AS assignees,
+       (SELECT COUNT(*)::int FROM comments c
+        WHERE c.task_id = t.id AND c.deleted_at IS NULL) AS comment_count`;
+
+const TASK_DETAILS_JOINS = `LEFT JOIN LATERAL (
+         SELECT json_agg(
+           json_build_object(
+             'id', st.id,
+             'title', st.title,
+             'description', st.description,
+             'is_completed', st.is_completed,
+             'position', st.position,
+             'created_at', st.created_at,
+             'updated_at', st.updated_at
+           ) ORDER BY st.position ASC
+         ) AS subtasks
+         FROM subtasks st
+         WHERE st.task_id = t.id
+       ) subs ON true
+       LEFT JOIN LATERAL (
+         SELECT json_agg(
+           json_build_object(
+             'id', a.id,
+             'filename', a.filename,
+             'content_type', a.content_type,
+             'size_bytes', a.size_bytes,
+             'created_at', a.created_at
+           ) ORDER BY a.created_at ASC
+         ) AS attachments
+         FROM attachments a
+         WHERE a.task_id = t.id
+       ) files ON true
+       LEFT JOIN LATERAL (
+         SELECT json_agg(
+           json_build_object('id', l.id, 'name', l.name, 'color', l.color)
+           ORDER BY LOWER(l.name) ASC
+         ) AS labels
+         FROM task_labels tl
+         JOIN labels l ON l.id = tl.label_id
+         WHERE tl.task_id = t.id
+       ) tags ON true
+       LEFT JOIN LATERAL (
+         SELECT json_agg(
+           json_build_object('id', u.id, 'name', u.name, 'email', u.email)
+           ORDER BY LOWER(COALESCE(u.name, u.email)) ASC
+         ) AS assignees
+         FROM task_assignees ta
+         JOIN users u ON u.id = ta.user_id
+         WHERE ta.task_id = t.id
+       ) people ON true`;
+
+/**
+ * Load a live task with its details
+ * @param {Object} db - pg Pool or client
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object|null>} - Task, or null if it doesn't exist or is in the trash
+ */
+const getTaskDetails = async (db, taskId) => {
+  const result = await db.query(
+    `SELECT t.*, ${TASK_DETAILS_COLUMNS}
+     FROM tasks t
+     ${TASK_DETAILS_JOINS}
+     WHERE t.id = $1 AND t.deleted_at IS NULL`,
+    [taskId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * ETag header value for a task, derived from its version
+ * @param {Object} task - Task row
+ * @returns {string} - Quoted version, e.g. "3"
+ */
+const taskETag = (task) => `"${task.version}"`;
+
+/**
+ * Read the task version a client based its change on, from the If-Match
+ * header or a version field in the body
+ * @param {Object} req - Express request
+ * @returns {number|null} - Expected version, or null when the client sent none (or If-Match: *)
+ * @throws {AppError} - VALIDATION_ERROR when the version is malformed
+ */
+const expectedVersion = (req) => {
+  const header = req.get('If-Match');
+  let value = req.body ? req.body.version : undefined;
+
+  if (header !== undefined) {
+    if (header.trim() === '*') {
+      return null;
+    }
+    // Weak and strong ETags carry the same version
+    value = header.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+  }
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new AppError('If-Match must be a task version', 400, errorTypes.VALIDATION_ERROR);
+  }
+  return version;
+};
+
+/**
+ * Error for a write based on an outdated version of a task
+ * @param {Object} current - Current task, with its details, sent back so the client can merge
+ * @returns {AppError} - 409 CONFLICT carrying the current task as data
+ */
+const versionConflict = (current) => Object.assign(
+  new AppError('This task was changed by someone else since you opened it', 409, errorTypes.CONFLICT),
+  { data: current }
+);
+
+module.exports = {
+  TASK_DETAILS_COLUMNS,
+  TASK_DETAILS_JOINS,
+  getTaskDetails,
+  taskETag,
+  expectedVersion,
+  versionConflict
+};
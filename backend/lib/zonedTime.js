@@ -0,0 +1,31 @@
+/**
+ * Wall-clock time in IANA time zones, using the runtime's Intl data.
+ * Recurring tasks and email digests are scheduled in the user's own zone.
+ */
+const { AppError, errorTypes } = require('../utils/errorHandler');
+// Shared with the search box, which works out the user's days the same way
+const { toZoned, fromZoned, wallTime } = require('../../shared/zoned-time');
+
+/**
+ * Check a time zone name from a request
+ * @param {string|null} timeZone - IANA name, e.g. Europe/Berlin
+ * @returns {string|null}
+ * @throws {AppError} - 400 for unknown time zones
+ */
+const normalizeTimeZone = (timeZone) => {
+  if (timeZone === null || timeZone === undefined || timeZone === '') {
+    return null;
+  }
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    throw new AppError(`Unknown time zone "${timeZone}"`, 400, errorTypes.VALIDATION_ERROR);
+  }
+};
+
+module.exports = {
+  normalizeTimeZone,
+  toZoned,
+  fromZoned,
+  wallTime
+};
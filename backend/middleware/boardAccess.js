@@ -0,0 +1,102 @@
+const { AppError, errorTypes, catchAsync } = require('../utils/errorHandler');
+const { hasRole, resolveBoardAccess } = require('../lib/boards');
+
+/**
+ * Authorization for shared boards.
+ *
+ * The loaders look up the current user's membership of the board a request
+ * touches and set req.boardId and req.boardRole, answering 404 when the user
+ * isn't a member so other people's boards and tasks stay invisible. The
+ * require* middlewares then check the role against what the route needs.
+ */
+
+const requireSignedIn = (req) => {
+  if (!req.user || req.user.isGuest) {
+    throw new AppError('Authentication required', 401, errorTypes.UNAUTHORIZED);
+  }
+};
+
+const forbidden = (minRole) => new AppError(`This needs ${minRole} access to the board`, 403, errorTypes.FORBIDDEN);
+
+/**
+ * Load the current user's access to a board
+ * @param {Object} pool - pg Pool
+ * @param {Function} getBoardId - Reads the board ID from the request
+ * @returns {Function} - Express middleware
+ */
+const loadBoardAccess = (pool, getBoardId) => catchAsync(async (req, res, next) => {
+  requireSignedIn(req);
+  const access = await resolveBoardAccess(pool, req.user.id, getBoardId(req));
+  req.boardId = access.id;
+  req.boardRole = access.role;
+  next();
+});
+
+/**
+ * Load the current user's access to the board a task is on
+ * @param {Object} pool - pg Pool
+ * @param {Function} getTaskId - Reads the task ID from the request
+ * @param {Object} [options]
+ * @param {string} [options.state] - 'active' for live tasks, 'trashed' for tasks
+ *   in the trash, 'any' for both
+ * @returns {Function} - Express middleware
+ */
+const loadTaskAccess = (pool, getTaskId, { state = 'active' } = {}) => catchAsync(async (req, res, next) => {
+  requireSignedIn(req);
+
+  const taskId = getTaskId(req);
+  if (!taskId) {
+    throw new AppError('taskId is required', 400, errorTypes.VALIDATION_ERROR);
+  }
+
+  const deletedCondition = {
+    active: 'AND t.deleted_at IS NULL',
+    trashed: 'AND t.deleted_at IS NOT NULL',
+    any: ''
+  }[state];
+  const result = await pool.query(
+    `SELECT t.board_id, m.role
+     FROM tasks t
+     JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $2
+     WHERE t.id = $1 ${deletedCondition}`,
+    [taskId, req.user.id]
+  );
+  if (result.rows.length === 0) {
+    throw new AppError(state === 'trashed' ? 'Task not found in trash' : 'Task not found', 404, errorTypes.NOT_FOUND);
+  }
+
+  req.boardId = result.rows[0].board_id;
+  req.boardRole = result.rows[0].role;
+  next();
+});
+
+/**
+ * Only let members with at least the given role through
+ * @param {string} minRole - viewer, commenter, editor or owner
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (minRole) => (req, res, next) => {
+  if (!hasRole(req.boardRole, minRole)) {
+    return next(forbidden(minRole));
+  }
+  next();
+};
+
+/**
+ * Let any member read, but require the given role for everything else
+ * @param {string} minRole - Least role for non-GET requests
+ * @returns {Function} - Express middleware
+ */
+const requireWriteRole = (minRole) => (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD' && !hasRole(req.boardRole, minRole)) {
+    return next(forbidden(minRole));
+  }
+  next();
+};
+
+module.exports = {
+  loadBoardAccess,
+  loadTaskAccess,
+  requireRole,
+  requireWriteRole
+};
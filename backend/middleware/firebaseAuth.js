@@ -1,5 +1,6 @@
 const admin = require("../config/firebase");
 const { AppError, errorTypes, catchAsync } = require("../utils/errorHandler");
+const { acceptPendingInvites } = require("../lib/boards");
 
 /**
  * Middleware to authenticate requests using Firebase ID tokens
@@ -63,6 +64,9 @@ const firebaseAuth = catchAsync(async (req, res, next) => {
           [decodedToken.uid, decodedToken.email, decodedToken.name || decodedToken.email.split('@')[0]]
         );
         dbUser = createResult.rows[0];
+
+        // Boards shared with this address before the account existed
+        await acceptPendingInvites(pool, dbUser.id, decodedToken.email);
       }
 
       // Attach user info to request with database integer ID
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeDigestPreferences, lastScheduledAt, isDigestDue, isDigestEmpty } = require('../lib/digest');
+const { digestSubject, renderDigestText, renderDigestHtml } = require('../lib/digestTemplates');
+
+const DAILY = { frequency: 'daily', send_hour: 8, weekday: 1, timezone: 'America/New_York', last_sent_at: null };
+const WEEKLY = { ...DAILY, frequency: 'weekly', timezone: 'Europe/Berlin' };
+
+const scheduled = (preferences, now) => lastScheduledAt(preferences, new Date(now)).toISOString();
+
+const assertInvalid = (input, message) => {
+  assert.throws(() => normalizeDigestPreferences(input, DAILY), error => {
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, message);
+    return true;
+  });
+};
+
+test('normalizeDigestPreferences fills in what is left out', () => {
+  assert.deepEqual(normalizeDigestPreferences({ frequency: 'weekly', send_hour: '7' }, DAILY), {
+    frequency: 'weekly',
+    send_hour: 7,
+    weekday: 1,
+    timezone: 'America/New_York'
+  });
+  assert.equal(normalizeDigestPreferences({ timezone: '' }, DAILY).timezone, 'UTC');
+});
+
+test('normalizeDigestPreferences rejects invalid values', () => {
+  assertInvalid({ frequency: 'hourly' }, /frequency must be one of off, daily, weekly/);
+  assertInvalid({ send_hour: 24 }, /send_hour must be a whole number from 0 to 23/);
+  assertInvalid({ send_hour: 7.5 }, /send_hour/);
+  assertInvalid({ weekday: 7 }, /weekday must be a whole number from 0 to 6/);
+  assertInvalid({ timezone: 'Mars/Olympus_Mons' }, /Unknown time zone/);
+});
+
+test('lastScheduledAt is the latest send hour in the user time zone', () => {
+  // 08:00 in New York is 13:00Z in winter and 12:00Z in summer
+  assert.equal(scheduled(DAILY, '2026-01-15T13:00:00Z'), '2026-01-15T13:00:00.000Z');
+  assert.equal(scheduled(DAILY, '2026-01-15T12:59:00Z'), '2026-01-14T13:00:00.000Z');
+  assert.equal(scheduled(DAILY, '2026-07-15T18:00:00Z'), '2026-07-15T12:00:00.000Z');
+  // Just after midnight UTC it is still the evening before in New York
+  assert.equal(scheduled(DAILY, '2026-01-16T02:00:00Z'), '2026-01-15T13:00:00.000Z');
+  assert.equal(scheduled(DAILY, '2026-03-09T12:30:00Z'), '2026-03-09T12:00:00.000Z');
+});
+
+test('lastScheduledAt goes back to the weekday for weekly digests', () => {
+  // 2026-10-19 is a Monday; 08:00 in Berlin is 06:00Z in summer time
+  assert.equal(scheduled(WEEKLY, '2026-10-19T06:00:00Z'), '2026-10-19T06:00:00.000Z');
+  assert.equal(scheduled(WEEKLY, '2026-10-19T05:59:00Z'), '2026-10-12T06:00:00.000Z');
+  assert.equal(scheduled(WEEKLY, '2026-10-25T12:00:00Z'), '2026-10-19T06:00:00.000Z');
+  // After the clocks go back on October 25th, 08:00 is 07:00Z
+  assert.equal(scheduled(WEEKLY, '2026-10-28T12:00:00Z'), '2026-10-26T07:00:00.000Z');
+  assert.equal(scheduled({ ...WEEKLY, weekday: 0 }, '2026-10-24T12:00:00Z'), '2026-10-18T06:00:00.000Z');
+});
+
+test('isDigestDue sends once per scheduled time', () => {
+  const now = new Date('2026-01-15T14:00:00Z');
+  assert.equal(isDigestDue(DAILY, now), true);
+  assert.equal(isDigestDue({ ...DAILY, last_sent_at: '2026-01-14T13:00:05Z' }, now), true);
+  assert.equal(isDigestDue({ ...DAILY, last_sent_at: '2026-01-15T13:00:05Z' }, now), false);
+  assert.equal(isDigestDue({ ...DAILY, frequency: 'off' }, now), false);
+});
+
+const task = (fields) => ({ board_id: 'board-1', board_name: 'Home', column_name: 'To Do', priority: 'medium', ...fields });
+
+const DIGEST = {
+  user: { id: 'user-1', name: 'Ann <Lee>', email: 'ann@example.com' },
+  frequency: 'daily',
+  timezone: 'America/New_York',
+  generatedAt: new Date('2026-10-19T12:00:00Z'),
+  overdue: {
+    tasks: [
+      task({ title: 'Pay <rent> & "bills"', due_date: new Date('2026-10-17T02:00:00Z') }),
+      task({ title: 'Call\nthe bank', board_name: 'Work & Life', due_date: new Date('2026-10-18T15:00:00Z') })
+    ],
+    total: 3
+  },
+  dueToday: { tasks: [task({ title: 'Water plants', due_date: new Date('2026-10-19T20:00:00Z') })], total: 1 },
+  completed: { tasks: [], total: 0 }
+};
+
+// Render with FRONTEND_URL set (or removed when url is null)
+const withFrontendUrl = (url, render) => {
+  const previous = process.env.FRONTEND_URL;
+  if (url === null) {
+    delete process.env.FRONTEND_URL;
+  } else {
+    process.env.FRONTEND_URL = url;
+  }
+  try {
+    return render();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.FRONTEND_URL;
+    } else {
+      process.env.FRONTEND_URL = previous;
+    }
+  }
+};
+
+test('isDigestEmpty is true when no section has tasks', () => {
+  assert.equal(isDigestEmpty(DIGEST), false);
+  assert.equal(isDigestEmpty({ ...DIGEST, overdue: { tasks: [], total: 0 }, dueToday: { tasks: [], total: 0 } }), true);
+});
+
+test('digestSubject counts the sections that have tasks', () => {
+  assert.equal(digestSubject(DIGEST), 'Your YoursKanban digest: 3 overdue, 1 due today');
+  assert.equal(
+    digestSubject({ ...DIGEST, frequency: 'weekly', overdue: { tasks: [], total: 0 }, dueToday: { tasks: [], total: 0 } }),
+    'Your weekly YoursKanban digest'
+  );
+});
+
+test('renderDigestText lists each section with dates in the user time zone', () => {
+  const text = withFrontendUrl('https://kb.example/', () => renderDigestText(DIGEST));
+  assert.equal(text, [
+    'Hi Ann <Lee>,',
+    '',
+    "Here is what's happening on your boards today, Monday, October 19, 2026.",
+    '',
+    'Overdue (3)',
+    '-----------',
+    '* Pay <rent> & "bills" (Home / To Do / due Fri, Oct 16)',
+    '* Call the bank (Work & Life / To Do / due Sun, Oct 18)',
+    '...and 1 more',
+    '',
+    'Due today (1)',
+    '-------------',
+    '* Water plants (Home / To Do)',
+    '',
+    'Recently completed (0)',
+    '----------------------',
+    'Nothing completed.',
+    '',
+    '--',
+    'Open YoursKanban: https://kb.example/',
+    'You get this email because you turned on the email digest. Change how often it comes, or turn it off, under Email Digest in the account menu.',
+    ''
+  ].join('\n'));
+});
+
+test('renderDigestText leaves out the app link without FRONTEND_URL', () => {
+  const text = withFrontendUrl(null, () => renderDigestText({ ...DIGEST, user: { name: null, email: 'ann@example.com' } }));
+  assert.match(text, /^Hi ann@example\.com,\n/);
+  assert.doesNotMatch(text, /Open YoursKanban/);
+});
+
+test('renderDigestHtml escapes task and board names and links to the boards', () => {
+  const html = withFrontendUrl('https://kb.example/', () => renderDigestHtml(DIGEST));
+  assert.match(html, /<title>Your YoursKanban digest: 3 overdue, 1 due today<\/title>/);
+  assert.match(html, /Hi Ann &lt;Lee&gt;,/);
+  assert.match(html, /Pay &lt;rent&gt; &amp; &quot;bills&quot;/);
+  assert.match(html, /<a href="https:\/\/kb\.example\/#board=board-1" [^>]*>Work &amp; Life<\/a>/);
+  assert.match(html, /&hellip;and 1 more/);
+  assert.match(html, /Nothing completed\./);
+  assert.doesNotMatch(html, /<rent>/);
+});
+
+test('renderDigestHtml shows board names as text without FRONTEND_URL', () => {
+  const html = withFrontendUrl(null, () => renderDigestHtml(DIGEST));
+  assert.doesNotMatch(html, /<a /);
+  assert.match(html, /Home &middot; To Do &middot; due Fri, Oct 16/);
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS, createExporter } = require('../lib/exporters');
+const { parseImport } = require('../lib/importers');
+
+const BOARD = { name: 'Launch #1', description: 'Everything for the launch' };
+const COLUMNS = [
+  { id: 'c1', name: 'To Do', position: 0, is_done: false },
+  { id: 'c2', name: 'Doing', position: 1, is_done: false },
+  { id: 'c3', name: 'Done', position: 2, is_done: true }
+];
+const LABELS = [{ id: 'l1', name: 'Bug', color: '#ff0000' }];
+
+// Tasks in board order, with the column fields the export query adds
+const TASKS = [
+  {
+    id: 't1',
+    title: '=SUM(A1) "quoted", here',
+    description: 'First line\nSecond line',
+    column_id: 'c1',
+    column_name: 'To Do',
+    column_is_done: false,
+    column_position: 0,
+    priority: 'high',
+    due_date: '2026-05-01T09:00:00.000Z',
+    pinned: true,
+    labels: [{ id: 'l1', name: 'Bug' }],
+    subtasks: [{ title: 'Reproduce', is_completed: true }],
+    assignees: [{ name: 'Ann', email: 'ann@example.com' }],
+    created_at: '2026-04-01T08:00:00.000Z'
+  },
+  {
+    id: 't2',
+    title: 'Release *notes*',
+    description: null,
+    column_id: 'c3',
+    column_name: 'Done',
+    column_is_done: true,
+    column_position: 2,
+    priority: 'low',
+    due_date: null,
+    pinned: false,
+    labels: [],
+    subtasks: [],
+    assignees: [],
+    created_at: '2026-04-02T08:00:00.000Z'
+  }
+];
+
+const run = (format, context = {}) => {
+  const exporter = createExporter(format, { board: BOARD, columns: COLUMNS, labels: LABELS, ...context });
+  return exporter.start() + TASKS.map(task => exporter.task(task)).join('') + exporter.end();
+};
+
+test('every format has a content type and file extension', () => {
+  assert.deepEqual(EXPORT_FORMATS, ['json', 'csv', 'md', 'ics']);
+  EXPORT_FORMATS.forEach(format => {
+    const exporter = createExporter(format, { board: BOARD, columns: COLUMNS, labels: LABELS });
+    assert.match(exporter.contentType, /; charset=utf-8$/);
+    assert.equal(exporter.extension, format);
+  });
+});
+
+test('the JSON export is valid JSON without the export-only fields', () => {
+  const data = JSON.parse(run('json'));
+  assert.equal(data.version, '1.1');
+  assert.deepEqual(data.board, BOARD);
+  assert.deepEqual(data.columns, COLUMNS);
+  assert.deepEqual(data.labels, LABELS);
+  assert.equal(data.tasks.length, 2);
+  assert.ok(!('column_name' in data.tasks[0]));
+  assert.ok(!('column_position' in data.tasks[0]));
+  assert.equal(data.tasks[0].column_id, 'c1');
+});
+
+test('an empty board still exports valid JSON', () => {
+  const exporter = createExporter('json', { board: BOARD, columns: [], labels: [] });
+  assert.deepEqual(JSON.parse(exporter.start() + exporter.end()).tasks, []);
+});
+
+test('the JSON export can be imported again', () => {
+  const plan = parseImport(run('json'));
+  assert.equal(plan.format, 'yourskanban');
+  assert.equal(plan.name, 'Launch #1');
+  assert.deepEqual(plan.columns.map(column => [column.name, column.is_done]), [['To Do', false], ['Doing', false], ['Done', true]]);
+  assert.deepEqual(plan.tasks.map(task => [task.title, task.column]), [[TASKS[0].title, 'To Do'], ['Release *notes*', 'Done']]);
+  assert.deepEqual(plan.tasks[0].subtasks, [{ title: 'Reproduce', is_completed: true }]);
+  assert.deepEqual(plan.errors, []);
+});
+
+test('the CSV export quotes fields and defuses formulas', () => {
+  const [header, first, second] = run('csv').split('\r\n');
+  assert.equal(header, 'Title,Description,Column,Priority,Due Date,Labels,Subtasks,Assignees,Pinned,Created');
+  assert.ok(first.startsWith('"\'=SUM(A1) ""quoted"", here","First line\nSecond line",To Do,high,2026-05-01T09:00:00.000Z,'));
+  assert.ok(first.endsWith(',Bug,Reproduce,ann@example.com,yes,2026-04-01T08:00:00.000Z'));
+  assert.equal(second, 'Release *notes*,,Done,low,,,,,,2026-04-02T08:00:00.000Z');
+});
+
+test('the CSV export can be imported again', () => {
+  const plan = parseImport(run('csv'));
+  assert.equal(plan.format, 'csv');
+  assert.deepEqual(plan.tasks.map(task => [task.title, task.column, task.priority]), [
+    [TASKS[0].title, 'To Do', 'high'],
+    ['Release *notes*', 'Done', 'low']
+  ]);
+  assert.equal(plan.tasks[0].due_date, '2026-05-01T09:00:00.000Z');
+  assert.deepEqual(plan.tasks[0].labels, ['Bug']);
+});
+
+test('only cells a spreadsheet would run are defused, and they import unchanged', () => {
+  const values = [
+    '- item',
+    '-- divider',
+    '-5 degrees',
+    '-(1)',
+    '+1 for this',
+    '@here',
+    '=1+1',
+    "'=already quoted",
+    "''-3",
+    "'quoted",
+    'plain - text'
+  ];
+  const exporter = createExporter('csv', { board: BOARD, columns: COLUMNS, labels: LABELS });
+  const text = exporter.start() + values.map((value, index) => exporter.task({
+    ...TASKS[1],
+    id: `t${index}`,
+    title: value,
+    description: `${value}\nsecond line`
+  })).join('') + exporter.end();
+
+  assert.deepEqual(text.split('\r\n').slice(1, -1).map(line => line.split(',')[0]), [
+    '- item',
+    '-- divider',
+    "'-5 degrees",
+    "'-(1)",
+    "'+1 for this",
+    "'@here",
+    "'=1+1",
+    "''=already quoted",
+    "'''-3",
+    "'quoted",
+    'plain - text'
+  ]);
+  const plan = parseImport(text);
+  assert.deepEqual(plan.errors, []);
+  assert.deepEqual(plan.tasks.map(task => task.title), values);
+  assert.deepEqual(plan.tasks.map(task => task.description), values.map(value => `${value}\nsecond line`));
+});
+
+test('the Markdown export has a checklist per column, including empty ones', () => {
+  assert.equal(run('md'), [
+    '# Launch \\#1',
+    '',
+    'Everything for the launch',
+    '',
+    '## To Do',
+    '',
+    '- [ ] **=SUM(A1) "quoted", here** (high priority, due 2026-05-01, `Bug`, @Ann)',
+    '  First line',
+    '  Second line',
+    '  - [x] Reproduce',
+    '',
+    '## Doing',
+    '',
+    '_No tasks_',
+    '',
+    '## Done',
+    '',
+    '- [x] **Release \\*notes\\*** (low priority)',
+    ''
+  ].join('\n'));
+});
+
+test('the Markdown export of an empty board lists every column', () => {
+  const exporter = createExporter('md', { board: { name: 'Empty' }, columns: COLUMNS, labels: [] });
+  const text = exporter.start() + exporter.end();
+  assert.equal((text.match(/_No tasks_/g) || []).length, 3);
+});
+
+test('the iCalendar export has only the dated tasks', () => {
+  const text = run('ics', { component: 'VEVENT' });
+  assert.ok(text.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+  assert.match(text, /X-WR-CALNAME:Launch #1\r\n/);
+  assert.equal((text.match(/BEGIN:VEVENT/g) || []).length, 1);
+  assert.match(text, /UID:t1@yourskanban/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeText, foldLine, formatDateTime, calendarStart, calendarEnd, taskComponent } = require('../lib/ical');
+
+const TASK = {
+  id: '6f1c2d3e-0000-4000-8000-000000000001',
+  title: 'Ship, then; celebrate',
+  description: 'Line one\nLine two',
+  priority: 'high',
+  due_date: '2026-05-01T09:30:00.000Z',
+  created_at: '2026-04-01T08:00:00.000Z',
+  updated_at: '2026-04-02T08:00:00.000Z',
+  version: 3,
+  column_is_done: false,
+  board_name: 'Launch',
+  labels: [{ name: 'Ops' }, { name: 'a,b' }],
+  subtasks: [{ title: 'Tag', is_completed: true }, { title: 'Announce', is_completed: false }]
+};
+
+// Unfold the content lines of a calendar into a list
+const lines = (text) => text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+test('escapeText escapes backslashes, separators and line breaks', () => {
+  assert.equal(escapeText('a\\b;c,d\r\ne\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+});
+
+test('foldLine keeps lines within 75 octets without splitting characters', () => {
+  const line = `SUMMARY:${'é'.repeat(60)}`;
+  const folded = foldLine(line).split('\r\n');
+  assert.ok(folded.length > 1);
+  folded.forEach((part, index) => {
+    assert.ok(Buffer.byteLength(part) <= 75);
+    assert.equal(part.startsWith(' '), index > 0);
+  });
+  assert.equal(folded.map((part, index) => (index > 0 ? part.slice(1) : part)).join(''), line);
+  assert.equal(foldLine('SHORT:line'), 'SHORT:line');
+});
+
+test('formatDateTime writes UTC date-times', () => {
+  assert.equal(formatDateTime('2026-05-01T11:30:15.123+02:00'), '20260501T093015Z');
+});
+
+test('calendarStart names the calendar and sets the refresh interval', () => {
+  assert.deepEqual(lines(calendarStart({ name: 'Board, one', refresh: 'PT1H' })), [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//YoursKanban//Tasks//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Board\\, one',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ]);
+  assert.equal(lines(calendarStart({ name: 'x' })).length, 6);
+  assert.equal(calendarEnd(), 'END:VCALENDAR\r\n');
+});
+
+test('a dated task becomes a VTODO', () => {
+  assert.deepEqual(lines(taskComponent(TASK)), [
+    'BEGIN:VTODO',
+    `UID:${TASK.id}@yourskanban`,
+    'DTSTAMP:20260402T080000Z',
+    'CREATED:20260401T080000Z',
+    'LAST-MODIFIED:20260402T080000Z',
+    'SEQUENCE:2',
+    'SUMMARY:Ship\\, then\\; celebrate',
+    'DESCRIPTION:Board: Launch\\nLine one\\nLine two\\n[x] Tag\\n[ ] Announce',
+    'DUE:20260501T093000Z',
+    'PRIORITY:1',
+    'STATUS:NEEDS-ACTION',
+    'CATEGORIES:Ops,a\\,b',
+    'END:VTODO'
+  ]);
+});
+
+test('finished tasks are completed to-dos, or ticked events', () => {
+  const done = { ...TASK, column_is_done: true };
+  assert.ok(lines(taskComponent(done)).includes('STATUS:COMPLETED'));
+
+  const event = lines(taskComponent(done, { component: 'VEVENT' }));
+  assert.equal(event[0], 'BEGIN:VEVENT');
+  assert.ok(event.includes('SUMMARY:✓ Ship\\, then\\; celebrate'));
+  assert.ok(event.includes('DTSTART:20260501T093000Z'));
+  assert.ok(!event.some(line => line.startsWith('STATUS:') || line.startsWith('DUE:')));
+});
+
+test('undated tasks are left out', () => {
+  assert.equal(taskComponent({ ...TASK, due_date: null }), '');
+});
+
+test('every line ends with CRLF and long lines are folded', () => {
+  const text = taskComponent({ ...TASK, description: 'word '.repeat(40) });
+  assert.ok(text.endsWith('\r\n'));
+  text.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75));
+});
@@ -0,0 +1,251 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsvRows, guessCsvMapping, parseImport } = require('../lib/importers');
+
+const importJson = (data, options) => parseImport(JSON.stringify(data), options);
+
+test('a legacy export (version 1.0) gets the three columns it was made on', () => {
+  // Shape of the export written before boards had columns: tasks with a
+  // status, camelCase due dates and checklist items with text/completed
+  const plan = importJson({
+    version: '1.0',
+    tasks: [
+      { id: '1700000000001', title: 'Write spec', status: 'todo', priority: 'high', createdAt: 1700000000001 },
+      { id: '1700000000002', title: 'Build it', status: 'progress', dueDate: '2026-01-15' },
+      { id: '1700000000003', title: 'Dragged', status: 'in-progress' },
+      {
+        id: '1700000000004',
+        title: 'Ship it',
+        status: 'done',
+        subtasks: [{ id: 1, text: 'Tag release', completed: true }]
+      }
+    ],
+    theme: 'dark',
+    exportedAt: '2026-01-01T00:00:00.000Z'
+  });
+
+  assert.equal(plan.format, 'yourskanban');
+  assert.deepEqual(plan.errors, []);
+  assert.deepEqual(plan.columns, [
+    { name: 'To Do', color: null, is_done: false },
+    { name: 'In Progress', color: null, is_done: false },
+    { name: 'Done', color: null, is_done: true }
+  ]);
+  assert.deepEqual(plan.tasks.map(task => task.column), ['To Do', 'In Progress', 'In Progress', 'Done']);
+  assert.equal(plan.tasks[0].priority, 'high');
+  assert.equal(plan.tasks[1].due_date, '2026-01-15T00:00:00.000Z');
+  assert.deepEqual(plan.tasks[3].subtasks, [{ title: 'Tag release', is_completed: true }]);
+});
+
+test('a current export keeps its columns, labels and task details', () => {
+  const plan = importJson({
+    version: '2.0',
+    board: { name: 'Roadmap' },
+    columns: [
+      { id: 'c2', name: 'Shipped', color: '#00ff00', position: 2, is_done: true },
+      { id: 'c1', name: 'Backlog', color: 'not a color', position: 1 }
+    ],
+    labels: [{ name: 'Bug', color: '#ff0000' }, { name: 'Idea', color: 'red' }],
+    tasks: [
+      {
+        title: 'Fix login',
+        description: 'Steps to reproduce',
+        column_id: 'c1',
+        priority: 'low',
+        due_date: 1767225600000,
+        pinned: true,
+        labels: [{ name: 'Bug' }, 'Urgent'],
+        subtasks: [{ title: 'Reproduce', is_completed: false }]
+      }
+    ]
+  });
+
+  assert.equal(plan.name, 'Roadmap');
+  assert.deepEqual(plan.columns, [
+    { name: 'Backlog', color: null, is_done: false },
+    { name: 'Shipped', color: '#00ff00', is_done: true }
+  ]);
+  assert.deepEqual(plan.labels, [
+    { name: 'Bug', color: '#ff0000' },
+    { name: 'Idea', color: '#64748b' },
+    { name: 'Urgent', color: '#64748b' }
+  ]);
+  assert.deepEqual(plan.tasks, [{
+    row: 1,
+    title: 'Fix login',
+    description: 'Steps to reproduce',
+    column: 'Backlog',
+    priority: 'low',
+    due_date: '2026-01-01T00:00:00.000Z',
+    pinned: true,
+    labels: ['Bug', 'Urgent'],
+    subtasks: [{ title: 'Reproduce', is_completed: false }]
+  }]);
+});
+
+test('invalid rows are reported and left out', () => {
+  const plan = importJson({
+    tasks: [
+      { title: '  ' },
+      { title: 'Bad priority', priority: 'urgent' },
+      { title: 'Bad date', due_date: 'someday' },
+      null,
+      { title: 'Fine' }
+    ]
+  });
+
+  assert.deepEqual(plan.tasks.map(task => task.title), ['Fine']);
+  assert.deepEqual(plan.errors, [
+    { row: 1, message: 'Title is required' },
+    { row: 2, message: 'Priority must be one of low, medium, high' },
+    { row: 3, message: '"someday" is not a valid due date' },
+    { row: 4, message: 'The entry is not a task' }
+  ]);
+  assert.deepEqual(plan.columns, []);
+});
+
+test('malformed entries in an export are reported instead of failing the import', () => {
+  const plan = importJson({
+    board: 'not an object',
+    columns: [null, { id: 'c1', name: 'To Do', position: 0 }, 'Doing', [{ id: 'c2' }]],
+    labels: [{ name: 'Bug', color: '#ff0000' }, null, 7],
+    tasks: [
+      { title: 'String labels', column_id: 'c1', labels: 'Bug' },
+      { title: 'Object labels', labels: { name: 'Bug' } },
+      { title: 'Bad label entries', labels: [null, 5, { name: 'Bug' }, { color: '#000' }, 'Bug'] },
+      { title: 'String subtasks', subtasks: 'Write tests' },
+      { title: 'Null subtask', subtasks: [{ title: 'Fine' }, null] },
+      'Just a string',
+      ['A list'],
+      { title: 'Good', column_id: 'c1', subtasks: [{ text: 'Legacy item', completed: true }] }
+    ]
+  });
+
+  assert.equal(plan.name, null);
+  assert.deepEqual(plan.columns, [{ name: 'To Do', color: null, is_done: false }]);
+  assert.deepEqual(plan.labels, [{ name: 'Bug', color: '#ff0000' }]);
+  assert.deepEqual(plan.tasks.map(task => [task.title, task.labels, task.subtasks]), [
+    ['Bad label entries', ['Bug'], []],
+    ['Good', [], [{ title: 'Legacy item', is_completed: true }]]
+  ]);
+  assert.deepEqual(plan.errors, [
+    { row: null, message: 'Column 1 is not an object and was skipped' },
+    { row: null, message: 'Column 3 is not an object and was skipped' },
+    { row: null, message: 'Column 4 is not an object and was skipped' },
+    { row: null, message: 'Label 2 is not an object and was skipped' },
+    { row: null, message: 'Label 3 is not an object and was skipped' },
+    { row: 1, message: 'Labels must be a list' },
+    { row: 2, message: 'Labels must be a list' },
+    { row: 4, message: 'Subtasks must be a list' },
+    { row: 5, message: 'Subtasks must be objects with a title' },
+    { row: 6, message: 'The entry is not a task' },
+    { row: 7, message: 'The entry is not a task' }
+  ]);
+});
+
+test('malformed Trello lists are skipped', () => {
+  const plan = importJson({
+    name: 'Trello board',
+    lists: [null, { id: 'l1', name: 'To Do', pos: 1 }],
+    labels: 'none',
+    cards: [null, { id: 'k1', name: 'Card', idList: 'l1', idLabels: 'l1' }, 3],
+    checklists: [{ idCard: 'k1', checkItems: [null, { name: 'Item', state: 'complete', pos: 1 }] }, null]
+  }, { format: 'trello' });
+
+  assert.deepEqual(plan.errors, []);
+  assert.deepEqual(plan.labels, []);
+  assert.deepEqual(plan.tasks.map(task => [task.title, task.column, task.labels, task.subtasks]), [
+    ['Card', 'To Do', [], [{ title: 'Item', is_completed: true }]]
+  ]);
+});
+
+test('Trello exports skip archived lists and cards and keep checklist order', () => {
+  const plan = importJson({
+    name: 'Trello board',
+    lists: [
+      { id: 'l2', name: 'Done', pos: 2 },
+      { id: 'l1', name: 'Doing', pos: 1 },
+      { id: 'l3', name: 'Old', pos: 3, closed: true }
+    ],
+    labels: [{ id: 'g', name: '', color: 'green' }, { id: 'r', name: 'Blocked', color: 'red_dark' }],
+    cards: [
+      { id: 'a', name: 'Second', idList: 'l1', pos: 2, idLabels: ['r'] },
+      { id: 'b', name: 'First', idList: 'l1', pos: 1, due: '2026-02-01T09:00:00.000Z', idLabels: ['g'] },
+      { id: 'c', name: 'Finished', idList: 'l2', pos: 1 },
+      { id: 'd', name: 'Archived', idList: 'l1', pos: 3, closed: true },
+      { id: 'e', name: 'In an archived list', idList: 'l3', pos: 1 }
+    ],
+    checklists: [{
+      idCard: 'b',
+      checkItems: [{ name: 'two', pos: 2, state: 'incomplete' }, { name: 'one', pos: 1, state: 'complete' }]
+    }]
+  });
+
+  assert.equal(plan.format, 'trello');
+  assert.deepEqual(plan.columns, [
+    { name: 'Doing', color: null, is_done: false },
+    { name: 'Done', color: null, is_done: true }
+  ]);
+  assert.deepEqual(plan.labels, [{ name: 'Green', color: '#61bd4f' }, { name: 'Blocked', color: '#eb5a46' }]);
+  assert.deepEqual(plan.tasks.map(task => [task.title, task.column]), [
+    ['First', 'Doing'],
+    ['Second', 'Doing'],
+    ['Finished', 'Done']
+  ]);
+  assert.deepEqual(plan.tasks[0].labels, ['Green']);
+  assert.deepEqual(plan.tasks[0].subtasks, [
+    { title: 'one', is_completed: true },
+    { title: 'two', is_completed: false }
+  ]);
+});
+
+test('parseCsvRows handles quotes, doubled quotes and line breaks in fields', () => {
+  assert.deepEqual(parseCsvRows('a,b\r\n"x, y","say ""hi""\nthere"\nlast,'), [
+    ['a', 'b'],
+    ['x, y', 'say "hi"\nthere'],
+    ['last', '']
+  ]);
+});
+
+test('guessCsvMapping recognizes common header names', () => {
+  assert.deepEqual(guessCsvMapping(['Card Name', 'Notes', 'Status', 'Deadline', 'Tags', 'Other']), {
+    title: 'Card Name',
+    description: 'Notes',
+    column: 'Status',
+    due_date: 'Deadline',
+    labels: 'Tags'
+  });
+});
+
+test('CSV files become one task per row', () => {
+  const plan = parseImport('\uFEFFTitle,Status,Priority,Labels,Checklist\nOne,Done,High,"a, b",x;y\n,,,,\nTwo,,,,\n');
+
+  assert.equal(plan.format, 'csv');
+  assert.deepEqual(plan.headers, ['Title', 'Status', 'Priority', 'Labels', 'Checklist']);
+  assert.deepEqual(plan.columns, [{ name: 'Done', color: null, is_done: true }]);
+  assert.deepEqual(plan.tasks.map(task => [task.row, task.title, task.column, task.priority]), [
+    [2, 'One', 'Done', 'high'],
+    [4, 'Two', null, 'medium']
+  ]);
+  assert.deepEqual(plan.tasks[0].labels, ['a', 'b']);
+  assert.deepEqual(plan.tasks[0].subtasks, [{ title: 'x', is_completed: false }, { title: 'y', is_completed: false }]);
+});
+
+test('a CSV mapping without a title column asks for one', () => {
+  const plan = parseImport('Name,Notes\nOne,x\n', { mapping: { description: 'Notes' } });
+  assert.deepEqual(plan.tasks, []);
+  assert.deepEqual(plan.errors, [{ row: 1, message: 'Choose the CSV column that holds the task titles' }]);
+});
+
+test('unreadable files are rejected with a 400', () => {
+  const cases = [
+    [() => parseImport('{"tasks": 1}', { format: 'yourskanban' }), /no tasks list/],
+    [() => parseImport('not json', { format: 'trello' }), /not valid JSON/],
+    [() => parseImport('a,b', { format: 'xml' }), /Format must be one of/],
+    [() => parseImport('a,b\n1,2', { mapping: { colour: 'a' } }), /Unknown task field "colour"/],
+    [() => parseImport('a,b\n1,2', { mapping: { title: 'c' } }), /no "c" column/]
+  ];
+  cases.forEach(([run, message]) => {
+    assert.throws(run, error => error.statusCode === 400 && message.test(error.message));
+  });
+});
@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { buildMessage, parseAddress } = require('../lib/mailer/message');
+const createSmtpMailer = require('../lib/mailer/smtp');
+
+// Decode the RFC 2047 encoded words in a header value
+const decodeHeader = (value) => value
+  .replace(/\?=\s+=\?/g, '?==?')
+  .replace(/=\?UTF-8\?B\?([^?]*)\?=/g, (match, text) => Buffer.from(text, 'base64').toString('utf8'));
+
+// Split a raw message into its headers (by lowercase name) and body
+const parseMessage = (raw) => {
+  const end = raw.indexOf('\r\n\r\n');
+  const headers = {};
+  raw.slice(0, end).split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+  });
+  return { headers, body: raw.slice(end + 4) };
+};
+
+const decodeBody = (body) => Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+
+/**
+ * A local SMTP server that accepts everything, except the commands given
+ * a reply in failures, e.g. { RCPT: '550 No such user' }
+ * @param {Object} [options] - { failures, extensions }
+ * @returns {Promise<Object>} - { port, sessions, close } where each session
+ *   records the commands it got and the message it received
+ */
+const startFakeSmtp = ({ failures = {}, extensions = [] } = {}) => {
+  const sessions = [];
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    const session = { commands: [], lines: null, message: null };
+    sessions.push(session);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = '';
+    const reply = (line) => socket.write(`${line}\r\n`);
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (session.lines) {
+          if (line === '.') {
+            session.message = session.lines.join('\r\n');
+            session.lines = null;
+            reply(failures.MESSAGE || '250 Queued');
+          } else {
+            session.lines.push(line.startsWith('.') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        const command = line.split(' ')[0].toUpperCase();
+        if (failures[command]) {
+          reply(failures[command]);
+        } else if (command === 'EHLO') {
+          [...extensions, '8BITMIME'].forEach((extension, i, all) => reply(`250${i < all.length - 1 ? '-' : ' '}${extension}`));
+        } else if (command === 'DATA') {
+          session.lines = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+    reply('220 localhost ESMTP test');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      sessions,
+      close: () => new Promise(done => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      })
+    }));
+  });
+};
+
+// Run a test against a fresh fake server, closing it afterwards
+const withFakeSmtp = (options, run) => async () => {
+  const smtp = await startFakeSmtp(options);
+  try {
+    await run(smtp, createSmtpMailer({ host: '127.0.0.1', port: smtp.port, secure: false, user: '', pass: '' }));
+  } finally {
+    await smtp.close();
+  }
+};
+
+test('parseAddress reads display names and bare addresses', () => {
+  assert.deepEqual(parseAddress('"Ann Lee" <ann@example.com>'), { name: 'Ann Lee', address: 'ann@example.com' });
+  assert.deepEqual(parseAddress('ann@example.com'), { name: '', address: 'ann@example.com' });
+  assert.deepEqual(parseAddress({ name: 'Ann\r\nBcc: x@example.com', address: 'ann@example.com' }), {
+    name: 'Ann Bcc: x@example.com',
+    address: 'ann@example.com'
+  });
+});
+
+test('buildMessage encodes non-ASCII subjects and display names', () => {
+  const subject = 'Überfällig: Steuererklärung abgeben — 締め切りは明日です';
+  const { raw, envelope } = buildMessage({
+    from: 'Zoë Ångström <zoe@example.com>',
+    to: ['"Lee, Ann" <ann@example.com>', 'bob@example.com'],
+    subject,
+    text: 'Hi'
+  });
+  const { headers } = parseMessage(raw);
+
+  assert.deepEqual(envelope, { from: 'zoe@example.com', to: ['ann@example.com', 'bob@example.com'] });
+  assert.match(headers.subject, /^[\x20-\x7e]+$/);
+  assert.equal(decodeHeader(headers.subject), subject);
+  headers.subject.split(' ').forEach(word => assert.ok(word.length <= 75, `${word} is longer than 75 characters`));
+  assert.equal(decodeHeader(headers.from), 'Zoë Ångström <zoe@example.com>');
+  assert.equal(headers.to, '"Lee, Ann" <ann@example.com>, <bob@example.com>');
+});
+
+test('buildMessage keeps headers on one line', () => {
+  const { raw } = buildMessage({ to: 'ann@example.com', subject: 'Hello\r\nBcc: eve@example.com', text: 'Hi' });
+  const { headers } = parseMessage(raw);
+  assert.equal(headers.subject, 'Hello Bcc: eve@example.com');
+  assert.equal(headers.bcc, undefined);
+});
+
+test('buildMessage sends the text and HTML bodies as base64 parts', () => {
+  const text = 'Ünïcödé line\n.starts with a dot\n' + 'x'.repeat(200);
+  const html = '<p>Ünïcödé</p>';
+  const { raw } = buildMessage({ to: 'ann@example.com', subject: 'Hi', text, html });
+  const { headers, body } = parseMessage(raw);
+  const boundary = headers['content-type'].match(/boundary="([^"]+)"/)[1];
+  const parts = body.split(`--${boundary}`).slice(1, -1).map(part => parseMessage(part.replace(/^\r\n/, '')));
+
+  assert.equal(parts.length, 2);
+  assert.equal(parts[0].headers['content-type'], 'text/plain; charset=utf-8');
+  assert.equal(decodeBody(parts[0].body), text);
+  assert.equal(parts[1].headers['content-type'], 'text/html; charset=utf-8');
+  assert.equal(decodeBody(parts[1].body), html);
+  body.split('\r\n').forEach(line => assert.ok(line.length <= 76));
+});
+
+test('buildMessage needs a recipient', () => {
+  assert.throws(() => buildMessage({ to: [], subject: 'Hi', text: 'Hi' }), /at least one recipient/);
+});
+
+test('the SMTP driver delivers a message over a plain connection', withFakeSmtp({}, async (smtp, mailer) => {
+  await mailer.send({
+    from: 'Zoë <zoe@example.com>',
+    to: ['ann@example.com', 'bob@example.com'],
+    subject: 'Fällig heute',
+    text: '.\n..\nsecond line'
+  });
+
+  const [session] = smtp.sessions;
+  // QUIT goes out after send() has resolved
+  assert.deepEqual(session.commands.slice(1, 5), [
+    'MAIL FROM:<zoe@example.com>',
+    'RCPT TO:<ann@example.com>',
+    'RCPT TO:<bob@example.com>',
+    'DATA'
+  ]);
+  assert.match(session.commands[0], /^EHLO /);
+  const { headers, body } = parseMessage(session.message);
+  assert.equal(decodeHeader(headers.subject), 'Fällig heute');
+  assert.equal(decodeBody(body), '.\n..\nsecond line');
+}));
+
+test('the SMTP driver fails when the server rejects a recipient', withFakeSmtp({ failures: { RCPT: '550 5.1.1 No such user' } }, async (smtp, mailer) => {
+  await assert.rejects(
+    mailer.send({ from: 'zoe@example.com', to: 'nobody@example.com', subject: 'Hi', text: 'Hi' }),
+    { command: 'RCPT TO', responseCode: 550, message: /550 5\.1\.1 No such user/ }
+  );
+  assert.ok(!smtp.sessions[0].commands.includes('DATA'));
+}));
+
+test('the SMTP driver fails when the server refuses the message', withFakeSmtp({ failures: { MESSAGE: '554 5.7.1 Message rejected as spam' } }, async (smtp, mailer) => {
+  await assert.rejects(
+    mailer.send({ from: 'zoe@example.com', to: 'ann@example.com', subject: 'Hi', text: 'Hi' }),
+    { command: 'DATA', responseCode: 554, message: /554 5\.7\.1 Message rejected as spam/ }
+  );
+}));
+
+test('the SMTP driver fails on a server that is not ready', withFakeSmtp({ failures: { EHLO: '421 4.3.2 Service not available' } }, async (smtp, mailer) => {
+  await assert.rejects(
+    mailer.send({ from: 'zoe@example.com', to: 'ann@example.com', subject: 'Hi', text: 'Hi' }),
+    { command: 'EHLO', responseCode: 421 }
+  );
+}));
+
+test('the SMTP driver never sends credentials without TLS', async () => {
+  const smtp = await startFakeSmtp({
+    extensions: ['AUTH PLAIN LOGIN'],
+    failures: { STARTTLS: '502 5.5.1 Unrecognized command' }
+  });
+  try {
+    const mailer = createSmtpMailer({ host: '127.0.0.1', port: smtp.port, secure: false, user: 'ann', pass: 'secret' });
+    await assert.rejects(
+      mailer.send({ from: 'zoe@example.com', to: 'ann@example.com', subject: 'Hi', text: 'Hi' }),
+      { code: 'ETLS', command: 'STARTTLS' }
+    );
+    assert.ok(smtp.sessions[0].commands.every(command => !/^AUTH/.test(command)));
+  } finally {
+    await smtp.close();
+  }
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBeforeCursor, encodeCreatedAtCursor, parseCreatedAtCursor } = require('../lib/pagination');
+
+test('parseBeforeCursor starts at the first page without a cursor', () => {
+  assert.equal(parseBeforeCursor(undefined), null);
+  assert.equal(parseBeforeCursor(''), null);
+});
+
+test('parseBeforeCursor normalizes timestamps to ISO', () => {
+  assert.equal(parseBeforeCursor('2026-03-01T10:00:00.123Z'), '2026-03-01T10:00:00.123Z');
+  assert.equal(parseBeforeCursor('2026-03-01T12:00:00+02:00'), '2026-03-01T10:00:00.000Z');
+});
+
+test('parseBeforeCursor rejects anything that is not a date with a 400', () => {
+  for (const value of ['garbage', ['2026-03-01', '2026-03-02'], { $gt: '' }]) {
+    assert.throws(() => parseBeforeCursor(value), error => {
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.code, 'VALIDATION_ERROR');
+      assert.equal(error.message, 'before must be a date');
+      return true;
+    });
+  }
+});
+
+test('createdAt cursors round-trip the microsecond key and the ID', () => {
+  const id = '6f1c2d3e-4a5b-4c6d-8e7f-901234567890';
+  const cursor = encodeCreatedAtCursor('2026-03-01T10:00:00.123456Z', id);
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(parseCreatedAtCursor(cursor), { createdAt: '2026-03-01T10:00:00.123456Z', id });
+  assert.equal(parseCreatedAtCursor(undefined), null);
+  assert.equal(parseCreatedAtCursor(''), null);
+});
+
+test('parseCreatedAtCursor rejects cursors it did not make with a 400', () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const values = [
+    'garbage',
+    ['a', 'b'],
+    encode(['2026-03-01T10:00:00.123Z', '6f1c2d3e-4a5b-4c6d-8e7f-901234567890']),
+    encode(['2026-03-01T10:00:00.123456Z', 'not-a-uuid']),
+    encode(['2026-13-45T10:00:00.123456Z', '6f1c2d3e-4a5b-4c6d-8e7f-901234567890']),
+    encode({ createdAt: '2026-03-01T10:00:00.123456Z' })
+  ];
+  for (const value of values) {
+    assert.throws(() => parseCreatedAtCursor(value), error => {
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.code, 'VALIDATION_ERROR');
+      assert.equal(error.message, 'cursor is invalid');
+      return true;
+    });
+  }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { POSITION_GAP, rankBetween, rebalanceColumn } = require('../lib/ranking');
+
+test('rankBetween puts the first item at 0', () => {
+  assert.equal(rankBetween(null, null), 0);
+});
+
+test('rankBetween leaves a full gap at either end', () => {
+  assert.equal(rankBetween(null, 0), -POSITION_GAP);
+  assert.equal(rankBetween(2048, null), 2048 + POSITION_GAP);
+});
+
+test('rankBetween splits the gap between two neighbours', () => {
+  assert.equal(rankBetween(1024, 2048), 1536);
+  assert.equal(rankBetween(-1, 1), 0);
+});
+
+test('rankBetween keeps finding room until the gap is too small', () => {
+  let next = 1;
+  let splits = 0;
+  for (;;) {
+    const position = rankBetween(0, next);
+    if (position === null) {
+      break;
+    }
+    assert.ok(position > 0 && position < next);
+    next = position;
+    splits += 1;
+  }
+  assert.ok(splits >= 19, `only ${splits} splits fit between 0 and 1`);
+  assert.equal(rankBetween(0, 1e-7), null);
+});
+
+test('rebalanceColumn spreads the column out and returns the new positions', async () => {
+  const calls = [];
+  const db = {
+    query: async (sql, values) => {
+      calls.push({ sql, values });
+      return { rows: [{ id: 'a', position: 1024 }, { id: 'b', position: 2048 }] };
+    }
+  };
+
+  const positions = await rebalanceColumn(db, 'column-1');
+
+  assert.deepEqual([...positions], [['a', 1024], ['b', 2048]]);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].values, ['column-1', POSITION_GAP]);
+  assert.match(calls[0].sql, /deleted_at IS NULL/);
+});
@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRule, formatRule, normalizeRule, nextOccurrence, spawnNextInstance } = require('../lib/recurrence');
+
+// Next occurrence of a rule as an ISO string, or null
+const next = (rule, start, options = {}) => {
+  const occurrence = nextOccurrence(parseRule(rule), new Date(start), {
+    ...options,
+    ...(options.after && { after: new Date(options.after) })
+  });
+  return occurrence && occurrence.toISOString();
+};
+
+// Follow a rule from start for a number of occurrences
+const series = (rule, start, length, options) => {
+  const dates = [];
+  let current = start;
+  for (let i = 0; i < length; i++) {
+    current = next(rule, current, options);
+    dates.push(current);
+  }
+  return dates;
+};
+
+const assertInvalid = (rule, message) => {
+  assert.throws(() => parseRule(rule), error => {
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, message);
+    return true;
+  });
+};
+
+test('parseRule reads the supported RRULE subset', () => {
+  assert.deepEqual(parseRule('RRULE:freq=weekly;interval=2;byday=FR,MO,MO;count=5'), {
+    freq: 'WEEKLY',
+    interval: 2,
+    byDay: ['MO', 'FR'],
+    byMonthDay: null,
+    count: 5,
+    until: null
+  });
+  assert.equal(parseRule('FREQ=DAILY;UNTIL=20261231').until.toISOString(), '2026-12-31T23:59:59.000Z');
+  assert.equal(parseRule('FREQ=MONTHLY;BYMONTHDAY=-1').byMonthDay, -1);
+});
+
+test('parseRule rejects rules outside the subset', () => {
+  assertInvalid('', /it is empty/);
+  assertInvalid('FREQ=HOURLY', /FREQ must be one of/);
+  assertInvalid('FREQ=DAILY;BYHOUR=9', /BYHOUR is not supported/);
+  assertInvalid('FREQ=DAILY;FREQ=WEEKLY', /FREQ is given twice/);
+  assertInvalid('FREQ=DAILY;INTERVAL=0', /INTERVAL must be a whole number/);
+  assertInvalid('FREQ=DAILY;COUNT=2;UNTIL=20261231', /COUNT and UNTIL/);
+  assertInvalid('FREQ=DAILY;BYDAY=MO', /BYDAY is only supported with FREQ=WEEKLY/);
+  assertInvalid('FREQ=WEEKLY;BYDAY=XX', /BYDAY must be a list/);
+  assertInvalid('FREQ=MONTHLY;BYMONTHDAY=32', /BYMONTHDAY must be a single day/);
+  assertInvalid('FREQ=DAILY;UNTIL=20260230', /UNTIL is not a valid date/);
+});
+
+test('normalizeRule writes rules in canonical form', () => {
+  assert.equal(normalizeRule('rrule:byday=we,mo;freq=weekly;interval=1'), 'FREQ=WEEKLY;BYDAY=MO,WE');
+  assert.equal(normalizeRule('FREQ=DAILY;UNTIL=20261231T120000Z'), 'FREQ=DAILY;UNTIL=20261231T120000Z');
+  assert.equal(normalizeRule(''), null);
+  assert.equal(normalizeRule(null), null);
+  assert.equal(formatRule(parseRule('FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=15;COUNT=4')), 'FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=15;COUNT=4');
+});
+
+test('daily, weekly and yearly rules step by their interval', () => {
+  assert.deepEqual(series('FREQ=DAILY;INTERVAL=3', '2026-01-30T09:00:00Z', 2), ['2026-02-02T09:00:00.000Z', '2026-02-05T09:00:00.000Z']);
+  assert.equal(next('FREQ=WEEKLY', '2026-01-05T09:00:00Z'), '2026-01-12T09:00:00.000Z');
+  assert.equal(next('FREQ=YEARLY', '2026-03-01T09:00:00Z'), '2027-03-01T09:00:00.000Z');
+});
+
+test('weekly BYDAY rules visit each day, every INTERVAL-th week', () => {
+  // 2026-01-07 is a Wednesday
+  assert.deepEqual(series('FREQ=WEEKLY;BYDAY=MO,WE,FR', '2026-01-07T09:00:00Z', 4), [
+    '2026-01-09T09:00:00.000Z',
+    '2026-01-12T09:00:00.000Z',
+    '2026-01-14T09:00:00.000Z',
+    '2026-01-16T09:00:00.000Z'
+  ]);
+  assert.deepEqual(series('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2026-01-07T09:00:00Z', 3), [
+    '2026-01-08T09:00:00.000Z',
+    '2026-01-19T09:00:00.000Z',
+    '2026-01-22T09:00:00.000Z'
+  ]);
+});
+
+test('a monthly BYMONTHDAY later in the start month comes up first', () => {
+  assert.equal(next('FREQ=MONTHLY;BYMONTHDAY=20', '2026-01-05T09:00:00Z'), '2026-01-20T09:00:00.000Z');
+  assert.equal(next('FREQ=MONTHLY;BYMONTHDAY=20', '2026-01-20T09:00:00Z'), '2026-02-20T09:00:00.000Z');
+  assert.equal(next('FREQ=MONTHLY;BYMONTHDAY=20', '2026-01-25T09:00:00Z'), '2026-02-20T09:00:00.000Z');
+  assert.equal(next('FREQ=MONTHLY;BYMONTHDAY=-1', '2026-02-05T09:00:00Z'), '2026-02-28T09:00:00.000Z');
+  assert.equal(next('FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=20', '2026-01-25T09:00:00Z'), '2026-03-20T09:00:00.000Z');
+});
+
+test('the start month occurrence is skipped when it is not after "after"', () => {
+  assert.equal(
+    next('FREQ=MONTHLY;BYMONTHDAY=20', '2026-01-05T09:00:00Z', { after: '2026-01-21T00:00:00Z' }),
+    '2026-02-20T09:00:00.000Z'
+  );
+});
+
+test('monthly dates are clamped to short months without drifting', () => {
+  assert.deepEqual(series('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-31T09:00:00Z', 3), [
+    '2026-02-28T09:00:00.000Z',
+    '2026-03-31T09:00:00.000Z',
+    '2026-04-30T09:00:00.000Z'
+  ]);
+  assert.equal(next('FREQ=MONTHLY', '2026-01-31T09:00:00Z'), '2026-02-28T09:00:00.000Z');
+});
+
+test('occurrences keep their wall-clock time across daylight saving changes', () => {
+  const options = { timeZone: 'America/New_York' };
+  // 09:00 EST, then 09:00 EDT after the clocks go forward on March 8th
+  assert.deepEqual(series('FREQ=DAILY', '2026-03-07T14:00:00Z', 2, options), [
+    '2026-03-08T13:00:00.000Z',
+    '2026-03-09T13:00:00.000Z'
+  ]);
+  assert.equal(next('FREQ=WEEKLY;BYDAY=SU', '2026-10-25T13:00:00Z', options), '2026-11-01T14:00:00.000Z');
+  assert.equal(next('FREQ=MONTHLY;BYMONTHDAY=15', '2026-02-15T14:00:00Z', options), '2026-03-15T13:00:00.000Z');
+  // In UTC nothing moves
+  assert.equal(next('FREQ=DAILY', '2026-03-07T14:00:00Z'), '2026-03-08T14:00:00.000Z');
+});
+
+test('rules end with COUNT and UNTIL', () => {
+  assert.equal(next('FREQ=DAILY;COUNT=1', '2026-01-01T09:00:00Z'), null);
+  assert.equal(next('FREQ=DAILY;COUNT=2', '2026-01-01T09:00:00Z'), '2026-01-02T09:00:00.000Z');
+  assert.equal(next('FREQ=DAILY;UNTIL=20260102', '2026-01-01T09:00:00Z'), '2026-01-02T09:00:00.000Z');
+  assert.equal(next('FREQ=DAILY;UNTIL=20260102', '2026-01-02T09:00:00Z'), null);
+});
+
+test('an overdue task skips the occurrences that have already passed', () => {
+  assert.equal(
+    next('FREQ=WEEKLY', '2026-01-05T09:00:00Z', { after: '2026-01-20T00:00:00Z' }),
+    '2026-01-26T09:00:00.000Z'
+  );
+});
+
+// A pg client stand-in that records queries and answers the ones spawnNextInstance reads
+const fakeDb = () => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, values) => {
+      queries.push({ sql, values });
+      if (/^SELECT id FROM board_columns/.test(sql.trim())) return { rows: [{ id: 'todo-column' }] };
+      if (/MAX\(position\)/.test(sql)) return { rows: [{ last_position: 1024 }] };
+      if (/^INSERT INTO tasks/.test(sql.trim())) {
+        const [userId, boardId, columnId, title, , , dueDate, , , rule] = values;
+        return { rows: [{ id: 'new-task', user_id: userId, board_id: boardId, column_id: columnId, title, due_date: dueDate, recurrence_rule: rule }] };
+      }
+      return { rows: [] };
+    }
+  };
+};
+
+const TASK = {
+  id: 'task-1',
+  user_id: 'user-1',
+  board_id: 'board-1',
+  title: 'Pay rent',
+  description: null,
+  priority: 'high',
+  pinned: false,
+  recurrence_timezone: 'UTC',
+  recurred_at: null,
+  deleted_at: null
+};
+
+const insertedRule = (db) => db.queries.find(({ sql }) => /^INSERT INTO tasks/.test(sql.trim())).values[9];
+
+test('spawning from a monthly rule pins the day of the month it started on', async () => {
+  const db = fakeDb();
+  const created = await spawnNextInstance(db, {
+    ...TASK,
+    due_date: new Date('2099-01-31T09:00:00Z'),
+    recurrence_rule: 'FREQ=MONTHLY;COUNT=5'
+  }, 'user-1');
+
+  assert.equal(new Date(created.due_date).toISOString(), '2099-02-28T09:00:00.000Z');
+  assert.equal(insertedRule(db), 'FREQ=MONTHLY;BYMONTHDAY=31;COUNT=4');
+  assert.equal(new Date(nextOccurrence(parseRule(insertedRule(db)), new Date(created.due_date))).toISOString(), '2099-03-31T09:00:00.000Z');
+});
+
+test('spawning uses the day in the rule time zone', async () => {
+  const db = fakeDb();
+  // 23:30 on the 31st in New York is already the 1st in UTC
+  await spawnNextInstance(db, {
+    ...TASK,
+    due_date: new Date('2099-02-01T04:30:00Z'),
+    recurrence_rule: 'FREQ=MONTHLY',
+    recurrence_timezone: 'America/New_York'
+  }, 'user-1');
+  assert.equal(insertedRule(db), 'FREQ=MONTHLY;BYMONTHDAY=31');
+});
+
+test('spawning keeps other rules as they are, counting COUNT down', async () => {
+  const db = fakeDb();
+  await spawnNextInstance(db, {
+    ...TASK,
+    due_date: new Date('2099-01-07T09:00:00Z'),
+    recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3'
+  }, null);
+  assert.equal(insertedRule(db), 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=2');
+  assert.match(db.queries[0].sql, /^UPDATE tasks SET recurred_at = NOW\(\)/);
+});
+
+test('tasks that already recurred or ran out of occurrences spawn nothing', async () => {
+  const recurred = fakeDb();
+  assert.equal(await spawnNextInstance(recurred, { ...TASK, recurrence_rule: 'FREQ=DAILY', recurred_at: new Date() }, null), null);
+  assert.equal(recurred.queries.length, 0);
+
+  const finished = fakeDb();
+  assert.equal(await spawnNextInstance(finished, {
+    ...TASK,
+    due_date: new Date('2099-01-01T09:00:00Z'),
+    recurrence_rule: 'FREQ=DAILY;COUNT=1'
+  }, null), null);
+  assert.equal(finished.queries.length, 1, 'only marked as recurred');
+});
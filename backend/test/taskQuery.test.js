@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTaskQuery, paginate } = require('../lib/taskQuery');
+
+// Collapse whitespace so the SQL can be compared without its indentation
+const sql = (text) => text.replace(/\s+/g, ' ').trim();
+
+const build = (query, values = ['board-id']) => {
+  const taskQuery = buildTaskQuery(query, values);
+  return { ...taskQuery, conditions: taskQuery.conditions.map(sql), values };
+};
+
+const assertInvalid = (query, message) => {
+  assert.throws(() => buildTaskQuery(query, []), error => {
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.code, 'VALIDATION_ERROR');
+    assert.match(error.message, message);
+    return true;
+  });
+};
+
+test('without parameters the whole board is returned in position order', () => {
+  const { conditions, orderBy, sortKey, limit, sort } = build({});
+  assert.deepEqual(conditions, []);
+  assert.equal(orderBy, 't.position ASC, t.id ASC');
+  assert.equal(sortKey, '(t.position)::text');
+  assert.equal(limit, null);
+  assert.equal(sort, 'position');
+});
+
+test('free text uses the full-text indexes, then checks the text in one field', () => {
+  const { conditions, values } = build({ q: 'Login' });
+  assert.deepEqual(conditions, [
+    "( (to_tsvector('simple', t.title || ' ' || COALESCE(t.description, '')) @@ to_tsquery('simple', $2) "
+      + 'AND (t.title ILIKE $3 OR t.description ILIKE $3)) '
+      + 'OR EXISTS ( SELECT 1 FROM subtasks s '
+      + "WHERE s.task_id = t.id AND to_tsvector('simple', s.title) @@ to_tsquery('simple', $2) AND s.title ILIKE $3 ) )"
+  ]);
+  assert.deepEqual(values, ['board-id', 'login:*', '%Login%']);
+});
+
+test('every word of a phrase must start a word in the task', () => {
+  const { values } = build({ q: '"Fix the log-in page!"' });
+  assert.deepEqual(values.slice(1), ['fix:* & the:* & log:* & in:* & page:*', '%Fix the log-in page!%']);
+});
+
+test('search words never carry tsquery syntax', () => {
+  const { values } = build({ q: '"a&b | !c:* <-> (d)\'"' });
+  assert.equal(values[1], 'a:* & b:* & c:* & d:*');
+});
+
+test('LIKE wildcards in the search text are matched literally', () => {
+  const { values } = build({ q: '"100% a_b\\c"' });
+  assert.equal(values[2], '%100\\% a\\_b\\\\c%');
+});
+
+test('excluded search terms keep tasks where the condition is NULL', () => {
+  const { conditions } = build({ q: '-due:today -login' });
+  assert.equal(conditions.length, 2);
+  assert.match(conditions[0], /^\(\(t\.due_date >= \$2 AND t\.due_date < \$3\)\) IS NOT TRUE$/);
+  assert.match(conditions[1], /^\(\( \(to_tsvector\('simple', .* @@ to_tsquery\('simple', \$4\) AND \(t\.title ILIKE \$5 .*\)\) IS NOT TRUE$/);
+});
+
+test('search filters become conditions on the task', () => {
+  const { conditions, values } = build({ q: 'priority:high status:done label:bug is:pinned is:done has:comments' }, []);
+  assert.equal(conditions[0], 't.priority = ANY($1::text[])');
+  assert.match(conditions[1], /^t\.column_id IN \( SELECT c\.id FROM board_columns c .*ANY\(\$2::text\[\]\)/);
+  assert.match(conditions[2], /^EXISTS \( SELECT 1 FROM task_labels tl JOIN labels l .*ANY\(\$3::text\[\]\)/);
+  assert.equal(conditions[3], 't.pinned = TRUE');
+  assert.equal(conditions[4], 'EXISTS (SELECT 1 FROM board_columns c WHERE c.id = t.column_id AND c.is_done)');
+  assert.equal(conditions[5], 'EXISTS (SELECT 1 FROM comments c WHERE c.task_id = t.id AND c.deleted_at IS NULL)');
+  assert.deepEqual(values, [['high'], ['done'], ['bug']]);
+});
+
+test('search days are resolved in the tz parameter, UTC by default', () => {
+  const midnight = (tz) => build({ q: 'is:overdue', ...(tz && { tz }) }, []).values[0];
+  assert.match(midnight(), /T00:00:00\.000Z$/);
+  assert.match(midnight('Asia/Tokyo'), /T15:00:00\.000Z$/);
+  assert.match(midnight('Asia/Kolkata'), /T18:30:00\.000Z$/);
+
+  const { conditions } = build({ q: 'is:overdue' }, []);
+  assert.equal(conditions[0], '(t.due_date < $1 AND NOT EXISTS (SELECT 1 FROM board_columns c WHERE c.id = t.column_id AND c.is_done))');
+});
+
+test('invalid searches and time zones are rejected', () => {
+  assertInvalid({ q: 'priority:urgent' }, /^Invalid search: Unknown priority "urgent"/);
+  assertInvalid({ q: 'bug', tz: 'Mars/Olympus' }, /Unknown time zone "Mars\/Olympus"/);
+});
+
+test('list parameters match any of their values', () => {
+  const { conditions, values } = build({ priority: 'High, low', assignee: 'A@example.com', pinned: 'false' }, []);
+  assert.deepEqual(conditions.slice(0, 1), ['t.priority = ANY($1::text[])']);
+  assert.match(conditions[1], /LOWER\(u\.email\) = ANY\(\$2::text\[\]\)/);
+  assert.equal(conditions[2], 't.pinned IS NOT TRUE');
+  assert.deepEqual(values, [['high', 'low'], ['a@example.com']]);
+});
+
+test('due_before and due_after are bound as ISO dates', () => {
+  const { conditions, values } = build({ due_before: '2026-05-01', due_after: '2026-04-01T12:00:00+02:00' }, []);
+  assert.deepEqual(conditions, ['t.due_date < $1', 't.due_date > $2']);
+  assert.deepEqual(values, ['2026-05-01T00:00:00.000Z', '2026-04-01T10:00:00.000Z']);
+});
+
+test('malformed parameters are rejected', () => {
+  assertInvalid({ priority: 'urgent' }, /^priority must be one of low, medium, high$/);
+  assertInvalid({ due_before: 'soon' }, /^due_before must be a date$/);
+  assertInvalid({ pinned: 'yes' }, /^pinned must be true or false$/);
+  assertInvalid({ sort: 'colour' }, /^sort must be one of/);
+  assertInvalid({ limit: '0' }, /^limit must be an integer/);
+  assertInvalid({ limit: '501' }, /^limit must be an integer/);
+  assertInvalid({ cursor: 'nonsense' }, /^cursor is invalid/);
+});
+
+test('descending sorts order by the expression and the task ID', () => {
+  const { orderBy, sortKey } = build({ sort: '-due_date' });
+  assert.equal(orderBy, "COALESCE(t.due_date, 'infinity'::timestamptz) DESC, t.id DESC");
+  assert.equal(sortKey, "(COALESCE(t.due_date, 'infinity'::timestamptz))::text");
+});
+
+test('paginate hands out a cursor that continues after the last row', () => {
+  const rows = [
+    { id: '00000000-0000-0000-0000-000000000001', title: 'A', sort_key: 'a' },
+    { id: '00000000-0000-0000-0000-000000000002', title: 'B', sort_key: 'b' },
+    { id: '00000000-0000-0000-0000-000000000003', title: 'C', sort_key: 'c' }
+  ];
+  const first = paginate(rows, { limit: 2, sort: 'title' });
+  assert.deepEqual(first.tasks.map(task => task.title), ['A', 'B']);
+  assert.ok(!('sort_key' in first.tasks[0]));
+
+  const next = build({ sort: 'title', cursor: first.nextCursor }, []);
+  assert.deepEqual(next.conditions, ['(LOWER(t.title), t.id) > ($1::text, $2::uuid)']);
+  assert.deepEqual(next.values, ['b', rows[1].id]);
+  assert.equal(next.limit, 100);
+
+  assertInvalid({ sort: '-title', cursor: first.nextCursor }, /different sort order/);
+  assert.equal(paginate(rows, { limit: 3, sort: 'title' }).nextCursor, null);
+  assert.equal(paginate(rows, { limit: null, sort: 'title' }).nextCursor, null);
+});
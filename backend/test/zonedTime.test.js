@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTimeZone, toZoned, fromZoned, wallTime } = require('../lib/zonedTime');
+
+const wall = (year, month, day, hours, minutes = 0, seconds = 0) => ({ year, month, day, hours, minutes, seconds });
+
+test('normalizeTimeZone accepts IANA names and rejects unknown ones', () => {
+  assert.equal(normalizeTimeZone('Europe/Berlin'), 'Europe/Berlin');
+  assert.equal(normalizeTimeZone('utc'), 'UTC');
+  assert.equal(normalizeTimeZone(''), null);
+  assert.equal(normalizeTimeZone(null), null);
+  assert.throws(() => normalizeTimeZone('Mars/Olympus_Mons'), error => {
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.message, 'Unknown time zone "Mars/Olympus_Mons"');
+    return true;
+  });
+});
+
+test('toZoned gives the wall-clock time with a 0-based month', () => {
+  const instant = new Date('2026-01-01T02:30:15Z');
+  assert.deepEqual(toZoned(instant, 'UTC'), wall(2026, 0, 1, 2, 30, 15));
+  assert.deepEqual(toZoned(instant, 'America/New_York'), wall(2025, 11, 31, 21, 30, 15));
+  assert.deepEqual(toZoned(instant, 'Asia/Kolkata'), wall(2026, 0, 1, 8, 0, 15));
+  // Midnight is hour 0, not 24
+  assert.equal(toZoned(new Date('2026-06-01T22:00:00Z'), 'Europe/Berlin').hours, 0);
+});
+
+test('fromZoned finds the instant of a wall-clock time', () => {
+  assert.equal(fromZoned(wall(2026, 0, 15, 9), 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+  assert.equal(fromZoned(wall(2026, 6, 15, 9), 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+  assert.equal(fromZoned(wall(2026, 0, 15, 9), 'Australia/Sydney').toISOString(), '2026-01-14T22:00:00.000Z');
+});
+
+test('fromZoned handles the hours around daylight saving changes', () => {
+  // 01:30 on November 1st happens twice in New York; the first one is picked
+  assert.equal(fromZoned(wall(2026, 10, 1, 1, 30), 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+  // 02:30 on March 8th never happens; the clock had already jumped to 03:30
+  assert.equal(fromZoned(wall(2026, 2, 8, 2, 30), 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.equal(fromZoned(wall(2026, 2, 29, 2, 30), 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+});
+
+test('fromZoned rolls over days and months like Date.UTC', () => {
+  assert.equal(fromZoned(wall(2026, 0, 32, 0), 'UTC').toISOString(), '2026-02-01T00:00:00.000Z');
+  assert.equal(fromZoned(wall(2026, 2, 0, 12), 'Europe/Berlin').toISOString(), '2026-02-28T11:00:00.000Z');
+});
+
+test('wallTime and toZoned round-trip through fromZoned', () => {
+  const instant = new Date('2026-10-18T12:34:56Z');
+  ['UTC', 'Europe/London', 'America/Los_Angeles', 'Asia/Kathmandu'].forEach(timeZone => {
+    assert.equal(fromZoned(toZoned(instant, timeZone), timeZone).getTime(), instant.getTime(), timeZone);
+  });
+  assert.equal(wallTime(wall(2026, 9, 18, 12, 34, 56)), instant.getTime());
+});
@@ -33,6 +33,10 @@ const errorTypes = {
   // Conflict errors (409)
   CONFLICT: 'CONFLICT',
   
+  // Upload errors (413, 415)
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE',
+  
   // Server errors (500)
   INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR'
 };
@@ -47,6 +51,8 @@ const sendErrorResponse = (res, error) => {
     success: false,
     message: error.message || 'An unexpected error occurred',
     code: error.code || 'INTERNAL_SERVER_ERROR',
+    // Extra context for the client, e.g. the current copy of a task after a conflict
+    ...(error.isOperational && error.data !== undefined && { data: error.data }),
     ...(process.env.NODE_ENV === 'development' && {
       stack: error.stack,
       ...(error.errors && { errors: error.errors })
@@ -0,0 +1,32 @@
+-- Boards table: a user can own several boards, each task belongs to one board
+CREATE TABLE IF NOT EXISTS boards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_boards_user_id ON boards(user_id, position);
+
+CREATE TRIGGER update_boards_updated_at
+BEFORE UPDATE ON boards
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Give every user that already has tasks a default board to hold them
+INSERT INTO boards (user_id, name)
+SELECT DISTINCT user_id, 'My Board' FROM tasks;
+
+-- Scope tasks by board
+ALTER TABLE tasks ADD COLUMN board_id UUID REFERENCES boards(id) ON DELETE CASCADE;
+
+UPDATE tasks t
+SET board_id = b.id
+FROM boards b
+WHERE b.user_id = t.user_id;
+
+ALTER TABLE tasks ALTER COLUMN board_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_board_id ON tasks(board_id);
@@ -0,0 +1,47 @@
+-- Per-board columns replace the hard-coded todo / progress / done statuses
+CREATE TABLE IF NOT EXISTS board_columns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    color VARCHAR(20),
+    icon VARCHAR(50),
+    position INTEGER NOT NULL DEFAULT 0,
+    is_done BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_board_columns_board_id ON board_columns(board_id, position);
+
+CREATE TRIGGER update_board_columns_updated_at
+BEFORE UPDATE ON board_columns
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed the three default columns on every existing board
+INSERT INTO board_columns (board_id, name, color, icon, position, is_done)
+SELECT b.id, d.name, d.color, d.icon, d.position, d.is_done
+FROM boards b
+CROSS JOIN (VALUES
+    ('To Do', '#64748b', 'fa-list', 0, FALSE),
+    ('In Progress', '#3b82f6', 'fa-spinner', 1, FALSE),
+    ('Done', '#10b981', 'fa-check', 2, TRUE)
+) AS d(name, color, icon, position, is_done);
+
+-- Point every task at the column matching its old status
+ALTER TABLE tasks ADD COLUMN column_id UUID REFERENCES board_columns(id);
+
+UPDATE tasks t
+SET column_id = c.id
+FROM board_columns c
+WHERE c.board_id = t.board_id
+  AND c.position = CASE t.status
+      WHEN 'done' THEN 2
+      WHEN 'progress' THEN 1
+      WHEN 'in-progress' THEN 1
+      ELSE 0
+  END;
+
+ALTER TABLE tasks ALTER COLUMN column_id SET NOT NULL;
+ALTER TABLE tasks DROP COLUMN status;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_column_id ON tasks(column_id);
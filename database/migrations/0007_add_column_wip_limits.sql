@@ -0,0 +1,2 @@
+-- Optional work-in-progress limit per column (NULL means unlimited)
+ALTER TABLE board_columns ADD COLUMN wip_limit INTEGER CHECK (wip_limit IS NULL OR wip_limit > 0);
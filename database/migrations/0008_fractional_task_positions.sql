@@ -0,0 +1,13 @@
+-- Task positions become fractional ranks so a drag only rewrites the moved task
+ALTER TABLE tasks ALTER COLUMN position TYPE DOUBLE PRECISION;
+
+-- Spread existing tasks out within their column, keeping the current order
+UPDATE tasks t
+SET position = ranked.rank * 1024
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY column_id ORDER BY position ASC, created_at ASC) AS rank
+    FROM tasks
+) ranked
+WHERE t.id = ranked.id;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_column_position ON tasks(column_id, position);
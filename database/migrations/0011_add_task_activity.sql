@@ -0,0 +1,15 @@
+-- Audit log of changes to tasks. Entries outlive the task they describe,
+-- so task_id is deliberately not a foreign key and the title is copied in.
+CREATE TABLE IF NOT EXISTS task_activity (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL,
+    board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('created', 'updated', 'moved', 'pinned', 'unpinned', 'deleted')),
+    task_title VARCHAR(255) NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_activity_task_id ON task_activity(task_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_task_activity_board_id ON task_activity(board_id, created_at);
@@ -0,0 +1,9 @@
+-- Deleted tasks go to the trash first and are purged after a retention period
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Restoring a task from the trash is recorded in its history
+ALTER TABLE task_activity DROP CONSTRAINT IF EXISTS task_activity_action_check;
+ALTER TABLE task_activity ADD CONSTRAINT task_activity_action_check
+    CHECK (action IN ('created', 'updated', 'moved', 'pinned', 'unpinned', 'deleted', 'restored'));
@@ -0,0 +1,23 @@
+-- Per-board labels that can be attached to any number of tasks
+CREATE TABLE IF NOT EXISTS labels (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    color VARCHAR(20) NOT NULL DEFAULT '#64748b',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS task_labels (
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    label_id UUID NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+    PRIMARY KEY (task_id, label_id)
+);
+
+-- Label names are unique per board, ignoring case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_board_name ON labels(board_id, LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_task_labels_label_id ON task_labels(label_id);
+
+CREATE TRIGGER update_labels_updated_at
+BEFORE UPDATE ON labels
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
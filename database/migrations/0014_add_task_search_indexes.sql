@@ -0,0 +1,9 @@
+-- Full-text search over tasks and their checklists (GET /api/v1/tasks?q=).
+-- The expressions must match the ones in backend/lib/taskQuery.js.
+CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks
+    USING GIN (to_tsvector('simple', title || ' ' || COALESCE(description, '')));
+CREATE INDEX IF NOT EXISTS idx_subtasks_search ON subtasks
+    USING GIN (to_tsvector('simple', title));
+
+-- Default sort order for keyset pagination within a board
+CREATE INDEX IF NOT EXISTS idx_tasks_board_position ON tasks(board_id, position, id);
@@ -0,0 +1,18 @@
+-- Named filter combinations (search query, priority, label and sort order)
+-- saved per user. A view saved on a board reopens that board when selected.
+CREATE TABLE IF NOT EXISTS saved_views (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    board_id UUID REFERENCES boards(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- View names are unique per user, ignoring case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_views_user_name ON saved_views(user_id, LOWER(name));
+
+CREATE TRIGGER update_saved_views_updated_at
+BEFORE UPDATE ON saved_views
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,3 @@
+-- Every edit or move of a task bumps its version. Clients send the version
+-- they edited (If-Match) so stale writes are rejected instead of overwriting
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,32 @@
+-- Boards can be shared. Access to a board comes from a membership with a
+-- role; an invite to an email address without an account yet is a pending
+-- membership (user_id NULL) until that user first signs in.
+CREATE TABLE IF NOT EXISTS board_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    invited_email VARCHAR(255),
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'commenter', 'viewer')),
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (user_id IS NOT NULL OR invited_email IS NOT NULL)
+);
+
+-- One membership per user and one pending invite per address on each board
+CREATE UNIQUE INDEX IF NOT EXISTS idx_board_members_board_user ON board_members(board_id, user_id)
+    WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_board_members_board_email ON board_members(board_id, LOWER(invited_email))
+    WHERE user_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_board_members_user_id ON board_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_board_members_pending_email ON board_members(LOWER(invited_email))
+    WHERE user_id IS NULL;
+
+-- Whoever created a board so far owns it
+INSERT INTO board_members (board_id, user_id, role)
+SELECT id, user_id, 'owner' FROM boards
+ON CONFLICT DO NOTHING;
+
+CREATE TRIGGER update_board_members_updated_at
+BEFORE UPDATE ON board_members
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,10 @@
+-- Board members a task is assigned to; a task can have any number of assignees
+CREATE TABLE IF NOT EXISTS task_assignees (
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (task_id, user_id)
+);
+
+-- For the "assigned to me" list
+CREATE INDEX IF NOT EXISTS idx_task_assignees_user_id ON task_assignees(user_id);
@@ -0,0 +1,10 @@
+-- Recurring tasks. The rule is a subset of an iCalendar RRULE, evaluated in
+-- the time zone the user set it in. Once the next instance has been created
+-- recurred_at is set, so a task spawns at most one successor
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule VARCHAR(255);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_timezone VARCHAR(64);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurred_at TIMESTAMP WITH TIME ZONE;
+
+-- For the job that spawns the next instance of overdue recurring tasks
+CREATE INDEX IF NOT EXISTS idx_tasks_recurring_due ON tasks(due_date)
+    WHERE recurrence_rule IS NOT NULL AND recurred_at IS NULL AND deleted_at IS NULL;
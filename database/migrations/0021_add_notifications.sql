@@ -0,0 +1,20 @@
+-- In-app notifications: due date reminders and tasks assigned to the user
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('due_soon', 'overdue', 'assigned')),
+    -- Who made the change, for notifications about someone else's action
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- The due date a reminder is about
+    due_date TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC);
+
+-- One reminder of each kind per due date; moving the due date reminds again
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_reminders ON notifications(user_id, task_id, type, due_date)
+    WHERE type IN ('due_soon', 'overdue');
@@ -0,0 +1,22 @@
+-- Email digest preferences: how often each user gets a summary of overdue,
+-- due today and recently completed tasks, and when it is sent
+CREATE TABLE IF NOT EXISTS digest_preferences (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    frequency VARCHAR(10) NOT NULL DEFAULT 'off' CHECK (frequency IN ('off', 'daily', 'weekly')),
+    -- Local hour of the day, and day of the week (0 = Sunday) for weekly digests
+    send_hour SMALLINT NOT NULL DEFAULT 8 CHECK (send_hour BETWEEN 0 AND 23),
+    weekday SMALLINT NOT NULL DEFAULT 1 CHECK (weekday BETWEEN 0 AND 6),
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    -- When the last digest was due; turning the digest on counts as one so
+    -- the first digest waits for its scheduled time
+    last_sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_preferences_frequency ON digest_preferences(frequency)
+    WHERE frequency <> 'off';
+
+CREATE TRIGGER update_digest_preferences_updated_at
+BEFORE UPDATE ON digest_preferences
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -1,6 +1,6 @@
 ﻿// Import API services and modules
-import { authAPI, tasksAPI, isLoggedIn } from './js/api.js';
-import { updateUserAvatar } from './js/user.js';
+import { authAPI, tasksAPI, boardsAPI, columnsAPI, labelsAPI, viewsAPI, eventsAPI, outboxAPI, subtasksAPI, attachmentsAPI, commentsAPI, membersAPI, activityAPI, importAPI, exportAPI, calendarAPI, notificationsAPI, digestAPI, isLoggedIn } from './js/api.js';
+import { updateUserAvatar, getAvatarInitial, getAvatarColor } from './js/user.js';
 import { getAuth, onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.12.0/firebase-auth.js';
 import { auth } from './js/firebase.js';
 
@@ -8,15 +8,37 @@ import { auth } from './js/firebase.js';
  * Application State Management
  * @namespace state
  * @property {Array} tasks - Array of task objects
+ * @property {Array} boards - Boards available to the current user
+ * @property {string|null} currentBoardId - ID of the board being shown
+ * @property {Array} columns - Columns of the current board, ordered by position
+ * @property {Array} labels - Labels of the current board, ordered by name
+ * @property {Array} members - People on the current board who tasks can be assigned to
  * @property {string} theme - Current theme ('light' or 'dark')
  * @property {string} filterQuery - Current search query
+ * @property {Set|null} searchResults - IDs of the tasks the server matched to the search and filters on large boards
  * @property {string} priorityFilter - Priority filter ('all', 'high', 'medium', 'low')
+ * @property {string} labelFilter - Label filter ('all' or a label ID)
+ * @property {string} assigneeFilter - Assignee filter ('all', 'me', 'none' or a user ID)
  * @property {string} sortOrder - Sort order ('none', 'asc', 'desc')
+ * @property {Array} views - Saved views (named filter combinations), ordered by name
+ * @property {string|null} activeViewId - ID of the saved view the current filters came from
  * @property {Object|null} lastDeletedTask - Last deleted task for undo functionality
  * @property {Object|null} currentUser - Currently logged in user
  */
 const state = {
     tasks: [],
+    boards: [],
+    currentBoardId: (() => {
+        try {
+            return localStorage.getItem('kanbanflow_last_board');
+        } catch (error) {
+            console.error('Error accessing localStorage:', error);
+            return null;
+        }
+    })(),
+    columns: [],
+    labels: [],
+    members: [],
     currentUser: null,
     theme: (() => {
         try {
@@ -27,8 +49,13 @@ const state = {
         }
     })(),
     filterQuery: '',
+    searchResults: null,
     priorityFilter: 'all',
+    labelFilter: 'all',
+    assigneeFilter: 'all',
     sortOrder: 'none',
+    views: [],
+    activeViewId: null,
     lastDeletedTask: null,
     isAuthenticated: false
 };
@@ -39,6 +66,10 @@ let taskToDelete = null;
 // Global flag to prevent re-rendering during drag operations
 let isDragging = false;
 
+// Tasks whose card shows the full checklist instead of the first few items
+const expandedChecklists = new Set();
+const CHECKLIST_PREVIEW_COUNT = 3;
+
 // Toast Notification System
 function showToast(message, type = 'info', duration = 5000, undoAction = null) {
     const container = document.getElementById('toastContainer');
@@ -146,21 +177,67 @@ const DOM = {
 };
 
 // Constants
-const COLUMNS = [
-    { id: 'todo', title: '<i class="fas fa-list-ul"></i> To Do' },
-    { id: 'progress', title: '<i class="fas fa-spinner"></i> In Progress' },
-    { id: 'done', title: '<i class="fas fa-check-circle"></i> Done' }
-];
+const COLUMN_ICONS = ['fa-list', 'fa-spinner', 'fa-check', 'fa-eye', 'fa-inbox', 'fa-pause', 'fa-flag', 'fa-bug', 'fa-rocket'];
+
+// Spacing between task positions, matching the server's ranking
+const POSITION_GAP = 1024;
+
+// Shown when a change is queued in the outbox or the board is loaded from the offline copy
+const OFFLINE_SAVED_MESSAGE = 'Saved offline. The change will sync when the connection returns.';
+const OFFLINE_BOARD_MESSAGE = 'You are offline. Showing your board as last saved on this device.';
+
+// How often queued changes are retried while the browser reports a connection
+const OUTBOX_RETRY_MS = 30000;
+
+
+// Signed-in users keep a copy of the board they last saved so it still opens offline
+function getOfflineCopyKey() {
+    return isLoggedIn() ? `kanbanflow_offline_${auth.currentUser.uid}` : null;
+}
+
+// Show the offline copy of the user's last board; returns false if there is none
+function restoreOfflineCopy() {
+    try {
+        const copy = JSON.parse(localStorage.getItem(getOfflineCopyKey()) || 'null');
+        if (!copy || !copy.boardId) return false;
+
+        state.boards = Array.isArray(copy.boards) ? copy.boards : [];
+        setCurrentBoard(copy.boardId);
+        state.columns = Array.isArray(copy.columns) ? copy.columns : [];
+        state.labels = Array.isArray(copy.labels) ? copy.labels : [];
+        state.tasks = Array.isArray(copy.tasks) ? copy.tasks : [];
+    } catch (error) {
+        console.error('Failed to read the offline copy:', error);
+        return false;
+    }
 
+    renderBoardSwitcher();
+    renderColumnOptions();
+    renderLabelFilter();
+    renderBoard();
+    return true;
+}
 
 // Saves the current application state to localStorage
 function saveState() {
     try {
         const stateToSave = {
+            boardId: state.currentBoardId,
             tasks: state.tasks,
             lastDeletedTask: state.lastDeletedTask
         };
         localStorage.setItem('kanbanflow_state', JSON.stringify(stateToSave));
+
+        const offlineKey = getOfflineCopyKey();
+        if (offlineKey && state.currentBoardId) {
+            localStorage.setItem(offlineKey, JSON.stringify({
+                boardId: state.currentBoardId,
+                boards: state.boards,
+                columns: state.columns,
+                labels: state.labels,
+                tasks: state.tasks
+            }));
+        }
     } catch (error) {
         console.error('Failed to save state:', error);
         showToast('Failed to save board state', 'error');
@@ -181,11 +258,10 @@ function loadState() {
             // Clean up any invalid tasks and ensure they have required fields
             state.tasks = state.tasks.map(task => ({
                 ...task,
-                files: Array.isArray(task.files) ? task.files : []
+                attachments: Array.isArray(task.attachments) ? task.attachments : []
             })).filter(task => 
                 task &&
-                typeof task.id === 'string' &&
-                ['todo', 'in-progress', 'done'].includes(task.status)
+                typeof task.id === 'string'
             );
 
             // Theme is now handled by ThemeManager
@@ -216,7 +292,6 @@ const ThemeManager = (() => {
      */
     function init() {
         themeToggle = document.getElementById('themeToggle');
-        const exportBtn = document.getElementById('exportBoard');
 
         // Set initial theme
         const savedTheme = getSavedThemePreference();
@@ -226,10 +301,6 @@ const ThemeManager = (() => {
         if (themeToggle) {
             themeToggle.addEventListener('click', toggleTheme);
         }
-        
-        if (exportBtn) {
-            exportBtn.addEventListener('click', exportBoard);
-        }
 
         // Listen for system theme changes
         const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
@@ -406,7 +477,7 @@ function createTaskCard(task) {
     if (task.pinned) classes.push('pinned');
     
     // Check if task is overdue (before today, not including today)
-    if (task.dueDate && task.status !== 'done') {
+    if (task.dueDate && !isDoneColumn(task.column_id)) {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         const dueDate = new Date(task.dueDate);
@@ -420,7 +491,7 @@ function createTaskCard(task) {
     card.className = classes.join(' ');
     card.draggable = true;
     card.dataset.id = task.id;
-    card.dataset.status = task.status;
+    card.dataset.columnId = task.column_id;
 
     // Format due date for task card
     const taskDueDate = task.dueDate || task.due_date;
@@ -459,7 +530,9 @@ function createTaskCard(task) {
 
     if (hasSubtasks) {
         console.log('Rendering subtasks for task:', task.title, task.subtasks);
-        const completedCount = task.subtasks.filter(st => st.is_done || st.is_completed || st.completed).length;
+        const completedCount = task.subtasks.filter(isSubtaskDone).length;
+        const isExpanded = expandedChecklists.has(task.id);
+        const visibleSubtasks = isExpanded ? subtasks : subtasks.slice(0, CHECKLIST_PREVIEW_COUNT);
         const progressPercent = Math.round((completedCount / task.subtasks.length) * 100);
         
         console.log('Subtask progress:', completedCount, 'of', task.subtasks.length, '=', progressPercent + '%');
@@ -474,18 +547,26 @@ function createTaskCard(task) {
                 </div>
             </div>
             <div class="subtask-list">
-                ${subtasks.slice(0, 3).map(subtask => `
+                ${visibleSubtasks.map(subtask => {
+                    const done = isSubtaskDone(subtask);
+                    return `
                     <div class="subtask-preview">
-                        <span class="subtask-checkbox ${(subtask.is_done || subtask.is_completed || subtask.completed) ? 'completed' : ''}">
-                            ${(subtask.is_done || subtask.is_completed || subtask.completed) ? '✓' : ''}
-                        </span>
-                        <span class="subtask-text ${(subtask.is_done || subtask.is_completed || subtask.completed) ? 'completed' : ''}">
-                            ${sanitize(subtask.description || subtask.text || '')}
+                        <button type="button" class="subtask-checkbox subtask-toggle ${done ? 'completed' : ''}"
+                            data-task-id="${task.id}" data-subtask-id="${subtask.id || ''}"
+                            role="checkbox" aria-checked="${done}" ${subtask.id ? '' : 'disabled'}
+                            title="${done ? 'Mark as not done' : 'Mark as done'}">
+                            ${done ? '✓' : ''}
+                        </button>
+                        <span class="subtask-text ${done ? 'completed' : ''}">
+                            ${sanitize(subtask.title || subtask.description || subtask.text || '')}
                         </span>
                     </div>
-                `).join('')}
-                ${subtasks.length > 3 ? `
-                    <div class="subtask-more">+${subtasks.length - 3} more</div>
+                `;
+                }).join('')}
+                ${subtasks.length > CHECKLIST_PREVIEW_COUNT ? `
+                    <button type="button" class="subtask-more" data-task-id="${task.id}">
+                        ${isExpanded ? 'Show less' : `+${subtasks.length - CHECKLIST_PREVIEW_COUNT} more`}
+                    </button>
                 ` : ''}
             </div>
         `;
@@ -494,6 +575,18 @@ function createTaskCard(task) {
     // Build the task card HTML
     const cardHTML = [];
     
+    // Label chips
+    const labels = getTaskLabels(task);
+    if (labels.length > 0) {
+        cardHTML.push(`
+            <div class="card-labels">
+                ${labels.map(label => `
+                    <span class="label-chip" style="background-color: ${sanitize(label.color)}">${sanitize(label.name)}</span>
+                `).join('')}
+            </div>
+        `);
+    }
+    
     // Card header with title and actions
     cardHTML.push(`
         <div class="card-header">
@@ -529,14 +622,16 @@ function createTaskCard(task) {
     }
     
     // File attachments
-    if (task.files?.length > 0) {
-        const filesHTML = task.files.map(file => `
+    if (task.attachments?.length > 0) {
+        const filesHTML = task.attachments.map(file => `
             <div class="file-item">
-                <i class="fas ${getFileIcon(file.name)} file-icon"></i>
-                <span>${file.name}</span>
-                <a href="${file.url || '#'}" target="_blank" class="file-link">
-                    <i class="fas fa-external-link-alt file-icon"></i>
+                <i class="fas ${getFileIcon(file.filename)} file-icon"></i>
+                <a href="#" class="file-link attachment-download" data-task-id="${task.id}" data-attachment-id="${file.id}"
+                    title="Download ${sanitize(file.filename)} (${formatFileSize(file.size_bytes)})">
+                    ${sanitize(file.filename)}
                 </a>
+                <i class="fas fa-times file-remove attachment-remove" data-task-id="${task.id}" data-attachment-id="${file.id}"
+                    title="Remove attachment"></i>
             </div>
         `).join('');
         
@@ -550,6 +645,41 @@ function createTaskCard(task) {
     const priority = task.priority || 'medium';
     cardHTML.push(`<span class="priority-badge priority-${priority}">${priority.toUpperCase()}</span>`);
     
+    // Comment count
+    if (task.comment_count > 0) {
+        cardHTML.push(`
+            <div class="card-comments" title="${task.comment_count} comment(s)">
+                <i class="far fa-comment"></i>
+                ${task.comment_count}
+            </div>
+        `);
+    }
+    
+    // Assignee avatars, the first few and a count of the rest
+    const assignees = getTaskAssignees(task);
+    if (assignees.length > 0) {
+        const shown = assignees.slice(0, MAX_CARD_ASSIGNEES);
+        const hidden = assignees.length - shown.length;
+        cardHTML.push(`
+            <div class="card-assignees">
+                ${shown.map(person => `
+                    <span class="assignee-chip" style="background-color: ${getAvatarColor(person.id)}"
+                        title="${sanitize(person.name || person.email)}">${sanitize(getAvatarInitial(person))}</span>
+                `).join('')}
+                ${hidden > 0 ? `<span class="assignee-chip more" title="${hidden} more">+${hidden}</span>` : ''}
+            </div>
+        `);
+    }
+    
+    // Repeat icon for recurring tasks
+    if (task.recurrence_rule) {
+        cardHTML.push(`
+            <div class="card-recurrence" title="Repeats: ${sanitize(describeRecurrence(task.recurrence_rule))}">
+                <i class="fas fa-repeat"></i>
+            </div>
+        `);
+    }
+    
     // Due date with simple formatting
     console.log('Task due date:', task.title, task.dueDate, formattedDueDate);
     if (formattedDueDate) {
@@ -623,7 +753,7 @@ function attachDragEvents() {
             e.stopPropagation();
             
             const taskId = e.dataTransfer.getData('text/plain');
-            const newStatus = zone.dataset.status;
+            const newColumnId = zone.dataset.columnId;
             
             // Find the task in the state (handle both string and number IDs)
             const task = state.tasks.find(t => t.id == taskId || t.id === taskId);
@@ -632,33 +762,65 @@ function attachDragEvents() {
                 return;
             }
             
-            const oldStatus = task.status;
-            
-            // Only update if status changed
-            if (oldStatus !== newStatus) {
-                // Update local state immediately for instant feedback
-                task.status = newStatus;
-                
-                // Save to backend
-                try {
-                    await tasksAPI.updateTask(taskId, { status: newStatus });
-                    saveState();
-                    renderBoard(); // Re-render to ensure consistency
-                } catch (error) {
-                    console.error('Error updating task status:', error);
-                    // Revert on error
-                    task.status = oldStatus;
+            const oldColumnId = task.column_id;
+            const oldPosition = task.position;
+
+            // The card was already moved in the DOM during dragover; its new
+            // neighbours decide where it ends up
+            const card = zone.querySelector(`.task-card[data-id="${taskId}"]`);
+            const previousCard = card?.previousElementSibling?.closest('.task-card');
+            const nextCard = card?.nextElementSibling?.closest('.task-card');
+            const move = {
+                taskId: task.id,
+                columnId: newColumnId,
+                previousTaskId: previousCard ? previousCard.dataset.id : null,
+                nextTaskId: nextCard ? nextCard.dataset.id : null
+            };
+
+            // Moving past a WIP limit needs an explicit confirmation
+            if (oldColumnId !== newColumnId && isAtWipLimit(newColumnId)) {
+                const column = state.columns.find(c => c.id === newColumnId);
+                if (!confirm(`"${column.name}" is at its WIP limit of ${column.wip_limit}. Move the task anyway?`)) {
                     renderBoard();
-                    showToast('Failed to move task', 'error');
+                    return;
                 }
-            } else {
-                // Even if status didn't change, re-render to ensure proper placement
+                move.override_wip_limit = true;
+            }
+
+            // Update local state immediately for instant feedback
+            task.column_id = newColumnId;
+            
+            // Save to backend
+            try {
+                const moved = await tasksAPI.reorderTask(move);
+                task.position = moved.pending
+                    ? estimatePosition(move.previousTaskId, move.nextTaskId)
+                    : moved.position;
+                saveState();
+                renderBoard(); // Re-render to ensure consistency
+            } catch (error) {
+                console.error('Error moving task:', error);
+                // Revert on error
+                task.column_id = oldColumnId;
+                task.position = oldPosition;
                 renderBoard();
+                showToast(error.code === 'CONFLICT' ? error.message : 'Failed to move task', 'error');
             }
         });
     });
 }
 
+// Position between the neighbours of a move queued offline, until the server assigns one
+function estimatePosition(previousTaskId, nextTaskId) {
+    const positionOf = id => state.tasks.find(t => t.id === id)?.position || 0;
+    if (previousTaskId && nextTaskId) {
+        return (positionOf(previousTaskId) + positionOf(nextTaskId)) / 2;
+    }
+    if (previousTaskId) return positionOf(previousTaskId) + POSITION_GAP;
+    if (nextTaskId) return positionOf(nextTaskId) - POSITION_GAP;
+    return 0;
+}
+
 function getDragAfterElement(container, y) {
     const draggableElements = [...container.querySelectorAll('.task-card:not(.dragging)')];
 
@@ -676,60 +838,107 @@ function getDragAfterElement(container, y) {
 
 
 // File Handling
-function handleFileDrop(e) {
+async function handleFileDrop(e) {
     e.preventDefault();
     e.stopPropagation();
 
     const dropZone = document.getElementById('dropZoneOverlay');
     dropZone.classList.remove('active');
 
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-        // Get the current task being edited or create a new one
+    const files = Array.from(e.dataTransfer.files);
+    if (files.length === 0) return;
+
+    if (!isLoggedIn()) {
+        showToast('Please sign in to attach files', 'warning');
+        return;
+    }
+
+    try {
+        // Attach to the task being edited, or create a new task for the files
         const taskId = document.getElementById('taskId')?.value;
-        const task = taskId ? state.tasks.find(t => t.id === taskId) : null;
-
-        if (task) {
-            // Add files to existing task
-            task.files = task.files || [];
-            Array.from(files).forEach(file => {
-                // In a real app, you would upload the file to a server here
-                // For this example, we'll just store the file info
-                task.files.push({
-                    name: file.name,
-                    size: file.size,
-                    type: file.type,
-                    lastModified: file.lastModified,
-                    // In a real app, you would have a URL to the uploaded file
-                    // For this example, we'll use a data URL for images
-                    url: file.type.startsWith('image/') ? URL.createObjectURL(file) : '#'
-                });
-            });
-            saveState();
-            renderBoard();
-        } else {
-            // If no task is being edited, create a new task with the files
-            const newTask = {
-                id: Date.now().toString(),
+        const task = taskId
+            ? state.tasks.find(t => t.id === taskId)
+            : await createTask({
                 title: files[0].name.split('.')[0], // Use first filename as title
                 description: `Added ${files.length} file(s)`,
-                status: 'todo',
-                priority: 'medium',
-                files: Array.from(files).map(file => ({
-                    name: file.name,
-                    size: file.size,
-                    type: file.type,
-                    lastModified: file.lastModified,
-                    url: file.type.startsWith('image/') ? URL.createObjectURL(file) : '#'
-                })),
-                createdAt: Date.now()
-            };
+                column_id: state.columns[0]?.id,
+                priority: 'medium'
+            });
+        if (!task) return;
 
-            state.tasks.push(newTask);
-            saveState();
-            renderBoard();
+        await uploadAttachments(task, files);
+    } catch (error) {
+        console.error('Error attaching files:', error);
+        showToast('Failed to attach files: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
+// Upload files one by one so a rejected file doesn't stop the rest
+async function uploadAttachments(task, files) {
+    task.attachments = task.attachments || [];
+    let uploaded = 0;
+
+    for (const file of files) {
+        try {
+            task.attachments.push(await attachmentsAPI.uploadAttachment(task.id, file));
+            uploaded++;
+        } catch (error) {
+            console.error('Error uploading file:', file.name, error);
+            showToast(`Could not attach ${file.name}: ${error.message}`, 'error');
         }
     }
+
+    saveState();
+    renderBoard();
+    if (uploaded > 0) {
+        showToast(`Attached ${uploaded} file(s)`, 'success');
+    }
+}
+
+// Fetch an attachment with the user's credentials and hand it to the browser as a download
+async function downloadAttachment(taskId, attachmentId) {
+    const task = state.tasks.find(t => t.id === taskId);
+    const attachment = task?.attachments?.find(a => a.id === attachmentId);
+    if (!attachment) return;
+
+    try {
+        const blob = await attachmentsAPI.downloadAttachment(taskId, attachmentId);
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = attachment.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        showToast('Failed to download file', 'error');
+    }
+}
+
+async function removeAttachment(taskId, attachmentId) {
+    const task = state.tasks.find(t => t.id === taskId);
+    const attachment = task?.attachments?.find(a => a.id === attachmentId);
+    if (!attachment || !confirm(`Remove "${attachment.filename}" from this task?`)) return;
+
+    try {
+        await attachmentsAPI.deleteAttachment(taskId, attachmentId);
+        task.attachments = task.attachments.filter(a => a.id !== attachmentId);
+        saveState();
+        renderBoard();
+        showToast('Attachment removed', 'success');
+    } catch (error) {
+        console.error('Error removing attachment:', error);
+        showToast('Failed to remove attachment', 'error');
+    }
+}
+
+function formatFileSize(bytes) {
+    if (!bytes) return '0 B';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 // --- Event Handlers ---
@@ -832,13 +1041,18 @@ function setupEventListeners() {
                 }
             }
             
-            // Get subtasks
+            // Get subtasks and labels
             taskData.subtasks = getSubtasksFromForm();
+            taskData.label_ids = getLabelIdsFromForm();
+            if (isLoggedIn()) {
+                taskData.assignee_ids = getAssigneeIdsFromForm();
+                taskData.recurrence_rule = getRecurrenceRuleFromForm(taskData.dueDate);
+            }
             
             try {
                 if (taskData.id) {
                     // Update existing task
-                    await updateTask(taskData.id, taskData);
+                    await updateTask(taskData.id, taskData, { base: editingBase });
                 } else {
                     // Create new task
                     await createTask(taskData);
@@ -896,27 +1110,107 @@ document.addEventListener('click', async (e) => {
     }
 });
 
-// Add/Edit Task delegators
+// Add/Edit Task and column delegators
 DOM.board.addEventListener('click', (e) => {
     const addBtn = e.target.closest('.add-task-btn');
     if (addBtn) {
         e.preventDefault();
         e.stopPropagation();
         
-        const status = addBtn.dataset.status;
+        const columnId = addBtn.dataset.columnId;
         openModal(); // Open modal for new task
         
-        // Set the status based on which column button was clicked
+        // Set the column based on which column button was clicked
         setTimeout(() => {
-            const statusSelect = document.getElementById('taskStatus');
-            if (statusSelect && status) {
-                statusSelect.value = status;
+            const columnSelect = document.getElementById('taskStatus');
+            if (columnSelect && columnId) {
+                columnSelect.value = columnId;
             }
         }, 10);
+        return;
+    }
+
+    const attachmentLink = e.target.closest('.attachment-download, .attachment-remove');
+    if (attachmentLink) {
+        e.preventDefault();
+        e.stopPropagation();
+        const { taskId, attachmentId } = attachmentLink.dataset;
+        if (attachmentLink.classList.contains('attachment-remove')) {
+            removeAttachment(taskId, attachmentId);
+        } else {
+            downloadAttachment(taskId, attachmentId);
+        }
+        return;
+    }
+
+    const subtaskToggle = e.target.closest('.subtask-toggle');
+    if (subtaskToggle) {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleSubtask(subtaskToggle.dataset.taskId, subtaskToggle.dataset.subtaskId);
+        return;
+    }
+
+    const subtaskMore = e.target.closest('.subtask-more');
+    if (subtaskMore) {
+        e.preventDefault();
+        e.stopPropagation();
+        const { taskId } = subtaskMore.dataset;
+        if (expandedChecklists.has(taskId)) {
+            expandedChecklists.delete(taskId);
+        } else {
+            expandedChecklists.add(taskId);
+        }
+        renderBoard();
+        return;
+    }
+
+    const columnMenuBtn = e.target.closest('.column-menu-btn');
+    if (columnMenuBtn) {
+        e.preventDefault();
+        openColumnModal(columnMenuBtn.dataset.columnId);
+        return;
+    }
+
+    if (e.target.closest('.add-column-btn')) {
+        e.preventDefault();
+        openColumnModal();
     }
 });
 
 // Toggle task pinned status
+function isSubtaskDone(subtask) {
+    return Boolean(subtask.is_done || subtask.is_completed || subtask.completed);
+}
+
+// Tick a checklist item off (or back on) straight from the card
+async function toggleSubtask(taskId, subtaskId) {
+    const task = state.tasks.find(t => t.id == taskId);
+    const subtask = task?.subtasks?.find(st => st.id == subtaskId);
+    if (!subtask) return;
+
+    const wasDone = isSubtaskDone(subtask);
+    const setDone = (done) => {
+        subtask.is_completed = done;
+        delete subtask.is_done;
+        delete subtask.completed;
+    };
+
+    // Optimistic update so the checkbox and progress bar respond immediately
+    setDone(!wasDone);
+    renderBoard();
+
+    try {
+        await subtasksAPI.updateSubtask(task.id, subtask.id, { is_completed: !wasDone });
+        saveState();
+    } catch (error) {
+        console.error('Error updating subtask:', error);
+        setDone(wasDone);
+        renderBoard();
+        showToast('Failed to update checklist item', 'error');
+    }
+}
+
 async function togglePin(id) {
     try {
         // Find task by ID (check both string and number types)
@@ -976,81 +1270,25 @@ async function deleteTask(id) {
             return;
         }
 
-        // Show confirmation dialog instead of deleting directly
+        // Deletion happens once the user confirms
         showDeleteConfirmation(id);
-        return;
-        
-        // Store the deleted task for potential undo
-        state.lastDeletedTask = { ...taskToDelete, deletedAt: Date.now() };
-
-        // Optimistic UI update
-        state.tasks.splice(taskIndex, 1);
-        saveState();
-        renderBoard(); // Immediate feedback
-
-        // Delete from backend
-        const response = await tasksAPI.deleteTask(taskToDelete.id);
-        
-        if (!response?.success) {
-            throw new Error('Failed to delete task from server');
-        }
-
-        // Show toast with undo option
-        showToast(
-            'Task deleted',
-            'error',
-            10000, // Give more time for undo
-            async () => {
-                // Undo delete action
-                if (state.lastDeletedTask) {
-                    const { deletedAt, ...task } = state.lastDeletedTask;
-                    
-                    try {
-                        // Recreate the task in the backend
-                        const response = await tasksAPI.createTask({
-                            ...task,
-                            // Let the server generate a new ID
-                            id: undefined,
-                            createdAt: task.createdAt || new Date().toISOString(),
-                            updatedAt: new Date().toISOString()
-                        });
-
-                        if (response?.success && response.data) {
-                            // Add the recreated task to the local state
-                            state.tasks.unshift(response.data);
-                            saveState();
-                            renderBoard();
-                            showToast('Task restored', 'success');
-                        } else {
-                            throw new Error('Failed to recreate task');
-                        }
-                    } catch (error) {
-                        console.error('Error undoing delete:', error);
-                        showToast('Failed to restore task', 'error');
-                    } finally {
-                        state.lastDeletedTask = null;
-                    }
-                }
-            }
-        );
     } catch (error) {
         console.error('Error deleting task:', error);
-        
-        // Revert optimistic update if needed
-        if (state.lastDeletedTask) {
-            state.tasks.push(state.lastDeletedTask);
-            saveState();
-            renderBoard();
-        }
-        state.lastDeletedTask = null;
         showToast('Failed to delete task', 'error');
     }           
 }
 
-// Export Function
+// Export Functions
+
+// Guests can only export the copy of the board kept in this browser
 function exportBoard() {
+    const board = state.boards.find(b => b.id === state.currentBoardId);
+    // Columns and labels are included so the file can be imported again
     const data = {
-        version: '1.0',
+        version: '1.1',
+        board: board ? { name: board.name, description: board.description || null } : null,
+        columns: state.columns,
+        labels: state.labels,
         tasks: state.tasks,
         theme: state.theme,
         exportedAt: new Date().toISOString()
@@ -1069,6 +1307,82 @@ function exportBoard() {
     showToast('Board exported successfully!', 'success');
 }
 
+// Download the board in the chosen format from the server, which has the
+// complete data including subtasks
+async function exportBoardAs(format, component) {
+    closeExportMenu();
+
+    if (!isLoggedIn()) {
+        if (format === 'json') {
+            exportBoard();
+        } else {
+            showToast('Sign in to export in this format', 'info');
+        }
+        return;
+    }
+
+    const board = state.boards.find(b => b.id === state.currentBoardId);
+    const slug = (board ? board.name : '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'board';
+
+    try {
+        const blob = await exportAPI.exportBoard(state.currentBoardId, format, component ? { component } : {});
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${slug}-${new Date().toISOString().split('T')[0]}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        showToast('Board exported successfully!', 'success');
+    } catch (error) {
+        console.error('Error exporting board:', error);
+        showToast(error.message || 'Failed to export board', 'error');
+    }
+}
+
+function openExportMenu() {
+    document.getElementById('exportMenu')?.classList.add('show');
+    document.getElementById('exportBoard')?.setAttribute('aria-expanded', 'true');
+}
+
+function closeExportMenu() {
+    document.getElementById('exportMenu')?.classList.remove('show');
+    document.getElementById('exportBoard')?.setAttribute('aria-expanded', 'false');
+}
+
+function setupExportMenu() {
+    const button = document.getElementById('exportBoard');
+    const menu = document.getElementById('exportMenu');
+    if (!button || !menu) return;
+
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (menu.classList.contains('show')) {
+            closeExportMenu();
+        } else {
+            openExportMenu();
+        }
+    });
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-format]');
+        if (item) {
+            exportBoardAs(item.dataset.format, item.dataset.component);
+        }
+    });
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) {
+            closeExportMenu();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeExportMenu();
+        }
+    });
+}
+
 function showNotification(message, type = 'info') {
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
@@ -1109,91 +1423,89 @@ function sanitize(html) {
 }
 
 // Board Rendering Functions
+
+// Signature of the rendered columns, used to detect when the board layout must be rebuilt
+function getColumnsSignature() {
+    return JSON.stringify(state.columns.map(c => [c.id, c.name, c.color, c.icon]));
+}
+
+function isDoneColumn(columnId) {
+    const column = state.columns.find(c => c.id === columnId);
+    return Boolean(column && column.is_done);
+}
+
+function getColumnTaskCount(columnId) {
+    return state.tasks.filter(task => task.column_id === columnId).length;
+}
+
+// Check whether moving one more task into a column would exceed its WIP limit
+function isAtWipLimit(columnId) {
+    const column = state.columns.find(c => c.id === columnId);
+    return Boolean(column && column.wip_limit && getColumnTaskCount(columnId) >= column.wip_limit);
+}
+
 function initializeBoard() {
     const board = document.getElementById('board');
     if (!board) return;
     
-    board.innerHTML = `
-        <div class="column">
-            <div class="column-header">
-                <h2><i class="fas fa-list"></i> To Do</h2>
-                <button class="add-task-btn" data-status="todo">
-                    <i class="fas fa-plus"></i>
-                </button>
-            </div>
-            <div class="task-list" id="todo" data-status="todo">
-                <!-- Tasks will be rendered here -->
-            </div>
-        </div>
-        
-        <div class="column">
-            <div class="column-header">
-                <h2><i class="fas fa-spinner"></i> In Progress</h2>
-                <button class="add-task-btn" data-status="in-progress">
-                    <i class="fas fa-plus"></i>
-                </button>
-            </div>
-            <div class="task-list" id="in-progress" data-status="in-progress">
-                <!-- Tasks will be rendered here -->
-            </div>
-        </div>
-        
-        <div class="column">
-            <div class="column-header">
-                <h2><i class="fas fa-check"></i> Done</h2>
-                <button class="add-task-btn" data-status="done">
-                    <i class="fas fa-plus"></i>
-                </button>
+    board.innerHTML = state.columns.map(column => `
+        <div class="column" data-column-id="${sanitize(column.id)}">
+            <div class="column-header" style="border-bottom-color: ${sanitize(column.color || 'var(--border-color)')}">
+                <h2 class="column-title">
+                    <i class="fas ${sanitize(column.icon || 'fa-list')}" style="color: ${sanitize(column.color || 'inherit')}"></i>
+                    ${sanitize(column.name)}
+                    <span class="task-count">0</span>
+                </h2>
+                <div class="column-actions">
+                    <button class="icon-btn column-menu-btn" data-column-id="${sanitize(column.id)}" title="Edit column" aria-label="Edit column">
+                        <i class="fas fa-ellipsis-h"></i>
+                    </button>
+                    <button class="add-task-btn" data-column-id="${sanitize(column.id)}" title="Add task" aria-label="Add task">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </div>
             </div>
-            <div class="task-list" id="done" data-status="done">
+            <div class="task-list" data-column-id="${sanitize(column.id)}">
                 <!-- Tasks will be rendered here -->
             </div>
         </div>
+    `).join('') + `
+        <button class="add-column-btn" title="Add column">
+            <i class="fas fa-plus"></i> Add column
+        </button>
     `;
-    
-    // Add event listeners to the add task buttons
-    document.querySelectorAll('.add-task-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const status = btn.dataset.status;
-            openModal();
-            // Set the status in the form
-            const statusSelect = document.getElementById('taskStatus');
-            if (statusSelect) {
-                statusSelect.value = status === 'in-progress' ? 'progress' : status;
-            }
-        });
-    });
+
+    board.dataset.columns = getColumnsSignature();
 }
 
 function renderBoard() {
     if (isDragging) return; // Don't re-render during drag operations
     
-    // Initialize board structure if it doesn't exist
-    const todoList = document.getElementById('todo');
-    if (!todoList) {
+    // Rebuild the board structure when the columns changed
+    const boardEl = document.getElementById('board');
+    if (!boardEl) return;
+    if (boardEl.dataset.columns !== getColumnsSignature()) {
         initializeBoard();
     }
     
-    const todoListEl = document.getElementById('todo');
-    const inProgressList = document.getElementById('in-progress');
-    const doneList = document.getElementById('done');
-    
-    if (!todoListEl || !inProgressList || !doneList) return;
+    const lists = {};
+    boardEl.querySelectorAll('.task-list').forEach(list => {
+        list.innerHTML = '';
+        lists[list.dataset.columnId] = list;
+    });
     
-    // Clear existing tasks
-    todoListEl.innerHTML = '';
-    inProgressList.innerHTML = '';
-    doneList.innerHTML = '';
+    if (state.columns.length === 0) return;
     
     // Get filtered and sorted tasks
     let tasksToRender = [...state.tasks];
     
     // Apply search filter
-    if (state.filterQuery) {
-        const query = state.filterQuery.toLowerCase();
-        tasksToRender = tasksToRender.filter(task => 
-            task.title.toLowerCase().includes(query) ||
-            (task.description && task.description.toLowerCase().includes(query))
+    if (state.searchResults) {
+        tasksToRender = tasksToRender.filter(task => state.searchResults.has(task.id));
+    } else if (state.filterQuery) {
+        const search = window.SearchQuery.parseSearchQuery(state.filterQuery);
+        tasksToRender = tasksToRender.filter(task =>
+            window.SearchQuery.matchesSearchQuery(task, search, SEARCH_CONTEXT)
         );
     }
     
@@ -1204,6 +1516,22 @@ function renderBoard() {
         );
     }
     
+    // Apply label filter
+    if (state.labelFilter !== 'all') {
+        tasksToRender = tasksToRender.filter(task =>
+            getTaskLabelIds(task).includes(state.labelFilter)
+        );
+    }
+    
+    // Apply assignee filter
+    if (state.assigneeFilter !== 'all') {
+        const assigneeId = state.assigneeFilter === 'me' ? getCurrentMemberId() : state.assigneeFilter;
+        tasksToRender = tasksToRender.filter(task => {
+            const ids = getTaskAssigneeIds(task);
+            return state.assigneeFilter === 'none' ? ids.length === 0 : ids.includes(assigneeId);
+        });
+    }
+    
     // Apply sorting
     if (state.sortOrder !== 'none') {
         tasksToRender.sort((a, b) => {
@@ -1217,28 +1545,38 @@ function renderBoard() {
             return state.sortOrder === 'asc' ? dateA - dateB : dateB - dateA;
         });
     } else {
-        // Even when no sort order is selected, pinned tasks should be at the top
+        // Without a sort order, tasks keep their drag-and-drop order,
+        // with pinned tasks still at the top
         tasksToRender.sort((a, b) => {
             if (a.pinned && !b.pinned) return -1;
             if (!a.pinned && b.pinned) return 1;
-            return 0; // Keep original order for non-pinned tasks
+            return (a.position || 0) - (b.position || 0);
         });
     }
     
-    // Render tasks in appropriate columns
+    // Render tasks in their columns; tasks pointing at an unknown column
+    // (e.g. legacy guest statuses) fall back to the first column
+    const firstColumnId = state.columns[0].id;
     tasksToRender.forEach(task => {
-        const taskCard = createTaskCard(task);
-        
-        switch (task.status) {
-            case 'todo':
-                todoListEl.appendChild(taskCard);
-                break;
-            case 'in-progress':
-                inProgressList.appendChild(taskCard);
-                break;
-            case 'done':
-                doneList.appendChild(taskCard);
-                break;
+        const columnId = task.column_id || task.status;
+        const list = lists[columnId] || lists[firstColumnId];
+        list.appendChild(createTaskCard(task));
+    });
+    
+    // Update column counts; columns with a WIP limit show all of their
+    // tasks against the limit, regardless of active filters
+    state.columns.forEach(column => {
+        const columnEl = boardEl.querySelector(`.column[data-column-id="${column.id}"]`);
+        const countEl = columnEl?.querySelector('.task-count');
+        if (!countEl) return;
+
+        if (column.wip_limit) {
+            const total = getColumnTaskCount(column.id);
+            countEl.textContent = `${total}/${column.wip_limit}`;
+            columnEl.classList.toggle('over-limit', total > column.wip_limit);
+        } else {
+            countEl.textContent = lists[column.id]?.children.length || 0;
+            columnEl.classList.remove('over-limit');
         }
     });
     
@@ -1247,13 +1585,9 @@ function renderBoard() {
 }
 
 // Sort Functions
-function toggleSortOrder() {
-    const orders = ['none', 'asc', 'desc'];
-    const currentIndex = orders.indexOf(state.sortOrder);
-    const nextIndex = (currentIndex + 1) % orders.length;
-    state.sortOrder = orders[nextIndex];
-    
-    // Update button text to show current sort order
+
+// Update button text to show current sort order
+function updateSortButton() {
     const sortBtn = document.getElementById('sortByDate');
     if (sortBtn) {
         const sortLabels = {
@@ -1263,10 +1597,20 @@ function toggleSortOrder() {
         };
         sortBtn.textContent = sortLabels[state.sortOrder];
     }
-    
+}
+
+function toggleSortOrder() {
+    const orders = ['none', 'asc', 'desc'];
+    const currentIndex = orders.indexOf(state.sortOrder);
+    const nextIndex = (currentIndex + 1) % orders.length;
+    state.sortOrder = orders[nextIndex];
+    
+    updateSortButton();
+    
     // Re-render tasks with new sort order
     renderBoard();
     saveState();
+    handleFiltersChanged();
     
     showToast(`Sort order: ${state.sortOrder.toUpperCase()}`, 'info', 2000);
 }
@@ -1284,6 +1628,10 @@ function handleKeyboardShortcuts(e) {
             closeModal();
         } else if (document.getElementById('deleteConfirmModal').style.display === 'flex') {
             hideDeleteConfirmation();
+        } else if (document.getElementById('boardModal').style.display === 'flex') {
+            closeBoardModal();
+        } else if (document.getElementById('columnModal').style.display === 'flex') {
+            closeColumnModal();
         } else if (document.getElementById('keyboardShortcutsModal').style.display === 'flex') {
             document.getElementById('keyboardShortcutsModal').style.display = 'none';
         }
@@ -1295,130 +1643,2174 @@ function handleKeyboardShortcuts(e) {
         return;
     }
 
-    // Show keyboard shortcuts help with ?
-    if (e.key === '?') {
-        e.preventDefault();
-        const modal = document.getElementById('keyboardShortcutsModal');
-        if (modal) {
-            modal.style.display = modal.style.display === 'flex' ? 'none' : 'flex';
+    // Show keyboard shortcuts help with ?
+    if (e.key === '?') {
+        e.preventDefault();
+        const modal = document.getElementById('keyboardShortcutsModal');
+        if (modal) {
+            modal.style.display = modal.style.display === 'flex' ? 'none' : 'flex';
+        }
+        return;
+    }
+
+    // Focus search with /
+    if (e.key === '/') {
+        e.preventDefault();
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) {
+            searchInput.focus();
+        }
+        return;
+    }
+
+    // New task with N
+    if (e.key.toLowerCase() === 'n') {
+        e.preventDefault();
+        const addButtons = document.querySelectorAll('.add-task-btn');
+        if (addButtons.length > 0) {
+            addButtons[0].click(); // Click the first "Add Task" button
+        }
+        return;
+    }
+    
+    // Clean up invalid dates with Ctrl+Shift+
+    if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'd') {
+        e.preventDefault();
+        cleanupInvalidDates();
+        return;
+    }
+
+    // Toggle theme with T
+    if (e.key.toLowerCase() === 't') {
+        e.preventDefault();
+        ThemeManager.toggleTheme();
+        return;
+    }
+}
+
+// --- Task Cleanup Functions ---
+async function cleanupStaleTasks() {
+    try {
+        // Get all tasks from backend
+        const backendTasks = await tasksAPI.getTasks(state.currentBoardId);
+        const backendTaskIds = new Set(backendTasks.map(task => task.id));
+        
+        // Find tasks that exist locally but not on backend
+        // Tasks created offline are not on the server until the outbox is replayed
+        const isKept = task => backendTaskIds.has(task.id) || outboxAPI.isOfflineId(task.id);
+        const staleTasks = state.tasks.filter(task => !isKept(task));
+        
+        if (staleTasks.length > 0) {
+            state.tasks = state.tasks.filter(isKept);
+            saveState();
+            renderBoard();
+        }
+    } catch (error) {
+        console.warn('Error during stale task cleanup:', error);
+    }
+}
+
+// --- Task Management ---
+
+// Normalize field names from snake_case (API) to camelCase (frontend)
+function normalizeTask(task) {
+    return {
+        ...task,
+        dueDate: task.due_date || task.dueDate,
+        subtasks: Array.isArray(task.subtasks) ? task.subtasks : []
+    };
+}
+
+async function fetchTasks() {
+    try {
+        // Get the current user from Firebase Auth
+        const user = auth.currentUser;
+        
+        if (!user) {
+            await loadBoards();
+            await loadColumns();
+            await loadLabels();
+            await loadBoardMembers();
+            await loadViews();
+            state.tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
+            renderBoard();
+            await applyInitialLocationHash();
+            return state.tasks;
+        }
+        // Render cached tasks immediately for fast first paint
+        try {
+            const cached = JSON.parse(localStorage.getItem('kanbanflow_state') || 'null');
+            if (cached && cached.boardId === state.currentBoardId &&
+                Array.isArray(cached.tasks) && cached.tasks.length > 0) {
+                state.tasks = cached.tasks;
+                renderBoard();
+            }
+        } catch (err) {
+            // ignore cache parsing errors
+        }
+
+        // Without a connection the loaders below would find nothing
+        if (navigator.onLine === false && restoreOfflineCopy()) {
+            showToast(OFFLINE_BOARD_MESSAGE, 'warning');
+            return state.tasks;
+        }
+
+        // Make sure we know which board, columns and labels to show before loading its tasks
+        await loadBoards();
+        await loadColumns();
+        await loadLabels();
+        await loadBoardMembers();
+        await loadViews();
+
+        // Do not force a token refresh here (it can block rendering). tasksAPI.request
+        // will refresh tokens when needed. Fetch backend tasks and then update UI.
+        const tasks = await tasksAPI.getTasks(state.currentBoardId);
+
+        state.tasks = (tasks || []).map(normalizeTask);
+        state.searchResults = null;
+        saveState();
+
+        renderBoard();
+        followBoardEvents();
+        if (hasActiveFilters()) {
+            applySearch();
+        }
+        await applyInitialLocationHash();
+        return state.tasks;
+    } catch (error) {
+        console.error('Error in fetchTasks:', {
+            message: error.message,
+            code: error.code,
+            stack: error.stack
+        });
+        
+        if (error.code === 'NETWORK_ERROR' && restoreOfflineCopy()) {
+            showToast(OFFLINE_BOARD_MESSAGE, 'warning');
+            return state.tasks;
+        }
+
+        if (error.message.includes('auth/network-request-failed')) {
+            showToast('Network error. Please check your connection.', 'error');
+        } else if (error.code === 'unauthenticated' || error.code === 401) {
+            // If we get an auth error, sign out and show login
+            
+            await authAPI.logout();
+            showToast('Session expired. Please log in again.', 'error');
+            state.tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
+        } else {
+            showToast('Failed to load tasks', 'error');
+            state.tasks = [];
+        }
+        
+        renderBoard();
+        return state.tasks;
+    }
+}
+
+// --- Board Management ---
+
+// Load the user's boards and pick the one to show (last opened, else first)
+async function loadBoards() {
+    try {
+        state.boards = await boardsAPI.getBoards();
+    } catch (error) {
+        console.error('Error loading boards:', error);
+        state.boards = [];
+    }
+
+    const hasCurrent = state.boards.some(board => board.id === state.currentBoardId);
+    if (!hasCurrent) {
+        setCurrentBoard(state.boards.length > 0 ? state.boards[0].id : null);
+    }
+
+    renderBoardSwitcher();
+    return state.boards;
+}
+
+// Remember the board being shown so it is reopened on the next visit
+function setCurrentBoard(boardId) {
+    state.currentBoardId = boardId;
+    try {
+        if (boardId) {
+            localStorage.setItem('kanbanflow_last_board', boardId);
+        } else {
+            localStorage.removeItem('kanbanflow_last_board');
+        }
+    } catch (error) {
+        console.error('Failed to save last board:', error);
+    }
+}
+
+async function switchBoard(boardId) {
+    if (!boardId || boardId === state.currentBoardId) return;
+
+    setCurrentBoard(boardId);
+    state.tasks = [];
+    state.columns = [];
+    state.labels = [];
+    renderBoard();
+    await fetchTasks();
+    updateLocationHash();
+}
+
+function renderBoardSwitcher() {
+    const select = document.getElementById('boardSelect');
+    if (!select) return;
+
+    // Boards shared with the user show the role they were given
+    select.innerHTML = state.boards.map(board => `
+        <option value="${sanitize(board.id)}" ${board.id === state.currentBoardId ? 'selected' : ''}>
+            ${sanitize(board.name)}${board.role && board.role !== 'owner' ? ` (${sanitize(board.role)})` : ''}
+        </option>
+    `).join('');
+}
+
+function openBoardModal(boardId = null) {
+    const modal = document.getElementById('boardModal');
+    const form = document.getElementById('boardForm');
+    if (!modal || !form) return;
+
+    form.reset();
+    const board = boardId ? state.boards.find(b => b.id === boardId) : null;
+
+    document.getElementById('boardModalTitle').textContent = board ? 'Board Settings' : 'New Board';
+    document.getElementById('boardId').value = board ? board.id : '';
+    document.getElementById('boardName').value = board ? board.name : '';
+    document.getElementById('boardDescription').value = board ? (board.description || '') : '';
+
+    // Only owners can change a board's settings; everyone else sees them read-only
+    const isOwner = !board || !board.role || board.role === 'owner';
+    document.getElementById('boardName').readOnly = !isOwner;
+    document.getElementById('boardDescription').readOnly = !isOwner;
+    document.getElementById('saveBoardBtn').style.display = isOwner ? '' : 'none';
+    document.getElementById('deleteBoardBtn').style.display = board && isOwner ? 'inline-flex' : 'none';
+
+    const membersSection = document.getElementById('boardMembersSection');
+    membersSection.style.display = board && isLoggedIn() ? '' : 'none';
+    document.getElementById('inviteMemberRow').style.display = isOwner ? '' : 'none';
+    document.getElementById('boardMembers').innerHTML = '';
+    if (board && isLoggedIn()) {
+        loadMembers(board.id);
+    }
+
+    modal.style.display = 'flex';
+    document.getElementById('boardName').focus();
+}
+
+function closeBoardModal() {
+    const modal = document.getElementById('boardModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+async function saveBoard(e) {
+    e.preventDefault();
+
+    const boardId = document.getElementById('boardId').value;
+    const boardData = {
+        name: document.getElementById('boardName').value.trim(),
+        description: document.getElementById('boardDescription').value.trim()
+    };
+
+    if (!boardData.name) {
+        showToast('Board name cannot be empty', 'warning');
+        return;
+    }
+
+    try {
+        if (boardId) {
+            const updated = await boardsAPI.updateBoard(boardId, boardData);
+            state.boards = state.boards.map(board => board.id === boardId ? { ...board, ...updated } : board);
+            renderBoardSwitcher();
+            showToast('Board updated', 'success');
+        } else {
+            const created = await boardsAPI.createBoard(boardData);
+            state.boards.push(created);
+            await switchBoard(created.id);
+            showToast('Board created', 'success');
+        }
+        closeBoardModal();
+    } catch (error) {
+        console.error('Error saving board:', error);
+        showToast('Error saving board: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
+async function deleteCurrentBoard() {
+    const boardId = document.getElementById('boardId').value;
+    const board = state.boards.find(b => b.id === boardId);
+    if (!board) return;
+
+    if (!confirm(`Delete "${board.name}" and all of its tasks? This action cannot be undone.`)) {
+        return;
+    }
+
+    try {
+        await boardsAPI.deleteBoard(boardId);
+        closeBoardModal();
+        if (boardId === state.currentBoardId) {
+            setCurrentBoard(null);
+        }
+        await fetchTasks();
+        showToast('Board deleted', 'success');
+    } catch (error) {
+        console.error('Error deleting board:', error);
+        showToast('Failed to delete board', 'error');
+    }
+}
+
+// --- Board Members ---
+
+const MEMBER_ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+// Members of the board open in the settings modal
+let boardMembers = [];
+
+function isCurrentMember(member) {
+    const user = auth.currentUser;
+    return Boolean(user && user.email && member.email &&
+        member.email.toLowerCase() === user.email.toLowerCase());
+}
+
+async function loadMembers(boardId) {
+    try {
+        boardMembers = await membersAPI.getMembers(boardId);
+    } catch (error) {
+        console.error('Error loading members:', error);
+        boardMembers = [];
+    }
+    if (document.getElementById('boardId').value === boardId) {
+        renderMembers();
+    }
+}
+
+// List the members with a role picker for owners and a remove (or leave) button
+function renderMembers() {
+    const list = document.getElementById('boardMembers');
+    if (!list) return;
+
+    const board = state.boards.find(b => b.id === document.getElementById('boardId').value);
+    const isOwner = !board || !board.role || board.role === 'owner';
+
+    list.innerHTML = boardMembers.map(member => {
+        const isSelf = isCurrentMember(member);
+        const canRemove = isOwner || isSelf;
+        return `
+            <li class="member-item" data-id="${sanitize(member.id)}">
+                <div class="member-info">
+                    <span>${sanitize(member.name || member.email)}${isSelf ? ' (you)' : ''}</span>
+                    ${member.pending
+                        ? '<span class="member-pending">Invited, waiting for them to sign up</span>'
+                        : `<span class="member-email">${sanitize(member.email)}</span>`}
+                </div>
+                <select class="form-control member-role" aria-label="Role" ${isOwner ? '' : 'disabled'}>
+                    ${MEMBER_ROLES.map(role => `
+                        <option value="${role}" ${role === member.role ? 'selected' : ''}>${role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                    `).join('')}
+                </select>
+                ${canRemove ? `
+                    <button type="button" class="member-remove" title="${isSelf ? 'Leave board' : 'Remove'}"
+                        aria-label="${isSelf ? 'Leave board' : `Remove ${sanitize(member.email)}`}">
+                        <i class="fas ${isSelf ? 'fa-sign-out-alt' : 'fa-times'}"></i>
+                    </button>
+                ` : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+async function inviteMember() {
+    const boardId = document.getElementById('boardId').value;
+    const emailInput = document.getElementById('inviteMemberEmail');
+    const email = emailInput.value.trim();
+    if (!boardId || !email) return;
+
+    try {
+        const member = await membersAPI.inviteMember(boardId, {
+            email,
+            role: document.getElementById('inviteMemberRole').value
+        });
+        boardMembers.push(member);
+        emailInput.value = '';
+        renderMembers();
+        if (boardId === state.currentBoardId) {
+            loadBoardMembers();
+        }
+        showToast(member.pending ? `Invite sent to ${member.email}` : `${member.email} can now see this board`, 'success');
+    } catch (error) {
+        console.error('Error inviting member:', error);
+        showToast('Failed to invite: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
+async function changeMemberRole(memberId, role) {
+    const boardId = document.getElementById('boardId').value;
+    try {
+        const updated = await membersAPI.updateMember(boardId, memberId, role);
+        boardMembers = boardMembers.map(member => member.id === memberId ? updated : member);
+    } catch (error) {
+        console.error('Error changing role:', error);
+        showToast('Failed to change role: ' + (error.message || 'Unknown error'), 'error');
+    }
+    renderMembers();
+}
+
+async function removeMember(memberId) {
+    const boardId = document.getElementById('boardId').value;
+    const member = boardMembers.find(m => m.id === memberId);
+    if (!member) return;
+
+    const isSelf = isCurrentMember(member);
+    const question = isSelf
+        ? 'Leave this board? You will need a new invite to see it again.'
+        : `Remove ${member.email} from this board?`;
+    if (!confirm(question)) return;
+
+    try {
+        await membersAPI.removeMember(boardId, memberId);
+        if (isSelf) {
+            closeBoardModal();
+            if (boardId === state.currentBoardId) {
+                setCurrentBoard(null);
+            }
+            await fetchTasks();
+            showToast('You left the board', 'success');
+            return;
+        }
+        boardMembers = boardMembers.filter(m => m.id !== memberId);
+        renderMembers();
+        if (boardId === state.currentBoardId) {
+            // Their assignments on this board were removed with them
+            await fetchTasks();
+        }
+    } catch (error) {
+        console.error('Error removing member:', error);
+        showToast('Failed to remove member: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
+function setupMembers() {
+    document.getElementById('inviteMemberBtn')?.addEventListener('click', inviteMember);
+    document.getElementById('inviteMemberEmail')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            inviteMember();
+        }
+    });
+
+    const list = document.getElementById('boardMembers');
+    list?.addEventListener('change', (e) => {
+        const item = e.target.closest('.member-item');
+        if (item && e.target.classList.contains('member-role')) {
+            changeMemberRole(item.dataset.id, e.target.value);
+        }
+    });
+    list?.addEventListener('click', (e) => {
+        const item = e.target.closest('.member-item');
+        if (item && e.target.closest('.member-remove')) {
+            removeMember(item.dataset.id);
+        }
+    });
+}
+
+// --- Column Management ---
+
+// Load the columns of the current board
+async function loadColumns() {
+    try {
+        state.columns = state.currentBoardId || !isLoggedIn()
+            ? await columnsAPI.getColumns(state.currentBoardId)
+            : [];
+    } catch (error) {
+        console.error('Error loading columns:', error);
+        state.columns = [];
+    }
+
+    renderColumnOptions();
+    return state.columns;
+}
+
+// Fill the task modal's column select with the board's columns
+function renderColumnOptions() {
+    const select = document.getElementById('taskStatus');
+    if (!select) return;
+
+    select.innerHTML = state.columns.map(column => `
+        <option value="${sanitize(column.id)}">${sanitize(column.name)}</option>
+    `).join('');
+}
+
+// --- Labels ---
+
+// Load the labels of the current board
+async function loadLabels() {
+    try {
+        state.labels = state.currentBoardId || !isLoggedIn()
+            ? await labelsAPI.getLabels(state.currentBoardId)
+            : [];
+    } catch (error) {
+        console.error('Error loading labels:', error);
+        state.labels = [];
+    }
+
+    renderLabelFilter();
+    return state.labels;
+}
+
+// Server tasks carry label objects; guest tasks only store the IDs
+function getTaskLabelIds(task) {
+    return Array.isArray(task.label_ids)
+        ? task.label_ids
+        : (task.labels || []).map(label => label.id);
+}
+
+// Resolve a task's labels against the board's labels, so renames show up straight away
+function getTaskLabels(task) {
+    return getTaskLabelIds(task)
+        .map(id => state.labels.find(label => label.id === id))
+        .filter(Boolean);
+}
+
+// Fill the label filter next to the priority filter, keeping the current choice if it still exists
+function renderLabelFilter() {
+    const select = document.getElementById('labelFilter');
+    if (!select) return;
+
+    if (state.labelFilter !== 'all' && !state.labels.some(label => label.id === state.labelFilter)) {
+        state.labelFilter = 'all';
+    }
+
+    select.innerHTML = `
+        <option value="all">All Labels</option>
+        ${state.labels.map(label => `
+            <option value="${sanitize(label.id)}" ${label.id === state.labelFilter ? 'selected' : ''}>${sanitize(label.name)}</option>
+        `).join('')}
+    `;
+}
+
+// Show the board's labels in the task modal as toggles
+function renderLabelPicker(selectedIds) {
+    const picker = document.getElementById('taskLabelPicker');
+    if (!picker) return;
+
+    if (state.labels.length === 0) {
+        picker.innerHTML = '<span class="label-picker-empty">No labels yet</span>';
+        return;
+    }
+
+    picker.innerHTML = state.labels.map(label => {
+        const selected = selectedIds.includes(label.id);
+        return `
+            <span class="label-option ${selected ? 'selected' : ''}" data-id="${sanitize(label.id)}"
+                style="--label-color: ${sanitize(label.color)}">
+                <button type="button" class="label-toggle" aria-pressed="${selected}">${sanitize(label.name)}</button>
+                <button type="button" class="label-delete" title="Delete label" aria-label="Delete label ${sanitize(label.name)}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </span>
+        `;
+    }).join('');
+}
+
+function getLabelIdsFromForm() {
+    return Array.from(document.querySelectorAll('#taskLabelPicker .label-option.selected'))
+        .map(option => option.dataset.id);
+}
+
+async function addLabel() {
+    const nameInput = document.getElementById('newLabelName');
+    const name = nameInput.value.trim();
+    if (!name) return;
+
+    try {
+        const label = await labelsAPI.createLabel(state.currentBoardId, {
+            name,
+            color: document.getElementById('newLabelColor').value
+        });
+        const selectedIds = [...getLabelIdsFromForm(), label.id];
+        state.labels = [...state.labels, label]
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+        nameInput.value = '';
+        renderLabelPicker(selectedIds);
+        renderLabelFilter();
+    } catch (error) {
+        console.error('Error creating label:', error);
+        showToast('Failed to create label: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
+async function deleteLabel(labelId) {
+    const label = state.labels.find(l => l.id === labelId);
+    if (!label || !confirm(`Delete the label "${label.name}"? It will be removed from every task.`)) {
+        return;
+    }
+
+    try {
+        await labelsAPI.deleteLabel(state.currentBoardId, labelId);
+        const selectedIds = getLabelIdsFromForm().filter(id => id !== labelId);
+        state.labels = state.labels.filter(l => l.id !== labelId);
+        state.tasks.forEach(task => {
+            if (Array.isArray(task.label_ids)) {
+                task.label_ids = task.label_ids.filter(id => id !== labelId);
+            }
+            if (Array.isArray(task.labels)) {
+                task.labels = task.labels.filter(l => l.id !== labelId);
+            }
+        });
+        saveState();
+        renderLabelPicker(selectedIds);
+        renderLabelFilter();
+        renderBoard();
+    } catch (error) {
+        console.error('Error deleting label:', error);
+        showToast('Failed to delete label: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
+function setupLabelPicker() {
+    document.getElementById('addLabelBtn')?.addEventListener('click', addLabel);
+    document.getElementById('newLabelName')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addLabel();
+        }
+    });
+    document.getElementById('taskLabelPicker')?.addEventListener('click', (e) => {
+        const option = e.target.closest('.label-option');
+        if (!option) return;
+
+        if (e.target.closest('.label-delete')) {
+            deleteLabel(option.dataset.id);
+        } else if (e.target.closest('.label-toggle')) {
+            const selected = option.classList.toggle('selected');
+            option.querySelector('.label-toggle').setAttribute('aria-pressed', selected);
+        }
+    });
+}
+
+// --- Assignees ---
+
+// Assignee avatars shown on a card before the rest are summed up as +N
+const MAX_CARD_ASSIGNEES = 3;
+
+// Load the people on the current board, for the assignee picker and filter
+async function loadBoardMembers() {
+    try {
+        const members = state.currentBoardId && isLoggedIn()
+            ? await membersAPI.getMembers(state.currentBoardId)
+            : [];
+        // Pending invites can't be assigned until the person signs up
+        state.members = members
+            .filter(member => !member.pending)
+            .map(member => ({ id: member.user_id, name: member.name, email: member.email, role: member.role }));
+    } catch (error) {
+        console.error('Error loading board members:', error);
+        state.members = [];
+    }
+
+    renderAssigneeFilter();
+    return state.members;
+}
+
+// The current user's ID on the server, found among the board's members
+function getCurrentMemberId() {
+    return state.members.find(isCurrentMember)?.id || null;
+}
+
+function getMemberName(userId) {
+    const member = state.members.find(m => m.id === userId);
+    return member ? (member.name || member.email) : 'a former member';
+}
+
+// Server tasks carry assignee objects; tasks edited in the modal store the IDs
+function getTaskAssigneeIds(task) {
+    return Array.isArray(task.assignee_ids)
+        ? task.assignee_ids
+        : (task.assignees || []).map(person => person.id);
+}
+
+// Resolve a task's assignees against the board's members, falling back to
+// the details sent with the task for people who have since left the board
+function getTaskAssignees(task) {
+    return getTaskAssigneeIds(task)
+        .map(id => state.members.find(member => member.id === id) ||
+            (task.assignees || []).find(person => person.id === id))
+        .filter(Boolean);
+}
+
+// Fill the assignee filter, keeping the current choice if that person is still on the board
+function renderAssigneeFilter() {
+    const select = document.getElementById('assigneeFilter');
+    if (!select) return;
+
+    select.hidden = state.members.length === 0;
+    if (!['all', 'me', 'none'].includes(state.assigneeFilter) &&
+        !state.members.some(member => member.id === state.assigneeFilter)) {
+        state.assigneeFilter = 'all';
+    }
+
+    select.innerHTML = `
+        <option value="all">All Assignees</option>
+        <option value="me" ${state.assigneeFilter === 'me' ? 'selected' : ''}>Assigned to Me</option>
+        <option value="none" ${state.assigneeFilter === 'none' ? 'selected' : ''}>Unassigned</option>
+        ${state.members.map(member => `
+            <option value="${sanitize(member.id)}" ${member.id === state.assigneeFilter ? 'selected' : ''}>${sanitize(member.name || member.email)}</option>
+        `).join('')}
+    `;
+}
+
+// Show the board's members in the task modal as toggles
+function renderAssigneePicker(selectedIds) {
+    const group = document.getElementById('taskAssigneeGroup');
+    const picker = document.getElementById('taskAssigneePicker');
+    if (!group || !picker) return;
+
+    group.style.display = state.members.length > 0 ? '' : 'none';
+    picker.innerHTML = state.members.map(member => {
+        const selected = selectedIds.includes(member.id);
+        return `
+            <button type="button" class="assignee-option ${selected ? 'selected' : ''}" data-id="${sanitize(member.id)}" aria-pressed="${selected}">
+                <span class="assignee-chip" style="background-color: ${getAvatarColor(member.id)}">${sanitize(getAvatarInitial(member))}</span>
+                ${sanitize(member.name || member.email)}
+            </button>
+        `;
+    }).join('');
+}
+
+function getAssigneeIdsFromForm() {
+    return Array.from(document.querySelectorAll('#taskAssigneePicker .assignee-option.selected'))
+        .map(option => option.dataset.id);
+}
+
+function setupAssigneePicker() {
+    document.getElementById('taskAssigneePicker')?.addEventListener('click', (e) => {
+        const option = e.target.closest('.assignee-option');
+        if (!option) return;
+
+        const selected = option.classList.toggle('selected');
+        option.setAttribute('aria-pressed', selected);
+    });
+}
+
+// --- Recurring Tasks ---
+
+const RECURRENCE_UNITS = { DAILY: ['day', 'days'], WEEKLY: ['week', 'weeks'], MONTHLY: ['month', 'months'], YEARLY: ['year', 'years'] };
+const RECURRENCE_WEEKDAYS = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+
+// "FREQ=WEEKLY;BYDAY=MO" as { FREQ: 'WEEKLY', BYDAY: 'MO' }
+function parseRecurrenceRule(rule) {
+    return Object.fromEntries(String(rule || '').replace(/^RRULE:/i, '').split(';').filter(Boolean)
+        .map(part => part.split('=').map(value => value.trim().toUpperCase())));
+}
+
+// A rule in words for the card and the history, e.g. "Every 2 weeks on Mon, Thu"
+function describeRecurrence(rule) {
+    const parts = parseRecurrenceRule(rule);
+    const units = RECURRENCE_UNITS[parts.FREQ];
+    if (!units) return rule;
+
+    const interval = parseInt(parts.INTERVAL, 10) || 1;
+    const text = [interval === 1 ? `Every ${units[0]}` : `Every ${interval} ${units[1]}`];
+    if (parts.BYDAY) {
+        text.push(`on ${parts.BYDAY.split(',').map(day => RECURRENCE_WEEKDAYS[day] || day).join(', ')}`);
+    }
+    if (parts.BYMONTHDAY) {
+        text.push(parts.BYMONTHDAY === '-1' ? 'on the last day' : `on day ${parts.BYMONTHDAY}`);
+    }
+    if (parts.COUNT) {
+        text.push(`(${parts.COUNT} more time${parts.COUNT === '1' ? '' : 's'})`);
+    }
+    if (parts.UNTIL) {
+        text.push(`until ${parts.UNTIL.replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3')}`);
+    }
+    return text.join(' ');
+}
+
+// Show the fields that go with the chosen kind of repeat
+function updateRecurrenceEditor() {
+    const frequency = document.getElementById('taskRecurrence').value;
+    const simple = ['DAILY', 'WEEKLY', 'MONTHLY'].includes(frequency);
+    const interval = parseInt(document.getElementById('recurrenceInterval').value, 10) || 1;
+
+    document.getElementById('recurrenceOptions').style.display = simple ? '' : 'none';
+    document.getElementById('recurrenceWeekdays').style.display = frequency === 'WEEKLY' ? '' : 'none';
+    document.getElementById('recurrenceRule').style.display = frequency === 'custom' ? '' : 'none';
+    if (simple) {
+        document.getElementById('recurrenceUnit').textContent = RECURRENCE_UNITS[frequency][interval === 1 ? 0 : 1];
+    }
+}
+
+// Load a task's rule into the editor. Rules the simple choices can't show
+// in full are edited as text
+function renderRecurrenceEditor(rule) {
+    const group = document.getElementById('taskRecurrenceGroup');
+    if (!group) return;
+
+    group.style.display = isLoggedIn() ? '' : 'none';
+    const parts = parseRecurrenceRule(rule);
+    const keys = Object.keys(parts).filter(key => key !== 'FREQ' && key !== 'INTERVAL');
+    const simple = (parts.FREQ === 'DAILY' && keys.length === 0) ||
+        (parts.FREQ === 'WEEKLY' && keys.every(key => key === 'BYDAY')) ||
+        (parts.FREQ === 'MONTHLY' && keys.every(key => key === 'BYMONTHDAY') && !(parseInt(parts.BYMONTHDAY, 10) < 0));
+
+    document.getElementById('taskRecurrence').value = !rule ? '' : (simple ? parts.FREQ : 'custom');
+    document.getElementById('recurrenceInterval').value = simple ? (parseInt(parts.INTERVAL, 10) || 1) : 1;
+    document.getElementById('recurrenceRule').value = rule && !simple ? rule : '';
+    const weekdays = simple && parts.BYDAY ? parts.BYDAY.split(',') : [];
+    document.querySelectorAll('#recurrenceWeekdays input').forEach(input => {
+        input.checked = weekdays.includes(input.value);
+    });
+    updateRecurrenceEditor();
+}
+
+/**
+ * The rule set in the task modal
+ * @param {string} [dueDate] - The form's due date (YYYY-MM-DD); monthly
+ *   repeats stay on its day of the month
+ * @returns {string|null} - null when the task doesn't repeat
+ */
+function getRecurrenceRuleFromForm(dueDate) {
+    const frequency = document.getElementById('taskRecurrence').value;
+    if (!frequency) return null;
+    if (frequency === 'custom') {
+        return document.getElementById('recurrenceRule').value.trim() || null;
+    }
+
+    const interval = Math.min(Math.max(parseInt(document.getElementById('recurrenceInterval').value, 10) || 1, 1), 999);
+    const rule = [`FREQ=${frequency}`];
+    if (interval > 1) {
+        rule.push(`INTERVAL=${interval}`);
+    }
+    if (frequency === 'WEEKLY') {
+        const weekdays = Array.from(document.querySelectorAll('#recurrenceWeekdays input:checked')).map(input => input.value);
+        if (weekdays.length > 0) {
+            rule.push(`BYDAY=${weekdays.join(',')}`);
+        }
+    }
+    if (frequency === 'MONTHLY' && /^\d{4}-\d{2}-\d{2}$/.test(dueDate || '')) {
+        rule.push(`BYMONTHDAY=${parseInt(dueDate.slice(8), 10)}`);
+    }
+    return rule.join(';');
+}
+
+function setupRecurrenceEditor() {
+    document.getElementById('taskRecurrence')?.addEventListener('change', updateRecurrenceEditor);
+    document.getElementById('recurrenceInterval')?.addEventListener('input', updateRecurrenceEditor);
+}
+
+// --- Assigned to Me ---
+
+// List the tasks assigned to the current user on every board
+async function openMyTasks() {
+    const modal = document.getElementById('myTasksModal');
+    const list = document.getElementById('myTasksList');
+    if (!modal || !list) return;
+
+    list.innerHTML = '<li class="comments-empty">Loading...</li>';
+    modal.style.display = 'flex';
+
+    try {
+        const { tasks } = await tasksAPI.getMyTasks({ limit: 200 });
+        list.innerHTML = tasks.length === 0
+            ? '<li class="comments-empty">Nothing is assigned to you</li>'
+            : tasks.map(task => `
+                <li>
+                    <button type="button" class="my-task-item" data-id="${sanitize(task.id)}" data-board-id="${sanitize(task.board_id)}">
+                        <span class="priority-badge priority-${sanitize(task.priority || 'medium')}">${sanitize((task.priority || 'medium').toUpperCase())}</span>
+                        <span class="my-task-info">
+                            <span>${sanitize(task.title)}</span>
+                            <span class="my-task-where">${sanitize(task.board_name)} · ${sanitize(task.column_name || '')}</span>
+                        </span>
+                        ${task.due_date ? `
+                            <span class="card-date">
+                                <i class="far fa-calendar-alt"></i>
+                                ${new Date(task.due_date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                            </span>
+                        ` : ''}
+                    </button>
+                </li>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading assigned tasks:', error);
+        list.innerHTML = '<li class="comments-empty">Could not load your tasks</li>';
+    }
+}
+
+function closeMyTasks() {
+    const modal = document.getElementById('myTasksModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+// Open an assigned task on its own board
+async function showMyTask(taskId, boardId) {
+    closeMyTasks();
+    if (boardId !== state.currentBoardId) {
+        await switchBoard(boardId);
+    }
+    openModal(taskId);
+}
+
+function setupMyTasks() {
+    document.getElementById('myTasksBtn')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        openMyTasks();
+    });
+    document.getElementById('closeMyTasksBtn')?.addEventListener('click', closeMyTasks);
+    document.getElementById('myTasksList')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.my-task-item');
+        if (item) {
+            showMyTask(item.dataset.id, item.dataset.boardId);
+        }
+    });
+}
+
+// --- Calendar Feed ---
+
+// Token of the current user's calendar feed, null while it is turned off
+let calendarFeedToken = null;
+
+async function openCalendarFeed() {
+    const modal = document.getElementById('calendarModal');
+    if (!modal) return;
+
+    modal.style.display = 'flex';
+    try {
+        const feed = await calendarAPI.getFeed();
+        renderCalendarFeed(feed.token);
+    } catch (error) {
+        console.error('Error loading calendar feed:', error);
+        showToast('Could not load your calendar feed', 'error');
+    }
+}
+
+function closeCalendarFeed() {
+    const modal = document.getElementById('calendarModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+function renderCalendarFeed(token) {
+    calendarFeedToken = token;
+    document.getElementById('calendarFeedOn').style.display = token ? '' : 'none';
+    document.getElementById('calendarFeedOff').style.display = token ? 'none' : '';
+    document.getElementById('disableCalendarFeedBtn').style.display = token ? 'inline-flex' : 'none';
+    document.getElementById('rotateCalendarFeedBtn').textContent = token ? 'New Link' : 'Create Link';
+    updateCalendarFeedUrl();
+}
+
+// The options are part of the URL, so changing them only changes the address to subscribe to
+function updateCalendarFeedUrl() {
+    if (!calendarFeedToken) return;
+
+    const options = {};
+    if (document.getElementById('calendarIncludeDone').checked) options.include_done = 'true';
+    if (document.getElementById('calendarHighOnly').checked) options.priority = 'high';
+    if (document.getElementById('calendarAsTodos').checked) options.component = 'todo';
+    document.getElementById('calendarFeedUrl').value = calendarAPI.getFeedUrl(calendarFeedToken, options);
+}
+
+async function rotateCalendarFeed() {
+    if (calendarFeedToken && !confirm('Create a new link? Calendars subscribed to the current link will stop updating.')) {
+        return;
+    }
+
+    try {
+        const feed = await calendarAPI.rotateFeed();
+        renderCalendarFeed(feed.token);
+    } catch (error) {
+        console.error('Error rotating calendar feed:', error);
+        showToast(error.message || 'Failed to create a calendar link', 'error');
+    }
+}
+
+async function disableCalendarFeed() {
+    if (!confirm('Turn off the calendar feed? Subscribed calendars will stop updating.')) return;
+
+    try {
+        await calendarAPI.disableFeed();
+        renderCalendarFeed(null);
+    } catch (error) {
+        console.error('Error turning off calendar feed:', error);
+        showToast(error.message || 'Failed to turn off the calendar feed', 'error');
+    }
+}
+
+async function copyCalendarFeedUrl() {
+    const input = document.getElementById('calendarFeedUrl');
+    try {
+        await navigator.clipboard.writeText(input.value);
+        showToast('Calendar link copied', 'success');
+    } catch (error) {
+        // Fall back to letting the user copy the selected text
+        input.select();
+    }
+}
+
+function setupCalendarFeed() {
+    document.getElementById('calendarFeedBtn')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        openCalendarFeed();
+    });
+    document.getElementById('closeCalendarBtn')?.addEventListener('click', closeCalendarFeed);
+    document.getElementById('rotateCalendarFeedBtn')?.addEventListener('click', rotateCalendarFeed);
+    document.getElementById('disableCalendarFeedBtn')?.addEventListener('click', disableCalendarFeed);
+    document.getElementById('copyCalendarFeedBtn')?.addEventListener('click', copyCalendarFeedUrl);
+    ['calendarIncludeDone', 'calendarHighOnly', 'calendarAsTodos'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', updateCalendarFeedUrl);
+    });
+}
+
+// --- Email Digest ---
+
+// Digests are scheduled in the browser's time zone
+const DIGEST_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Previews that arrive after a newer one was asked for are dropped
+let digestPreviewRequest = 0;
+
+function fillDigestHours() {
+    const select = document.getElementById('digestHour');
+    if (!select || select.options.length > 0) return;
+
+    for (let hour = 0; hour < 24; hour++) {
+        const label = new Date(2000, 0, 1, hour).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        select.add(new Option(label, String(hour)));
+    }
+}
+
+async function openDigestSettings() {
+    const modal = document.getElementById('digestModal');
+    if (!modal) return;
+
+    fillDigestHours();
+    modal.style.display = 'flex';
+    try {
+        const preferences = await digestAPI.getPreferences();
+        document.getElementById('digestFrequency').value = preferences.frequency;
+        document.getElementById('digestWeekday').value = String(preferences.weekday);
+        document.getElementById('digestHour').value = String(preferences.send_hour);
+        renderDigestSettings();
+    } catch (error) {
+        console.error('Error loading email digest settings:', error);
+        showToast('Could not load your email digest settings', 'error');
+    }
+}
+
+function closeDigestSettings() {
+    const modal = document.getElementById('digestModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+function renderDigestSettings() {
+    const frequency = document.getElementById('digestFrequency').value;
+    document.getElementById('digestWeekdayGroup').style.display = frequency === 'weekly' ? '' : 'none';
+    document.getElementById('digestHourGroup').style.display = frequency === 'off' ? 'none' : '';
+    document.getElementById('digestTimezone').textContent = frequency === 'off'
+        ? ''
+        : `Times are in your time zone (${DIGEST_TIMEZONE}).`;
+    refreshDigestPreview();
+}
+
+// Show the email as it would look now; a weekly digest looks back over the whole week
+async function refreshDigestPreview() {
+    const frequency = document.getElementById('digestFrequency').value;
+    const requestId = ++digestPreviewRequest;
+    try {
+        const html = await digestAPI.getPreview({
+            frequency: frequency === 'off' ? 'daily' : frequency,
+            timezone: DIGEST_TIMEZONE
+        });
+        if (requestId === digestPreviewRequest) {
+            document.getElementById('digestPreview').srcdoc = html;
+        }
+    } catch (error) {
+        console.error('Error loading email digest preview:', error);
+    }
+}
+
+async function saveDigestSettings() {
+    const frequency = document.getElementById('digestFrequency').value;
+    try {
+        await digestAPI.savePreferences({
+            frequency,
+            send_hour: Number(document.getElementById('digestHour').value),
+            weekday: Number(document.getElementById('digestWeekday').value),
+            timezone: DIGEST_TIMEZONE
+        });
+        closeDigestSettings();
+        showToast(frequency === 'off' ? 'Email digest turned off' : 'Email digest saved', 'success');
+    } catch (error) {
+        console.error('Error saving email digest settings:', error);
+        showToast(error.message || 'Failed to save email digest settings', 'error');
+    }
+}
+
+function setupDigestSettings() {
+    document.getElementById('emailDigestBtn')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        openDigestSettings();
+    });
+    document.getElementById('closeDigestBtn')?.addEventListener('click', closeDigestSettings);
+    document.getElementById('saveDigestBtn')?.addEventListener('click', saveDigestSettings);
+    document.getElementById('digestFrequency')?.addEventListener('change', renderDigestSettings);
+}
+
+// --- Notifications ---
+
+// How often the bell checks for new notifications
+const NOTIFICATIONS_POLL_MS = 60 * 1000;
+const DESKTOP_NOTIFICATIONS_KEY = 'kanbanflow_desktop_notifications';
+const NOTIFICATION_ICONS = { due_soon: 'far fa-clock', overdue: 'fas fa-exclamation-circle', assigned: 'fas fa-user-check' };
+
+let notifications = [];
+let unreadNotificationCount = 0;
+let notificationsTimer = null;
+// IDs of the notifications loaded so far; null until the first load, so
+// only notifications that arrive later pop up on the desktop
+let seenNotificationIds = null;
+
+function describeNotification(notification) {
+    const title = `"${notification.task_title}"`;
+    switch (notification.type) {
+        case 'due_soon':
+            return `${title} is due ${new Date(notification.due_date).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`;
+        case 'overdue':
+            return `${title} is overdue`;
+        case 'assigned':
+            return `${notification.actor_name || notification.actor_email || 'Someone'} assigned you to ${title}`;
+        default:
+            return title;
+    }
+}
+
+// Desktop notifications are opt-in and need the browser's permission too
+function desktopNotificationsEnabled() {
+    return 'Notification' in window &&
+        Notification.permission === 'granted' &&
+        localStorage.getItem(DESKTOP_NOTIFICATIONS_KEY) === 'true';
+}
+
+function renderNotifications() {
+    const badge = document.getElementById('notificationCount');
+    const list = document.getElementById('notificationsList');
+    if (!badge || !list) return;
+
+    badge.hidden = unreadNotificationCount === 0;
+    badge.textContent = unreadNotificationCount > 99 ? '99+' : unreadNotificationCount;
+    document.getElementById('notificationsBtn').title = unreadNotificationCount > 0
+        ? `Notifications (${unreadNotificationCount} unread)`
+        : 'Notifications';
+
+    list.innerHTML = notifications.length === 0
+        ? '<li class="comments-empty">No notifications</li>'
+        : notifications.map(notification => `
+            <li>
+                <button type="button" class="notification-item ${notification.read_at ? '' : 'unread'} ${sanitize(notification.type)}"
+                    data-id="${sanitize(notification.id)}" role="menuitem">
+                    <i class="${NOTIFICATION_ICONS[notification.type] || 'fas fa-bell'}"></i>
+                    <span class="notification-info">
+                        <span>${sanitize(describeNotification(notification))}</span>
+                        <span class="notification-where" title="${new Date(notification.created_at).toLocaleString()}">
+                            ${sanitize(notification.board_name)} · ${new Date(notification.created_at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                        </span>
+                    </span>
+                </button>
+            </li>
+        `).join('');
+}
+
+function showDesktopNotifications(items) {
+    if (!desktopNotificationsEnabled()) return;
+
+    items.forEach(notification => {
+        const desktopNotification = new Notification('YoursKanban', {
+            body: describeNotification(notification),
+            tag: notification.id
+        });
+        desktopNotification.onclick = () => {
+            window.focus();
+            openNotification(notification.id);
+        };
+    });
+}
+
+async function refreshNotifications() {
+    if (!isLoggedIn()) return;
+
+    try {
+        const data = await notificationsAPI.getNotifications({ limit: 30 });
+        notifications = data.notifications;
+        unreadNotificationCount = data.unread_count;
+
+        const fresh = seenNotificationIds
+            ? notifications.filter(notification => !notification.read_at && !seenNotificationIds.has(notification.id))
+            : [];
+        seenNotificationIds = new Set([...(seenNotificationIds || []), ...notifications.map(notification => notification.id)]);
+
+        renderNotifications();
+        showDesktopNotifications(fresh);
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+    }
+}
+
+// Show the bell and keep it up to date while signed in
+function startNotifications() {
+    stopNotifications();
+    document.getElementById('notificationsContainer').hidden = false;
+    refreshNotifications();
+    notificationsTimer = setInterval(refreshNotifications, NOTIFICATIONS_POLL_MS);
+}
+
+function stopNotifications() {
+    clearInterval(notificationsTimer);
+    notificationsTimer = null;
+    notifications = [];
+    unreadNotificationCount = 0;
+    seenNotificationIds = null;
+    closeNotifications();
+    const container = document.getElementById('notificationsContainer');
+    if (container) {
+        container.hidden = true;
+    }
+}
+
+function openNotifications() {
+    document.getElementById('notificationsPanel')?.classList.add('show');
+    document.getElementById('notificationsBtn')?.setAttribute('aria-expanded', 'true');
+    refreshNotifications();
+}
+
+function closeNotifications() {
+    document.getElementById('notificationsPanel')?.classList.remove('show');
+    document.getElementById('notificationsBtn')?.setAttribute('aria-expanded', 'false');
+}
+
+// Mark a notification as read and open its task on its own board
+async function openNotification(notificationId) {
+    const notification = notifications.find(n => n.id === notificationId);
+    if (!notification) return;
+
+    closeNotifications();
+    if (!notification.read_at) {
+        notification.read_at = new Date().toISOString();
+        unreadNotificationCount = Math.max(unreadNotificationCount - 1, 0);
+        renderNotifications();
+        notificationsAPI.markRead(notification.id).catch(error => {
+            console.error('Error marking notification as read:', error);
+        });
+    }
+
+    if (notification.board_id !== state.currentBoardId) {
+        await switchBoard(notification.board_id);
+    }
+    openModal(notification.task_id);
+}
+
+async function markAllNotificationsRead() {
+    try {
+        await notificationsAPI.markAllRead();
+        notifications.forEach(notification => {
+            notification.read_at = notification.read_at || new Date().toISOString();
+        });
+        unreadNotificationCount = 0;
+        renderNotifications();
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        showToast('Could not mark notifications as read', 'error');
+    }
+}
+
+// Turning desktop notifications on asks the browser for permission first
+async function toggleDesktopNotifications(e) {
+    const checkbox = e.target;
+    if (!checkbox.checked) {
+        localStorage.setItem(DESKTOP_NOTIFICATIONS_KEY, 'false');
+        return;
+    }
+
+    if (!('Notification' in window)) {
+        checkbox.checked = false;
+        showToast('This browser does not support desktop notifications', 'error');
+        return;
+    }
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        checkbox.checked = false;
+        showToast('Desktop notifications are blocked in your browser settings', 'warning');
+        return;
+    }
+    localStorage.setItem(DESKTOP_NOTIFICATIONS_KEY, 'true');
+}
+
+function setupNotifications() {
+    const button = document.getElementById('notificationsBtn');
+    const panel = document.getElementById('notificationsPanel');
+    if (!button || !panel) return;
+
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (panel.classList.contains('show')) {
+            closeNotifications();
+        } else {
+            openNotifications();
+        }
+    });
+    document.addEventListener('click', (e) => {
+        if (!panel.contains(e.target)) {
+            closeNotifications();
+        }
+    });
+    document.getElementById('notificationsList')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.notification-item');
+        if (item) {
+            openNotification(item.dataset.id);
+        }
+    });
+    document.getElementById('markAllNotificationsReadBtn')?.addEventListener('click', markAllNotificationsRead);
+
+    const desktopToggle = document.getElementById('desktopNotificationsToggle');
+    if (desktopToggle) {
+        desktopToggle.checked = desktopNotificationsEnabled();
+        desktopToggle.addEventListener('change', toggleDesktopNotifications);
+    }
+
+    // Catch up straight away when coming back to the tab
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && notificationsTimer) {
+            refreshNotifications();
+        }
+    });
+}
+
+// --- Import ---
+
+// Task fields a CSV column can be mapped to
+const IMPORT_FIELDS = [
+    { key: 'title', label: 'Title' },
+    { key: 'description', label: 'Description' },
+    { key: 'column', label: 'Column' },
+    { key: 'priority', label: 'Priority' },
+    { key: 'due_date', label: 'Due date' },
+    { key: 'labels', label: 'Labels' },
+    { key: 'subtasks', label: 'Subtasks' }
+];
+
+const IMPORT_FORMAT_NAMES = {
+    yourskanban: 'YoursKanban export',
+    trello: 'Trello board',
+    csv: 'CSV file'
+};
+
+// The file being imported and the CSV mapping picked for it
+let importState = null;
+
+function openImportPicker() {
+    if (!isLoggedIn()) {
+        showToast('Sign in to import boards', 'info');
+        return;
+    }
+    const input = document.getElementById('importFileInput');
+    if (input) {
+        input.value = '';
+        input.click();
+    }
+}
+
+function openImport(file) {
+    const modal = document.getElementById('importModal');
+    if (!modal) return;
+
+    importState = { file, mapping: null };
+    document.getElementById('importFileName').textContent = file.name;
+    document.getElementById('importBoardName').value = '';
+
+    // Imports can go into a new board or any board the user can edit
+    const target = document.getElementById('importTarget');
+    const editable = state.boards.filter(board => !board.role || board.role === 'owner' || board.role === 'editor');
+    target.innerHTML = `
+        <option value="">A new board</option>
+        ${editable.map(board => `<option value="${sanitize(board.id)}">${sanitize(board.name)}</option>`).join('')}
+    `;
+    document.getElementById('importBoardNameGroup').style.display = '';
+
+    modal.style.display = 'flex';
+    previewImport();
+}
+
+function closeImport() {
+    const modal = document.getElementById('importModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+    importState = null;
+}
+
+function getImportOptions() {
+    const boardId = document.getElementById('importTarget').value;
+    return {
+        mapping: importState.mapping,
+        boardId: boardId || undefined,
+        boardName: boardId ? undefined : document.getElementById('importBoardName').value.trim() || undefined
+    };
+}
+
+// Ask the server what the import would do without saving anything
+async function previewImport() {
+    if (!importState) return;
+    const file = importState.file;
+    const summary = document.getElementById('importSummary');
+    const confirmBtn = document.getElementById('confirmImportBtn');
+
+    summary.textContent = 'Reading file...';
+    confirmBtn.disabled = true;
+
+    try {
+        const preview = await importAPI.importFile(file, { ...getImportOptions(), dryRun: true });
+        // The dialog may have been closed or given another file in the meantime
+        if (!importState || importState.file !== file) return;
+        if (preview.mapping) {
+            importState.mapping = preview.mapping;
+        }
+        renderImportPreview(preview);
+    } catch (error) {
+        if (!importState || importState.file !== file) return;
+        console.error('Error previewing import:', error);
+        summary.textContent = error.message || 'Could not read the file';
+        document.getElementById('importErrors').innerHTML = '';
+        document.getElementById('importPreview').innerHTML = '';
+    }
+}
+
+function renderImportPreview(preview) {
+    const nameInput = document.getElementById('importBoardName');
+    if (!preview.board.id && !nameInput.value) {
+        nameInput.value = preview.board.name;
+    }
+    document.getElementById('importBoardNameGroup').style.display = preview.board.id ? 'none' : '';
+
+    const mappingGroup = document.getElementById('importMappingGroup');
+    mappingGroup.style.display = preview.headers ? '' : 'none';
+    if (preview.headers) {
+        document.getElementById('importMapping').innerHTML = IMPORT_FIELDS.map(field => `
+            <label class="import-mapping-field">
+                <span>${field.label}</span>
+                <select class="form-control" data-field="${field.key}">
+                    <option value="">Not imported</option>
+                    ${preview.headers.map(header => `
+                        <option value="${sanitize(header)}" ${preview.mapping[field.key] === header ? 'selected' : ''}>${sanitize(header)}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `).join('');
+    }
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    document.getElementById('importSummary').textContent =
+        `${IMPORT_FORMAT_NAMES[preview.format] || preview.format}: ${plural(preview.task_count, 'task')}, ` +
+        `${plural(preview.columns.length, 'column')}, ${plural(preview.labels.length, 'label')}`;
+
+    document.getElementById('importErrors').innerHTML = preview.errors.map(error => `
+        <li>${error.row ? `Row ${sanitize(String(error.row))}: ` : ''}${sanitize(error.message)}</li>
+    `).join('');
+
+    document.getElementById('importPreview').innerHTML = preview.preview.map(task => `
+        <li>
+            <span class="priority-badge priority-${sanitize(task.priority)}">${sanitize(task.priority.toUpperCase())}</span>
+            <span class="import-preview-title">${sanitize(task.title)}</span>
+            ${task.column ? `<span class="import-preview-column">${sanitize(task.column)}</span>` : ''}
+        </li>
+    `).join('');
+
+    document.getElementById('confirmImportBtn').disabled = preview.task_count === 0;
+}
+
+async function confirmImport() {
+    if (!importState) return;
+    const confirmBtn = document.getElementById('confirmImportBtn');
+    confirmBtn.disabled = true;
+
+    try {
+        const result = await importAPI.importFile(importState.file, getImportOptions());
+        closeImport();
+        showToast(`Imported ${result.imported} task${result.imported === 1 ? '' : 's'}`, 'success');
+
+        if (result.board.id === state.currentBoardId) {
+            await fetchTasks();
+        } else {
+            await switchBoard(result.board.id);
+        }
+    } catch (error) {
+        console.error('Error importing board:', error);
+        showToast(error.message || 'Import failed', 'error');
+        confirmBtn.disabled = false;
+    }
+}
+
+function setupImport() {
+    document.getElementById('importBoard')?.addEventListener('click', openImportPicker);
+    document.getElementById('importFileInput')?.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            openImport(file);
+        }
+    });
+    document.getElementById('importTarget')?.addEventListener('change', previewImport);
+    document.getElementById('importMapping')?.addEventListener('change', (e) => {
+        const select = e.target.closest('select[data-field]');
+        if (!select || !importState) return;
+        importState.mapping = { ...importState.mapping, [select.dataset.field]: select.value || undefined };
+        previewImport();
+    });
+    document.getElementById('cancelImportBtn')?.addEventListener('click', closeImport);
+    document.getElementById('confirmImportBtn')?.addEventListener('click', confirmImport);
+}
+
+// Boards with at least this many tasks are searched on the server
+const LARGE_BOARD_THRESHOLD = 500;
+// The board is filtered while typing, once the user pauses
+const SEARCH_DEBOUNCE_MS = 250;
+let searchTimer = null;
+let searchRequest = 0;
+
+// How the search query language (shared/search-query.js) looks up a task's column and labels
+const SEARCH_CONTEXT = {
+    getColumn: (task) => state.columns.find(column => column.id === task.column_id) || null,
+    getLabels: (task) => getTaskLabels(task)
+};
+
+// Explain invalid search terms under the search box; the rest of the query still applies
+function renderSearchHints() {
+    const hints = document.getElementById('searchHints');
+    if (!hints) return;
+
+    const { errors } = window.SearchQuery.parseSearchQuery(state.filterQuery);
+    DOM.searchInput?.classList.toggle('invalid', errors.length > 0);
+    DOM.searchInput?.setAttribute('aria-invalid', String(errors.length > 0));
+    hints.hidden = errors.length === 0;
+    hints.innerHTML = errors.map(error => `
+        <div class="search-hint"><code>${sanitize(error.token)}</code> ${sanitize(error.message)}</div>
+    `).join('');
+}
+
+function hasActiveFilters() {
+    return Boolean(state.filterQuery.trim()) || state.priorityFilter !== 'all' ||
+        state.labelFilter !== 'all' || state.assigneeFilter !== 'all';
+}
+
+// The search box and filters as GET /tasks parameters. Tasks without an
+// assignee can't be asked for there, so that filter stays in the browser.
+function getSearchParams() {
+    const params = { q: state.filterQuery.trim() };
+    if (state.priorityFilter !== 'all') params.priority = state.priorityFilter;
+    if (state.labelFilter !== 'all') params.label = state.labelFilter;
+    if (state.assigneeFilter === 'me') {
+        params.assignee = getCurrentMemberId();
+    } else if (state.assigneeFilter !== 'all' && state.assigneeFilter !== 'none') {
+        params.assignee = state.assigneeFilter;
+    }
+    return params;
+}
+
+// Match the search and filters against the board. Small boards are filtered in
+// the browser by renderBoard; large ones page through the server's search, which
+// understands the same query language. Queries with invalid terms stay in the
+// browser, where the valid terms can still be applied.
+async function applySearch() {
+    const requestId = ++searchRequest;
+
+    if (!hasActiveFilters() || !isLoggedIn() || state.tasks.length < LARGE_BOARD_THRESHOLD ||
+        window.SearchQuery.parseSearchQuery(state.filterQuery).errors.length > 0) {
+        state.searchResults = null;
+        renderBoard();
+        return;
+    }
+
+    try {
+        const ids = new Set();
+        let cursor = null;
+        do {
+            const page = await tasksAPI.searchTasks(state.currentBoardId, { ...getSearchParams(), limit: 500, cursor });
+            page.tasks.forEach(task => ids.add(task.id));
+            cursor = page.nextCursor;
+        } while (cursor && requestId === searchRequest);
+
+        if (requestId !== searchRequest) return; // A newer search has started
+        state.searchResults = ids;
+    } catch (error) {
+        console.error('Error searching tasks:', error);
+        if (requestId !== searchRequest) return;
+        state.searchResults = null; // Fall back to matching in the browser
+    }
+    renderBoard();
+}
+
+// The search box and the priority and label filters narrow down the cards shown on the board
+function setupFilters() {
+    DOM.searchInput?.addEventListener('input', (e) => {
+        state.filterQuery = e.target.value;
+        renderSearchHints();
+        handleFiltersChanged();
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applySearch, SEARCH_DEBOUNCE_MS);
+    });
+    document.getElementById('priorityFilter')?.addEventListener('change', (e) => {
+        state.priorityFilter = e.target.value;
+        applySearch();
+        handleFiltersChanged();
+    });
+    document.getElementById('labelFilter')?.addEventListener('change', (e) => {
+        state.labelFilter = e.target.value;
+        applySearch();
+        handleFiltersChanged();
+    });
+    document.getElementById('assigneeFilter')?.addEventListener('change', (e) => {
+        state.assigneeFilter = e.target.value;
+        applySearch();
+        handleFiltersChanged();
+    });
+}
+
+// --- Real-time Sync ---
+
+// Board whose event stream is open, and the function that closes it
+let followedBoardId = null;
+let stopBoardEvents = null;
+
+// Keep the current board in sync with changes made in other tabs and on other devices
+function followBoardEvents() {
+    if (!isLoggedIn() || !state.currentBoardId) {
+        stopFollowingBoardEvents();
+        return;
+    }
+    if (followedBoardId === state.currentBoardId) return;
+
+    stopFollowingBoardEvents();
+    followedBoardId = state.currentBoardId;
+    stopBoardEvents = eventsAPI.subscribe(followedBoardId, {
+        // Changes made while disconnected were missed, so reload the board once back,
+        // after sending the ones this tab queued in the meantime
+        onOpen: ({ reconnected }) => {
+            if (reconnected) {
+                syncOutbox({ reload: true });
+            }
+        },
+        onEvent: handleBoardEvent
+    });
+}
+
+function stopFollowingBoardEvents() {
+    if (stopBoardEvents) {
+        stopBoardEvents();
+    }
+    stopBoardEvents = null;
+    followedBoardId = null;
+}
+
+// Patch state.tasks with a task.created, task.updated, task.moved or task.deleted event
+function handleBoardEvent(type, data) {
+    // This tab already applied its own changes
+    if (data.origin === eventsAPI.clientId || !data.task) return;
+    if (data.task.board_id !== state.currentBoardId) return;
+
+    const index = state.tasks.findIndex(task => task.id === data.task.id);
+    switch (type) {
+        case 'task.created':
+        case 'task.updated':
+        case 'task.moved':
+            if (index === -1) {
+                state.tasks.push(normalizeTask(data.task));
+            } else {
+                state.tasks[index] = normalizeTask(data.task);
+            }
+            break;
+        case 'task.deleted':
+            if (index === -1) return;
+            state.tasks.splice(index, 1);
+            break;
+        default:
+            return;
+    }
+
+    saveState();
+    renderBoard();
+}
+
+// --- Offline Changes ---
+
+let outboxRetryTimer = null;
+
+/**
+ * Send the changes queued while offline, then reload the board so it shows
+ * the server's copy (with real IDs for tasks created offline). Changes the
+ * server rejected are reported one toast each.
+ * @param {Object} [options] - { reload } to reload the board even if nothing was queued
+ */
+async function syncOutbox({ reload = false } = {}) {
+    if (!isLoggedIn()) return;
+
+    try {
+        const { applied, conflicts } = await outboxAPI.sync();
+        conflicts.forEach(conflict => {
+            showToast(`Offline change not saved (${conflict.summary}): ${conflict.message}`, 'error', 10000);
+        });
+        if (applied > 0 && conflicts.length === 0) {
+            showToast('Offline changes synced', 'success');
+        }
+        if (reload || applied > 0 || conflicts.length > 0) {
+            await fetchTasks();
+        }
+    } catch (error) {
+        console.error('Error syncing offline changes:', error);
+    }
+}
+
+// Header badge with the number of changes waiting to be sent
+function renderSyncBadge({ pending, syncing }) {
+    const badge = document.getElementById('syncBadge');
+    if (!badge) return;
+
+    const offline = navigator.onLine === false;
+    badge.hidden = pending === 0 && !offline;
+    badge.classList.toggle('offline', offline);
+    badge.classList.toggle('syncing', syncing);
+    document.getElementById('syncBadgeCount').textContent = pending;
+
+    const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+    badge.title = offline
+        ? `Offline. ${changes} waiting to sync.`
+        : syncing ? `Syncing ${changes}...` : `${changes} waiting to sync. Click to retry now.`;
+
+    // Keep retrying while changes are queued but the server could not be reached
+    clearInterval(outboxRetryTimer);
+    outboxRetryTimer = pending > 0 && !offline ? setInterval(syncOutbox, OUTBOX_RETRY_MS) : null;
+}
+
+function setupOfflineSync() {
+    let lastStatus = { pending: 0, syncing: false };
+    outboxAPI.subscribe(status => {
+        lastStatus = status;
+        renderSyncBadge(status);
+    });
+
+    document.getElementById('syncBadge')?.addEventListener('click', () => syncOutbox());
+    window.addEventListener('online', () => {
+        renderSyncBadge(lastStatus);
+        syncOutbox();
+    });
+    window.addEventListener('offline', () => renderSyncBadge(lastStatus));
+
+    // The service worker keeps the app shell available without a connection
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+}
+
+// --- Saved Views ---
+
+// Filter state when nothing is filtered, and the location hash key for each filter
+const DEFAULT_FILTERS = { query: '', priority: 'all', label: 'all', assignee: 'all', sort: 'none' };
+const FILTER_HASH_KEYS = { query: 'q', priority: 'priority', label: 'label', assignee: 'assignee', sort: 'sort' };
+const FILTER_CHOICES = {
+    priority: ['all', 'low', 'medium', 'high'],
+    sort: ['none', 'asc', 'desc']
+};
+
+// The location hash is applied once, after the first board has loaded
+let locationHashApplied = false;
+
+async function loadViews() {
+    try {
+        state.views = await viewsAPI.getViews();
+    } catch (error) {
+        console.error('Error loading views:', error);
+        state.views = [];
+    }
+
+    if (!state.views.some(view => view.id === state.activeViewId)) {
+        state.activeViewId = null;
+    }
+    renderViewSelect();
+    return state.views;
+}
+
+function renderViewSelect() {
+    const select = document.getElementById('viewSelect');
+    if (!select) return;
+
+    select.innerHTML = `
+        <option value="">All tasks</option>
+        ${state.views.map(view => `
+            <option value="${sanitize(view.id)}" ${view.id === state.activeViewId ? 'selected' : ''}>${sanitize(view.name)}</option>
+        `).join('')}
+    `;
+
+    const deleteBtn = document.getElementById('deleteViewBtn');
+    if (deleteBtn) {
+        deleteBtn.hidden = !state.activeViewId;
+    }
+}
+
+function getFilterState() {
+    return {
+        query: state.filterQuery.trim(),
+        priority: state.priorityFilter,
+        label: state.labelFilter,
+        assignee: state.assigneeFilter,
+        sort: state.sortOrder
+    };
+}
+
+function isSameFilterState(a, b) {
+    return Object.keys(DEFAULT_FILTERS).every(key => (
+        (a[key] ?? DEFAULT_FILTERS[key]) === (b[key] ?? DEFAULT_FILTERS[key])
+    ));
+}
+
+// Put a filter state into the filter controls and re-run the search
+function applyFilterState(filters) {
+    const next = { ...DEFAULT_FILTERS, ...filters };
+    const sortChanged = next.sort !== state.sortOrder;
+
+    state.filterQuery = next.query;
+    state.priorityFilter = next.priority;
+    state.labelFilter = next.label;
+    state.assigneeFilter = next.assignee;
+    state.sortOrder = next.sort;
+
+    if (DOM.searchInput) {
+        DOM.searchInput.value = next.query;
+    }
+    const priorityFilter = document.getElementById('priorityFilter');
+    if (priorityFilter) {
+        priorityFilter.value = next.priority;
+    }
+    renderLabelFilter();
+    renderAssigneeFilter();
+    if (sortChanged) {
+        updateSortButton();
+    }
+    renderSearchHints();
+    applySearch();
+}
+
+// Called after the user changes a filter by hand: the active view no longer
+// applies once the filters differ from it, and the URL follows the filters
+function handleFiltersChanged() {
+    const view = state.views.find(v => v.id === state.activeViewId);
+    if (view && !isSameFilterState(view.filters, getFilterState())) {
+        state.activeViewId = null;
+        renderViewSelect();
+    }
+    updateLocationHash();
+}
+
+// Keep the active view and the filters in the location hash so the page can be
+// bookmarked or shared, e.g. #view=<id>&q=is:overdue&priority=high&board=<id>
+function updateLocationHash() {
+    const params = new URLSearchParams();
+    if (state.activeViewId) {
+        params.set('view', state.activeViewId);
+    }
+    Object.entries(getFilterState()).forEach(([field, value]) => {
+        if (value !== DEFAULT_FILTERS[field]) {
+            params.set(FILTER_HASH_KEYS[field], value);
+        }
+    });
+    if ([...params.keys()].length > 0 && state.currentBoardId) {
+        params.set('board', state.currentBoardId);
+    }
+
+    const hash = params.toString();
+    if (hash !== window.location.hash.slice(1)) {
+        // replaceState doesn't fire hashchange, so this doesn't re-apply the hash
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+    }
+}
+
+// Apply the view and filters in the location hash. Filters in the hash win over
+// the view's own, so a shared link shows the same tasks to someone who doesn't
+// have the view; a bare #view=<id> applies the saved view.
+async function applyLocationHash() {
+    locationHashApplied = true;
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const view = state.views.find(v => v.id === params.get('view')) || null;
+
+    const boardId = params.get('board') || (view && view.board_id);
+    if (boardId && boardId !== state.currentBoardId && state.boards.some(board => board.id === boardId)) {
+        await switchBoard(boardId);
+    }
+
+    const hashFilters = {};
+    Object.entries(FILTER_HASH_KEYS).forEach(([field, key]) => {
+        const value = params.get(key);
+        if (value !== null && (!FILTER_CHOICES[field] || FILTER_CHOICES[field].includes(value))) {
+            hashFilters[field] = value;
+        }
+    });
+
+    state.activeViewId = view ? view.id : null;
+    applyFilterState(view && Object.keys(hashFilters).length === 0 ? view.filters : hashFilters);
+    renderViewSelect();
+    updateLocationHash();
+}
+
+// Apply the location hash the first time the board has loaded
+async function applyInitialLocationHash() {
+    if (!locationHashApplied) {
+        await applyLocationHash();
+    }
+}
+
+async function selectView(viewId) {
+    const view = state.views.find(v => v.id === viewId) || null;
+    state.activeViewId = view ? view.id : null;
+
+    if (view && view.board_id && view.board_id !== state.currentBoardId &&
+        state.boards.some(board => board.id === view.board_id)) {
+        await switchBoard(view.board_id);
+    }
+
+    applyFilterState(view ? view.filters : DEFAULT_FILTERS);
+    renderViewSelect();
+    updateLocationHash();
+}
+
+// Save the current filters as a view; saving under an existing name replaces that view
+async function saveCurrentView() {
+    const activeView = state.views.find(v => v.id === state.activeViewId);
+    const name = prompt('Save the current filters as a view named:', activeView ? activeView.name : '');
+    if (name === null || !name.trim()) return;
+
+    const existing = state.views.find(v => v.name.toLowerCase() === name.trim().toLowerCase());
+    const viewData = {
+        name: name.trim(),
+        filters: getFilterState(),
+        board_id: state.currentBoardId || null
+    };
+
+    try {
+        const view = existing
+            ? await viewsAPI.updateView(existing.id, viewData)
+            : await viewsAPI.createView(viewData);
+        state.views = [...state.views.filter(v => v.id !== view.id), view]
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+        state.activeViewId = view.id;
+        renderViewSelect();
+        updateLocationHash();
+        showToast(`View "${view.name}" saved`, 'success', 2000);
+    } catch (error) {
+        console.error('Error saving view:', error);
+        showToast('Failed to save view: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
+async function deleteActiveView() {
+    const view = state.views.find(v => v.id === state.activeViewId);
+    if (!view || !confirm(`Delete the view "${view.name}"? The filters stay applied.`)) {
+        return;
+    }
+
+    try {
+        await viewsAPI.deleteView(view.id);
+        state.views = state.views.filter(v => v.id !== view.id);
+        state.activeViewId = null;
+        renderViewSelect();
+        updateLocationHash();
+    } catch (error) {
+        console.error('Error deleting view:', error);
+        showToast('Failed to delete view: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
+function setupViews() {
+    document.getElementById('viewSelect')?.addEventListener('change', (e) => {
+        selectView(e.target.value);
+    });
+    document.getElementById('saveViewBtn')?.addEventListener('click', saveCurrentView);
+    document.getElementById('deleteViewBtn')?.addEventListener('click', deleteActiveView);
+    window.addEventListener('hashchange', () => applyLocationHash());
+}
+
+function openColumnModal(columnId = null) {
+    const modal = document.getElementById('columnModal');
+    const form = document.getElementById('columnForm');
+    if (!modal || !form) return;
+
+    form.reset();
+    const column = columnId ? state.columns.find(c => c.id === columnId) : null;
+
+    const iconSelect = document.getElementById('columnIcon');
+    iconSelect.innerHTML = COLUMN_ICONS.map(icon => `
+        <option value="${icon}">${icon.replace('fa-', '')}</option>
+    `).join('');
+
+    document.getElementById('columnModalTitle').textContent = column ? 'Edit Column' : 'New Column';
+    document.getElementById('columnId').value = column ? column.id : '';
+    document.getElementById('columnName').value = column ? column.name : '';
+    document.getElementById('columnColor').value = column?.color || '#64748b';
+    iconSelect.value = column?.icon || COLUMN_ICONS[0];
+    document.getElementById('columnIsDone').checked = Boolean(column?.is_done);
+    document.getElementById('columnWipLimit').value = column?.wip_limit || '';
+
+    const index = column ? state.columns.indexOf(column) : -1;
+    document.getElementById('moveColumnLeft').disabled = index <= 0;
+    document.getElementById('moveColumnRight').disabled = index === -1 || index === state.columns.length - 1;
+    document.getElementById('columnMoveButtons').style.display = column ? 'flex' : 'none';
+    document.getElementById('deleteColumnBtn').style.display = column ? 'inline-flex' : 'none';
+
+    modal.style.display = 'flex';
+    document.getElementById('columnName').focus();
+}
+
+function closeColumnModal() {
+    const modal = document.getElementById('columnModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+async function saveColumn(e) {
+    e.preventDefault();
+
+    const columnId = document.getElementById('columnId').value;
+    const columnData = {
+        name: document.getElementById('columnName').value.trim(),
+        color: document.getElementById('columnColor').value,
+        icon: document.getElementById('columnIcon').value,
+        is_done: document.getElementById('columnIsDone').checked,
+        wip_limit: parseInt(document.getElementById('columnWipLimit').value, 10) || null
+    };
+
+    if (!columnData.name) {
+        showToast('Column name cannot be empty', 'warning');
+        return;
+    }
+
+    try {
+        if (columnId) {
+            const updated = await columnsAPI.updateColumn(state.currentBoardId, columnId, columnData);
+            state.columns = state.columns.map(column => column.id === columnId ? { ...column, ...updated } : column);
+        } else {
+            const created = await columnsAPI.createColumn(state.currentBoardId, columnData);
+            state.columns.push(created);
         }
-        return;
+        renderColumnOptions();
+        renderBoard();
+        closeColumnModal();
+        showToast(columnId ? 'Column updated' : 'Column added', 'success');
+    } catch (error) {
+        console.error('Error saving column:', error);
+        showToast('Error saving column: ' + (error.message || 'Unknown error'), 'error');
     }
+}
 
-    // Focus search with /
-    if (e.key === '/') {
-        e.preventDefault();
-        const searchInput = document.getElementById('searchInput');
-        if (searchInput) {
-            searchInput.focus();
-        }
-        return;
+// Move the column being edited one place to the left (-1) or right (+1)
+async function moveColumn(offset) {
+    const columnId = document.getElementById('columnId').value;
+    const index = state.columns.findIndex(c => c.id === columnId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= state.columns.length) return;
+
+    const previousColumns = [...state.columns];
+    const reordered = [...state.columns];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+
+    // Optimistic update
+    state.columns = reordered;
+    renderColumnOptions();
+    renderBoard();
+
+    try {
+        await columnsAPI.reorderColumns(state.currentBoardId, reordered.map(c => c.id));
+        openColumnModal(columnId); // Refresh the move buttons
+    } catch (error) {
+        console.error('Error reordering columns:', error);
+        state.columns = previousColumns;
+        renderColumnOptions();
+        renderBoard();
+        showToast('Failed to move column', 'error');
     }
+}
 
-    // New task with N
-    if (e.key.toLowerCase() === 'n') {
-        e.preventDefault();
-        const addButtons = document.querySelectorAll('.add-task-btn');
-        if (addButtons.length > 0) {
-            addButtons[0].click(); // Click the first "Add Task" button
-        }
+async function deleteColumn() {
+    const columnId = document.getElementById('columnId').value;
+    const column = state.columns.find(c => c.id === columnId);
+    if (!column) return;
+
+    if (state.columns.length === 1) {
+        showToast('A board needs at least one column', 'warning');
         return;
     }
-    
-    // Clean up invalid dates with Ctrl+Shift+
-    if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'd') {
-        e.preventDefault();
-        cleanupInvalidDates();
+
+    // Tasks in the deleted column move to its left neighbour (or the next column)
+    const index = state.columns.indexOf(column);
+    const fallback = state.columns[index > 0 ? index - 1 : index + 1];
+    const columnTasks = state.tasks.filter(task => task.column_id === columnId);
+    const message = columnTasks.length > 0
+        ? `Delete "${column.name}"? Its ${columnTasks.length} task(s) will move to "${fallback.name}".`
+        : `Delete "${column.name}"?`;
+
+    if (!confirm(message)) {
         return;
     }
 
-    // Toggle theme with T
-    if (e.key.toLowerCase() === 't') {
-        e.preventDefault();
-        ThemeManager.toggleTheme();
+    // Moving the tasks past the other column's WIP limit needs its own confirmation
+    const overLimit = Boolean(fallback.wip_limit) &&
+        getColumnTaskCount(fallback.id) + columnTasks.length > fallback.wip_limit;
+    if (overLimit && !confirm(`"${fallback.name}" would go over its WIP limit of ${fallback.wip_limit}. Move the tasks anyway?`)) {
         return;
     }
-}
 
-// --- Task Cleanup Functions ---
-async function cleanupStaleTasks() {
     try {
-        // Get all tasks from backend
-        const backendTasks = await tasksAPI.getTasks();
-        const backendTaskIds = new Set(backendTasks.map(task => task.id));
-        
-        // Find tasks that exist locally but not on backend
-        const staleTasks = state.tasks.filter(task => !backendTaskIds.has(task.id));
-        
-        if (staleTasks.length > 0) {
-            state.tasks = state.tasks.filter(task => backendTaskIds.has(task.id));
-            saveState();
-            renderBoard();
+        await columnsAPI.deleteColumn(state.currentBoardId, columnId, fallback.id, overLimit);
+        if (isLoggedIn()) {
+            // The moved tasks got new positions and versions on the server
+            state.tasks = ((await tasksAPI.getTasks(state.currentBoardId)) || []).map(normalizeTask);
+        } else {
+            columnTasks.forEach(task => { task.column_id = fallback.id; });
         }
+        state.columns = state.columns.filter(c => c.id !== columnId);
+        saveState();
+        renderColumnOptions();
+        renderBoard();
+        closeColumnModal();
+        showToast('Column deleted', 'success');
     } catch (error) {
-        console.warn('Error during stale task cleanup:', error);
+        console.error('Error deleting column:', error);
+        showToast('Failed to delete column', 'error');
     }
 }
 
-// --- Task Management ---
-async function fetchTasks() {
-    try {
-        // Get the current user from Firebase Auth
-        const user = auth.currentUser;
-        
-        if (!user) {
-
-            state.tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
-            renderBoard();
-            return state.tasks;
-        }
-        // Render cached tasks immediately for fast first paint
-        try {
-            const cached = JSON.parse(localStorage.getItem('kanbanflow_state') || 'null');
-            if (cached && Array.isArray(cached.tasks) && cached.tasks.length > 0) {
-                state.tasks = cached.tasks;
-                renderBoard();
-            }
-        } catch (err) {
-            // ignore cache parsing errors
-        }
-
-        // Do not force a token refresh here (it can block rendering). tasksAPI.request
-        // will refresh tokens when needed. Fetch backend tasks and then update UI.
-        const tasks = await tasksAPI.getTasks();
-
-        // Normalize field names from snake_case (API) to camelCase (frontend)
-        state.tasks = (tasks || []).map(task => ({
-            ...task,
-            dueDate: task.due_date || task.dueDate,
-            subtasks: Array.isArray(task.subtasks) ? task.subtasks : []
-        }));
+function setupColumnEditor() {
+    document.getElementById('columnForm')?.addEventListener('submit', saveColumn);
+    document.getElementById('cancelColumnBtn')?.addEventListener('click', closeColumnModal);
+    document.getElementById('deleteColumnBtn')?.addEventListener('click', deleteColumn);
+    document.getElementById('moveColumnLeft')?.addEventListener('click', () => moveColumn(-1));
+    document.getElementById('moveColumnRight')?.addEventListener('click', () => moveColumn(1));
+}
 
-        renderBoard();
-        return state.tasks;
-    } catch (error) {
-        console.error('Error in fetchTasks:', {
-            message: error.message,
-            code: error.code,
-            stack: error.stack
-        });
-        
-        if (error.message.includes('auth/network-request-failed')) {
-            showToast('Network error. Please check your connection.', 'error');
-        } else if (error.code === 'unauthenticated' || error.code === 401) {
-            // If we get an auth error, sign out and show login
-            
-            await authAPI.logout();
-            showToast('Session expired. Please log in again.', 'error');
-            state.tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
-        } else {
-            showToast('Failed to load tasks', 'error');
-            state.tasks = [];
+function setupBoardSwitcher() {
+    document.getElementById('boardSelect')?.addEventListener('change', (e) => {
+        switchBoard(e.target.value);
+    });
+    document.getElementById('newBoardBtn')?.addEventListener('click', () => openBoardModal());
+    document.getElementById('editBoardBtn')?.addEventListener('click', () => {
+        if (state.currentBoardId) {
+            openBoardModal(state.currentBoardId);
         }
-        
-        renderBoard();
-        return state.tasks;
-    }
+    });
+    document.getElementById('boardForm')?.addEventListener('submit', saveBoard);
+    document.getElementById('cancelBoardBtn')?.addEventListener('click', closeBoardModal);
+    document.getElementById('deleteBoardBtn')?.addEventListener('click', deleteCurrentBoard);
 }
 
 // Inline Editing Functions
@@ -1682,6 +4074,11 @@ async function createTask(taskData) {
         // Remove id from taskData if it exists (let server generate it)
         const { id, ...taskToCreate } = taskData;
         
+        // Create the task on the board currently being shown (guests have a single local board)
+        if (state.currentBoardId && isLoggedIn()) {
+            taskToCreate.boardId = state.currentBoardId;
+        }
+
         // Add timestamps
         taskToCreate.createdAt = new Date().toISOString();
         taskToCreate.updatedAt = new Date().toISOString();
@@ -1737,7 +4134,12 @@ async function createTask(taskData) {
         state.tasks.unshift(normalizedTask);
         saveState();
         renderBoard();
-        showToast('Task created successfully', 'success');
+        if (normalizedTask.pending) {
+            showToast(OFFLINE_SAVED_MESSAGE, 'warning');
+        } else {
+            showToast('Task created successfully', 'success');
+        }
+        return normalizedTask;
     } catch (error) {
         console.error('Error creating task:', error);
         throw error;
@@ -1785,7 +4187,15 @@ async function duplicateTask(taskId) {
     }
 }
 
-async function updateTask(taskId, taskData) {
+/**
+ * Save changes to a task
+ * @param {string} taskId - Task ID
+ * @param {Object} taskData - Changed fields (the task form sends all of them)
+ * @param {Object} [options] - { base } task the changes were made to, e.g. as it was when
+ *   the modal opened; defaults to the current copy. If the task changed on the server
+ *   since, the changes are merged (asking the user where both sides changed a field).
+ */
+async function updateTask(taskId, taskData, { base } = {}) {
     try {
         // Find existing task
         const taskIndex = state.tasks.findIndex(t => t.id == taskId || t.id.toString() === taskId.toString());
@@ -1815,9 +4225,13 @@ async function updateTask(taskId, taskData) {
             return;
         }
         
-        // Update task in backend
+        // Subtasks are saved through their own endpoints
+        const { subtasks: formSubtasks, ...taskUpdates } = validatedTask;
+        
+        // Update task in backend, unless it changed since the edit started
+        const baseTask = base || state.tasks[taskIndex];
         try {
-            const response = await tasksAPI.updateTask(taskId, validatedTask);
+            const response = await tasksAPI.updateTask(taskId, taskUpdates, { version: baseTask.version });
             
             // Handle different response structures
             let updatedTask;
@@ -1832,20 +4246,56 @@ async function updateTask(taskId, taskData) {
                 throw new Error('Invalid response from server');
             }
             
-            // Normalize field names from snake_case (API) to camelCase (frontend)
+            // Checklist items have their own endpoints, which are not queued offline
+            const savedSubtasks = state.tasks[taskIndex].subtasks || [];
+            const checklistChanged = formSubtasks &&
+                JSON.stringify(formSubtasks.map(st => [st.id, st.title, st.is_completed])) !==
+                JSON.stringify(savedSubtasks.map(st => [st.id, st.title, Boolean(st.is_completed)]));
+            const subtasks = formSubtasks && !updatedTask.pending
+                ? await syncSubtasks(taskId, savedSubtasks, formSubtasks)
+                : savedSubtasks;
+            
+            // Normalize field names from snake_case (API) to camelCase (frontend);
+            // a change queued offline only carries the updated fields
             const normalizedTask = {
+                ...(updatedTask.pending ? state.tasks[taskIndex] : {}),
                 ...updatedTask,
                 dueDate: updatedTask.due_date || updatedTask.dueDate,
-                subtasks: updatedTask.subtasks || []
+                subtasks
             };
             
             // Update task in local state
             state.tasks[taskIndex] = normalizedTask;
             saveState();
             renderBoard();
-            showToast('Task updated successfully', 'success');
+            if (updatedTask.pending) {
+                showToast(checklistChanged
+                    ? `${OFFLINE_SAVED_MESSAGE} Checklist changes need a connection and were not saved.`
+                    : OFFLINE_SAVED_MESSAGE, 'warning');
+            } else {
+                showToast('Task updated successfully', 'success');
+            }
             
         } catch (error) {
+            // Someone else saved the task first: merge and try again on top of their copy
+            if (error.status === 409 && error.data && error.data.data && error.data.data.id === taskId) {
+                const current = normalizeTask(error.data.data);
+                state.tasks[taskIndex] = current;
+                saveState();
+                renderBoard();
+
+                const merged = await mergeTaskChanges(baseTask, taskUpdates, current);
+                if (merged === null) {
+                    showToast('Your changes were discarded', 'info');
+                    return;
+                }
+                if (Object.keys(merged).length === 0) {
+                    showToast('This task was changed elsewhere and now shows the latest version', 'info');
+                    return;
+                }
+                return updateTask(taskId, { ...merged, subtasks: formSubtasks }, { base: current });
+            }
+
             // If task not found on backend, update locally only
             if (error.message && error.message.includes('Task not found')) {
                 console.warn('Task not found on backend, updating locally only:', taskId);
@@ -1877,6 +4327,122 @@ async function updateTask(taskId, taskData) {
     }
 }
 
+// --- Edit Conflicts ---
+
+// Task fields compared when an edit conflicts with someone else's, and how the merge dialog shows them
+const MERGE_FIELDS = {
+    title: { label: 'Title', format: value => value },
+    description: { label: 'Description', format: value => value || '(empty)' },
+    priority: { label: 'Priority', format: value => value },
+    column_id: { label: 'Column', format: id => state.columns.find(c => c.id === id)?.name || 'Unknown column' },
+    label_ids: {
+        label: 'Labels',
+        format: ids => ids.map(id => state.labels.find(l => l.id === id)?.name).filter(Boolean).join(', ') || '(none)'
+    },
+    assignee_ids: {
+        label: 'Assignees',
+        format: ids => ids.map(id => getMemberName(id)).join(', ') || '(none)'
+    },
+    recurrence_rule: { label: 'Repeat', format: rule => (rule ? describeRecurrence(rule) : 'Does not repeat') }
+};
+
+// A merge field's value on a task or in a set of updates; labels and assignees compare as sorted ID lists
+function getMergeValue(source, field) {
+    if (field === 'label_ids') {
+        return [...getTaskLabelIds(source)].sort();
+    }
+    if (field === 'assignee_ids') {
+        return [...getTaskAssigneeIds(source)].sort();
+    }
+    return source[field] ?? '';
+}
+
+function isSameMergeValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merge an edit with the changes someone else saved first. Fields only one
+ * side changed are kept as they are; where both changed a field differently
+ * the user picks a version in the merge dialog.
+ * @param {Object} base - Task the edit was made to
+ * @param {Object} updates - The edit
+ * @param {Object} current - Task as now saved on the server
+ * @returns {Promise<Object|null>} - Updates still to save on top of current (empty when
+ *   nothing is left), or null if the user discarded their changes
+ */
+async function mergeTaskChanges(base, updates, current) {
+    const changedFields = Object.keys(MERGE_FIELDS).filter(field => (
+        updates[field] !== undefined &&
+        !isSameMergeValue(getMergeValue(updates, field), getMergeValue(base, field))
+    ));
+    const conflicts = changedFields.filter(field => (
+        !isSameMergeValue(getMergeValue(current, field), getMergeValue(base, field)) &&
+        !isSameMergeValue(getMergeValue(current, field), getMergeValue(updates, field))
+    ));
+
+    const choices = conflicts.length > 0 ? await showMergeDialog(conflicts, updates, current) : {};
+    if (choices === null) return null;
+
+    const merged = {};
+    changedFields
+        .filter(field => choices[field] !== 'theirs')
+        .forEach(field => { merged[field] = updates[field]; });
+    return merged;
+}
+
+/**
+ * Ask which version to keep of each field both sides changed
+ * @param {Array<string>} fields - Conflicting MERGE_FIELDS keys
+ * @param {Object} updates - The user's edit
+ * @param {Object} current - Task as now saved on the server
+ * @returns {Promise<Object|null>} - { field: 'mine' | 'theirs' }, or null to discard the edit
+ */
+function showMergeDialog(fields, updates, current) {
+    const modal = document.getElementById('mergeModal');
+    const list = document.getElementById('mergeFields');
+
+    list.innerHTML = fields.map(field => {
+        const { label, format } = MERGE_FIELDS[field];
+        return `
+            <fieldset class="merge-field">
+                <legend>${sanitize(label)}</legend>
+                <label class="merge-option">
+                    <input type="radio" name="merge-${field}" value="theirs">
+                    <span class="merge-source">Saved version</span>
+                    <span class="merge-value">${sanitize(format(getMergeValue(current, field)))}</span>
+                </label>
+                <label class="merge-option">
+                    <input type="radio" name="merge-${field}" value="mine" checked>
+                    <span class="merge-source">Your version</span>
+                    <span class="merge-value">${sanitize(format(getMergeValue(updates, field)))}</span>
+                </label>
+            </fieldset>
+        `;
+    }).join('');
+    modal.style.display = 'flex';
+
+    return new Promise(resolve => {
+        const saveBtn = document.getElementById('saveMergeBtn');
+        const discardBtn = document.getElementById('discardMergeBtn');
+
+        const finish = (choices) => {
+            saveBtn.removeEventListener('click', onSave);
+            discardBtn.removeEventListener('click', onDiscard);
+            modal.style.display = 'none';
+            resolve(choices);
+        };
+        const onSave = () => finish(Object.fromEntries(fields.map(field => [
+            field,
+            list.querySelector(`input[name="merge-${field}"]:checked`).value
+        ])));
+        const onDiscard = () => finish(null);
+
+        saveBtn.addEventListener('click', onSave);
+        discardBtn.addEventListener('click', onDiscard);
+    });
+}
+
 // Subtasks Management
 function loadSubtasks(subtasks) {
     const container = document.getElementById('subtasksContainer');
@@ -1887,9 +4453,12 @@ function loadSubtasks(subtasks) {
     subtasks.forEach((subtask, index) => {
         const subtaskEl = document.createElement('div');
         subtaskEl.className = 'subtask';
+        if (subtask.id) {
+            subtaskEl.dataset.id = subtask.id;
+        }
         subtaskEl.innerHTML = `
-            <input type="checkbox" class="subtask-checkbox" ${subtask.completed ? 'checked' : ''} data-index="${index}">
-            <input type="text" class="form-control" value="${subtask.text || ''}" data-index="${index}" placeholder="Add an item...">
+            <input type="checkbox" class="subtask-checkbox" ${(subtask.is_completed || subtask.completed) ? 'checked' : ''} data-index="${index}">
+            <input type="text" class="form-control" value="${sanitize(subtask.title || subtask.text || '')}" data-index="${index}" placeholder="Add an item...">
             <button type="button" class="btn btn-sm btn-outline delete-subtask">
                 <i class="fas fa-times"></i>
             </button>
@@ -1928,14 +4497,73 @@ function getSubtasksFromForm() {
             if (text.length === 0) return null;
             
             return {
-                text,
-                completed: checkbox ? checkbox.checked : false
+                id: subtaskEl.dataset.id || null,
+                title: text,
+                is_completed: checkbox ? checkbox.checked : false
             };
         })
         .filter(subtask => subtask !== null);
 }
 
+/**
+ * Bring a task's checklist in line with the modal by diffing it against
+ * the saved subtasks: removed items are deleted, new ones created,
+ * edited ones patched, and the order saved if it changed
+ * @param {string} taskId - Task ID
+ * @param {Array} savedSubtasks - Subtasks as last loaded from the API
+ * @param {Array} formSubtasks - Subtasks from getSubtasksFromForm()
+ * @returns {Promise<Array>} - The task's subtasks after syncing
+ */
+async function syncSubtasks(taskId, savedSubtasks, formSubtasks) {
+    const keptIds = new Set(formSubtasks.filter(st => st.id).map(st => st.id));
+    const savedById = new Map(savedSubtasks.map(st => [st.id, st]));
+
+    for (const subtask of savedSubtasks) {
+        if (!keptIds.has(subtask.id)) {
+            await subtasksAPI.deleteSubtask(taskId, subtask.id);
+        }
+    }
+
+    const orderedIds = [];
+    const createdIds = [];
+    for (const subtask of formSubtasks) {
+        const saved = savedById.get(subtask.id);
+        if (!saved) {
+            const created = await subtasksAPI.createSubtask(taskId, {
+                title: subtask.title,
+                is_completed: subtask.is_completed
+            });
+            orderedIds.push(created.id);
+            createdIds.push(created.id);
+            continue;
+        }
+
+        if (saved.title !== subtask.title || Boolean(saved.is_completed) !== subtask.is_completed) {
+            await subtasksAPI.updateSubtask(taskId, saved.id, {
+                title: subtask.title,
+                is_completed: subtask.is_completed
+            });
+        }
+        orderedIds.push(saved.id);
+    }
+
+    // New subtasks are appended after the kept ones; save the order only if the form differs
+    const serverOrder = [
+        ...savedSubtasks.filter(st => keptIds.has(st.id)).map(st => st.id),
+        ...createdIds
+    ];
+    if (orderedIds.join() !== serverOrder.join()) {
+        await subtasksAPI.reorderSubtasks(taskId, orderedIds);
+    }
+
+    return subtasksAPI.getSubtasks(taskId);
+}
+
 // Task Modal Functions
+
+// The task as it was when the modal opened; saving checks it is still the latest version
+let editingBase = null;
+
 function openModal(taskId = null) {
     const modal = DOM.modal;
     const form = DOM.form;
@@ -1958,11 +4586,12 @@ function openModal(taskId = null) {
         }
         
         modalTitle.textContent = 'Edit Task';
+        editingBase = { ...task };
         document.getElementById('taskId').value = task.id;
         document.getElementById('taskTitle').value = task.title || '';
         document.getElementById('taskDesc').value = task.description || '';
         document.getElementById('taskPriority').value = task.priority || 'medium';
-        document.getElementById('taskStatus').value = task.status || 'todo';
+        document.getElementById('taskStatus').value = task.column_id || state.columns[0]?.id || '';
         
         // Handle date format conversion
         const taskDueDate = task.dueDate || task.due_date;
@@ -1987,14 +4616,25 @@ function openModal(taskId = null) {
             document.getElementById('taskDueDate').value = '';
         }
         
-        // Load subtasks
+        // Load subtasks and labels
         loadSubtasks(task.subtasks || []);
+        renderLabelPicker(getTaskLabelIds(task));
+        renderAssigneePicker(getTaskAssigneeIds(task));
+        renderRecurrenceEditor(task.recurrence_rule);
+        openComments(task.id);
+        resetTaskTabs(task.id);
     } else {
         // Create new task
         modalTitle.textContent = 'New Task';
+        editingBase = null;
         document.getElementById('taskId').value = '';
-        document.getElementById('taskStatus').value = 'todo'; // Default to todo for new tasks
+        document.getElementById('taskStatus').value = state.columns[0]?.id || ''; // Default to the first column
         loadSubtasks([]);
+        renderLabelPicker([]);
+        renderAssigneePicker([]);
+        renderRecurrenceEditor(null);
+        openComments(null);
+        resetTaskTabs(null);
     }
     
     // Show modal
@@ -2008,6 +4648,245 @@ function closeModal() {
     }
 }
 
+// --- Comments ---
+
+// Show the comment pane for a saved task (signed-in users only) and load its thread
+async function openComments(taskId) {
+    const section = document.getElementById('commentsSection');
+    if (!section) return;
+
+    const list = document.getElementById('commentsList');
+    list.innerHTML = '';
+    document.getElementById('commentInput').value = '';
+    document.getElementById('commentCount').textContent = '';
+
+    if (!taskId || !isLoggedIn() || taskId.toString().startsWith('temp-')) {
+        section.style.display = 'none';
+        return;
+    }
+
+    section.style.display = 'block';
+    section.dataset.taskId = taskId;
+    list.innerHTML = '<p class="comments-empty">Loading comments...</p>';
+
+    try {
+        const comments = await commentsAPI.getComments(taskId);
+        // Ignore the response if the modal moved on to another task meanwhile
+        if (section.dataset.taskId === taskId) {
+            renderComments(comments);
+        }
+    } catch (error) {
+        console.error('Error loading comments:', error);
+        list.innerHTML = '<p class="comments-empty">Could not load comments</p>';
+    }
+}
+
+function renderComments(comments) {
+    const list = document.getElementById('commentsList');
+    document.getElementById('commentCount').textContent = comments.length > 0 ? `(${comments.length})` : '';
+
+    if (comments.length === 0) {
+        list.innerHTML = '<p class="comments-empty">No comments yet</p>';
+        return;
+    }
+
+    list.innerHTML = comments.map(comment => `
+        <div class="comment" data-id="${comment.id}">
+            <div class="comment-meta">
+                <strong>${sanitize(comment.author_name || comment.author_email || 'Unknown')}</strong>
+                <span title="${new Date(comment.created_at).toLocaleString()}">
+                    ${new Date(comment.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                </span>
+                ${comment.edited_at ? '<span class="comment-edited">(edited)</span>' : ''}
+                ${comment.is_author ? `
+                    <span class="comment-actions">
+                        <button type="button" class="icon-btn comment-edit-btn" title="Edit comment"><i class="fas fa-pencil-alt"></i></button>
+                        <button type="button" class="icon-btn comment-delete-btn" title="Delete comment"><i class="fas fa-trash"></i></button>
+                    </span>
+                ` : ''}
+            </div>
+            <div class="comment-body">${sanitize(comment.body)}</div>
+        </div>
+    `).join('');
+}
+
+// Keep the card's comment count in step with the thread
+function setCommentCount(taskId, delta) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task) return;
+    task.comment_count = Math.max((task.comment_count || 0) + delta, 0);
+    saveState();
+    renderBoard();
+}
+
+async function submitComment(e) {
+    e.preventDefault();
+
+    const taskId = document.getElementById('commentsSection').dataset.taskId;
+    const input = document.getElementById('commentInput');
+    const body = input.value.trim();
+    if (!taskId || !body) return;
+
+    try {
+        await commentsAPI.createComment(taskId, body);
+        input.value = '';
+        setCommentCount(taskId, 1);
+        renderComments(await commentsAPI.getComments(taskId));
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        showToast('Failed to add comment: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
+async function handleCommentAction(e) {
+    const commentEl = e.target.closest('.comment');
+    const taskId = document.getElementById('commentsSection').dataset.taskId;
+    if (!commentEl || !taskId) return;
+    const commentId = commentEl.dataset.id;
+
+    try {
+        if (e.target.closest('.comment-delete-btn')) {
+            if (!confirm('Delete this comment?')) return;
+            await commentsAPI.deleteComment(taskId, commentId);
+            setCommentCount(taskId, -1);
+            renderComments(await commentsAPI.getComments(taskId));
+        } else if (e.target.closest('.comment-edit-btn')) {
+            const bodyEl = commentEl.querySelector('.comment-body');
+            const body = prompt('Edit comment', bodyEl.textContent);
+            if (body === null || !body.trim() || body.trim() === bodyEl.textContent) return;
+            await commentsAPI.updateComment(taskId, commentId, body.trim());
+            renderComments(await commentsAPI.getComments(taskId));
+        }
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        showToast('Failed to update comment: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
+// --- Task History ---
+
+// Show the Details tab, and offer the History tab only for saved tasks of signed-in users
+function resetTaskTabs(taskId) {
+    const tabs = document.getElementById('taskModalTabs');
+    if (!tabs) return;
+
+    const hasHistory = Boolean(taskId) && isLoggedIn() && !taskId.toString().startsWith('temp-');
+    tabs.style.display = hasHistory ? 'flex' : 'none';
+    tabs.dataset.taskId = hasHistory ? taskId : '';
+    showTaskTab('details');
+}
+
+function showTaskTab(tab) {
+    document.querySelectorAll('#taskModalTabs .modal-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    document.getElementById('taskDetailsPane').style.display = tab === 'details' ? 'block' : 'none';
+    document.getElementById('taskHistoryPane').style.display = tab === 'history' ? 'block' : 'none';
+
+    if (tab === 'history') {
+        loadHistory(document.getElementById('taskModalTabs').dataset.taskId);
+    }
+}
+
+async function loadHistory(taskId) {
+    const list = document.getElementById('historyList');
+    if (!taskId) return;
+
+    list.innerHTML = '<p class="comments-empty">Loading history...</p>';
+    try {
+        const activity = await activityAPI.getTaskActivity(taskId);
+        // Ignore the response if the modal moved on to another task meanwhile
+        if (document.getElementById('taskModalTabs').dataset.taskId !== taskId) return;
+
+        list.innerHTML = activity.length === 0
+            ? '<p class="comments-empty">No history yet</p>'
+            : activity.map(entry => `
+                <div class="history-item">
+                    <div class="comment-meta">
+                        <strong>${sanitize(entry.user_name || entry.user_email || 'Someone')}</strong>
+                        <span title="${new Date(entry.created_at).toLocaleString()}">
+                            ${new Date(entry.created_at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                        </span>
+                    </div>
+                    <ul class="history-changes">
+                        ${describeActivity(entry).map(line => `<li>${sanitize(line)}</li>`).join('')}
+                    </ul>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading history:', error);
+        list.innerHTML = '<p class="comments-empty">Could not load history</p>';
+    }
+}
+
+// Turn an activity entry into readable lines
+function describeActivity(entry) {
+    const columnName = (id) => state.columns.find(column => column.id === id)?.name || 'a removed column';
+    const formatValue = (field, value) => {
+        if (value === null || value === '') return 'none';
+        if (field === 'due_date') return new Date(value).toLocaleDateString();
+        if (field === 'recurrence_rule') return describeRecurrence(value);
+        // Labels and assignees are stored as lists of { id, name }
+        if (Array.isArray(value)) return value.map(item => item.name || item.email).join(', ') || 'none';
+        return value;
+    };
+    const changes = entry.changes || {};
+
+    switch (entry.action) {
+        case 'created':
+            return ['Created the task'];
+        case 'deleted':
+            return ['Deleted the task'];
+        case 'pinned':
+            return ['Pinned the task'];
+        case 'unpinned':
+            return ['Unpinned the task'];
+        case 'moved':
+            return changes.column_id
+                ? [`Moved from ${columnName(changes.column_id.from)} to ${columnName(changes.column_id.to)}`]
+                : ['Changed the order within the column'];
+        case 'updated':
+            return Object.entries(changes).map(([field, change]) => {
+                if (field === 'description') return 'Edited the description';
+                const label = { due_date: 'due date', recurrence_rule: 'repeat' }[field] || field;
+                return `Changed ${label} from "${formatValue(field, change.from)}" to "${formatValue(field, change.to)}"`;
+            });
+        default:
+            return [entry.action];
+    }
+}
+
+function setupTaskTabs() {
+    document.getElementById('taskModalTabs')?.addEventListener('click', (e) => {
+        const tab = e.target.closest('.modal-tab');
+        if (tab) showTaskTab(tab.dataset.tab);
+    });
+}
+
+function setupComments() {
+    document.getElementById('commentForm')?.addEventListener('submit', submitComment);
+    document.getElementById('commentsList')?.addEventListener('click', handleCommentAction);
+}
+
+// Undo a delete by restoring the task from the trash, which keeps its ID, subtasks and history
+async function restoreLastDeletedTask() {
+    if (!state.lastDeletedTask) return;
+
+    const { deletedAt, ...task } = state.lastDeletedTask;
+    state.lastDeletedTask = null;
+
+    try {
+        await tasksAPI.restoreTask(task.id);
+        state.tasks.unshift(task);
+        saveState();
+        renderBoard();
+        showToast('Task restored', 'success');
+    } catch (error) {
+        console.error('Error restoring task:', error);
+        showToast('Failed to restore task: ' + (error.message || 'Unknown error'), 'error');
+    }
+}
+
 // Delete Confirmation Modal
 function showDeleteConfirmation(taskId) {
     taskToDelete = taskId;
@@ -2062,16 +4941,7 @@ async function performDelete() {
                         'Task deleted',
                         'error',
                         10000, // Give more time for undo
-                        async () => {
-                            // Undo delete action
-                            if (state.lastDeletedTask) {
-                                state.tasks.unshift(state.lastDeletedTask);
-                                saveState();
-                                renderBoard();
-                                state.lastDeletedTask = null;
-                                showToast('Task restored', 'success');
-                            }
-                        }
+                        restoreLastDeletedTask
                     );
                 } else {
                     // Failed to delete
@@ -2278,8 +5148,11 @@ async function initializeApp() {
                 // Load user data and tasks
                 try {
                     await authAPI.getCurrentUser();
+                    await outboxAPI.refresh();
                     await fetchTasks();
                     updateGuestBanner();
+                    syncOutbox();
+                    startNotifications();
                 } catch (error) {
                     console.error('Error loading user data:', error);
                     showToast('Error loading your data', 'error');
@@ -2287,6 +5160,9 @@ async function initializeApp() {
             } else {
                 state.currentUser = null;
                 state.isAuthenticated = false;
+                stopFollowingBoardEvents();
+                stopNotifications();
+                outboxAPI.refresh();
                 updateGuestBanner();
             }
         });
@@ -2298,9 +5174,15 @@ async function initializeApp() {
         if (!state.isAuthenticated) {
             localStorage.removeItem('kanbanflow_state');
             // Don't remove guest_tasks, let them accumulate for guest users
+            await loadBoards();
+            await loadColumns();
+            await loadLabels();
+            await loadBoardMembers();
+            await loadViews();
             state.tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
             saveState();
             renderBoard();
+            await applyInitialLocationHash();
         }
         
     } catch (error) {
@@ -2383,6 +5265,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (cancelDeleteBtn) {
         cancelDeleteBtn.addEventListener('click', hideDeleteConfirmation);
     }
+
+    // Set up board switcher and board settings modal
+    setupBoardSwitcher();
+    setupColumnEditor();
+    setupMembers();
+    setupAssigneePicker();
+    setupRecurrenceEditor();
+    setupMyTasks();
+    setupImport();
+    setupExportMenu();
+    setupCalendarFeed();
+    setupDigestSettings();
+    setupNotifications();
+    setupComments();
+    setupTaskTabs();
+    setupLabelPicker();
+    setupFilters();
+    setupViews();
+    setupOfflineSync();
     
     // Set up subtask addition
     document.getElementById('addSubtaskBtn')?.addEventListener('click', () => {
@@ -6,10 +6,28 @@ import {
   createUserWithEmailAndPassword,
   signOut
 } from "https://www.gstatic.com/firebasejs/10.12.0/firebase-auth.js";
+import { addEntry, listEntries, putEntry, removeEntry } from './outbox.js';
 
 const auth = getAuth();
 const API_BASE = "https://yourskanban.onrender.com/api";
 
+// Spacing between guest task positions, matching the server's ranking
+const GUEST_POSITION_GAP = 1024;
+
+// Guest tasks stay in the local trash for 30 days, like on the server
+const GUEST_TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Identifies this tab in the changes it sends, so it can skip their echo on the event stream
+const CLIENT_ID = typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `client-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Sent with task searches so due:today and friends mean the user's own days
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Wait before reconnecting a dropped event stream (the server may send its own value)
+const EVENT_STREAM_RETRY_MS = 3000;
+
 // Track if we're currently refreshing the token
 let isRefreshing = false;
 let refreshPromise = null;
@@ -91,7 +109,7 @@ function getCurrentUser() {
 /**
  * Makes an authenticated API request with Firebase token
  * @param {string} endpoint - API endpoint
- * @param {Object} options - Fetch options
+ * @param {Object} options - Fetch options, plus responseType: 'blob' for file downloads
  * @returns {Promise<any>} - Response data
  */
 async function request(endpoint, options = {}, retryCount = 0) {
@@ -110,16 +128,20 @@ async function request(endpoint, options = {}, retryCount = 0) {
     // Get a fresh token for each request
     const token = user ? await user.getIdToken(true) : null;
     
-    // Prepare headers
+    const { responseType, ...fetchOptions } = options;
+    
+    // Prepare headers; uploads let the browser set the multipart boundary
+    const isFormData = typeof FormData !== 'undefined' && options.body instanceof FormData;
     const headers = {
-      'Content-Type': 'application/json',
+      ...(!isFormData && { 'Content-Type': 'application/json' }),
       ...(token && { 'Authorization': `Bearer ${token}` }),
+      'X-Client-Id': CLIENT_ID,
       ...(options.headers || {})
     };
     
     // Make the request
     const response = await fetch(`${API_BASE}${endpoint}`, {
-      ...options,
+      ...fetchOptions,
       headers,
       credentials: 'include' // Include cookies if needed
     });
@@ -143,6 +165,10 @@ async function request(endpoint, options = {}, retryCount = 0) {
       throw error;
     }
     
+    if (responseType === 'blob' && response.ok) {
+      return await response.blob();
+    }
+    
     return await handleResponse(response);
   } catch (error) {
     // Handle specific error cases
@@ -155,11 +181,15 @@ async function request(endpoint, options = {}, retryCount = 0) {
     }
     
     if (error.message.includes('NetworkError') || error.message.includes('Failed to fetch')) {
-      throw new Error('Network error. Please check your connection.');
+      const networkError = new Error('Network error. Please check your connection.');
+      networkError.code = 'NETWORK_ERROR';
+      throw networkError;
     }
     
     if (error.message.includes('auth/network-request-failed')) {
-      throw new Error('Unable to connect to authentication service');
+      const networkError = new Error('Unable to connect to authentication service');
+      networkError.code = 'NETWORK_ERROR';
+      throw networkError;
     }
     
     if (error.message.includes('auth/too-many-requests')) {
@@ -194,13 +224,172 @@ async function handleResponse(response) {
   return data;
 }
 
+// Tasks created while offline get an ID with this prefix until the server assigns theirs
+const OFFLINE_ID_PREFIX = 'offline-';
+
+// Outbox state reported to outboxAPI.subscribe listeners
+const outboxListeners = new Set();
+let pendingChanges = 0;
+let syncPromise = null;
+
+function notifyOutboxListeners() {
+    const status = { pending: pendingChanges, syncing: syncPromise !== null };
+    outboxListeners.forEach(listener => listener(status));
+}
+
+// Queued changes belonging to the signed-in user, oldest first
+async function getPendingEntries() {
+    const user = auth.currentUser;
+    if (!user) return [];
+    const entries = await listEntries();
+    return entries.filter(entry => entry.userId === user.uid);
+}
+
+async function refreshPendingChanges() {
+    try {
+        pendingChanges = (await getPendingEntries()).length;
+    } catch (error) {
+        console.warn('Error reading the outbox:', error.message);
+        pendingChanges = 0;
+    }
+    notifyOutboxListeners();
+    return pendingChanges;
+}
+
+/**
+ * Send a task change to the server, or queue it in the outbox when the server
+ * can't be reached. While older changes are still queued new ones queue behind
+ * them, so the server always receives changes in the order they were made.
+ * @param {string} endpoint - API endpoint
+ * @param {Object} change - { method, body, headers } with body as a plain object
+ * @param {Object} meta - { summary, tempId } where summary describes the change
+ *   to the user and tempId is the offline ID given to a created task
+ * @returns {Promise<Object>} - { data } from the server, or { queued: true }
+ */
+async function sendOrQueue(endpoint, { method, body, headers = {} }, { summary, tempId = null }) {
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    if (!offline && (await getPendingEntries().catch(() => [])).length === 0) {
+        try {
+            const response = await request(endpoint, {
+                method,
+                headers: {
+                    'Accept': 'application/json',
+                    ...headers
+                },
+                ...(body !== undefined && { body: JSON.stringify(body) })
+            });
+            return { data: response.data };
+        } catch (error) {
+            if (error.code !== 'NETWORK_ERROR') {
+                throw error;
+            }
+        }
+    }
+
+    try {
+        await addEntry({ userId: auth.currentUser.uid, method, endpoint, body, headers, tempId, summary });
+    } catch (error) {
+        console.error('Error queueing change:', error);
+        const networkError = new Error('Network error. Please check your connection.');
+        networkError.code = 'NETWORK_ERROR';
+        throw networkError;
+    }
+
+    pendingChanges++;
+    notifyOutboxListeners();
+    return { queued: true };
+}
+
+// Point queued changes at the server's ID for a task that was created offline
+async function replaceOfflineId(tempId, id) {
+    const entries = await getPendingEntries();
+    for (const entry of entries) {
+        const serialized = JSON.stringify(entry);
+        if (serialized.includes(tempId)) {
+            await putEntry(JSON.parse(serialized.split(tempId).join(id)));
+        }
+    }
+}
+
+// Drop the queued changes to a task whose offline creation the server rejected
+async function dropOfflineTask(tempId) {
+    const dropped = [];
+    const entries = await getPendingEntries();
+    for (const entry of entries) {
+        if (JSON.stringify(entry).includes(tempId)) {
+            await removeEntry(entry.seq);
+            dropped.push(entry);
+        }
+    }
+    return dropped;
+}
+
+// Send the queued changes one by one until the outbox is empty or the server is unreachable
+async function replayOutbox() {
+    const result = { applied: 0, conflicts: [], ids: {} };
+
+    for (;;) {
+        const [entry] = await getPendingEntries();
+        if (!entry) break;
+
+        try {
+            const response = await request(entry.endpoint, {
+                method: entry.method,
+                headers: {
+                    'Accept': 'application/json',
+                    ...(entry.headers || {})
+                },
+                ...(entry.body !== undefined && { body: JSON.stringify(entry.body) })
+            });
+            if (entry.tempId && response.data && response.data.id) {
+                result.ids[entry.tempId] = response.data.id;
+                await replaceOfflineId(entry.tempId, response.data.id);
+            }
+            result.applied++;
+        } catch (error) {
+            // Try again later when the server can't be reached or fails; a change
+            // it rejects (the task was deleted, a WIP limit was hit) is dropped
+            if (error.code === 'NETWORK_ERROR' || !error.status || error.status >= 500) {
+                break;
+            }
+            result.conflicts.push({
+                summary: entry.summary,
+                message: error.message,
+                status: error.status,
+                code: error.code
+            });
+
+            if (entry.tempId) {
+                await removeEntry(entry.seq);
+                const dropped = await dropOfflineTask(entry.tempId);
+                dropped.forEach(change => result.conflicts.push({
+                    summary: change.summary,
+                    message: 'The task was not created',
+                    status: error.status,
+                    code: error.code
+                }));
+                pendingChanges = Math.max(pendingChanges - 1 - dropped.length, 0);
+                notifyOutboxListeners();
+                continue;
+            }
+        }
+
+        await removeEntry(entry.seq);
+        pendingChanges = Math.max(pendingChanges - 1, 0);
+        notifyOutboxListeners();
+    }
+
+    return result;
+}
+
 // Task-related API calls
 const tasksAPI = {
     /**
-     * Get all tasks
+     * Get all tasks on a board
+     * @param {string} [boardId] - Board ID (defaults to the user's first board)
      * @returns {Promise<Array>} - Array of tasks
      */
-    async getTasks() {
+    async getTasks(boardId) {
         try {
 
             
@@ -209,7 +398,8 @@ const tasksAPI = {
                 return { success: true, data: guestTasks };
             }
             
-            const response = await request('/v1/tasks', {
+            const query = boardId ? `?board_id=${encodeURIComponent(boardId)}` : '';
+            const response = await request(`/v1/tasks${query}`, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
@@ -224,6 +414,61 @@ const tasksAPI = {
         }
     },
 
+    /**
+     * Search, filter and page through a board's tasks on the server
+     * @param {string} boardId - Board ID
+     * @param {Object} params - Any of q, status, priority, label, assignee,
+     *   due_before, due_after, pinned, sort, limit and cursor; days in q (due:today)
+     *   are the browser's own unless tz says otherwise
+     * @returns {Promise<Object>} - { tasks, nextCursor } where nextCursor is null on the last page
+     */
+    async searchTasks(boardId, params = {}) {
+        const query = new URLSearchParams({ tz: BROWSER_TIME_ZONE });
+        if (boardId) {
+            query.set('board_id', boardId);
+        }
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(key, value);
+            }
+        });
+
+        const response = await request(`/v1/tasks?${query}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { tasks: response.data || [], nextCursor: response.nextCursor || null };
+    },
+
+    /**
+     * Get the tasks assigned to the current user on all of their boards
+     * @param {Object} params - Any of the searchTasks filters; sorted by due date by default
+     * @returns {Promise<Object>} - { tasks, nextCursor } where each task also has
+     *   board_name and column_name
+     */
+    async getMyTasks(params = {}) {
+        if (!isLoggedIn()) {
+            return { tasks: [], nextCursor: null };
+        }
+
+        const query = new URLSearchParams({ tz: BROWSER_TIME_ZONE });
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(key, value);
+            }
+        });
+
+        const response = await request(`/v1/me/tasks?${query}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { tasks: response.data || [], nextCursor: response.nextCursor || null };
+    },
+
     /**
      * Create a new task
      * @param {Object} task - Task data
@@ -239,12 +484,21 @@ const tasksAPI = {
         if (!isLoggedIn()) {
             console.log('Creating guest task locally');
             const tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
+            const columnPositions = tasks
+                .filter(t => t.column_id === task.column_id)
+                .map(t => t.position || 0);
             const newTask = { 
                 ...task, 
                 id: `guest-${Date.now()}`,
+                position: columnPositions.length > 0 ? Math.max(...columnPositions) + GUEST_POSITION_GAP : 0,
                 created_at: new Date().toISOString(),
                 updated_at: new Date().toISOString(),
-                subtasks: []
+                subtasks: (task.subtasks || []).map((subtask, index) => ({
+                    id: `guest-subtask-${Date.now()}-${index}`,
+                    title: subtask.title || subtask.text || '',
+                    is_completed: Boolean(subtask.is_completed || subtask.completed),
+                    position: index
+                }))
             };
             tasks.push(newTask);
             localStorage.setItem('guest_tasks', JSON.stringify(tasks));
@@ -252,31 +506,52 @@ const tasksAPI = {
         }
         
         console.log('Creating task on server');
-        const response = await request('/v1/tasks', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify(task)
+        const tempId = `${OFFLINE_ID_PREFIX}${CLIENT_ID}-${Date.now()}`;
+        const { data, queued } = await sendOrQueue('/v1/tasks', { method: 'POST', body: task }, {
+            summary: `Create "${task.title}"`,
+            tempId
         });
-        return response.data;
+        if (queued) {
+            // Shown until the outbox is replayed and the board reloaded
+            return {
+                ...task,
+                id: tempId,
+                board_id: task.boardId,
+                column_id: task.columnId || task.column_id,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString(),
+                subtasks: (task.subtasks || []).map((subtask, index) => ({
+                    id: `${tempId}-subtask-${index}`,
+                    title: subtask.title || subtask.text || '',
+                    is_completed: Boolean(subtask.is_completed || subtask.completed),
+                    position: index
+                })),
+                pending: true
+            };
+        }
+        return data;
     },
 
     /**
      * Update an existing task
      * @param {string} id - Task ID
      * @param {Object} updates - Task updates
-     * @returns {Promise<Object>} - Updated task
+     * @param {Object} [options] - { version } of the task the updates were based on; the
+     *   server then rejects the update with a 409 CONFLICT, carrying the current task as
+     *   error.data.data, if the task was changed in the meantime
+     * @returns {Promise<Object>} - Updated task, or just the updates with pending: true
+     *   when the change was queued while offline
      */
-    async updateTask(id, updates) {
+    async updateTask(id, updates, { version } = {}) {
         if (!isLoggedIn()) {
+            // Guest boards have no server to enforce WIP limits, so the override flag is dropped
+            const { override_wip_limit, ...changes } = updates;
             const tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
             const index = tasks.findIndex(t => t.id === id);
             if (index !== -1) {
                 const updatedTask = { 
                     ...tasks[index], 
-                    ...updates,
+                    ...changes,
                     updated_at: new Date().toISOString()
                 };
                 tasks[index] = updatedTask;
@@ -285,44 +560,134 @@ const tasksAPI = {
             }
             throw new AppError('Task not found', 404, 'TASK_NOT_FOUND');
         }
-        const response = await request(`/v1/tasks/${id}`, {
+        const { data, queued } = await sendOrQueue(`/v1/tasks/${id}`, {
             method: 'PATCH',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify(updates)
+            body: updates,
+            headers: version ? { 'If-Match': `"${version}"` } : {}
+        }, {
+            summary: updates.title ? `Update "${updates.title}"` : 'Update a task'
         });
-        return response.data;
+        return queued ? { ...updates, id, pending: true } : data;
+    },
+
+    /**
+     * Move a task within or between columns
+     * @param {Object} move - { taskId, columnId, previousTaskId, nextTaskId, override_wip_limit }
+     * @returns {Promise<Object>} - Moved task with its new column and position; a move
+     *   queued while offline only has id, column_id and pending: true
+     */
+    async reorderTask(move) {
+        if (!isLoggedIn()) {
+            // Guests keep few tasks locally, so simply renumber the target column
+            const tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
+            const task = tasks.find(t => t.id === move.taskId);
+            if (!task) {
+                throw new Error('Task not found');
+            }
+
+            task.column_id = move.columnId || task.column_id;
+            task.updated_at = new Date().toISOString();
+
+            const columnTasks = tasks
+                .filter(t => t.column_id === task.column_id && t.id !== task.id)
+                .sort((a, b) => (a.position || 0) - (b.position || 0));
+            let index = columnTasks.length;
+            if (move.previousTaskId) {
+                index = columnTasks.findIndex(t => t.id === move.previousTaskId) + 1;
+            } else if (move.nextTaskId) {
+                index = Math.max(columnTasks.findIndex(t => t.id === move.nextTaskId), 0);
+            }
+            columnTasks.splice(index, 0, task);
+            columnTasks.forEach((t, i) => { t.position = i * GUEST_POSITION_GAP; });
+
+            localStorage.setItem('guest_tasks', JSON.stringify(tasks));
+            return task;
+        }
+
+        const { data, queued } = await sendOrQueue('/v1/tasks/reorder', { method: 'POST', body: move }, {
+            summary: 'Move a task'
+        });
+        return queued ? { id: move.taskId, column_id: move.columnId, pending: true } : data;
     },
 
     /**
      * Delete a task
      * @param {string} id - Task ID
-     * @returns {Promise<Object>} - Deletion result
+     * @returns {Promise<Object>} - Deletion result, with pending: true when queued while offline
      */
     async deleteTask(id) {
         if (!isLoggedIn()) {
             let tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
-            const initialLength = tasks.length;
-            tasks = tasks.filter(t => t.id !== id);
+            const deletedTask = tasks.find(t => t.id === id);
             
-            if (tasks.length === initialLength) {
+            if (!deletedTask) {
                 throw new AppError('Task not found', 404, 'TASK_NOT_FOUND');
             }
             
+            tasks = tasks.filter(t => t.id !== id);
             localStorage.setItem('guest_tasks', JSON.stringify(tasks));
+
+            // Keep the task in the guest trash so it can be restored
+            const trash = JSON.parse(localStorage.getItem('guest_trash') || '[]')
+                .filter(t => Date.now() - new Date(t.deleted_at).getTime() < GUEST_TRASH_RETENTION_MS);
+            trash.unshift({ ...deletedTask, deleted_at: new Date().toISOString() });
+            localStorage.setItem('guest_trash', JSON.stringify(trash));
             return { success: true };
         }
         
-        const response = await request(`/v1/tasks/${id}`, {
-            method: 'DELETE',
+        const { queued } = await sendOrQueue(`/v1/tasks/${id}`, { method: 'DELETE' }, {
+            summary: 'Delete a task'
+        });
+        return queued ? { success: true, pending: true } : { success: true };
+    },
+
+    /**
+     * Get the tasks in the trash, most recently deleted first
+     * @param {string} boardId - Optional board ID (defaults to the first board)
+     * @returns {Promise<Array>} - Deleted tasks
+     */
+    async getTrash(boardId) {
+        if (!isLoggedIn()) {
+            return JSON.parse(localStorage.getItem('guest_trash') || '[]');
+        }
+
+        const query = boardId ? `?board_id=${encodeURIComponent(boardId)}` : '';
+        const response = await request(`/v1/tasks/trash${query}`, {
+            method: 'GET',
             headers: {
                 'Accept': 'application/json'
             }
         });
-        
-        return { success: true };
+        return response.data || [];
+    },
+
+    /**
+     * Restore a task from the trash, keeping its ID, subtasks and history
+     * @param {string} id - Task ID
+     * @returns {Promise<Object>} - Restored task, or { id, pending: true } when queued while offline
+     */
+    async restoreTask(id) {
+        if (!isLoggedIn()) {
+            let trash = JSON.parse(localStorage.getItem('guest_trash') || '[]');
+            const task = trash.find(t => t.id === id);
+            if (!task) {
+                throw new Error('Task not found in trash');
+            }
+
+            const { deleted_at, ...restoredTask } = task;
+            trash = trash.filter(t => t.id !== id);
+            localStorage.setItem('guest_trash', JSON.stringify(trash));
+
+            const tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
+            tasks.unshift(restoredTask);
+            localStorage.setItem('guest_tasks', JSON.stringify(tasks));
+            return restoredTask;
+        }
+
+        const { data, queued } = await sendOrQueue(`/v1/tasks/${id}/restore`, { method: 'POST', body: {} }, {
+            summary: 'Restore a task'
+        });
+        return queued ? { id, pending: true } : data;
     },
 
     /**
@@ -357,6 +722,1245 @@ const tasksAPI = {
     }
 };
 
+// Guests keep their tasks in localStorage on a single local board
+const GUEST_BOARD = { id: 'guest-board', name: 'My Board', task_count: 0 };
+
+// Board-related API calls
+const boardsAPI = {
+    /**
+     * Get all boards for the current user
+     * @returns {Promise<Array>} - Array of boards
+     */
+    async getBoards() {
+        if (!isLoggedIn()) {
+            return [GUEST_BOARD];
+        }
+
+        const response = await request('/v1/boards', {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data || [];
+    },
+
+    /**
+     * Create a new board
+     * @param {Object} board - Board data ({ name, description })
+     * @returns {Promise<Object>} - Created board
+     */
+    async createBoard(board) {
+        if (!isLoggedIn()) {
+            throw new Error('Please sign in to create more boards');
+        }
+
+        const response = await request('/v1/boards', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(board)
+        });
+        return response.data;
+    },
+
+    /**
+     * Update an existing board
+     * @param {string} id - Board ID
+     * @param {Object} updates - Board updates
+     * @returns {Promise<Object>} - Updated board
+     */
+    async updateBoard(id, updates) {
+        if (!isLoggedIn()) {
+            throw new Error('Please sign in to manage boards');
+        }
+
+        const response = await request(`/v1/boards/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(updates)
+        });
+        return response.data;
+    },
+
+    /**
+     * Delete a board and all of its tasks
+     * @param {string} id - Board ID
+     * @returns {Promise<Object>} - Deletion result
+     */
+    async deleteBoard(id) {
+        if (!isLoggedIn()) {
+            throw new Error('Please sign in to manage boards');
+        }
+
+        await request(`/v1/boards/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { success: true };
+    }
+};
+
+// Columns a guest board starts with (IDs match the legacy task statuses)
+const GUEST_COLUMNS = [
+    { id: 'todo', name: 'To Do', color: '#64748b', icon: 'fa-list', position: 0, is_done: false },
+    { id: 'in-progress', name: 'In Progress', color: '#3b82f6', icon: 'fa-spinner', position: 1, is_done: false },
+    { id: 'done', name: 'Done', color: '#10b981', icon: 'fa-check', position: 2, is_done: true }
+];
+
+function getGuestColumns() {
+    const columns = JSON.parse(localStorage.getItem('guest_columns') || 'null');
+    return Array.isArray(columns) && columns.length > 0 ? columns : GUEST_COLUMNS.map(c => ({ ...c }));
+}
+
+function saveGuestColumns(columns) {
+    columns.forEach((column, index) => { column.position = index; });
+    localStorage.setItem('guest_columns', JSON.stringify(columns));
+}
+
+// Column-related API calls
+const columnsAPI = {
+    /**
+     * Get the columns of a board
+     * @param {string} boardId - Board ID
+     * @returns {Promise<Array>} - Columns ordered by position
+     */
+    async getColumns(boardId) {
+        if (!isLoggedIn()) {
+            return getGuestColumns();
+        }
+
+        const response = await request(`/v1/boards/${boardId}/columns`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data || [];
+    },
+
+    /**
+     * Add a column at the end of a board
+     * @param {string} boardId - Board ID
+     * @param {Object} column - Column data ({ name, color, icon, is_done })
+     * @returns {Promise<Object>} - Created column
+     */
+    async createColumn(boardId, column) {
+        if (!isLoggedIn()) {
+            const columns = getGuestColumns();
+            const newColumn = { ...column, id: `guest-col-${Date.now()}` };
+            columns.push(newColumn);
+            saveGuestColumns(columns);
+            return newColumn;
+        }
+
+        const response = await request(`/v1/boards/${boardId}/columns`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(column)
+        });
+        return response.data;
+    },
+
+    /**
+     * Rename or restyle a column
+     * @param {string} boardId - Board ID
+     * @param {string} id - Column ID
+     * @param {Object} updates - Column updates
+     * @returns {Promise<Object>} - Updated column
+     */
+    async updateColumn(boardId, id, updates) {
+        if (!isLoggedIn()) {
+            const columns = getGuestColumns();
+            const column = columns.find(c => c.id === id);
+            if (!column) {
+                throw new Error('Column not found');
+            }
+            Object.assign(column, updates);
+            saveGuestColumns(columns);
+            return column;
+        }
+
+        const response = await request(`/v1/boards/${boardId}/columns/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(updates)
+        });
+        return response.data;
+    },
+
+    /**
+     * Reorder the columns of a board
+     * @param {string} boardId - Board ID
+     * @param {Array<string>} columnIds - Every column ID in the new order
+     * @returns {Promise<Array>} - Reordered columns
+     */
+    async reorderColumns(boardId, columnIds) {
+        if (!isLoggedIn()) {
+            const columns = getGuestColumns();
+            const reordered = columnIds.map(id => columns.find(c => c.id === id)).filter(Boolean);
+            saveGuestColumns(reordered);
+            return reordered;
+        }
+
+        const response = await request(`/v1/boards/${boardId}/columns/reorder`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ columnIds })
+        });
+        return response.data;
+    },
+
+    /**
+     * Delete a column, moving its tasks to another column first
+     * @param {string} boardId - Board ID
+     * @param {string} id - Column ID
+     * @param {string} [moveTo] - Column that receives the deleted column's tasks
+     * @param {boolean} [overrideWipLimit] - Move them even past moveTo's WIP limit
+     * @returns {Promise<Object>} - Deletion result
+     */
+    async deleteColumn(boardId, id, moveTo, overrideWipLimit = false) {
+        if (!isLoggedIn()) {
+            const tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
+            tasks.forEach(task => {
+                if ((task.column_id || task.status) === id) {
+                    task.column_id = moveTo;
+                }
+            });
+            localStorage.setItem('guest_tasks', JSON.stringify(tasks));
+            saveGuestColumns(getGuestColumns().filter(c => c.id !== id));
+            return { success: true };
+        }
+
+        const params = new URLSearchParams();
+        if (moveTo) params.set('move_to', moveTo);
+        if (overrideWipLimit) params.set('override_wip_limit', 'true');
+        const query = params.toString() ? `?${params}` : '';
+        await request(`/v1/boards/${boardId}/columns/${id}${query}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { success: true };
+    }
+};
+
+// Guest subtasks live on their task in localStorage; run a change against them
+function updateGuestSubtasks(taskId, change) {
+    const tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) {
+        throw new Error('Task not found');
+    }
+    task.subtasks = task.subtasks || [];
+    const result = change(task.subtasks, task);
+    localStorage.setItem('guest_tasks', JSON.stringify(tasks));
+    return result;
+}
+
+// Subtask-related API calls
+const subtasksAPI = {
+    /**
+     * Get the checklist of a task
+     * @param {string} taskId - Task ID
+     * @returns {Promise<Array>} - Subtasks ordered by position
+     */
+    async getSubtasks(taskId) {
+        if (!isLoggedIn()) {
+            return updateGuestSubtasks(taskId, subtasks => [...subtasks]);
+        }
+
+        const response = await request(`/v1/tasks/${taskId}/subtasks`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data || [];
+    },
+
+    /**
+     * Add a subtask to the end of a task's checklist
+     * @param {string} taskId - Task ID
+     * @param {Object} subtask - Subtask data ({ title, is_completed })
+     * @returns {Promise<Object>} - Created subtask
+     */
+    async createSubtask(taskId, subtask) {
+        if (!isLoggedIn()) {
+            return updateGuestSubtasks(taskId, subtasks => {
+                const newSubtask = {
+                    is_completed: false,
+                    ...subtask,
+                    id: `guest-subtask-${Date.now()}-${subtasks.length}`,
+                    position: subtasks.length
+                };
+                subtasks.push(newSubtask);
+                return newSubtask;
+            });
+        }
+
+        const response = await request(`/v1/tasks/${taskId}/subtasks`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(subtask)
+        });
+        return response.data;
+    },
+
+    /**
+     * Rename or check off a subtask
+     * @param {string} taskId - Task ID
+     * @param {string} id - Subtask ID
+     * @param {Object} updates - Subtask updates
+     * @returns {Promise<Object>} - Updated subtask
+     */
+    async updateSubtask(taskId, id, updates) {
+        if (!isLoggedIn()) {
+            return updateGuestSubtasks(taskId, subtasks => {
+                const subtask = subtasks.find(st => st.id === id);
+                if (!subtask) {
+                    throw new Error('Subtask not found');
+                }
+                return Object.assign(subtask, updates);
+            });
+        }
+
+        const response = await request(`/v1/tasks/${taskId}/subtasks/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(updates)
+        });
+        return response.data;
+    },
+
+    /**
+     * Reorder a task's checklist
+     * @param {string} taskId - Task ID
+     * @param {Array<string>} subtaskIds - Every subtask ID in the new order
+     * @returns {Promise<Array>} - Reordered subtasks
+     */
+    async reorderSubtasks(taskId, subtaskIds) {
+        if (!isLoggedIn()) {
+            return updateGuestSubtasks(taskId, (subtasks, task) => {
+                task.subtasks = subtaskIds
+                    .map(id => subtasks.find(st => st.id === id))
+                    .filter(Boolean)
+                    .map((subtask, index) => ({ ...subtask, position: index }));
+                return task.subtasks;
+            });
+        }
+
+        const response = await request(`/v1/tasks/${taskId}/subtasks/reorder`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ subtaskIds })
+        });
+        return response.data;
+    },
+
+    /**
+     * Delete a subtask
+     * @param {string} taskId - Task ID
+     * @param {string} id - Subtask ID
+     * @returns {Promise<Object>} - Deletion result
+     */
+    async deleteSubtask(taskId, id) {
+        if (!isLoggedIn()) {
+            updateGuestSubtasks(taskId, (subtasks, task) => {
+                task.subtasks = subtasks.filter(st => st.id !== id);
+            });
+            return { success: true };
+        }
+
+        await request(`/v1/tasks/${taskId}/subtasks/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { success: true };
+    }
+};
+
+// Attachment-related API calls (files are only stored for signed-in users)
+const attachmentsAPI = {
+    /**
+     * Upload a file to a task
+     * @param {string} taskId - Task ID
+     * @param {File} file - File to upload
+     * @returns {Promise<Object>} - Created attachment
+     */
+    async uploadAttachment(taskId, file) {
+        if (!isLoggedIn()) {
+            throw new Error('Please sign in to attach files');
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+
+        const response = await request(`/v1/tasks/${taskId}/attachments`, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json'
+            },
+            body: formData
+        });
+        return response.data;
+    },
+
+    /**
+     * Download the contents of an attachment
+     * @param {string} taskId - Task ID
+     * @param {string} id - Attachment ID
+     * @returns {Promise<Blob>} - File contents
+     */
+    async downloadAttachment(taskId, id) {
+        return request(`/v1/tasks/${taskId}/attachments/${id}/download`, {
+            method: 'GET',
+            responseType: 'blob'
+        });
+    },
+
+    /**
+     * Delete an attachment
+     * @param {string} taskId - Task ID
+     * @param {string} id - Attachment ID
+     * @returns {Promise<Object>} - Deletion result
+     */
+    async deleteAttachment(taskId, id) {
+        await request(`/v1/tasks/${taskId}/attachments/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { success: true };
+    }
+};
+
+function getGuestLabels() {
+    return JSON.parse(localStorage.getItem('guest_labels') || '[]');
+}
+
+function saveGuestLabels(labels) {
+    labels.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    localStorage.setItem('guest_labels', JSON.stringify(labels));
+}
+
+// Label-related API calls
+const labelsAPI = {
+    /**
+     * Get the labels of a board
+     * @param {string} boardId - Board ID
+     * @returns {Promise<Array>} - Labels ordered by name
+     */
+    async getLabels(boardId) {
+        if (!isLoggedIn()) {
+            return getGuestLabels();
+        }
+
+        const response = await request(`/v1/boards/${boardId}/labels`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data || [];
+    },
+
+    /**
+     * Add a label to a board
+     * @param {string} boardId - Board ID
+     * @param {Object} label - Label data ({ name, color })
+     * @returns {Promise<Object>} - Created label
+     */
+    async createLabel(boardId, label) {
+        if (!isLoggedIn()) {
+            const labels = getGuestLabels();
+            if (labels.some(l => l.name.toLowerCase() === label.name.toLowerCase())) {
+                throw new Error('A label with this name already exists on the board');
+            }
+            const newLabel = { ...label, id: `guest-label-${Date.now()}` };
+            labels.push(newLabel);
+            saveGuestLabels(labels);
+            return newLabel;
+        }
+
+        const response = await request(`/v1/boards/${boardId}/labels`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(label)
+        });
+        return response.data;
+    },
+
+    /**
+     * Rename or recolor a label
+     * @param {string} boardId - Board ID
+     * @param {string} id - Label ID
+     * @param {Object} updates - Label updates ({ name, color })
+     * @returns {Promise<Object>} - Updated label
+     */
+    async updateLabel(boardId, id, updates) {
+        if (!isLoggedIn()) {
+            const labels = getGuestLabels();
+            const label = labels.find(l => l.id === id);
+            if (!label) {
+                throw new Error('Label not found');
+            }
+            Object.assign(label, updates);
+            saveGuestLabels(labels);
+            return label;
+        }
+
+        const response = await request(`/v1/boards/${boardId}/labels/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(updates)
+        });
+        return response.data;
+    },
+
+    /**
+     * Delete a label, removing it from every task
+     * @param {string} boardId - Board ID
+     * @param {string} id - Label ID
+     * @returns {Promise<Object>} - Deletion result
+     */
+    async deleteLabel(boardId, id) {
+        if (!isLoggedIn()) {
+            const tasks = JSON.parse(localStorage.getItem('guest_tasks') || '[]');
+            tasks.forEach(task => {
+                if (Array.isArray(task.label_ids)) {
+                    task.label_ids = task.label_ids.filter(labelId => labelId !== id);
+                }
+            });
+            localStorage.setItem('guest_tasks', JSON.stringify(tasks));
+            saveGuestLabels(getGuestLabels().filter(l => l.id !== id));
+            return { success: true };
+        }
+
+        await request(`/v1/boards/${boardId}/labels/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { success: true };
+    }
+};
+
+function getGuestViews() {
+    return JSON.parse(localStorage.getItem('guest_views') || '[]');
+}
+
+function saveGuestViews(views) {
+    views.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    localStorage.setItem('guest_views', JSON.stringify(views));
+}
+
+// Saved view API calls (named search, priority, label and sort combinations)
+const viewsAPI = {
+    /**
+     * Get the current user's saved views
+     * @returns {Promise<Array>} - Views ordered by name
+     */
+    async getViews() {
+        if (!isLoggedIn()) {
+            return getGuestViews();
+        }
+
+        const response = await request('/v1/views', {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data || [];
+    },
+
+    /**
+     * Save filters as a new view
+     * @param {Object} view - View data ({ name, filters, board_id })
+     * @returns {Promise<Object>} - Created view
+     */
+    async createView(view) {
+        if (!isLoggedIn()) {
+            const views = getGuestViews();
+            if (views.some(v => v.name.toLowerCase() === view.name.toLowerCase())) {
+                throw new Error('You already have a view with this name');
+            }
+            const newView = { ...view, id: `guest-view-${Date.now()}` };
+            views.push(newView);
+            saveGuestViews(views);
+            return newView;
+        }
+
+        const response = await request('/v1/views', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(view)
+        });
+        return response.data;
+    },
+
+    /**
+     * Rename a view or replace its filters
+     * @param {string} id - View ID
+     * @param {Object} updates - View updates ({ name, filters, board_id })
+     * @returns {Promise<Object>} - Updated view
+     */
+    async updateView(id, updates) {
+        if (!isLoggedIn()) {
+            const views = getGuestViews();
+            const view = views.find(v => v.id === id);
+            if (!view) {
+                throw new Error('View not found');
+            }
+            Object.assign(view, updates);
+            saveGuestViews(views);
+            return view;
+        }
+
+        const response = await request(`/v1/views/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(updates)
+        });
+        return response.data;
+    },
+
+    /**
+     * Delete a view
+     * @param {string} id - View ID
+     * @returns {Promise<Object>} - Deletion result
+     */
+    async deleteView(id) {
+        if (!isLoggedIn()) {
+            saveGuestViews(getGuestViews().filter(v => v.id !== id));
+            return { success: true };
+        }
+
+        await request(`/v1/views/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { success: true };
+    }
+};
+
+/**
+ * Read a Server-Sent Events body until it ends
+ * @param {ReadableStream} body - Response body
+ * @param {Object} handlers - { onMessage({ event, data }), onRetry(ms) }
+ */
+async function readEventStream(body, { onMessage, onRetry }) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let message = { event: 'message', data: [] };
+
+    const handleLine = (line) => {
+        if (line === '') {
+            if (message.data.length > 0) {
+                onMessage({ event: message.event, data: message.data.join('\n') });
+            }
+            message = { event: 'message', data: [] };
+            return;
+        }
+        if (line.startsWith(':')) return; // Comment (heartbeat)
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'event') {
+            message.event = value;
+        } else if (field === 'data') {
+            message.data.push(value);
+        } else if (field === 'retry' && /^\d+$/.test(value)) {
+            onRetry(parseInt(value, 10));
+        }
+    };
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => handleLine(line.replace(/\r$/, '')));
+    }
+}
+
+// Real-time board changes (only available to signed-in users)
+const eventsAPI = {
+    // Sent with every request as X-Client-Id and echoed back in the events it causes
+    clientId: CLIENT_ID,
+
+    /**
+     * Follow the changes made to a board. The stream is read with fetch rather
+     * than EventSource so it can send the Authorization header, and it
+     * reconnects by itself until stopped.
+     * @param {string} boardId - Board ID
+     * @param {Object} handlers - { onEvent(type, data), onOpen({ reconnected }) } where
+     *   onOpen runs each time the stream (re)connects
+     * @returns {Function} - Stops following the board
+     */
+    subscribe(boardId, { onEvent, onOpen }) {
+        const controller = new AbortController();
+        let retryMs = EVENT_STREAM_RETRY_MS;
+        let connections = 0;
+
+        const follow = async () => {
+            while (!controller.signal.aborted && auth.currentUser) {
+                try {
+                    const token = await auth.currentUser.getIdToken();
+                    const response = await fetch(`${API_BASE}/v1/events?board_id=${encodeURIComponent(boardId)}`, {
+                        headers: {
+                            'Accept': 'text/event-stream',
+                            'Authorization': `Bearer ${token}`
+                        },
+                        credentials: 'include',
+                        signal: controller.signal
+                    });
+                    if (!response.ok || !response.body) {
+                        throw new Error(`Event stream request failed with status ${response.status}`);
+                    }
+
+                    await readEventStream(response.body, {
+                        onRetry: (ms) => { retryMs = ms; },
+                        onMessage: ({ event, data }) => {
+                            if (event === 'ready') {
+                                onOpen({ reconnected: connections > 0 });
+                                connections++;
+                            } else {
+                                onEvent(event, JSON.parse(data));
+                            }
+                        }
+                    });
+                } catch (error) {
+                    if (controller.signal.aborted) return;
+                    console.warn('Event stream disconnected:', error.message);
+                }
+
+                await new Promise(resolve => setTimeout(resolve, retryMs));
+            }
+        };
+
+        follow();
+        return () => controller.abort();
+    }
+};
+
+// Task changes queued while offline (only signed-in users have a server to sync with)
+const outboxAPI = {
+    /**
+     * Follow the number of queued changes
+     * @param {Function} listener - Called with { pending, syncing } now and on every change
+     * @returns {Function} - Stops notifying the listener
+     */
+    subscribe(listener) {
+        outboxListeners.add(listener);
+        listener({ pending: pendingChanges, syncing: syncPromise !== null });
+        return () => outboxListeners.delete(listener);
+    },
+
+    /**
+     * Re-read the outbox, e.g. after the signed-in user changed
+     * @returns {Promise<number>} - Number of queued changes
+     */
+    refresh() {
+        return refreshPendingChanges();
+    },
+
+    /**
+     * Send the queued changes in the order they were made. Only one replay
+     * runs at a time; calling this during a replay returns the running one.
+     * @returns {Promise<Object>} - { applied, conflicts, ids } where conflicts lists the
+     *   changes the server rejected ({ summary, message, status, code }), which are
+     *   dropped from the outbox, and ids maps offline task IDs to the server's
+     */
+    sync() {
+        if (!syncPromise) {
+            syncPromise = replayOutbox().finally(() => {
+                syncPromise = null;
+                refreshPendingChanges();
+            });
+            notifyOutboxListeners();
+        }
+        return syncPromise;
+    },
+
+    /**
+     * Check whether a task was created offline and has not reached the server yet
+     * @param {string} id - Task ID
+     * @returns {boolean}
+     */
+    isOfflineId(id) {
+        return String(id).startsWith(OFFLINE_ID_PREFIX);
+    }
+};
+
+// Comment-related API calls (comments are only stored for signed-in users)
+const commentsAPI = {
+    /**
+     * Get the comments on a task
+     * @param {string} taskId - Task ID
+     * @returns {Promise<Array>} - Comments, oldest first
+     */
+    async getComments(taskId) {
+        if (!isLoggedIn()) {
+            return [];
+        }
+
+        const response = await request(`/v1/tasks/${taskId}/comments`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data || [];
+    },
+
+    /**
+     * Add a comment to a task
+     * @param {string} taskId - Task ID
+     * @param {string} body - Comment text
+     * @returns {Promise<Object>} - Created comment
+     */
+    async createComment(taskId, body) {
+        if (!isLoggedIn()) {
+            throw new Error('Please sign in to comment');
+        }
+
+        const response = await request(`/v1/tasks/${taskId}/comments`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ body })
+        });
+        return response.data;
+    },
+
+    /**
+     * Edit one of the current user's comments
+     * @param {string} taskId - Task ID
+     * @param {string} id - Comment ID
+     * @param {string} body - New comment text
+     * @returns {Promise<Object>} - Updated comment
+     */
+    async updateComment(taskId, id, body) {
+        const response = await request(`/v1/tasks/${taskId}/comments/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ body })
+        });
+        return response.data;
+    },
+
+    /**
+     * Delete one of the current user's comments
+     * @param {string} taskId - Task ID
+     * @param {string} id - Comment ID
+     * @returns {Promise<Object>} - Deletion result
+     */
+    async deleteComment(taskId, id) {
+        await request(`/v1/tasks/${taskId}/comments/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { success: true };
+    }
+};
+
+// Board member API calls (only signed-in users can share boards)
+const membersAPI = {
+    /**
+     * Get the members of a board and its pending invites
+     * @param {string} boardId - Board ID
+     * @returns {Promise<Array>} - Members, owners first
+     */
+    async getMembers(boardId) {
+        if (!isLoggedIn()) {
+            return [];
+        }
+
+        const response = await request(`/v1/boards/${boardId}/members`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data || [];
+    },
+
+    /**
+     * Invite someone to a board by email
+     * @param {string} boardId - Board ID
+     * @param {Object} invite - { email, role }
+     * @returns {Promise<Object>} - Created member, pending until they sign up
+     */
+    async inviteMember(boardId, invite) {
+        if (!isLoggedIn()) {
+            throw new Error('Please sign in to share boards');
+        }
+
+        const response = await request(`/v1/boards/${boardId}/members`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(invite)
+        });
+        return response.data;
+    },
+
+    /**
+     * Change a member's role
+     * @param {string} boardId - Board ID
+     * @param {string} id - Member ID
+     * @param {string} role - owner, editor, commenter or viewer
+     * @returns {Promise<Object>} - Updated member
+     */
+    async updateMember(boardId, id, role) {
+        const response = await request(`/v1/boards/${boardId}/members/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ role })
+        });
+        return response.data;
+    },
+
+    /**
+     * Remove a member, withdraw an invite or leave a board
+     * @param {string} boardId - Board ID
+     * @param {string} id - Member ID
+     * @returns {Promise<Object>} - Deletion result
+     */
+    async removeMember(boardId, id) {
+        await request(`/v1/boards/${boardId}/members/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { success: true };
+    }
+};
+
+// Activity history API calls (history is only recorded for signed-in users)
+const activityAPI = {
+    /**
+     * Get the history of a task, newest first
+     * @param {string} taskId - Task ID
+     * @param {Object} page - Optional { limit, before } paging parameters
+     * @returns {Promise<Array>} - Activity entries
+     */
+    async getTaskActivity(taskId, page = {}) {
+        if (!isLoggedIn()) {
+            return [];
+        }
+
+        const params = new URLSearchParams(page);
+        const response = await request(`/v1/tasks/${taskId}/activity?${params}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data || [];
+    },
+
+    /**
+     * Get the activity feed of a whole board, newest first
+     * @param {string} boardId - Board ID
+     * @param {Object} page - Optional { limit, before } paging parameters
+     * @returns {Promise<Array>} - Activity entries
+     */
+    async getBoardActivity(boardId, page = {}) {
+        if (!isLoggedIn()) {
+            return [];
+        }
+
+        const params = new URLSearchParams(page);
+        const response = await request(`/v1/boards/${boardId}/activity?${params}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data || [];
+    }
+};
+
+// Board import API calls (imports always go to the server, so they need an account)
+const importAPI = {
+    /**
+     * Import a YoursKanban export, Trello board JSON or CSV file
+     * @param {File} file - File picked by the user
+     * @param {Object} options - { format, mapping, boardId, boardName, dryRun }; with
+     *   dryRun nothing is saved and the result previews the import
+     * @returns {Promise<Object>} - Import summary ({ format, columns, labels, task_count,
+     *   errors, board, plus preview on a dry run, headers and mapping for CSV })
+     */
+    async importFile(file, { format, mapping, boardId, boardName, dryRun = false } = {}) {
+        if (!isLoggedIn()) {
+            throw new Error('Please sign in to import boards');
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+        if (format) formData.append('format', format);
+        if (mapping) formData.append('mapping', JSON.stringify(mapping));
+        if (boardId) formData.append('board_id', boardId);
+        if (boardName) formData.append('board_name', boardName);
+        formData.append('dry_run', String(dryRun));
+
+        const response = await request('/v1/import', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json'
+            },
+            body: formData
+        });
+        return response.data;
+    }
+};
+
+// Board export API calls
+const exportAPI = {
+    /**
+     * Download a board as the server has it
+     * @param {string} boardId - Board ID
+     * @param {string} format - json, csv, md or ics
+     * @param {Object} options - Optional { component } ('todo' or 'event') for ics
+     * @returns {Promise<Blob>} - File contents
+     */
+    async exportBoard(boardId, format, options = {}) {
+        if (!isLoggedIn()) {
+            throw new Error('Please sign in to export in this format');
+        }
+
+        const params = new URLSearchParams({ board_id: boardId, format, ...options });
+        return request(`/v1/export?${params}`, {
+            method: 'GET',
+            responseType: 'blob'
+        });
+    }
+};
+
+// Calendar feed API calls (the feed itself is fetched by calendar apps, not the page)
+const calendarAPI = {
+    /**
+     * Get the secret token of the current user's calendar feed
+     * @returns {Promise<Object>} - { token, created_at }; token is null while the feed is off
+     */
+    async getFeed() {
+        const response = await request('/v1/me/calendar', {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data;
+    },
+
+    /**
+     * Turn the feed on, or replace its token so the old URL stops working
+     * @returns {Promise<Object>} - { token, created_at }
+     */
+    async rotateFeed() {
+        const response = await request('/v1/me/calendar', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data;
+    },
+
+    /**
+     * Turn the feed off
+     * @returns {Promise<Object>} - Result
+     */
+    async disableFeed() {
+        await request('/v1/me/calendar', {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { success: true };
+    },
+
+    /**
+     * Build the URL calendar apps subscribe to
+     * @param {string} token - Feed token
+     * @param {Object} options - Optional { include_done, priority, component } query parameters
+     * @returns {string} - Feed URL
+     */
+    getFeedUrl(token, options = {}) {
+        const params = new URLSearchParams(options).toString();
+        return `${API_BASE}/v1/calendar/${encodeURIComponent(token)}.ics${params ? `?${params}` : ''}`;
+    }
+};
+
+// Notifications API calls (due date reminders and assignments)
+const notificationsAPI = {
+    /**
+     * Get the current user's notifications, newest first
+     * @param {Object} params - Optional { unread, limit, cursor } where cursor is a previous page's nextCursor
+     * @returns {Promise<Object>} - { notifications, unread_count, nextCursor } where nextCursor is null on the last page
+     */
+    async getNotifications(params = {}) {
+        if (!isLoggedIn()) {
+            return { notifications: [], unread_count: 0, nextCursor: null };
+        }
+
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(key, value);
+            }
+        });
+
+        const response = await request(`/v1/notifications?${query}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return { ...response.data, nextCursor: response.nextCursor || null };
+    },
+
+    /**
+     * Mark a notification as read
+     * @param {string} id - Notification ID
+     * @returns {Promise<Object>} - { id, read_at }
+     */
+    async markRead(id) {
+        const response = await request(`/v1/notifications/${id}/read`, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data;
+    },
+
+    /**
+     * Mark all of the current user's notifications as read
+     * @returns {Promise<Object>} - { updated } number of notifications marked
+     */
+    async markAllRead() {
+        const response = await request('/v1/notifications/read-all', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data;
+    }
+};
+
+// Email digest API calls
+const digestAPI = {
+    /**
+     * Get the current user's email digest preferences
+     * @returns {Promise<Object>} - { frequency, send_hour, weekday, timezone, last_sent_at }
+     */
+    async getPreferences() {
+        const response = await request('/v1/me/digest', {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        return response.data;
+    },
+
+    /**
+     * Save the current user's email digest preferences
+     * @param {Object} preferences - Any of { frequency, send_hour, weekday, timezone }
+     * @returns {Promise<Object>} - Saved preferences
+     */
+    async savePreferences(preferences) {
+        const response = await request('/v1/me/digest', {
+            method: 'PUT',
+            headers: {
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(preferences)
+        });
+        return response.data;
+    },
+
+    /**
+     * Render the digest the current user would get now
+     * @param {Object} params - Optional { format, frequency, timezone }; format is html (default) or text
+     * @returns {Promise<string>} - The email body
+     */
+    async getPreview(params = {}) {
+        const blob = await request(`/v1/me/digest/preview?${new URLSearchParams(params)}`, {
+            method: 'GET',
+            responseType: 'blob'
+        });
+        return blob.text();
+    }
+};
+
 // Auth-related API calls
 const authAPI = {
   /**
@@ -408,6 +2012,22 @@ const authAPI = {
 // Export the API objects and utility functions
 export { 
   tasksAPI, 
+  boardsAPI,
+  columnsAPI,
+  subtasksAPI,
+  attachmentsAPI,
+  labelsAPI,
+  viewsAPI,
+  eventsAPI,
+  outboxAPI,
+  commentsAPI,
+  membersAPI,
+  activityAPI,
+  importAPI,
+  exportAPI,
+  calendarAPI,
+  notificationsAPI,
+  digestAPI,
   authAPI, 
   isLoggedIn, 
   getCurrentUser 
@@ -416,6 +2036,22 @@ export {
 // Make them available globally for backward compatibility
 if (typeof window !== 'undefined') {
     window.tasksAPI = tasksAPI;
+    window.boardsAPI = boardsAPI;
+    window.columnsAPI = columnsAPI;
+    window.subtasksAPI = subtasksAPI;
+    window.attachmentsAPI = attachmentsAPI;
+    window.labelsAPI = labelsAPI;
+    window.viewsAPI = viewsAPI;
+    window.eventsAPI = eventsAPI;
+    window.outboxAPI = outboxAPI;
+    window.commentsAPI = commentsAPI;
+    window.membersAPI = membersAPI;
+    window.activityAPI = activityAPI;
+    window.importAPI = importAPI;
+    window.exportAPI = exportAPI;
+    window.calendarAPI = calendarAPI;
+    window.notificationsAPI = notificationsAPI;
+    window.digestAPI = digestAPI;
     window.authAPI = authAPI;
     window.isLoggedIn = isLoggedIn;
     window.getCurrentUser = getCurrentUser;
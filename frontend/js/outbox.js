@@ -0,0 +1,119 @@
+/**
+ * Mutation outbox.
+ *
+ * Task changes made while the server can't be reached are stored here, in
+ * IndexedDB so they survive a reload, and sent again in the order they were
+ * made once the connection returns (see outboxAPI in api.js). Each entry is
+ * { seq, method, endpoint, body, tempId, summary, createdAt } where seq is
+ * assigned by the store and keeps the entries in order.
+ */
+
+const DB_NAME = 'yourskanban-outbox';
+const DB_VERSION = 1;
+const STORE = 'mutations';
+
+let dbPromise = null;
+
+// Wrap an IndexedDB request in a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('Offline changes are not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again, e.g. after private browsing blocked the first open
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+// Run fn against the store inside a transaction, resolving once it commits
+async function withStore(mode, fn) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        let result;
+        Promise.resolve(fn(transaction.objectStore(STORE)))
+            .then(value => { result = value; })
+            .catch(reject);
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Add a mutation to the end of the outbox
+ * @param {Object} entry - { method, endpoint, body, tempId, summary }
+ * @returns {Promise<number>} - Sequence number of the stored entry
+ */
+function addEntry(entry) {
+    return withStore('readwrite', store => promisify(store.add({
+        ...entry,
+        createdAt: new Date().toISOString()
+    })));
+}
+
+/**
+ * List the queued mutations, oldest first
+ * @returns {Promise<Array>} - Outbox entries
+ */
+function listEntries() {
+    return withStore('readonly', store => promisify(store.getAll()));
+}
+
+/**
+ * Replace a queued mutation, e.g. once an ID it refers to is known
+ * @param {Object} entry - Entry as returned by listEntries
+ */
+function putEntry(entry) {
+    return withStore('readwrite', store => promisify(store.put(entry)));
+}
+
+/**
+ * Remove a mutation that was sent or given up on
+ * @param {number} seq - Sequence number of the entry
+ */
+function removeEntry(seq) {
+    return withStore('readwrite', store => promisify(store.delete(seq)));
+}
+
+/**
+ * Count the queued mutations
+ * @returns {Promise<number>} - Number of entries waiting to be sent
+ */
+function countEntries() {
+    return withStore('readonly', store => promisify(store.count()));
+}
+
+/**
+ * Drop every queued mutation, e.g. when the user signs out
+ */
+function clearEntries() {
+    return withStore('readwrite', store => promisify(store.clear()));
+}
+
+export {
+    addEntry,
+    listEntries,
+    putEntry,
+    removeEntry,
+    countEntries,
+    clearEntries
+};
@@ -47,6 +47,36 @@ document.addEventListener('keydown', (e) => {
 // Check if device is mobile
 const isMobile = () => window.innerWidth <= 768;
 
+// Avatar background colors
+const AVATAR_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+
+/**
+ * Get the letter shown in a user's avatar
+ * @param {Object} user - User object containing name and email
+ * @returns {string} - First letter of the name, else of the email, else 'U'
+ */
+export function getAvatarInitial(user) {
+    if (user && user.name && user.name.trim() !== '') {
+        // Use first letter of first name if name exists
+        return user.name.trim().charAt(0).toUpperCase();
+    }
+    if (user && user.email && user.email.trim() !== '') {
+        // Otherwise use first letter of email
+        return user.email.trim().charAt(0).toUpperCase();
+    }
+    return 'U'; // Default fallback
+}
+
+/**
+ * Pick an avatar color that stays the same for a user everywhere they appear
+ * @param {string} key - User ID or email
+ * @returns {string} - One of the avatar colors
+ */
+export function getAvatarColor(key) {
+    const hash = Array.from(String(key || '')).reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+    return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+}
+
 /**
  * Updates the user avatar in the UI
  * @param {Object} user - User object containing name and email
@@ -63,24 +93,13 @@ export function updateUserAvatar(user) {
         userMenu.style.display = 'flex';
         
         // Set user info
-        let firstLetter = 'U'; // Default fallback
-        
-        if (user.name && user.name.trim() !== '') {
-            // Use first letter of first name if name exists
-            firstLetter = user.name.trim().charAt(0).toUpperCase();
-        } else if (user.email && user.email.trim() !== '') {
-            // Otherwise use first letter of email
-            firstLetter = user.email.trim().charAt(0).toUpperCase();
-        }
-        
-        userAvatar.textContent = firstLetter;
+        userAvatar.textContent = getAvatarInitial(user);
         if (userName) userName.textContent = user.name || 'User';
         if (userEmail) userEmail.textContent = user.email || '';
         
         // Set random background color for avatar if not already set
         if (!userAvatar.style.backgroundColor) {
-            const colors = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
-            const color = colors[Math.floor(Math.random() * colors.length)];
+            const color = AVATAR_COLORS[Math.floor(Math.random() * AVATAR_COLORS.length)];
             userAvatar.style.backgroundColor = color;
         }
     } else {
@@ -0,0 +1,101 @@
+/**
+ * Service worker that keeps the app shell available offline.
+ *
+ * Pages are fetched from the network first so a deploy shows up on the next
+ * load, falling back to the cached index.html without a connection. Scripts,
+ * styles, fonts and icons (ours and the CDN copies the page loads) are served
+ * from the cache and refreshed in the background. API requests are never
+ * cached; changes made offline go through the outbox in js/outbox.js instead.
+ */
+
+// Bump the version when the shell list changes so old caches are removed
+const CACHE_NAME = 'yourskanban-shell-v3';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'YoursKanban.js',
+    'YoursKanban.css',
+    'favicon.jpg',
+    'js/api.js',
+    'js/auth.js',
+    'js/firebase.js',
+    'js/outbox.js',
+    'js/user-menu.js',
+    'js/user.js',
+    'shared/zoned-time.js',
+    'shared/search-query.js'
+];
+
+// Third-party hosts whose files the page needs to start (Firebase SDK, fonts, icons)
+const CDN_HOSTS = [
+    'www.gstatic.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+    'cdnjs.cloudflare.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first, so pages are never stale while online
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request)) || (await cache.match('index.html')) || Response.error();
+    }
+}
+
+// Cache first with a background refresh for scripts, styles and fonts
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then(response => {
+            // Opaque CDN responses can't be checked, but are still usable
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        if (!url.pathname.startsWith('/api/')) {
+            event.respondWith(staleWhileRevalidate(request));
+        }
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
@@ -16,8 +16,8 @@ const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Id', 'If-Match'],
+  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar', 'ETag']
 };
 
 app.use(cors(corsOptions));
@@ -0,0 +1,336 @@
+/**
+ * Search query language for the task search box.
+ *
+ * A query is a list of space separated terms that must all match:
+ *
+ *   login "exact phrase"      text in the title, description or a checklist
+ *                             item, ignoring case, where each of its words
+ *                             starts a word there ("log" finds "login",
+ *                             "ogin" does not)
+ *   priority:high,medium      any of the given priorities
+ *   status:done               column name or ID; quote names with spaces
+ *   label:bug                 label name or ID
+ *   due:<7d  due:>=2026-05-01 due date compared with today, tomorrow,
+ *                             yesterday, a date or a number of days (d)
+ *                             or weeks (w) from today; without an
+ *                             operator the due date must fall on that day
+ *   is:overdue is:pinned is:done
+ *   has:subtasks has:labels has:attachments has:comments has:due has:description
+ *
+ * Prefixing a term with "-" excludes the tasks it matches. Days (today, 7d,
+ * is:overdue) are the user's own: the browser's local time, or the time zone
+ * the backend is given along with the query.
+ *
+ * The module lives outside both the frontend and the backend so each can be
+ * deployed on its own. Its only dependency is shared/zoned-time.js: the
+ * browser loads both as plain scripts (window.SearchQuery) and the backend
+ * requires it to turn the parsed clauses into SQL.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./zoned-time'));
+    } else {
+        root.SearchQuery = factory(root.ZonedTime);
+    }
+}(typeof self !== 'undefined' ? self : this, ({ toZoned, fromZoned }) => {
+    const PRIORITIES = ['low', 'medium', 'high'];
+    const IS_VALUES = ['overdue', 'pinned', 'done'];
+    const HAS_VALUES = ['subtasks', 'labels', 'attachments', 'comments', 'due', 'description'];
+    const FILTERS = ['priority', 'status', 'label', 'due', 'is', 'has'];
+
+    // Words of a text as the backend's full-text search ('simple' configuration) sees them, lowercased
+    const searchWords = (text) => String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    // Calendar day { year, month (0-11), day } of an instant, in local time without a time zone
+    const calendarDay = (date, timeZone) => {
+        if (!timeZone) {
+            return { year: date.getFullYear(), month: date.getMonth(), day: date.getDate() };
+        }
+        const { year, month, day } = toZoned(date, timeZone);
+        return { year, month, day };
+    };
+
+    // Instant a calendar day starts (day may run past the end of the month); in
+    // zones whose clocks skip midnight, the first moment of the day after the jump
+    const startOfCalendarDay = ({ year, month, day }, timeZone) => {
+        if (!timeZone) {
+            return new Date(year, month, day);
+        }
+        return fromZoned({ year, month, day }, timeZone);
+    };
+
+    const addDays = (day, days) => ({ ...day, day: day.day + days });
+
+    // Split the input into terms, remembering where each one came from
+    const tokenize = (input) => {
+        const tokens = [];
+        let i = 0;
+
+        while (i < input.length) {
+            if (/\s/.test(input[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            let negated = false;
+            if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+                negated = true;
+                i++;
+            }
+
+            let key = null;
+            const keyMatch = /^([a-z]+):/i.exec(input.slice(i));
+            if (keyMatch) {
+                key = keyMatch[1].toLowerCase();
+                i += keyMatch[0].length;
+            }
+
+            let value = '';
+            let quoted = false;
+            let unterminated = false;
+            if (input[i] === '"') {
+                quoted = true;
+                const close = input.indexOf('"', i + 1);
+                if (close === -1) {
+                    unterminated = true;
+                    value = input.slice(i + 1);
+                    i = input.length;
+                } else {
+                    value = input.slice(i + 1, close);
+                    i = close + 1;
+                }
+            } else {
+                while (i < input.length && !/\s/.test(input[i])) {
+                    value += input[i];
+                    i++;
+                }
+            }
+
+            tokens.push({ key, value, negated, quoted, unterminated, start, end: i, raw: input.slice(start, i) });
+        }
+
+        return tokens;
+    };
+
+    // Resolve a due: date value to a calendar day, or null if it is not a date
+    const parseDay = (value, today) => {
+        const named = { yesterday: -1, today: 0, tomorrow: 1 };
+        if (Object.prototype.hasOwnProperty.call(named, value)) {
+            return addDays(today, named[value]);
+        }
+
+        const relative = /^([+-]?\d+)([dw])$/.exec(value);
+        if (relative) {
+            const amount = parseInt(relative[1], 10) * (relative[2] === 'w' ? 7 : 1);
+            return addDays(today, amount);
+        }
+
+        const absolute = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (absolute) {
+            const [year, month, day] = absolute.slice(1).map(Number);
+            const date = new Date(Date.UTC(year, month - 1, day));
+            if (date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+                return { year, month: month - 1, day };
+            }
+        }
+
+        return null;
+    };
+
+    // Turn a due: value such as "<7d" into a { from, to } range (from inclusive, to exclusive)
+    const parseDueRange = (value, today, timeZone) => {
+        const [, operator = '=', dayValue] = /^(<=|>=|<|>|=)?(.*)$/.exec(value);
+        const day = parseDay(dayValue.toLowerCase(), today);
+        if (!day) {
+            return null;
+        }
+
+        const start = startOfCalendarDay(day, timeZone).toISOString();
+        const end = startOfCalendarDay(addDays(day, 1), timeZone).toISOString();
+        switch (operator) {
+            case '<': return { from: null, to: start };
+            case '<=': return { from: null, to: end };
+            case '>': return { from: end, to: null };
+            case '>=': return { from: start, to: null };
+            default: return { from: start, to: end };
+        }
+    };
+
+    const splitList = (value) => value
+        .split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean);
+
+    /**
+     * Parse a search query
+     * @param {string} input - Text typed into the search box
+     * @param {Object} [options] - { now, timeZone }: relative dates are resolved against now
+     *   (defaults to the current time) in the IANA time zone (defaults to local time)
+     * @returns {Object} - { clauses, errors }. Every clause has a field ('text', 'priority',
+     *   'status', 'label', 'due', 'is' or 'has'), negated, start and end; text clauses add
+     *   value and phrase, list filters add values, due adds range ({ from, to } ISO strings
+     *   or null), is and has add value (is:overdue also has a range). Errors carry a
+     *   message plus the start and end of the offending term; invalid terms produce no clause.
+     */
+    const parseSearchQuery = (input, { now = new Date(), timeZone = null } = {}) => {
+        const today = calendarDay(now, timeZone);
+        const clauses = [];
+        const errors = [];
+        const fail = (token, message) => errors.push({ message, token: token.raw, start: token.start, end: token.end });
+
+        tokenize(String(input || '')).forEach(token => {
+            const clause = { negated: token.negated, start: token.start, end: token.end };
+
+            if (token.unterminated) {
+                fail(token, 'Missing closing quote');
+                return;
+            }
+
+            if (token.key === null) {
+                // Terms without a letter or digit (a stray "-") can't be searched for
+                const value = token.value.trim();
+                if (/[\p{L}\p{N}]/u.test(value)) {
+                    clauses.push({ ...clause, field: 'text', value, phrase: token.quoted });
+                }
+                return;
+            }
+
+            if (!FILTERS.includes(token.key)) {
+                fail(token, `Unknown filter "${token.key}:". Use ${FILTERS.map(f => `${f}:`).join(', ')}, or quote the text to search for it`);
+                return;
+            }
+
+            if (!token.value.trim()) {
+                fail(token, `"${token.key}:" needs a value`);
+                return;
+            }
+
+            const value = token.value.trim().toLowerCase();
+            switch (token.key) {
+                case 'priority': {
+                    const values = splitList(value);
+                    const unknown = values.filter(priority => !PRIORITIES.includes(priority));
+                    if (unknown.length > 0) {
+                        fail(token, `Unknown priority "${unknown[0]}". Use ${PRIORITIES.join(', ')}`);
+                        return;
+                    }
+                    clauses.push({ ...clause, field: 'priority', values });
+                    return;
+                }
+                case 'status':
+                case 'label':
+                    clauses.push({ ...clause, field: token.key, values: splitList(value) });
+                    return;
+                case 'due': {
+                    const range = parseDueRange(value, today, timeZone);
+                    if (!range) {
+                        fail(token, `Invalid date "${token.value}". Use a date like 2026-05-01, today, tomorrow or 7d, optionally after <, <=, > or >=`);
+                        return;
+                    }
+                    clauses.push({ ...clause, field: 'due', range });
+                    return;
+                }
+                case 'is':
+                    if (!IS_VALUES.includes(value)) {
+                        fail(token, `Unknown value "is:${value}". Use ${IS_VALUES.map(v => `is:${v}`).join(', ')}`);
+                        return;
+                    }
+                    clauses.push({
+                        ...clause,
+                        field: 'is',
+                        value,
+                        ...(value === 'overdue' && { range: { from: null, to: startOfCalendarDay(today, timeZone).toISOString() } })
+                    });
+                    return;
+                case 'has':
+                    if (!HAS_VALUES.includes(value)) {
+                        fail(token, `Unknown value "has:${value}". Use ${HAS_VALUES.map(v => `has:${v}`).join(', ')}`);
+                        return;
+                    }
+                    clauses.push({ ...clause, field: 'has', value });
+                    return;
+                default:
+                    return;
+            }
+        });
+
+        return { clauses, errors };
+    };
+
+    const inRange = (date, { from, to }) => {
+        const time = new Date(date).getTime();
+        return (from === null || time >= new Date(from).getTime()) &&
+            (to === null || time < new Date(to).getTime());
+    };
+
+    const matchesClause = (task, clause, context) => {
+        const dueDate = task.due_date || task.dueDate || null;
+        const column = context.getColumn(task);
+
+        switch (clause.field) {
+            case 'text': {
+                // Each field on its own, like the backend: the full-text prefix
+                // match on the words, then the text itself as a substring
+                const needle = clause.value.toLowerCase();
+                const needleWords = searchWords(needle);
+                return [
+                    task.title,
+                    task.description,
+                    ...(task.subtasks || []).map(subtask => subtask.title)
+                ].some(text => {
+                    if (!text) return false;
+                    const words = searchWords(text);
+                    return needleWords.every(word => words.some(candidate => candidate.startsWith(word))) &&
+                        String(text).toLowerCase().includes(needle);
+                });
+            }
+            case 'priority':
+                return clause.values.includes(String(task.priority || '').toLowerCase());
+            case 'status':
+                return Boolean(column) && clause.values.some(value => (
+                    value === String(column.id).toLowerCase() || value === String(column.name).toLowerCase()
+                ));
+            case 'label':
+                return context.getLabels(task).some(label => clause.values.some(value => (
+                    value === String(label.id).toLowerCase() || value === String(label.name).toLowerCase()
+                )));
+            case 'due':
+                return Boolean(dueDate) && inRange(dueDate, clause.range);
+            case 'is':
+                if (clause.value === 'pinned') return Boolean(task.pinned);
+                if (clause.value === 'done') return Boolean(column && column.is_done);
+                return Boolean(dueDate) && !(column && column.is_done) && inRange(dueDate, clause.range);
+            case 'has':
+                if (clause.value === 'subtasks') return (task.subtasks || []).length > 0;
+                if (clause.value === 'labels') return context.getLabels(task).length > 0;
+                if (clause.value === 'attachments') return (task.attachments || []).length > 0;
+                if (clause.value === 'comments') return (task.comment_count || 0) > 0;
+                if (clause.value === 'due') return Boolean(dueDate);
+                return Boolean(task.description && task.description.trim());
+            default:
+                return true;
+        }
+    };
+
+    /**
+     * Check a task against a parsed query
+     * @param {Object} task - Task as held by the frontend
+     * @param {Object} query - Result of parseSearchQuery
+     * @param {Object} context - { getColumn(task), getLabels(task) } returning the task's
+     *   column ({ id, name, is_done } or null) and its labels ([{ id, name }])
+     * @returns {boolean} - True if the task matches every clause
+     */
+    const matchesSearchQuery = (task, query, context) => query.clauses.every(clause => (
+        matchesClause(task, clause, context) !== clause.negated
+    ));
+
+    return {
+        PRIORITIES,
+        IS_VALUES,
+        HAS_VALUES,
+        searchWords,
+        parseSearchQuery,
+        matchesSearchQuery
+    };
+}));
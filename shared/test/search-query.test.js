@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, matchesSearchQuery, searchWords } = require('../search-query');
+
+// Saturday 2026-03-07, 22:30 in Los Angeles; the clocks there go forward the next night
+const NOW = new Date('2026-03-08T06:30:00Z');
+
+const parse = (input, options = {}) => parseSearchQuery(input, { now: NOW, timeZone: 'UTC', ...options });
+
+const COLUMNS = {
+  todo: { id: 'c1', name: 'To Do', is_done: false },
+  done: { id: 'c2', name: 'Done', is_done: true }
+};
+
+const CONTEXT = {
+  getColumn: (task) => COLUMNS[task.column] || null,
+  getLabels: (task) => task.labels || []
+};
+
+const matches = (input, task, options) => matchesSearchQuery(task, parse(input, options), CONTEXT);
+
+test('parseSearchQuery splits words, phrases and filters', () => {
+  const { clauses, errors } = parse('login "exact phrase" priority:high,Medium -status:"To Do"');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(clauses.map(({ start, end, ...clause }) => clause), [
+    { negated: false, field: 'text', value: 'login', phrase: false },
+    { negated: false, field: 'text', value: 'exact phrase', phrase: true },
+    { negated: false, field: 'priority', values: ['high', 'medium'] },
+    { negated: true, field: 'status', values: ['to do'] }
+  ]);
+});
+
+test('parseSearchQuery reports invalid terms and keeps the valid ones', () => {
+  const { clauses, errors } = parse('bug priority:urgent foo:bar due:someday is:late has:');
+  assert.deepEqual(clauses.map(clause => clause.field), ['text']);
+  assert.deepEqual(errors.map(error => error.token), ['priority:urgent', 'foo:bar', 'due:someday', 'is:late', 'has:']);
+  assert.equal(errors[0].start, 4);
+  assert.equal(errors[0].end, 19);
+});
+
+test('parseSearchQuery ignores terms without a letter or digit', () => {
+  assert.deepEqual(parse('- %').clauses, []);
+});
+
+test('parseSearchQuery rejects dates that do not exist', () => {
+  assert.equal(parse('due:2026-02-30').errors.length, 1);
+});
+
+test('due ranges cover whole days in the given time zone', () => {
+  const range = (input, timeZone) => parse(input, { timeZone }).clauses[0].range;
+
+  assert.deepEqual(range('due:today', 'UTC'), { from: '2026-03-08T00:00:00.000Z', to: '2026-03-09T00:00:00.000Z' });
+  assert.deepEqual(range('due:today', 'America/Los_Angeles'), { from: '2026-03-07T08:00:00.000Z', to: '2026-03-08T08:00:00.000Z' });
+  assert.deepEqual(range('due:today', 'Asia/Tokyo'), { from: '2026-03-07T15:00:00.000Z', to: '2026-03-08T15:00:00.000Z' });
+  // A week later the clocks have gone forward: midnight is 07:00 UTC
+  assert.deepEqual(range('due:<7d', 'America/Los_Angeles'), { from: null, to: '2026-03-14T07:00:00.000Z' });
+  assert.deepEqual(range('due:>=1w', 'UTC'), { from: '2026-03-15T00:00:00.000Z', to: null });
+  assert.deepEqual(range('due:>tomorrow', 'UTC'), { from: '2026-03-10T00:00:00.000Z', to: null });
+  assert.deepEqual(range('due:<=yesterday', 'UTC'), { from: null, to: '2026-03-08T00:00:00.000Z' });
+});
+
+test('a day on which the clocks change is 23 hours long', () => {
+  const { range } = parse('due:2026-03-08', { timeZone: 'America/Los_Angeles' }).clauses[0];
+  assert.deepEqual(range, { from: '2026-03-08T08:00:00.000Z', to: '2026-03-09T07:00:00.000Z' });
+});
+
+test('is:overdue means due before the start of today', () => {
+  const [clause] = parse('is:overdue', { timeZone: 'Asia/Tokyo' }).clauses;
+  assert.deepEqual(clause.range, { from: null, to: '2026-03-07T15:00:00.000Z' });
+});
+
+test('a day whose midnight is skipped starts when the clocks jump', () => {
+  // Chile moves its clocks from 00:00 to 01:00 on 2026-09-06
+  const options = { now: new Date('2026-09-06T15:00:00Z'), timeZone: 'America/Santiago' };
+  const [today, overdue, week] = parse('due:today is:overdue due:<7d', options).clauses;
+  assert.deepEqual(today.range, { from: '2026-09-06T04:00:00.000Z', to: '2026-09-07T03:00:00.000Z' });
+  assert.deepEqual(overdue.range, { from: null, to: '2026-09-06T04:00:00.000Z' });
+  assert.deepEqual(week.range, { from: null, to: '2026-09-13T03:00:00.000Z' });
+});
+
+test('without a time zone days are local', () => {
+  const [clause] = parseSearchQuery('due:today', { now: NOW }).clauses;
+  const local = new Date(NOW.getFullYear(), NOW.getMonth(), NOW.getDate());
+  assert.equal(clause.range.from, local.toISOString());
+});
+
+test('text matches each field on its own, ignoring case', () => {
+  const task = { title: 'Fix the LOGIN page', description: 'Users see an error', subtasks: [{ title: 'Write tests' }] };
+  assert.ok(matches('login', task));
+  assert.ok(matches('ERROR', task));
+  assert.ok(matches('tests', task));
+  assert.ok(matches('"the login"', task));
+  assert.ok(!matches('"page users"', task), 'text must not match across the title and description');
+  assert.ok(!matches('logout', task));
+  assert.ok(matches('-logout', task));
+});
+
+test('text matches the start of words, like the backend full-text search', () => {
+  const task = { title: 'Sign-in form: logins fail', description: null };
+  assert.ok(matches('log', task));
+  assert.ok(matches('"in form"', task));
+  assert.ok(matches('"sign-in"', task));
+  assert.ok(!matches('ogin', task), 'text inside a word is not found');
+  assert.ok(!matches('"form logins"', task), 'a phrase keeps its punctuation');
+});
+
+test('searchWords splits text into lowercase words of letters and digits', () => {
+  assert.deepEqual(searchWords('Fix the LOG-in page, v2 — Größe_1'), ['fix', 'the', 'log', 'in', 'page', 'v2', 'größe', '1']);
+  assert.deepEqual(searchWords('!?'), []);
+});
+
+test('filters check the task, its column and labels', () => {
+  const task = {
+    title: 'Task',
+    priority: 'high',
+    column: 'todo',
+    pinned: true,
+    labels: [{ id: 'l1', name: 'Bug' }],
+    due_date: '2026-03-07T12:00:00Z',
+    subtasks: [{ title: 'one' }]
+  };
+  assert.ok(matches('priority:high,low', task));
+  assert.ok(!matches('priority:low', task));
+  assert.ok(matches('status:"to do"', task));
+  assert.ok(matches('status:c1', task));
+  assert.ok(matches('label:bug', task));
+  assert.ok(matches('is:pinned has:subtasks has:labels has:due', task));
+  assert.ok(!matches('has:attachments', task));
+  assert.ok(!matches('has:description', task));
+  assert.ok(matches('is:overdue', task));
+  assert.ok(!matches('is:overdue', { ...task, column: 'done' }));
+  assert.ok(matches('is:done', { ...task, column: 'done' }));
+  assert.ok(matches('due:yesterday', task));
+  assert.ok(!matches('due:today', task));
+});
+
+test('excluded filters keep tasks without the field', () => {
+  assert.ok(matches('-due:today', { title: 'No due date' }));
+  assert.ok(!matches('due:today', { title: 'No due date' }));
+});
@@ -0,0 +1,82 @@
+/**
+ * Wall-clock time in IANA time zones, using the runtime's Intl data.
+ *
+ * Shared so the search box and the backend agree on when a day starts in
+ * the user's zone, daylight saving changes included. The browser loads it
+ * as a plain script (window.ZonedTime) before shared/search-query.js; the
+ * backend requires it through lib/zonedTime.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ZonedTime = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, () => {
+    const zoneFormats = new Map();
+
+    /**
+     * Wall-clock date and time of an instant in a time zone
+     * @param {Date} date - Instant
+     * @param {string} timeZone - IANA name
+     * @returns {Object} - { year, month (0-11), day, hours, minutes, seconds }
+     */
+    const toZoned = (date, timeZone) => {
+        if (!zoneFormats.has(timeZone)) {
+            zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
+        }
+        const parts = {};
+        zoneFormats.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = Number(value);
+        });
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hours: parts.hour,
+            minutes: parts.minute,
+            seconds: parts.second
+        };
+    };
+
+    // A wall-clock time as if it were UTC, for calendar arithmetic and comparisons
+    const wallTime = ({ year, month, day, hours = 0, minutes = 0, seconds = 0 }) => (
+        Date.UTC(year, month, day, hours, minutes, seconds)
+    );
+
+    /**
+     * The instant a wall-clock time happens in a time zone, found by correcting
+     * a first guess with the zone's offset at that guess. A time skipped when
+     * the clocks go forward moves forward with them (02:30 becomes 03:30).
+     * @param {Object} wall - As returned by toZoned; the time defaults to midnight
+     * @param {string} timeZone - IANA name
+     * @returns {Date}
+     */
+    const fromZoned = (wall, timeZone) => {
+        const target = wallTime(wall);
+        const offsetAt = (instant) => wallTime(toZoned(new Date(instant), timeZone)) - instant;
+        const guess = offsetAt(target);
+        const offset = offsetAt(target - guess);
+        if (wallTime(toZoned(new Date(target - offset), timeZone)) === target) {
+            return new Date(target - offset);
+        }
+        // Neither offset gives the wall time back: it fell in the gap, and the
+        // offset from before the change puts it after the gap
+        return new Date(target - Math.min(guess, offset));
+    };
+
+    return {
+        toZoned,
+        wallTime,
+        fromZoned
+    };
+}));